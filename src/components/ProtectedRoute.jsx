@@ -1,13 +1,16 @@
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import Forbidden from '../pages/Forbidden';
 
 /**
  * ProtectedRoute component
  * Guards routes that require authentication
  * Redirects to login if user is not authenticated
+ * Shows the forbidden page if the user lacks the required permission
+ * @param {string} permission - Permission from PERMISSIONS required to see the route (optional)
  */
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, isLoading } = useAuth();
+const ProtectedRoute = ({ children, permission = null }) => {
+  const { isAuthenticated, isLoading, can } = useAuth();
 
   // Show loading state while checking authentication
   if (isLoading) {
@@ -26,8 +29,13 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/admin/login" replace />;
   }
 
+  // Block the route if the user's role does not grant the permission
+  if (permission && !can(permission)) {
+    return <Forbidden />;
+  }
+
   // Render children if authenticated
   return children;
 };
 
-export default ProtectedRoute;
\ No newline at end of file
+export default ProtectedRoute;
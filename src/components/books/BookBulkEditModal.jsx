@@ -0,0 +1,373 @@
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, AlertTriangle, ArrowRight } from 'lucide-react';
+import CustomSelect from '../common/CustomSelect';
+import useScrollLock from '../../hooks/useScrollLock';
+import * as tagsApi from '../../services/tagsApi';
+import * as etiquettesApi from '../../services/etiquettesApi';
+import {
+  BULK_BOOK_ACTIONS,
+  BULK_BOOK_ACTION_LABELS,
+  PRICE_MODES,
+  TAG_MODES,
+  DEFAULT_BULK_PARAMS,
+  getBulkParamsError,
+  planBulkBookEdit,
+} from '../../utils/bookBulkEdit';
+
+// Rows rendered in the preview table; the counts cover the whole selection
+const PREVIEW_LIMIT = 200;
+
+const PRICE_MODE_OPTIONS = [
+  { value: PRICE_MODES.PERCENT, label: 'Pourcentage', description: 'Ex. -20 pour une remise de 20 %' },
+  { value: PRICE_MODES.AMOUNT, label: 'Montant', description: 'Ex. 150 ou -150 DA' },
+  { value: PRICE_MODES.SET, label: 'Nouveau prix', description: 'Même prix pour tous' },
+];
+
+const TAG_MODE_OPTIONS = [
+  { value: TAG_MODES.ADD, label: 'Ajouter', description: 'Aux livres qui ne les ont pas' },
+  { value: TAG_MODES.REMOVE, label: 'Retirer', description: 'Des livres qui les ont' },
+];
+
+const getEntryStatus = (entry) => {
+  if (entry.error) return { label: 'Erreur', className: 'bg-red-100 text-red-700' };
+  if (entry.changed) return { label: 'Modifié', className: 'bg-blue-100 text-blue-700' };
+  return { label: 'Inchangé', className: 'bg-gray-100 text-gray-600' };
+};
+
+/**
+ * BookBulkEditModal component
+ * Collects the parameters of a bulk action and previews the change of every selected book before it runs
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {string} action - One of BULK_BOOK_ACTIONS
+ * @param {Array} books - Selected books
+ * @param {Function} onClose - Close handler
+ * @param {Function} onConfirm - Called with (action, entries) where entries come from planBulkBookEdit
+ */
+const BookBulkEditModal = ({ isOpen, action, books, onClose, onConfirm }) => {
+  // Only the values typed by the user: the defaults of the action fill the rest
+  const [paramChanges, setParamChanges] = useState({});
+  const [categories, setCategories] = useState([]);
+  const [etiquettes, setEtiquettes] = useState([]);
+  const [tagsError, setTagsError] = useState(null);
+
+  useScrollLock(isOpen);
+
+  const needsTags = action === BULK_BOOK_ACTIONS.TAGS || action === BULK_BOOK_ACTIONS.ETIQUETTE;
+
+  // Start from the default parameters each time an action is opened
+  useEffect(() => {
+    if (isOpen) {
+      setParamChanges({});
+    }
+  }, [isOpen, action]);
+
+  // Fetch categories and etiquettes for the tag actions
+  useEffect(() => {
+    const fetchTags = async () => {
+      if (!isOpen || !needsTags) return;
+
+      setTagsError(null);
+      try {
+        const [categoriesRes, etiquettesRes] = await Promise.all([
+          tagsApi.getTagsByType('CATEGORY', { page: 0, size: 1000 }),
+          etiquettesApi.getEtiquettes({ page: 0, size: 1000 }),
+        ]);
+        setCategories(categoriesRes.content || categoriesRes);
+        setEtiquettes(etiquettesRes.content || etiquettesRes);
+      } catch (err) {
+        console.error('Error fetching tags:', err);
+        setTagsError('Impossible de charger les catégories et étiquettes');
+      }
+    };
+
+    fetchTags();
+  }, [isOpen, needsTags]);
+
+  const params = { ...DEFAULT_BULK_PARAMS[action], ...paramChanges };
+  const paramsError = getBulkParamsError(action, params);
+  const entries = paramsError ? [] : planBulkBookEdit(books, action, params, [...categories, ...etiquettes]);
+
+  const changedCount = entries.filter((entry) => entry.changed && !entry.error).length;
+  const errorCount = entries.filter((entry) => entry.error).length;
+  const unchangedCount = entries.length - changedCount - errorCount;
+
+  const updateParams = (changes) => setParamChanges((prev) => ({ ...prev, ...changes }));
+
+  const toggleTag = (id) => {
+    updateParams({ tagIds: params.tagIds.includes(id) ? params.tagIds.filter((tagId) => tagId !== id) : [...params.tagIds, id] });
+  };
+
+  const optionClassName = (selected) => `flex-1 text-left p-3 rounded-lg border-2 transition-colors ${
+    selected ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:border-gray-300'
+  }`;
+
+  const inputClassName = 'w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  const renderOptions = (options, value, onChange) => (
+    <div className="flex flex-col sm:flex-row gap-2">
+      {options.map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          onClick={() => onChange(option.value)}
+          className={optionClassName(value === option.value)}
+        >
+          <p className="text-sm font-medium text-gray-900">{option.label}</p>
+          <p className="text-xs text-gray-500">{option.description}</p>
+        </button>
+      ))}
+    </div>
+  );
+
+  const renderTagList = (title, tags) => tags.length > 0 && (
+    <div>
+      <p className="text-xs font-semibold text-gray-500 uppercase mb-2">{title}</p>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+        {tags.map((tag) => (
+          <label key={tag.id} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={params.tagIds.includes(tag.id)}
+              onChange={() => toggleTag(tag.id)}
+              className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <span className="truncate">{tag.nameFr || tag.nameEn}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+
+  const renderFields = () => {
+    switch (action) {
+      case BULK_BOOK_ACTIONS.PRICE:
+        return (
+          <div className="space-y-3">
+            {renderOptions(PRICE_MODE_OPTIONS, params.mode, (mode) => updateParams({ mode }))}
+            <div className="relative">
+              <input
+                type="number"
+                step="0.01"
+                value={params.value}
+                onChange={(e) => updateParams({ value: e.target.value })}
+                placeholder={params.mode === PRICE_MODES.PERCENT ? '-20' : '1200'}
+                className={`${inputClassName} pr-12`}
+              />
+              <span className="absolute right-4 top-1/2 -translate-y-1/2 text-sm text-gray-500">
+                {params.mode === PRICE_MODES.PERCENT ? '%' : 'DA'}
+              </span>
+            </div>
+          </div>
+        );
+      case BULK_BOOK_ACTIONS.STOCK:
+        return (
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Quantité en stock</label>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={params.value}
+              onChange={(e) => updateParams({ value: e.target.value })}
+              placeholder="0"
+              className={inputClassName}
+            />
+            <label className="block text-sm font-semibold text-gray-700 mt-4 mb-2">Motif</label>
+            <input
+              type="text"
+              value={params.reason}
+              onChange={(e) => updateParams({ reason: e.target.value })}
+              placeholder="Ex. Inventaire annuel"
+              className={inputClassName}
+            />
+            <p className="mt-2 text-xs text-gray-500">Chaque écart est enregistré comme un ajustement de stock.</p>
+          </div>
+        );
+      case BULK_BOOK_ACTIONS.TAGS:
+        return (
+          <div className="space-y-4">
+            {renderOptions(TAG_MODE_OPTIONS, params.mode, (mode) => updateParams({ mode }))}
+            {tagsError && <p className="text-sm text-red-600">{tagsError}</p>}
+            {renderTagList('Catégories', categories)}
+            {renderTagList('Étiquettes', etiquettes)}
+          </div>
+        );
+      case BULK_BOOK_ACTIONS.ETIQUETTE:
+        return (
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Étiquette</label>
+            {tagsError && <p className="text-sm text-red-600 mb-2">{tagsError}</p>}
+            <CustomSelect
+              value={params.etiquetteId}
+              onChange={(etiquetteId) => updateParams({ etiquetteId })}
+              options={etiquettes.map((etiquette) => ({ value: etiquette.id, label: etiquette.nameFr || etiquette.nameEn }))}
+              placeholder="Choisir une étiquette"
+              searchable
+            />
+            <p className="mt-2 text-xs text-gray-500">L&apos;étiquette remplace celle que les livres ont déjà.</p>
+          </div>
+        );
+      case BULK_BOOK_ACTIONS.DELETE:
+        return (
+          <p className="text-sm text-gray-600">
+            Les livres sont masqués du catalogue et peuvent être restaurés depuis le filtre « Supprimés ».
+          </p>
+        );
+      case BULK_BOOK_ACTIONS.RESTORE:
+        return <p className="text-sm text-gray-600">Les livres supprimés redeviennent visibles dans le catalogue.</p>;
+      default:
+        return null;
+    }
+  };
+
+  const modalContent = (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black/60 z-50"
+          />
+
+          {/* Modal */}
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed inset-0 z-50 flex items-center justify-center p-2 sm:p-4 pointer-events-none"
+          >
+            <div className="bg-white rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-3xl max-h-[95vh] sm:max-h-[90vh] overflow-hidden pointer-events-auto flex flex-col">
+              {/* Header */}
+              <div className="bg-gradient-to-r from-blue-600 to-purple-600 p-4 sm:p-6 text-white flex-shrink-0">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex-1 min-w-0">
+                    <h2 className="text-xl sm:text-2xl font-bold truncate">{BULK_BOOK_ACTION_LABELS[action]}</h2>
+                    <p className="text-blue-100 mt-1 font-medium text-sm sm:text-base truncate">
+                      {books.length} livre{books.length > 1 ? 's' : ''} sélectionné{books.length > 1 ? 's' : ''}
+                    </p>
+                  </div>
+                  <button
+                    onClick={onClose}
+                    className="p-2 rounded-lg hover:bg-white/20 transition-colors duration-200 flex-shrink-0"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
+              </div>
+
+              <div className="overflow-y-auto flex-1 p-4 sm:p-6 space-y-5">
+                {renderFields()}
+
+                <div>
+                  <p className="text-sm font-semibold text-gray-700 mb-2">Aperçu</p>
+                  {paramsError ? (
+                    <p className="text-sm text-gray-500">{paramsError}</p>
+                  ) : (
+                    <div className="border border-gray-200 rounded-lg overflow-hidden">
+                      <div className="p-3 border-b border-gray-200 text-sm text-gray-700">
+                        <span className="font-medium text-blue-700">{changedCount} modifié{changedCount > 1 ? 's' : ''}</span>
+                        {' · '}
+                        {unchangedCount} inchangé{unchangedCount > 1 ? 's' : ''}
+                        {errorCount > 0 && (
+                          <>
+                            {' · '}
+                            <span className="font-medium text-red-700">{errorCount} en erreur</span>
+                          </>
+                        )}
+                      </div>
+                      <div className="overflow-x-auto max-h-80">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                          <thead className="bg-gray-50 sticky top-0">
+                            <tr>
+                              <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Livre</th>
+                              <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Changement</th>
+                              <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Statut</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-100">
+                            {entries.slice(0, PREVIEW_LIMIT).map((entry) => {
+                              const status = getEntryStatus(entry);
+                              return (
+                                <tr key={entry.book.id} className="align-top">
+                                  <td className="px-3 py-2">
+                                    <p className="font-medium text-gray-900">{entry.book.title}</p>
+                                    <p className="text-xs text-gray-500">{entry.book.author?.name}</p>
+                                  </td>
+                                  <td className="px-3 py-2 text-xs">
+                                    <div className="flex flex-wrap items-center gap-1.5 text-gray-700">
+                                      <span className={entry.changed ? 'text-gray-500 line-through' : ''}>{entry.before}</span>
+                                      {entry.changed && (
+                                        <>
+                                          <ArrowRight className="w-3 h-3 text-gray-400 flex-shrink-0" />
+                                          <span className="font-medium text-gray-900">{entry.after}</span>
+                                        </>
+                                      )}
+                                    </div>
+                                    {entry.error && <p className="text-red-600 mt-0.5">{entry.error}</p>}
+                                  </td>
+                                  <td className="px-3 py-2">
+                                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full whitespace-nowrap ${status.className}`}>
+                                      {status.label}
+                                    </span>
+                                  </td>
+                                </tr>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+                        {entries.length > PREVIEW_LIMIT && (
+                          <p className="py-3 text-center text-xs text-gray-500 border-t border-gray-100">
+                            {PREVIEW_LIMIT} premiers livres affichés sur {entries.length}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {errorCount > 0 && (
+                  <p className="flex items-center gap-2 text-sm text-gray-600">
+                    <AlertTriangle className="w-4 h-4 text-amber-500 flex-shrink-0" />
+                    Les livres en erreur et inchangés seront ignorés.
+                  </p>
+                )}
+              </div>
+
+              {/* Footer */}
+              <div className="border-t border-gray-200 p-4 sm:p-6 flex flex-col sm:flex-row justify-end gap-3 bg-gray-50 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="w-full sm:w-auto px-6 py-3 sm:py-2.5 text-sm sm:text-base border-2 border-gray-300 rounded-lg hover:bg-gray-100 transition-all duration-200 font-medium"
+                >
+                  Annuler
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onConfirm(action, entries)}
+                  disabled={changedCount === 0}
+                  className={`w-full sm:w-auto px-6 py-3 sm:py-2.5 text-sm sm:text-base text-white rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed font-medium ${
+                    action === BULK_BOOK_ACTIONS.DELETE ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+                  }`}
+                >
+                  Appliquer à {changedCount} livre{changedCount > 1 ? 's' : ''}
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+
+  return createPortal(modalContent, document.body);
+};
+
+export default BookBulkEditModal;
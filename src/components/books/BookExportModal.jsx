@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Download, Loader2 } from 'lucide-react';
+import useScrollLock from '../../hooks/useScrollLock';
+import {
+  EXPORT_SCOPES,
+  EXPORT_FORMATS,
+  EXPORT_FORMAT_OPTIONS,
+  BOOK_EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+} from '../../utils/catalogExport';
+
+/**
+ * BookExportModal component
+ * Lets the user choose what to export (current filters or whole catalog), the format and the columns
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Close handler
+ * @param {Function} onExport - Called with { scope, format, columns } (scope is one of EXPORT_SCOPES)
+ * @param {number} filteredCount - Number of books matching the current filters
+ * @param {boolean} hasFilters - Whether a search or filter is applied (otherwise both scopes are the same)
+ * @param {boolean} exporting - Whether an export is being prepared
+ */
+const BookExportModal = ({ isOpen, onClose, onExport, filteredCount, hasFilters, exporting = false }) => {
+  const [scope, setScope] = useState(EXPORT_SCOPES.FILTERED);
+  const [format, setFormat] = useState(EXPORT_FORMATS.CSV);
+  const [columns, setColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+
+  useScrollLock(isOpen);
+
+  const isBackup = format === EXPORT_FORMATS.JSON;
+
+  const toggleColumn = (key) => {
+    setColumns((prev) => (prev.includes(key) ? prev.filter((column) => column !== key) : [...prev, key]));
+  };
+
+  const handleSubmit = () => {
+    onExport({ scope: hasFilters ? scope : EXPORT_SCOPES.ALL, format, columns });
+  };
+
+  const scopeOptions = [
+    {
+      value: EXPORT_SCOPES.FILTERED,
+      label: 'Liste filtrée',
+      description: `${filteredCount} livre${filteredCount > 1 ? 's' : ''} — recherche, statut, catégorie et tri actuels`,
+    },
+    { value: EXPORT_SCOPES.ALL, label: 'Tout le catalogue', description: 'Tous les livres, sans filtre' },
+  ];
+
+  const optionClassName = (selected) => `flex-1 text-left p-3 rounded-lg border-2 transition-colors ${
+    selected ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:border-gray-300'
+  }`;
+
+  const modalContent = (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black/60 z-50"
+          />
+
+          {/* Modal */}
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed inset-0 z-50 flex items-center justify-center p-2 sm:p-4 pointer-events-none"
+          >
+            <div className="bg-white rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-2xl max-h-[95vh] sm:max-h-[90vh] overflow-hidden pointer-events-auto flex flex-col">
+              {/* Header */}
+              <div className="bg-gradient-to-r from-blue-600 to-purple-600 p-4 sm:p-6 text-white flex-shrink-0">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex-1 min-w-0">
+                    <h2 className="text-xl sm:text-2xl font-bold truncate">Exporter le catalogue</h2>
+                    <p className="text-blue-100 mt-1 font-medium text-sm sm:text-base truncate">
+                      Téléchargez les livres en CSV, Excel ou JSON
+                    </p>
+                  </div>
+                  <button
+                    onClick={onClose}
+                    className="p-2 rounded-lg hover:bg-white/20 transition-colors duration-200 flex-shrink-0"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
+              </div>
+
+              <div className="overflow-y-auto flex-1 p-4 sm:p-6 space-y-5">
+                {hasFilters && (
+                  <div>
+                    <p className="text-sm font-semibold text-gray-700 mb-2">Livres</p>
+                    <div className="flex flex-col sm:flex-row gap-2">
+                      {scopeOptions.map((option) => (
+                        <button
+                          key={option.value}
+                          type="button"
+                          onClick={() => setScope(option.value)}
+                          className={optionClassName(scope === option.value)}
+                        >
+                          <p className="text-sm font-medium text-gray-900">{option.label}</p>
+                          <p className="text-xs text-gray-500">{option.description}</p>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <div>
+                  <p className="text-sm font-semibold text-gray-700 mb-2">Format</p>
+                  <div className="flex flex-col sm:flex-row gap-2">
+                    {EXPORT_FORMAT_OPTIONS.map((option) => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => setFormat(option.value)}
+                        className={optionClassName(format === option.value)}
+                      >
+                        <p className="text-sm font-medium text-gray-900">{option.label}</p>
+                        <p className="text-xs text-gray-500">{option.description}</p>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <p className="text-sm font-semibold text-gray-700 mb-2">Colonnes</p>
+                  {isBackup ? (
+                    <p className="text-sm text-gray-600">
+                      La sauvegarde JSON contient toutes les colonnes, pour pouvoir être réimportée telle quelle.
+                    </p>
+                  ) : (
+                    <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                      {BOOK_EXPORT_COLUMNS.map((column) => (
+                        <label key={column.key} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={columns.includes(column.key)}
+                            onChange={() => toggleColumn(column.key)}
+                            className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                          />
+                          {column.label}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Footer */}
+              <div className="border-t border-gray-200 p-4 sm:p-6 flex flex-col sm:flex-row justify-end gap-3 bg-gray-50 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="w-full sm:w-auto px-6 py-3 sm:py-2.5 text-sm sm:text-base border-2 border-gray-300 rounded-lg hover:bg-gray-100 transition-all duration-200 font-medium"
+                >
+                  Annuler
+                </button>
+                <button
+                  type="button"
+                  onClick={handleSubmit}
+                  disabled={exporting || (!isBackup && columns.length === 0)}
+                  className="w-full sm:w-auto flex items-center justify-center gap-2 px-6 py-3 sm:py-2.5 text-sm sm:text-base bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                >
+                  {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                  {exporting ? 'Préparation...' : 'Exporter'}
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+
+  return createPortal(modalContent, document.body);
+};
+
+export default BookExportModal;
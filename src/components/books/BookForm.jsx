@@ -1,14 +1,19 @@
 import { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, Loader2 } from 'lucide-react';
+import { X, Loader2, Search } from 'lucide-react';
 import UploadImageInput from '../common/UploadImageInput';
 import CustomSelect from '../common/CustomSelect';
 import useScrollLock from '../../hooks/useScrollLock';
+import useDebounce from '../../hooks/useDebounce';
 import * as authorsApi from '../../services/authorsApi';
 import * as tagsApi from '../../services/tagsApi';
 import * as etiquettesApi from '../../services/etiquettesApi';
-import { getBookCoverUrl } from '../../services/booksApi';
+import { getBookCoverUrl, getBooksByIsbn, fetchCoverImage } from '../../services/booksApi';
+import { lookupBookMetadata } from '../../services/bookMetadataApi';
+import { getIsbnError, normalizeIsbn } from '../../utils/isbn';
+import { normalizeName } from '../../utils/catalogImport';
+import { DEFAULT_REORDER_THRESHOLD } from '../../utils/inventory';
 
 // Language code mapping: Backend codes ↔ Form values
 const LANGUAGE_CODE_TO_FORM = {
@@ -23,14 +28,44 @@ const LANGUAGE_FORM_TO_CODE = {
   'ARABIC': 'AR'
 };
 
+/**
+ * Books of the catalog already holding an ISBN (none when the ISBN is empty or invalid)
+ * The form still works when the check fails
+ * @param {string} isbn - Typed ISBN
+ * @param {number|null} excludeId - Book being edited
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Array>} Matching books
+ */
+const fetchIsbnDuplicates = async (isbn, excludeId, signal = null) => {
+  if (!isbn.trim() || getIsbnError(isbn)) return [];
+  try {
+    return await getBooksByIsbn(isbn, excludeId, signal);
+  } catch (err) {
+    if (err.message === 'REQUEST_CANCELLED') throw err;
+    console.error('Error checking the ISBN against the catalog:', err);
+    return [];
+  }
+};
+
+// Form fields pre-filled by the ISBN lookup, for the summary message
+const LOOKUP_FIELD_LABELS = {
+  title: 'titre',
+  authorId: 'auteur',
+  language: 'langue',
+  description: 'description',
+  coverImage: 'couverture',
+};
+
 const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
   const [formData, setFormData] = useState({
+    isbn: '',
     title: '',
     authorId: null,
     categoryId: null,
     language: '',
     price: '',
     stockQuantity: '',
+    reorderThreshold: '',
     description: '',
     etiquetteId: null,
     coverImage: null,
@@ -44,6 +79,9 @@ const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
   const [error, setError] = useState(null);
   const [imageRemoved, setImageRemoved] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Other books with the same edition (ISBN-10 and ISBN-13 forms compared)
+  const [isbnDuplicates, setIsbnDuplicates] = useState([]);
+  const [lookup, setLookup] = useState({ loading: false, message: null, notes: [], error: null });
 
   // Lock background scroll when modal is open
   useScrollLock(isOpen);
@@ -77,6 +115,18 @@ const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
     fetchFormData();
   }, [isOpen]);
 
+  // Warn about an ISBN already used by another book once the typing pauses
+  const debouncedIsbn = useDebounce(formData.isbn, 400);
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const controller = new AbortController();
+    fetchIsbnDuplicates(debouncedIsbn, initialData?.id ?? null, controller.signal)
+      .then(setIsbnDuplicates)
+      .catch(() => {});
+    return () => controller.abort();
+  }, [isOpen, debouncedIsbn, initialData?.id]);
+
   // Build dropdown options from API data
   const authorOptions = authors.map(author => ({
     value: author.id,
@@ -108,13 +158,15 @@ const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
       // Extract nested properties from full book object
       const normalizedData = {
         id: initialData.id,
+        isbn: initialData.isbn || '',
         title: initialData.title || '',
         authorId: initialData.author?.id || initialData.authorId || null,
         categoryId: initialData.tags?.find(t => t.type === 'CATEGORY')?.id || initialData.categoryId || null,
         etiquetteId: initialData.tags?.find(t => t.type === 'ETIQUETTE')?.id || initialData.etiquetteId || null,
         language: formLang,
         price: initialData.price || '',
-        stockQuantity: initialData.stockQuantity || '',
+        stockQuantity: initialData.stockQuantity ?? '',
+        reorderThreshold: initialData.reorderThreshold ?? '',
         description: initialData.description || '',
         coverImage: null, // Don't prefill file input
         imageUrl: initialData.imageUrl || initialData.coverImageUrl || null, // For existing image preview
@@ -122,18 +174,21 @@ const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
       setFormData(normalizedData);
     } else {
       setFormData({
+        isbn: '',
         title: '',
         authorId: null,
         categoryId: null,
         language: '',
         price: '',
         stockQuantity: '',
+        reorderThreshold: '',
         description: '',
         etiquetteId: null,
         coverImage: null,
       });
     }
     setErrors({});
+    setLookup({ loading: false, message: null, notes: [], error: null });
     setImageRemoved(false); // Reset image removal state when modal opens/closes
     setIsSubmitting(false); // Reset submitting state when modal opens/closes
   }, [initialData, isOpen]);
@@ -147,9 +202,86 @@ const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
     }
   };
 
+  /**
+   * Pre-fill the empty fields from the book metadata found for the ISBN
+   * Fields already filled in are kept; the author must already exist in the catalog
+   */
+  const handleIsbnLookup = async () => {
+    const isbnError = getIsbnError(formData.isbn);
+    if (isbnError) {
+      setErrors((prev) => ({ ...prev, isbn: isbnError }));
+      return;
+    }
+
+    setLookup({ loading: true, message: null, notes: [], error: null });
+    try {
+      const metadata = await lookupBookMetadata(formData.isbn);
+      if (!metadata) {
+        setLookup({ loading: false, message: null, notes: [], error: 'Aucun livre trouvé pour cet ISBN' });
+        return;
+      }
+
+      const updates = {};
+      const notes = [];
+
+      if (!formData.title.trim() && metadata.title) {
+        updates.title = metadata.title;
+      }
+      if (!formData.authorId && metadata.author) {
+        const author = authors.find((item) => normalizeName(item.name) === normalizeName(metadata.author));
+        if (author) {
+          updates.authorId = author.id;
+        } else {
+          notes.push(`L'auteur « ${metadata.author} » n'existe pas encore : ajoutez-le dans la section Auteurs`);
+        }
+      }
+      if (!formData.language && metadata.language) {
+        updates.language = LANGUAGE_CODE_TO_FORM[metadata.language];
+      }
+      if (!formData.description.trim() && metadata.description) {
+        updates.description = metadata.description;
+      }
+      const hasCover = formData.coverImage || (initialData?.imageUrl && !imageRemoved);
+      if (!hasCover && metadata.coverUrl) {
+        try {
+          updates.coverImage = await fetchCoverImage(metadata.coverUrl);
+          setImageRemoved(false);
+        } catch (err) {
+          console.error('Error downloading cover:', err);
+          notes.push('La couverture trouvée n\'a pas pu être téléchargée');
+        }
+      }
+
+      setFormData((prev) => ({ ...prev, ...updates }));
+      setErrors((prev) => ({ ...prev, ...Object.fromEntries(Object.keys(updates).map((field) => [field, ''])) }));
+
+      const filled = Object.keys(updates).map((field) => LOOKUP_FIELD_LABELS[field]);
+      setLookup({
+        loading: false,
+        message: filled.length > 0
+          ? `Complété depuis ${metadata.source} : ${filled.join(', ')}`
+          : `Trouvé sur ${metadata.source} : « ${metadata.title} » (champs déjà remplis conservés)`,
+        notes,
+        error: null,
+      });
+    } catch (err) {
+      setLookup({ loading: false, message: null, notes: [], error: err.message });
+    }
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
+    // ISBN validation (optional, but a typed ISBN must be valid and not used by another book)
+    if (formData.isbn.trim()) {
+      const isbnError = getIsbnError(formData.isbn);
+      if (isbnError) {
+        newErrors.isbn = isbnError;
+      } else if (isbnDuplicates.length > 0) {
+        newErrors.isbn = `Cet ISBN est déjà celui de « ${isbnDuplicates[0].title} »`;
+      }
+    }
+
     // Title validation
     if (!formData.title.trim()) {
       newErrors.title = 'Le titre est requis';
@@ -186,6 +318,11 @@ const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
       newErrors.stockQuantity = 'La quantité ne peut pas être négative';
     }
 
+    // Reorder threshold validation (optional, the default threshold applies when empty)
+    if (formData.reorderThreshold !== '' && !(Number.isInteger(Number(formData.reorderThreshold)) && Number(formData.reorderThreshold) >= 0)) {
+      newErrors.reorderThreshold = 'Le seuil doit être un nombre entier positif';
+    }
+
     // Cover image validation (required)
     if (!formData.coverImage && !initialData?.imageUrl) {
       newErrors.coverImage = 'Veuillez télécharger une image de couverture';
@@ -204,6 +341,14 @@ const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
 
     setIsSubmitting(true);
     try {
+      // The warning under the field may be from an older value: check the ISBN being saved
+      const duplicates = await fetchIsbnDuplicates(formData.isbn, initialData?.id ?? null);
+      setIsbnDuplicates(duplicates);
+      if (duplicates.length > 0) {
+        setErrors((prev) => ({ ...prev, isbn: `Cet ISBN est déjà celui de « ${duplicates[0].title} »` }));
+        return;
+      }
+
       // Convert form language value back to backend code
       const backendLanguage = LANGUAGE_FORM_TO_CODE[formData.language] || formData.language;
 
@@ -212,9 +357,11 @@ const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
         title: formData.title.trim(),
         price: parseFloat(formData.price),
         stockQuantity: parseInt(formData.stockQuantity, 10),
+        reorderThreshold: formData.reorderThreshold === '' ? null : parseInt(formData.reorderThreshold, 10),
         language: backendLanguage,
         active: true,
         description: formData.description.trim() || '',
+        isbn: normalizeIsbn(formData.isbn) || null,
       };
 
       // Add author reference if selected
@@ -275,6 +422,63 @@ const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
               <form onSubmit={handleSubmit} className="overflow-y-auto max-h-[calc(90vh-180px)]">
                 <div className="p-6 space-y-6">
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {/* ISBN, with metadata lookup */}
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-bold text-gray-900 mb-2 uppercase tracking-wide">
+                        ISBN
+                      </label>
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          name="isbn"
+                          value={formData.isbn}
+                          onChange={handleChange}
+                          onKeyDown={(e) => {
+                            // Barcode scanners end with Enter: look the book up instead of submitting
+                            if (e.key === 'Enter') {
+                              e.preventDefault();
+                              handleIsbnLookup();
+                            }
+                          }}
+                          placeholder="978-2-07-036002-4"
+                          inputMode="numeric"
+                          className={`flex-1 min-w-0 px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:border-transparent transition-all duration-200 ${
+                            errors.isbn
+                              ? 'border-red-300 focus:ring-red-500'
+                              : 'border-gray-300 focus:ring-blue-500'
+                          }`}
+                        />
+                        <button
+                          type="button"
+                          onClick={handleIsbnLookup}
+                          disabled={!formData.isbn.trim() || lookup.loading}
+                          className="flex items-center gap-2 px-4 py-3 bg-white text-gray-700 font-semibold rounded-lg border border-gray-300 hover:bg-gray-100 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          {lookup.loading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+                          <span className="hidden sm:inline">Rechercher</span>
+                        </button>
+                      </div>
+                      {errors.isbn && (
+                        <motion.p
+                          initial={{ opacity: 0, y: -10 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          className="mt-1 text-sm text-red-600"
+                        >
+                          {errors.isbn}
+                        </motion.p>
+                      )}
+                      {!errors.isbn && isbnDuplicates.length > 0 && (
+                        <p className="mt-1 text-sm text-amber-700">
+                          Déjà au catalogue : {isbnDuplicates.map((book) => `« ${book.title} »`).join(', ')}
+                        </p>
+                      )}
+                      {lookup.error && <p className="mt-1 text-sm text-red-600">{lookup.error}</p>}
+                      {lookup.message && <p className="mt-1 text-sm text-emerald-700">{lookup.message}</p>}
+                      {lookup.notes.map((note) => (
+                        <p key={note} className="mt-1 text-sm text-amber-700">{note}</p>
+                      ))}
+                    </div>
+
                     {/* Title */}
                     <div className="md:col-span-2">
                       <label className="block text-sm font-bold text-gray-900 mb-2 uppercase tracking-wide">
@@ -430,12 +634,19 @@ const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
                         value={formData.stockQuantity}
                         onChange={handleChange}
                         placeholder="0"
-                        className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:border-transparent transition-all duration-200 ${
+                        readOnly={Boolean(initialData)}
+                        className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:border-transparent transition-all duration-200 read-only:bg-gray-100 read-only:text-gray-500 ${
                           errors.stockQuantity
                             ? 'border-red-300 focus:ring-red-500'
                             : 'border-gray-300 focus:ring-blue-500'
                         }`}
                       />
+                      {/* Once the book exists, its stock only changes through recorded movements */}
+                      {initialData && !errors.stockQuantity && (
+                        <p className="mt-1 text-xs text-gray-500">
+                          Modifiez le stock depuis les mouvements de stock du tableau des livres
+                        </p>
+                      )}
                       {errors.stockQuantity && (
                         <motion.p
                           initial={{ opacity: 0, y: -10 }}
@@ -447,6 +658,37 @@ const BookForm = ({ isOpen, onClose, onSubmit, initialData = null }) => {
                       )}
                     </div>
 
+                    {/* Reorder threshold */}
+                    <div>
+                      <label className="block text-sm font-bold text-gray-900 mb-2 uppercase tracking-wide">
+                        Seuil de réapprovisionnement
+                      </label>
+                      <input
+                        type="number"
+                        name="reorderThreshold"
+                        min="0"
+                        value={formData.reorderThreshold}
+                        onChange={handleChange}
+                        placeholder={`${DEFAULT_REORDER_THRESHOLD} par défaut`}
+                        className={`w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:border-transparent transition-all duration-200 ${
+                          errors.reorderThreshold
+                            ? 'border-red-300 focus:ring-red-500'
+                            : 'border-gray-300 focus:ring-blue-500'
+                        }`}
+                      />
+                      {errors.reorderThreshold ? (
+                        <motion.p
+                          initial={{ opacity: 0, y: -10 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          className="mt-1 text-sm text-red-600"
+                        >
+                          {errors.reorderThreshold}
+                        </motion.p>
+                      ) : (
+                        <p className="mt-1 text-xs text-gray-500">Le livre passe en « Stock faible » à ce niveau</p>
+                      )}
+                    </div>
+
                     {/* Etiquette */}
                     <div>
                       <label className="block text-sm font-bold text-gray-900 mb-2 uppercase tracking-wide">
@@ -0,0 +1,492 @@
+import { useState, useEffect, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Upload, FileSpreadsheet, Download, Loader2, RefreshCw, AlertTriangle } from 'lucide-react';
+import CustomSelect from '../common/CustomSelect';
+import useScrollLock from '../../hooks/useScrollLock';
+import { useCatalogReferences } from '../../hooks/useCatalogReferences';
+import { readSpreadsheet, detectColumns, SPREADSHEET_ACCEPT } from '../../utils/spreadsheet';
+import { toCsv, downloadFile } from '../../utils/csv';
+import { formatCurrency } from '../../utils/format';
+import { parseCatalogBackup } from '../../utils/catalogExport';
+import {
+  BOOK_IMPORT_COLUMNS,
+  BOOK_LANGUAGES,
+  IMPORT_ACTION,
+  IMPORT_ACTION_LABELS,
+  IMPORT_REPORT_COLUMNS,
+  parseImportRows,
+  buildImportPlan,
+  getImportReportRows,
+} from '../../utils/catalogImport';
+
+const STEPS = [
+  { key: 'file', label: 'Fichier' },
+  { key: 'mapping', label: 'Colonnes' },
+  { key: 'preview', label: 'Aperçu' },
+];
+
+const ACTION_STYLES = {
+  [IMPORT_ACTION.CREATE]: 'bg-emerald-100 text-emerald-700',
+  [IMPORT_ACTION.UPDATE]: 'bg-blue-100 text-blue-700',
+  [IMPORT_ACTION.UNCHANGED]: 'bg-gray-100 text-gray-600',
+  [IMPORT_ACTION.ERROR]: 'bg-red-100 text-red-700',
+};
+
+// Rows rendered in the preview table; the counts and the report cover the whole file
+const PREVIEW_LIMIT = 200;
+
+// Example row of the downloadable template
+const TEMPLATE_ROW = {
+  id: '',
+  title: 'Nedjma',
+  author: 'Kateb Yacine',
+  categories: 'Roman',
+  etiquettes: 'Nouveauté',
+  language: 'FR',
+  price: '1200',
+  stockQuantity: '15',
+  description: '',
+  coverUrl: '',
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Spreadsheets, and the JSON backups of the catalog export
+const IMPORT_ACCEPT = `${SPREADSHEET_ACCEPT},.json,application/json`;
+
+/**
+ * BookImportWizard component
+ * Imports books from a CSV, Excel or JSON backup file in three steps: file, column mapping and a dry-run
+ * preview of what will be created or updated. Nothing is sent before the final confirmation.
+ * @param {boolean} isOpen - Whether the wizard is open
+ * @param {Function} onClose - Close handler
+ * @param {Function} onImport - Called once confirmed with the import plan (see buildImportPlan)
+ *   and the catalog names it was checked against ({ authors, categories, etiquettes })
+ */
+const BookImportWizard = ({ isOpen, onClose, onImport }) => {
+  const [step, setStep] = useState('file');
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [columns, setColumns] = useState(null);
+  const [reading, setReading] = useState(false);
+  const [readError, setReadError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [createMissing, setCreateMissing] = useState(true);
+  const [actionFilter, setActionFilter] = useState('all');
+
+  const { books, authors, categories, etiquettes, loading: catalogLoading, error: catalogError, reload: reloadCatalog } = useCatalogReferences(isOpen);
+
+  useScrollLock(isOpen);
+
+  // Start over every time the wizard opens
+  useEffect(() => {
+    if (isOpen) {
+      setStep('file');
+      setFileName('');
+      setRows([]);
+      setColumns(null);
+      setReadError(null);
+      setActionFilter('all');
+    }
+  }, [isOpen]);
+
+  const columnsError = columns && columns.title === -1 && columns.id === -1
+    ? 'Choisissez au moins la colonne du titre (ou de l\'ID des livres à mettre à jour)'
+    : null;
+
+  const plan = useMemo(() => {
+    if (!columns || columnsError || catalogLoading) return null;
+    return buildImportPlan(parseImportRows(rows, columns), { books, authors, categories, etiquettes }, { createMissing });
+  }, [rows, columns, columnsError, books, authors, categories, etiquettes, catalogLoading, createMissing]);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setReading(true);
+    setReadError(null);
+    try {
+      const data = file.name.toLowerCase().endsWith('.json')
+        ? parseCatalogBackup(await file.text())
+        : await readSpreadsheet(file);
+      if (data.length < 2) {
+        throw new Error('Le fichier ne contient aucune ligne');
+      }
+      setRows(data);
+      setColumns(detectColumns(data[0], BOOK_IMPORT_COLUMNS));
+      setFileName(file.name);
+      setActionFilter('all');
+      setStep('mapping');
+    } catch (err) {
+      setReadError(err.message);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  const handleDownloadTemplate = () => {
+    const templateColumns = Object.entries(BOOK_IMPORT_COLUMNS).map(([key, { label }]) => ({ key, label }));
+    downloadFile(toCsv(templateColumns, [TEMPLATE_ROW]), 'modele-import-livres.csv');
+  };
+
+  const handleDownloadReport = () => {
+    const errorRows = plan.rows.filter((entry) => entry.action === IMPORT_ACTION.ERROR);
+    downloadFile(toCsv(IMPORT_REPORT_COLUMNS, getImportReportRows(errorRows)), `import-livres-erreurs-${today()}.csv`);
+  };
+
+  const handleConfirm = () => {
+    onImport(plan, { authors, categories, etiquettes });
+  };
+
+  const columnOptions = [
+    { value: '-1', label: '— Aucune —' },
+    ...(rows[0] || []).map((header, index) => ({ value: String(index), label: String(header) || `Colonne ${index + 1}` })),
+  ];
+
+  const importCount = plan ? plan.counts[IMPORT_ACTION.CREATE] + plan.counts[IMPORT_ACTION.UPDATE] : 0;
+  const missingCount = plan ? plan.missing.authors.length + plan.missing.categories.length + plan.missing.etiquettes.length : 0;
+  const displayRows = plan ? plan.rows.filter((entry) => actionFilter === 'all' || entry.action === actionFilter) : [];
+
+  const summaryCards = plan ? [
+    { action: IMPORT_ACTION.CREATE, label: 'Nouveaux livres', color: 'text-emerald-600' },
+    { action: IMPORT_ACTION.UPDATE, label: 'Mis à jour', color: 'text-blue-600' },
+    { action: IMPORT_ACTION.UNCHANGED, label: 'Inchangés', color: 'text-gray-700' },
+    { action: IMPORT_ACTION.ERROR, label: 'En erreur', color: plan.counts[IMPORT_ACTION.ERROR] > 0 ? 'text-red-600' : 'text-gray-700' },
+  ] : [];
+
+  const stepIndex = STEPS.findIndex((item) => item.key === step);
+
+  const modalContent = (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black/60 z-50"
+          />
+
+          {/* Modal */}
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed inset-0 z-50 flex items-center justify-center p-2 sm:p-4 pointer-events-none"
+          >
+            <div className="bg-white rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-5xl max-h-[95vh] sm:max-h-[90vh] overflow-hidden pointer-events-auto flex flex-col">
+              {/* Header */}
+              <div className="bg-gradient-to-r from-blue-600 to-purple-600 p-4 sm:p-6 text-white flex-shrink-0">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex-1 min-w-0">
+                    <h2 className="text-xl sm:text-2xl font-bold truncate">Importer des livres</h2>
+                    <p className="text-blue-100 mt-1 font-medium text-sm sm:text-base truncate">
+                      Ajoutez ou mettez à jour le catalogue depuis un fichier CSV, Excel ou une sauvegarde
+                    </p>
+                  </div>
+                  <button
+                    onClick={onClose}
+                    className="p-2 rounded-lg hover:bg-white/20 transition-colors duration-200 flex-shrink-0"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
+
+                {/* Steps */}
+                <div className="mt-4 flex items-center gap-2 text-xs sm:text-sm">
+                  {STEPS.map((item, index) => (
+                    <div key={item.key} className="flex items-center gap-2">
+                      {index > 0 && <span className="w-6 h-px bg-white/40" />}
+                      <span className={`flex items-center gap-1.5 ${index <= stepIndex ? 'text-white font-semibold' : 'text-blue-200'}`}>
+                        <span className={`w-5 h-5 flex items-center justify-center rounded-full text-[11px] ${
+                          index <= stepIndex ? 'bg-white text-blue-700' : 'bg-white/20'
+                        }`}>
+                          {index + 1}
+                        </span>
+                        {item.label}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="overflow-y-auto flex-1 p-4 sm:p-6 space-y-4">
+                {catalogError && (
+                  <div className="flex items-center justify-between gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                    <span>{catalogError}</span>
+                    <button onClick={reloadCatalog} className="flex items-center gap-1 font-medium hover:text-red-900">
+                      <RefreshCw className="w-3.5 h-3.5" />
+                      Réessayer
+                    </button>
+                  </div>
+                )}
+
+                {/* Step 1: file */}
+                {step === 'file' && (
+                  <>
+                    <label
+                      onDragOver={(e) => {
+                        e.preventDefault();
+                        setIsDragging(true);
+                      }}
+                      onDragLeave={() => setIsDragging(false)}
+                      onDrop={handleDrop}
+                      className={`flex flex-col items-center justify-center gap-2 p-10 border-2 border-dashed rounded-lg cursor-pointer transition-colors ${
+                        isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-blue-400 hover:bg-gray-50'
+                      }`}
+                    >
+                      <Upload className="w-8 h-8 text-gray-400" />
+                      <span className="text-sm font-medium text-gray-700">
+                        {reading ? 'Lecture du fichier...' : 'Déposez le fichier de l\'éditeur ou cliquez pour le choisir'}
+                      </span>
+                      <span className="text-xs text-gray-500">CSV, Excel (.xlsx) ou sauvegarde JSON — le fichier est lu sur cet ordinateur, rien n&apos;est envoyé avant confirmation</span>
+                      <input
+                        type="file"
+                        accept={IMPORT_ACCEPT}
+                        onChange={(e) => {
+                          handleFile(e.target.files[0]);
+                          e.target.value = '';
+                        }}
+                        disabled={reading}
+                        className="hidden"
+                      />
+                    </label>
+                    <p className="text-sm text-gray-600">
+                      Une ligne par livre, avec au moins le titre, l&apos;auteur, la catégorie, la langue, le prix et le stock.
+                      Les livres déjà au catalogue (même ID, ou même titre et auteur) sont mis à jour.{' '}
+                      <button onClick={handleDownloadTemplate} className="font-medium text-blue-600 hover:text-blue-800">
+                        Télécharger un modèle
+                      </button>
+                    </p>
+                  </>
+                )}
+
+                {/* Step 2: column mapping, guessed from the headers */}
+                {step === 'mapping' && columns && (
+                  <>
+                    <div className="flex items-center gap-2 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                      <FileSpreadsheet className="w-5 h-5 text-emerald-600 flex-shrink-0" />
+                      <span className="text-sm font-medium text-gray-900 truncate">{fileName}</span>
+                      <span className="text-xs text-gray-500 whitespace-nowrap">{rows.length - 1} ligne{rows.length > 2 ? 's' : ''}</span>
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+                      {Object.entries(BOOK_IMPORT_COLUMNS).map(([field, { label }]) => (
+                        <div key={field}>
+                          <label className="block text-xs font-semibold text-gray-600 mb-1">{label}</label>
+                          <CustomSelect
+                            value={String(columns[field])}
+                            onChange={(value) => setColumns((prev) => ({ ...prev, [field]: Number(value) }))}
+                            options={columnOptions}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    {columnsError && <p className="text-sm text-red-600">{columnsError}</p>}
+
+                    <label className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={createMissing}
+                        onChange={(e) => setCreateMissing(e.target.checked)}
+                        className="mt-0.5 w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                      />
+                      <span>
+                        Créer les auteurs, catégories et étiquettes absents du catalogue
+                        <span className="block text-xs text-gray-500">Sinon, les lignes qui les utilisent sont rejetées</span>
+                      </span>
+                    </label>
+
+                    <p className="text-xs text-gray-500">
+                      Langues reconnues : {Object.entries(BOOK_LANGUAGES).map(([code, { label }]) => `${code} (${label})`).join(', ')}.
+                      Plusieurs catégories ou étiquettes se séparent par une virgule.
+                    </p>
+                  </>
+                )}
+
+                {/* Step 3: dry run */}
+                {step === 'preview' && (
+                  catalogLoading || !plan ? (
+                    <div className="flex items-center justify-center gap-2 py-12 text-sm text-gray-500">
+                      <Loader2 className="w-5 h-5 animate-spin" />
+                      Chargement du catalogue...
+                    </div>
+                  ) : (
+                    <>
+                      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+                        {summaryCards.map((card) => (
+                          <div key={card.action} className="rounded-lg border border-gray-200 p-3">
+                            <p className="text-xs text-gray-500 uppercase">{card.label}</p>
+                            <p className={`mt-1 text-lg font-bold ${card.color}`}>{plan.counts[card.action]}</p>
+                          </div>
+                        ))}
+                      </div>
+
+                      {missingCount > 0 && (
+                        <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800 space-y-1">
+                          <p className="font-medium">Seront créés avant l&apos;import :</p>
+                          {plan.missing.authors.length > 0 && <p>Auteurs : {plan.missing.authors.join(', ')}</p>}
+                          {plan.missing.categories.length > 0 && <p>Catégories : {plan.missing.categories.join(', ')}</p>}
+                          {plan.missing.etiquettes.length > 0 && <p>Étiquettes : {plan.missing.etiquettes.join(', ')}</p>}
+                        </div>
+                      )}
+
+                      <div className="border border-gray-200 rounded-lg overflow-hidden">
+                        <div className="p-3 border-b border-gray-200 flex flex-wrap gap-2">
+                          {[{ value: 'all', label: 'Toutes', count: plan.rows.length }, ...Object.values(IMPORT_ACTION)
+                            .filter((action) => plan.counts[action] > 0)
+                            .map((action) => ({ value: action, label: IMPORT_ACTION_LABELS[action], count: plan.counts[action] }))]
+                            .map((tab) => (
+                              <button
+                                key={tab.value}
+                                onClick={() => setActionFilter(tab.value)}
+                                className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-colors ${
+                                  actionFilter === tab.value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                }`}
+                              >
+                                {tab.label} ({tab.count})
+                              </button>
+                            ))}
+                        </div>
+
+                        <div className="overflow-x-auto">
+                          <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                              <tr>
+                                <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Ligne</th>
+                                <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Livre</th>
+                                <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Action</th>
+                                <th className="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Détails</th>
+                              </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                              {displayRows.slice(0, PREVIEW_LIMIT).map((entry) => (
+                                <tr key={entry.row} className="align-top">
+                                  <td className="px-3 py-2 text-gray-500">{entry.row}</td>
+                                  <td className="px-3 py-2">
+                                    <p className="font-medium text-gray-900">{entry.values.title || '—'}</p>
+                                    <p className="text-xs text-gray-500">{entry.values.author}</p>
+                                  </td>
+                                  <td className="px-3 py-2">
+                                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full whitespace-nowrap ${ACTION_STYLES[entry.action]}`}>
+                                      {IMPORT_ACTION_LABELS[entry.action]}
+                                    </span>
+                                  </td>
+                                  <td className="px-3 py-2 text-xs space-y-0.5">
+                                    {entry.errors.map((message) => <p key={message} className="text-red-600">{message}</p>)}
+                                    {entry.action === IMPORT_ACTION.CREATE && (
+                                      <p className="text-gray-600">
+                                        {[entry.values.categories.join(', '), entry.values.language, formatCurrency(entry.values.price), `Stock : ${entry.values.stockQuantity}`]
+                                          .filter(Boolean)
+                                          .join(' · ')}
+                                      </p>
+                                    )}
+                                    {entry.action !== IMPORT_ACTION.ERROR && entry.changes.map((change) => (
+                                      <p key={change.label} className="text-gray-600">
+                                        <span className="font-medium text-gray-700">{change.label} :</span>{' '}
+                                        <span className="line-through text-gray-400">{change.from}</span> → {change.to}
+                                      </p>
+                                    ))}
+                                    {entry.action !== IMPORT_ACTION.ERROR && entry.warnings.map((message) => (
+                                      <p key={message} className="text-amber-700">{message}</p>
+                                    ))}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          {displayRows.length === 0 && (
+                            <p className="py-8 text-center text-sm text-gray-500">Aucune ligne à afficher</p>
+                          )}
+                          {displayRows.length > PREVIEW_LIMIT && (
+                            <p className="py-3 text-center text-xs text-gray-500 border-t border-gray-100">
+                              {PREVIEW_LIMIT} premières lignes affichées sur {displayRows.length}
+                            </p>
+                          )}
+                        </div>
+                      </div>
+
+                      {plan.counts[IMPORT_ACTION.ERROR] > 0 && (
+                        <p className="flex items-center gap-2 text-sm text-gray-600">
+                          <AlertTriangle className="w-4 h-4 text-amber-500 flex-shrink-0" />
+                          Les lignes en erreur seront ignorées. Corrigez-les dans le fichier puis importez-le à nouveau.
+                        </p>
+                      )}
+                    </>
+                  )
+                )}
+
+                {readError && <p className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{readError}</p>}
+              </div>
+
+              {/* Footer */}
+              <div className="border-t border-gray-200 p-4 sm:p-6 flex flex-col sm:flex-row justify-end gap-3 bg-gray-50 flex-shrink-0">
+                {step === 'file' ? (
+                  <button
+                    type="button"
+                    onClick={onClose}
+                    className="w-full sm:w-auto px-6 py-3 sm:py-2.5 text-sm sm:text-base border-2 border-gray-300 rounded-lg hover:bg-gray-100 transition-all duration-200 font-medium"
+                  >
+                    Annuler
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setStep(step === 'preview' ? 'mapping' : 'file')}
+                    className="w-full sm:w-auto px-6 py-3 sm:py-2.5 text-sm sm:text-base border-2 border-gray-300 rounded-lg hover:bg-gray-100 transition-all duration-200 font-medium"
+                  >
+                    Retour
+                  </button>
+                )}
+                {step === 'mapping' && (
+                  <button
+                    type="button"
+                    onClick={() => setStep('preview')}
+                    disabled={Boolean(columnsError)}
+                    className="w-full sm:w-auto px-6 py-3 sm:py-2.5 text-sm sm:text-base bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                  >
+                    Vérifier l&apos;import
+                  </button>
+                )}
+                {step === 'preview' && plan && (
+                  <>
+                    {plan.counts[IMPORT_ACTION.ERROR] > 0 && (
+                      <button
+                        type="button"
+                        onClick={handleDownloadReport}
+                        className="w-full sm:w-auto flex items-center justify-center gap-2 px-6 py-3 sm:py-2.5 text-sm sm:text-base bg-white border-2 border-gray-300 rounded-lg hover:bg-gray-100 transition-all duration-200 font-medium"
+                      >
+                        <Download className="w-4 h-4" />
+                        Rapport d&apos;erreurs
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={handleConfirm}
+                      disabled={importCount === 0}
+                      className="w-full sm:w-auto px-6 py-3 sm:py-2.5 text-sm sm:text-base bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                    >
+                      Importer {importCount} livre{importCount > 1 ? 's' : ''}
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+
+  return createPortal(modalContent, document.body);
+};
+
+export default BookImportWizard;
@@ -0,0 +1,89 @@
+import { motion } from 'framer-motion';
+import { Banknote, Boxes, RotateCcw, Sticker, Tags, Trash2, X } from 'lucide-react';
+import { BULK_BOOK_ACTIONS } from '../../utils/bookBulkEdit';
+
+/**
+ * BooksBulkActionBar component
+ * Shown above BooksTable while books are selected
+ * @param {number} selectedCount - Number of selected books (on every page)
+ * @param {number} pageCount - Number of books on the current page
+ * @param {number} totalCount - Number of books matching the current filters
+ * @param {boolean} allMatchingSelected - Whether every book matching the filters is selected
+ * @param {boolean} pageSelected - Whether every book of the current page is selected
+ * @param {Function} onSelectAllMatching - Select every book matching the filters
+ * @param {Function} onClearSelection - Clear the selection
+ * @param {Function} onAction - Open a bulk action, called with one of BULK_BOOK_ACTIONS
+ * @param {Array<string>} actions - Actions the user may run (others are hidden)
+ * @param {boolean} disabled - Disable the actions (selection loading or operation running)
+ */
+const BooksBulkActionBar = ({
+  selectedCount,
+  pageCount,
+  totalCount,
+  allMatchingSelected,
+  pageSelected,
+  onSelectAllMatching,
+  onClearSelection,
+  onAction,
+  actions,
+  disabled = false,
+}) => {
+  const count = allMatchingSelected ? totalCount : selectedCount;
+  const buttonClassName = 'flex items-center gap-2 px-3 py-1.5 text-sm font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+  const secondaryClassName = `${buttonClassName} text-gray-700 bg-white border border-gray-300 hover:bg-gray-100`;
+
+  const buttons = [
+    { action: BULK_BOOK_ACTIONS.PRICE, label: 'Prix', icon: Banknote, className: `${buttonClassName} text-white bg-blue-600 hover:bg-blue-700` },
+    { action: BULK_BOOK_ACTIONS.STOCK, label: 'Stock', icon: Boxes, className: secondaryClassName },
+    { action: BULK_BOOK_ACTIONS.TAGS, label: 'Tags', icon: Tags, className: secondaryClassName },
+    { action: BULK_BOOK_ACTIONS.ETIQUETTE, label: 'Étiquette', icon: Sticker, className: secondaryClassName },
+    { action: BULK_BOOK_ACTIONS.RESTORE, label: 'Restaurer', icon: RotateCcw, className: secondaryClassName },
+    { action: BULK_BOOK_ACTIONS.DELETE, label: 'Supprimer', icon: Trash2, className: `${buttonClassName} text-white bg-red-600 hover:bg-red-700` },
+  ].filter((button) => actions.includes(button.action));
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-blue-50 border border-blue-200 rounded-lg p-3 sm:p-4 flex flex-col lg:flex-row lg:items-center justify-between gap-3"
+    >
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+        <span className="font-medium text-blue-900">
+          {count} livre{count > 1 ? 's' : ''} sélectionné{count > 1 ? 's' : ''}
+        </span>
+        {pageSelected && !allMatchingSelected && totalCount > pageCount && (
+          <button
+            onClick={onSelectAllMatching}
+            className="text-blue-700 underline hover:text-blue-900"
+          >
+            Sélectionner les {totalCount} livres correspondant aux filtres
+          </button>
+        )}
+        <button
+          onClick={onClearSelection}
+          disabled={disabled}
+          className="flex items-center gap-1 text-gray-600 hover:text-gray-800 disabled:opacity-50"
+        >
+          <X className="w-4 h-4" />
+          Effacer la sélection
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {buttons.map(({ action, label, icon: Icon, className }) => (
+          <button
+            key={action}
+            onClick={() => onAction(action)}
+            disabled={disabled}
+            className={className}
+          >
+            <Icon className="w-4 h-4" />
+            {label}
+          </button>
+        ))}
+      </div>
+    </motion.div>
+  );
+};
+
+export default BooksBulkActionBar;
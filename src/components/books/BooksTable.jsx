@@ -1,16 +1,31 @@
 import { motion, AnimatePresence } from 'framer-motion';
-import { Edit, Trash2, Search, ChevronDown, ChevronUp, Plus, BookOpen } from 'lucide-react';
+import { Edit, Trash2, Search, ChevronDown, ChevronUp, Plus, BookOpen, Upload, Download, Boxes } from 'lucide-react';
 import { formatCurrency } from '../../utils/format';
 import CustomSelect from '../common/CustomSelect';
 import Pagination from '../common/Pagination';
 import { useState, useEffect } from 'react';
 import { getBookCoverUrl } from '../../services/booksApi';
+import { STOCK_STATUS, getStockStatus, getReorderThreshold } from '../../utils/inventory';
 
 const statusColors = {
-  available: 'bg-green-100 text-green-800',
-  out_of_stock: 'bg-red-100 text-red-800',
+  [STOCK_STATUS.AVAILABLE]: 'bg-green-100 text-green-800',
+  [STOCK_STATUS.LOW]: 'bg-amber-100 text-amber-800',
+  [STOCK_STATUS.OUT]: 'bg-red-100 text-red-800',
+  deleted: 'bg-gray-200 text-gray-700',
 };
 
+// Status labels; the mobile cards use the short ones
+const statusLabels = {
+  [STOCK_STATUS.AVAILABLE]: 'Disponible',
+  [STOCK_STATUS.LOW]: 'Stock faible',
+  [STOCK_STATUS.OUT]: 'Rupture de stock',
+  deleted: 'Supprimé',
+};
+const shortStatusLabels = { ...statusLabels, [STOCK_STATUS.OUT]: 'Rupture' };
+
+// Status of a book: soft-deleted books first, then stock against the reorder threshold
+const getBookStatus = (book) => (book.active === false ? 'deleted' : getStockStatus(book));
+
 // Language code to display name mapping
 const LANGUAGE_DISPLAY = {
   'FR': 'Français',
@@ -22,17 +37,26 @@ const BooksTable = ({
   books,
   onEdit,
   onDelete,
+  onManageStock = null,
   searchQuery,
   onSearchChange,
   sortBy,
   onSortChange,
   statusFilter,
   onStatusFilterChange,
+  categoryFilter = 'all',
+  onCategoryFilterChange = null,
+  categoryOptions = [],
   onAddBook,
+  onImport = null,
+  onExport = null,
   loading = false,
   pagination = null,
   onPageChange = null,
   onPageSizeChange = null,
+  selectedIds = null,
+  onToggleSelect = null,
+  onTogglePageSelection = null,
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [failedImages, setFailedImages] = useState(new Set());
@@ -47,7 +71,9 @@ const BooksTable = ({
   const statusOptions = [
     { value: 'all', label: 'Tous' },
     { value: 'available', label: 'En stock' },
-    { value: 'out_of_stock', label: 'Hors stock' }
+    { value: STOCK_STATUS.LOW, label: 'Stock faible' },
+    { value: 'out_of_stock', label: 'Hors stock' },
+    { value: 'deleted', label: 'Supprimés' }
   ];
 
   const sortOptions = [
@@ -71,6 +97,14 @@ const BooksTable = ({
   const displayBooks = books || [];
   const totalCount = pagination?.totalElements || books.length;
 
+  // Edit/delete handlers are omitted when the user's role does not allow them
+  const hasActions = Boolean(onManageStock || onEdit || onDelete);
+
+  // Row selection for bulk actions (disabled when selectedIds is not provided)
+  const selectable = Boolean(selectedIds && onToggleSelect);
+  const isSelected = (book) => selectable && selectedIds.includes(book.id);
+  const pageSelected = selectable && displayBooks.length > 0 && displayBooks.every(isSelected);
+
   return (
     <div className="bg-white rounded-xl border border-gray-200 shadow-sm">
       {/* Barre d'en-tête avec gradient */}
@@ -96,15 +130,43 @@ const BooksTable = ({
 
           {/* Boutons d'action */}
           <div className="flex items-center gap-1.5 sm:gap-2 flex-shrink-0">
-            <motion.button
-              whileHover={{ scale: 1.02 }}
-              whileTap={{ scale: 0.98 }}
-              onClick={onAddBook}
-              className="flex items-center gap-1 sm:gap-1.5 px-2 sm:px-3 py-1.5 sm:py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 shadow-lg shadow-blue-500/30 font-medium transition-all text-xs sm:text-sm"
-            >
-              <Plus className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
-              <span className="hidden xs:inline">Ajouter</span>
-            </motion.button>
+            {onExport && (
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={onExport}
+                className="flex items-center gap-1 sm:gap-1.5 px-2 sm:px-3 py-1.5 sm:py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 font-medium transition-colors text-xs sm:text-sm"
+                title="Exporter en CSV, Excel ou JSON"
+              >
+                <Download className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                <span className="hidden xs:inline">Exporter</span>
+              </motion.button>
+            )}
+
+            {onImport && (
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={onImport}
+                className="flex items-center gap-1 sm:gap-1.5 px-2 sm:px-3 py-1.5 sm:py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 font-medium transition-colors text-xs sm:text-sm"
+                title="Importer depuis un fichier CSV ou Excel"
+              >
+                <Upload className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                <span className="hidden xs:inline">Importer</span>
+              </motion.button>
+            )}
+
+            {onAddBook && (
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={onAddBook}
+                className="flex items-center gap-1 sm:gap-1.5 px-2 sm:px-3 py-1.5 sm:py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 shadow-lg shadow-blue-500/30 font-medium transition-all text-xs sm:text-sm"
+              >
+                <Plus className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                <span className="hidden xs:inline">Ajouter</span>
+              </motion.button>
+            )}
 
             <motion.button
               whileHover={{ scale: 1.05 }}
@@ -138,6 +200,19 @@ const BooksTable = ({
           </div>
 
           <div className="flex gap-2 sm:gap-3 sm:ml-auto min-w-0">
+            {onCategoryFilterChange && (
+              <div className="flex-1 sm:flex-none sm:min-w-[160px] min-w-0">
+                <CustomSelect
+                  value={categoryFilter}
+                  onChange={onCategoryFilterChange}
+                  options={[{ value: 'all', label: 'Toutes les catégories' }, ...categoryOptions]}
+                  placeholder="Catégories"
+                  onOpen={handleFilterClick}
+                  searchable
+                />
+              </div>
+            )}
+
             <div className="flex-1 sm:flex-none sm:min-w-[140px] min-w-0">
               <CustomSelect
                 value={statusFilter}
@@ -201,6 +276,17 @@ const BooksTable = ({
                   <table className="w-full">
                     <thead className="bg-gray-50">
                       <tr>
+                        {selectable && (
+                          <th className="pl-4 lg:pl-6 py-3 w-4">
+                            <input
+                              type="checkbox"
+                              checked={pageSelected}
+                              onChange={(e) => onTogglePageSelection(e.target.checked)}
+                              className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 cursor-pointer"
+                              title="Sélectionner la page"
+                            />
+                          </th>
+                        )}
                         <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Couverture
                         </th>
@@ -225,24 +311,35 @@ const BooksTable = ({
                         <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Statut
                         </th>
-                        <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Actions
-                        </th>
+                        {hasActions && (
+                          <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Actions
+                          </th>
+                        )}
                       </tr>
                     </thead>
                     <tbody className="divide-y divide-gray-200">
                       {displayBooks.map((book) => {
-                        // Determine status based on stock quantity
-                        const status = book.stockQuantity === 0 ? 'out_of_stock' : 'available';
-                        const statusLabel = status === 'available' ? 'Disponible' : 'Rupture de stock';
+                        const status = getBookStatus(book);
+                        const statusLabel = statusLabels[status];
 
                         return (
                           <motion.tr
                             key={book.id}
                             initial={{ opacity: 0 }}
                             animate={{ opacity: 1 }}
-                            className="hover:bg-gray-50 transition-colors duration-150"
+                            className={`hover:bg-gray-50 transition-colors duration-150 ${isSelected(book) ? 'bg-blue-50' : ''}`}
                           >
+                            {selectable && (
+                              <td className="pl-4 lg:pl-6 py-4 w-4">
+                                <input
+                                  type="checkbox"
+                                  checked={isSelected(book)}
+                                  onChange={() => onToggleSelect(book)}
+                                  className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 cursor-pointer"
+                                />
+                              </td>
+                            )}
                             <td className="px-4 lg:px-6 py-4 whitespace-nowrap">
                               {failedImages.has(book.id) ? (
                                 <div className="w-10 h-14 lg:w-12 lg:h-16 bg-gray-200 rounded flex items-center justify-center">
@@ -284,29 +381,47 @@ const BooksTable = ({
                               {formatCurrency(book.price)}
                             </td>
                             <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                              {book.stockQuantity || 0}
+                              <span className={status === STOCK_STATUS.LOW ? 'font-medium text-amber-700' : ''}>
+                                {book.stockQuantity || 0}
+                              </span>
+                              <span className="text-xs text-gray-400"> / seuil {getReorderThreshold(book)}</span>
                             </td>
                             <td className="px-4 lg:px-6 py-4 whitespace-nowrap">
                               <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[status]}`}>
                                 {statusLabel}
                               </span>
                             </td>
-                            <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm">
-                              <div className="flex items-center gap-2">
-                                <button
-                                  onClick={() => onEdit(book)}
-                                  className="text-blue-600 hover:text-blue-800 p-1 rounded hover:bg-blue-50"
-                                >
-                                  <Edit className="w-4 h-4" />
-                                </button>
-                                <button
-                                  onClick={() => onDelete(book)}
-                                  className="text-red-600 hover:text-red-800 p-1 rounded hover:bg-red-50"
-                                >
-                                  <Trash2 className="w-4 h-4" />
-                                </button>
-                              </div>
-                            </td>
+                            {hasActions && (
+                              <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm">
+                                <div className="flex items-center gap-2">
+                                  {onManageStock && (
+                                    <button
+                                      onClick={() => onManageStock(book)}
+                                      className="text-gray-600 hover:text-gray-800 p-1 rounded hover:bg-gray-100"
+                                      title="Mouvements de stock"
+                                    >
+                                      <Boxes className="w-4 h-4" />
+                                    </button>
+                                  )}
+                                  {onEdit && (
+                                    <button
+                                      onClick={() => onEdit(book)}
+                                      className="text-blue-600 hover:text-blue-800 p-1 rounded hover:bg-blue-50"
+                                    >
+                                      <Edit className="w-4 h-4" />
+                                    </button>
+                                  )}
+                                  {onDelete && (
+                                    <button
+                                      onClick={() => onDelete(book)}
+                                      className="text-red-600 hover:text-red-800 p-1 rounded hover:bg-red-50"
+                                    >
+                                      <Trash2 className="w-4 h-4" />
+                                    </button>
+                                  )}
+                                </div>
+                              </td>
+                            )}
                           </motion.tr>
                         );
                       })}
@@ -319,19 +434,37 @@ const BooksTable = ({
             {/* Mobile cards */}
             {!loading && displayBooks.length > 0 && (
               <div className="md:hidden p-3 sm:p-4 space-y-3 sm:space-y-4">
+                {selectable && (
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={pageSelected}
+                      onChange={(e) => onTogglePageSelection(e.target.checked)}
+                      className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Sélectionner la page
+                  </label>
+                )}
                 {displayBooks.map((book) => {
-                  // Determine status based on stock quantity
-                  const status = book.stockQuantity === 0 ? 'out_of_stock' : 'available';
-                  const statusLabel = status === 'available' ? 'Disponible' : 'Rupture';
+                  const status = getBookStatus(book);
+                  const statusLabel = shortStatusLabels[status];
 
                   return (
                     <motion.div
                       key={book.id}
                       initial={{ opacity: 0, y: 10 }}
                       animate={{ opacity: 1, y: 0 }}
-                      className="bg-gray-50 rounded-lg p-3 sm:p-4 space-y-3"
+                      className={`bg-gray-50 rounded-lg p-3 sm:p-4 space-y-3 ${isSelected(book) ? 'ring-2 ring-blue-500' : ''}`}
                     >
                       <div className="flex gap-3 sm:gap-4">
+                        {selectable && (
+                          <input
+                            type="checkbox"
+                            checked={isSelected(book)}
+                            onChange={() => onToggleSelect(book)}
+                            className="mt-1 w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 flex-shrink-0"
+                          />
+                        )}
                         {failedImages.has(book.id) ? (
                           <div className="w-14 h-18 sm:w-16 sm:h-20 bg-gray-200 rounded flex items-center justify-center flex-shrink-0">
                             <BookOpen className="w-8 h-8 text-gray-400" />
@@ -368,30 +501,45 @@ const BooksTable = ({
                       <div className="flex items-center justify-between">
                         <div className="space-y-0.5 sm:space-y-1">
                           <p className="text-sm font-medium text-gray-900">{formatCurrency(book.price)}</p>
-                          <p className="text-xs text-gray-600">Stock: {book.stockQuantity || 0}</p>
+                          <p className="text-xs text-gray-600">Stock: {book.stockQuantity || 0} (seuil {getReorderThreshold(book)})</p>
                         </div>
                         <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[status]}`}>
                           {statusLabel}
                         </span>
                       </div>
 
-                      <div className="flex gap-2 pt-2 border-t border-gray-200">
-                        <button
-                          onClick={() => onEdit(book)}
-                          className="flex-1 flex items-center justify-center gap-1.5 sm:gap-2 px-3 sm:px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-xs sm:text-sm"
-                        >
-                          <Edit className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
-                          <span className="hidden xs:inline">Modifier</span>
-                          <span className="xs:hidden">Éditer</span>
-                        </button>
-                        <button
-                          onClick={() => onDelete(book)}
-                          className="flex-1 flex items-center justify-center gap-1.5 sm:gap-2 px-3 sm:px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-xs sm:text-sm"
-                        >
-                          <Trash2 className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
-                          <span>Supprimer</span>
-                        </button>
-                      </div>
+                      {hasActions && (
+                        <div className="flex gap-2 pt-2 border-t border-gray-200">
+                          {onManageStock && (
+                            <button
+                              onClick={() => onManageStock(book)}
+                              className="flex-1 flex items-center justify-center gap-1.5 sm:gap-2 px-3 sm:px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 text-xs sm:text-sm"
+                            >
+                              <Boxes className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                              <span>Stock</span>
+                            </button>
+                          )}
+                          {onEdit && (
+                            <button
+                              onClick={() => onEdit(book)}
+                              className="flex-1 flex items-center justify-center gap-1.5 sm:gap-2 px-3 sm:px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-xs sm:text-sm"
+                            >
+                              <Edit className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                              <span className="hidden xs:inline">Modifier</span>
+                              <span className="xs:hidden">Éditer</span>
+                            </button>
+                          )}
+                          {onDelete && (
+                            <button
+                              onClick={() => onDelete(book)}
+                              className="flex-1 flex items-center justify-center gap-1.5 sm:gap-2 px-3 sm:px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-xs sm:text-sm"
+                            >
+                              <Trash2 className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                              <span>Supprimer</span>
+                            </button>
+                          )}
+                        </div>
+                      )}
                     </motion.div>
                   );
                 })}
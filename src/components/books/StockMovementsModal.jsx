@@ -0,0 +1,287 @@
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Loader2, History } from 'lucide-react';
+import useScrollLock from '../../hooks/useScrollLock';
+import * as inventoryApi from '../../services/inventoryApi';
+import { formatDateTime } from '../../utils/format';
+import { getErrorMessage } from '../../utils/bulk';
+import {
+  STOCK_MOVEMENT_TYPES,
+  STOCK_MOVEMENT_LABELS,
+  STOCK_STATUS,
+  getReorderThreshold,
+  getStockStatus,
+  getMovementDelta,
+  getMovementErrors,
+} from '../../utils/inventory';
+
+const MOVEMENT_HINTS = {
+  [STOCK_MOVEMENT_TYPES.RECEIPT]: 'Livraison fournisseur',
+  [STOCK_MOVEMENT_TYPES.SALE]: 'Vente hors boutique en ligne',
+  [STOCK_MOVEMENT_TYPES.RETURN]: 'Retour client remis en vente',
+  [STOCK_MOVEMENT_TYPES.ADJUSTMENT]: 'Écart d\'inventaire, + ou -',
+  [STOCK_MOVEMENT_TYPES.DAMAGE]: 'Exemplaires abîmés ou perdus',
+};
+
+const STATUS_BADGES = {
+  [STOCK_STATUS.AVAILABLE]: { label: 'Disponible', className: 'bg-green-100 text-green-800' },
+  [STOCK_STATUS.LOW]: { label: 'Stock faible', className: 'bg-amber-100 text-amber-800' },
+  [STOCK_STATUS.OUT]: { label: 'Rupture de stock', className: 'bg-red-100 text-red-800' },
+};
+
+const EMPTY_MOVEMENT = { type: STOCK_MOVEMENT_TYPES.RECEIPT, quantity: '', reason: '' };
+
+/**
+ * StockMovementsModal component
+ * Records receipts, sales, returns, adjustments and damages for a book and shows its movement history
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Object} book - Book whose stock is managed
+ * @param {Function} onClose - Close handler
+ * @param {Function} onRecorded - Called with (movement) once a movement is recorded (hidden form when null)
+ */
+const StockMovementsModal = ({ isOpen, book, onClose, onRecorded = null }) => {
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [movement, setMovement] = useState(EMPTY_MOVEMENT);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  // Stock after the movements recorded in this modal (the book prop is the row of the table)
+  const [stock, setStock] = useState(0);
+
+  useScrollLock(isOpen);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchMovements = async () => {
+      if (!isOpen || !book) return;
+
+      setMovement(EMPTY_MOVEMENT);
+      setErrors({});
+      setStock(Number(book.stockQuantity) || 0);
+      setLoading(true);
+      setLoadError(null);
+      try {
+        setMovements(await inventoryApi.getStockMovements(book.id, controller.signal));
+      } catch (err) {
+        if (err.message === 'REQUEST_CANCELLED') return;
+        console.error('Error fetching stock movements:', err);
+        setLoadError('Impossible de charger l\'historique des mouvements');
+        setMovements([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMovements();
+    return () => controller.abort();
+  }, [isOpen, book]);
+
+  const handleChange = (name, value) => {
+    setMovement((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: '', submit: '' }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const movementErrors = getMovementErrors(movement, stock);
+    if (Object.keys(movementErrors).length > 0) {
+      setErrors(movementErrors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const created = await inventoryApi.createStockMovement(book.id, {
+        type: movement.type,
+        quantity: getMovementDelta(movement.type, movement.quantity),
+        reason: movement.reason.trim(),
+      });
+      setMovements((prev) => [created, ...prev]);
+      setStock((prev) => created.stockAfter ?? prev + created.quantity);
+      setMovement((prev) => ({ ...EMPTY_MOVEMENT, type: prev.type }));
+      onRecorded(created);
+    } catch (err) {
+      console.error('Error recording stock movement:', err);
+      setErrors({ submit: getErrorMessage(err) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const status = STATUS_BADGES[getStockStatus({ ...book, stockQuantity: stock })];
+  const delta = movement.quantity === '' ? 0 : getMovementDelta(movement.type, movement.quantity) || 0;
+
+  const inputClassName = (field) => `w-full px-4 py-2.5 border rounded-lg focus:outline-none focus:ring-2 focus:border-transparent ${
+    errors[field] ? 'border-red-300 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'
+  }`;
+
+  const modalContent = (
+    <AnimatePresence>
+      {isOpen && book && (
+        <>
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black/60 z-50"
+          />
+
+          {/* Modal */}
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed inset-0 z-50 flex items-center justify-center p-2 sm:p-4 pointer-events-none"
+          >
+            <div className="bg-white rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-2xl max-h-[95vh] sm:max-h-[90vh] overflow-hidden pointer-events-auto flex flex-col">
+              {/* Header */}
+              <div className="bg-gradient-to-r from-blue-600 to-purple-600 p-4 sm:p-6 text-white flex-shrink-0">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex-1 min-w-0">
+                    <h2 className="text-xl sm:text-2xl font-bold truncate">Mouvements de stock</h2>
+                    <p className="text-blue-100 mt-1 font-medium text-sm sm:text-base truncate">{book.title}</p>
+                  </div>
+                  <button
+                    onClick={onClose}
+                    className="p-2 rounded-lg hover:bg-white/20 transition-colors duration-200 flex-shrink-0"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
+              </div>
+
+              <div className="overflow-y-auto flex-1 p-4 sm:p-6 space-y-5">
+                {/* Current stock */}
+                <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
+                  <div>
+                    <p className="text-xs text-gray-500 uppercase">Stock actuel</p>
+                    <p className="text-2xl font-bold text-gray-900">{stock}</p>
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500 uppercase">Seuil de réapprovisionnement</p>
+                    <p className="text-2xl font-bold text-gray-900">{getReorderThreshold(book)}</p>
+                  </div>
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${status.className}`}>{status.label}</span>
+                </div>
+
+                {/* New movement */}
+                {onRecorded && (
+                  <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                    <p className="text-sm font-semibold text-gray-700">Nouveau mouvement</p>
+                    <div className="flex flex-wrap gap-2">
+                      {Object.values(STOCK_MOVEMENT_TYPES).map((type) => (
+                        <button
+                          key={type}
+                          type="button"
+                          onClick={() => handleChange('type', type)}
+                          title={MOVEMENT_HINTS[type]}
+                          className={`px-3 py-1.5 text-sm font-medium rounded-lg border-2 transition-colors ${
+                            movement.type === type ? 'border-blue-600 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                          }`}
+                        >
+                          {STOCK_MOVEMENT_LABELS[type]}
+                        </button>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500">{MOVEMENT_HINTS[movement.type]}</p>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                      <div>
+                        <input
+                          type="number"
+                          step="1"
+                          value={movement.quantity}
+                          onChange={(e) => handleChange('quantity', e.target.value)}
+                          placeholder="Quantité"
+                          className={inputClassName('quantity')}
+                        />
+                        {errors.quantity && <p className="mt-1 text-xs text-red-600">{errors.quantity}</p>}
+                      </div>
+                      <div className="sm:col-span-2">
+                        <input
+                          type="text"
+                          value={movement.reason}
+                          onChange={(e) => handleChange('reason', e.target.value)}
+                          placeholder="Motif (n° de bon de livraison, inventaire...)"
+                          className={inputClassName('reason')}
+                        />
+                        {errors.reason && <p className="mt-1 text-xs text-red-600">{errors.reason}</p>}
+                      </div>
+                    </div>
+
+                    {errors.submit && <p className="text-sm text-red-600">{errors.submit}</p>}
+
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                      <p className="text-sm text-gray-600">
+                        {delta !== 0 && `Stock après le mouvement : ${stock + delta}`}
+                      </p>
+                      <button
+                        type="submit"
+                        disabled={saving}
+                        className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                        Enregistrer
+                      </button>
+                    </div>
+                  </form>
+                )}
+
+                {/* History */}
+                <div>
+                  <p className="flex items-center gap-2 text-sm font-semibold text-gray-700 mb-2">
+                    <History className="w-4 h-4" />
+                    Historique
+                  </p>
+                  {loading && (
+                    <div className="flex justify-center py-6">
+                      <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+                    </div>
+                  )}
+                  {!loading && loadError && <p className="text-sm text-red-600">{loadError}</p>}
+                  {!loading && !loadError && movements.length === 0 && (
+                    <p className="text-sm text-gray-500">Aucun mouvement enregistré pour ce livre</p>
+                  )}
+                  {!loading && movements.length > 0 && (
+                    <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+                      {movements.map((item) => (
+                        <div key={item.id} className="flex items-start gap-3 px-4 py-2.5 text-sm">
+                          <span className={`w-12 text-right font-semibold flex-shrink-0 ${item.quantity > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                            {item.quantity > 0 ? `+${item.quantity}` : item.quantity}
+                          </span>
+                          <div className="min-w-0 flex-1">
+                            <p className="font-medium text-gray-900">
+                              {STOCK_MOVEMENT_LABELS[item.type] || item.type}
+                              <span className="font-normal text-gray-500"> · {item.reason}</span>
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              {formatDateTime(item.createdAt)} · {item.actor?.name || item.actor?.login || 'Système'}
+                            </p>
+                          </div>
+                          {item.stockAfter !== undefined && item.stockAfter !== null && (
+                            <span className="text-xs text-gray-500 flex-shrink-0">Stock : {item.stockAfter}</span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+
+  return createPortal(modalContent, document.body);
+};
+
+export default StockMovementsModal;
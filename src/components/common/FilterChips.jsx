@@ -0,0 +1,51 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { X } from 'lucide-react';
+
+/**
+ * FilterChips component
+ * Removable chips showing the active filters of a list
+ * @param {Array<{id: string, label: string}>} chips - Active filters
+ * @param {Function} onRemove - Called with the chip to remove
+ * @param {Function} onClearAll - Remove every filter (hidden when null or with a single chip)
+ */
+const FilterChips = ({ chips, onRemove, onClearAll = null }) => {
+  if (!chips || chips.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <AnimatePresence initial={false}>
+        {chips.map((chip) => (
+          <motion.span
+            key={chip.id}
+            layout
+            initial={{ opacity: 0, scale: 0.9 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.9 }}
+            className="inline-flex items-center gap-1 pl-3 pr-1.5 py-1 bg-blue-50 border border-blue-200 text-blue-800 rounded-full text-xs sm:text-sm"
+          >
+            {chip.label}
+            <button
+              type="button"
+              onClick={() => onRemove(chip)}
+              className="p-0.5 rounded-full hover:bg-blue-100 transition-colors"
+              title="Retirer ce filtre"
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </motion.span>
+        ))}
+      </AnimatePresence>
+      {onClearAll && chips.length > 1 && (
+        <button
+          type="button"
+          onClick={onClearAll}
+          className="text-xs sm:text-sm text-gray-600 underline hover:text-gray-800"
+        >
+          Tout effacer
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FilterChips;
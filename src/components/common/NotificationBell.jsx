@@ -0,0 +1,159 @@
+import { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Bell, ShoppingCart } from 'lucide-react';
+import { useOrderNotifications } from '../../contexts/OrderNotificationsContext';
+import { CONNECTION_MODE, POLLING_INTERVAL_MS } from '../../services/orderEventsApi';
+import { formatCurrency, formatDateTime } from '../../utils/format';
+
+/**
+ * NotificationBell component
+ * Topbar bell listing the new orders received since the page was opened, with the sound
+ * and desktop notification settings
+ */
+const NotificationBell = () => {
+  const {
+    enabled,
+    notifications,
+    unreadCount,
+    connectionMode,
+    settings,
+    desktopSupported,
+    desktopBlocked,
+    markRead,
+    markAllRead,
+    clearNotifications,
+    updateSettings,
+    openOrder,
+  } = useOrderNotifications();
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  if (!enabled) return null;
+
+  const handleOpenOrder = (notification) => {
+    markRead(notification.id);
+    openOrder(notification.order);
+    setIsOpen(false);
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className="relative p-2 rounded-lg hover:bg-gray-100 transition-colors"
+        aria-label="Notifications"
+      >
+        <Bell className="w-6 h-6 text-gray-600" />
+        {unreadCount > 0 && (
+          <span className="absolute top-1 right-1 min-w-[18px] h-[18px] px-1 flex items-center justify-center text-[10px] font-bold text-white bg-red-600 rounded-full">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 mt-2 w-[calc(100vw-2rem)] max-w-sm bg-white border border-gray-200 rounded-lg shadow-xl overflow-hidden"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between gap-2 px-4 py-3 border-b border-gray-200">
+              <div>
+                <p className="text-sm font-semibold text-gray-900">Nouvelles commandes</p>
+                <p className="flex items-center gap-1.5 text-xs text-gray-500">
+                  <span className={`w-2 h-2 rounded-full ${connectionMode === CONNECTION_MODE.LIVE ? 'bg-green-500' : 'bg-gray-400'}`} />
+                  {connectionMode === CONNECTION_MODE.LIVE && 'En direct'}
+                  {connectionMode === CONNECTION_MODE.POLLING && `Vérification toutes les ${POLLING_INTERVAL_MS / 1000} s`}
+                  {!connectionMode && 'Connexion...'}
+                </p>
+              </div>
+              {unreadCount > 0 && (
+                <button onClick={markAllRead} className="text-xs font-medium text-blue-600 hover:text-blue-800 whitespace-nowrap">
+                  Tout marquer comme lu
+                </button>
+              )}
+            </div>
+
+            {/* List */}
+            <div className="max-h-80 overflow-y-auto divide-y divide-gray-100">
+              {notifications.length === 0 ? (
+                <p className="px-4 py-8 text-center text-sm text-gray-500">Aucune nouvelle commande depuis l&apos;ouverture de la page</p>
+              ) : (
+                notifications.map((notification) => (
+                  <button
+                    key={notification.id}
+                    onClick={() => handleOpenOrder(notification)}
+                    className={`w-full flex items-start gap-3 px-4 py-3 text-left hover:bg-gray-50 transition-colors ${notification.read ? '' : 'bg-blue-50/50'}`}
+                  >
+                    <div className="p-2 bg-blue-100 rounded-lg flex-shrink-0">
+                      <ShoppingCart className="w-4 h-4 text-blue-600" />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">
+                        {notification.order.uniqueId || `#${notification.order.id}`} — {notification.order.fullName}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {formatCurrency(notification.order.totalAmount || 0)}
+                        {notification.order.wilaya && ` · ${notification.order.wilaya}`}
+                      </p>
+                      <p className="text-[10px] text-gray-400">{formatDateTime(notification.receivedAt)}</p>
+                    </div>
+                    {!notification.read && <span className="w-2 h-2 mt-1.5 bg-blue-600 rounded-full flex-shrink-0" />}
+                  </button>
+                ))
+              )}
+            </div>
+
+            {/* Settings */}
+            <div className="px-4 py-3 border-t border-gray-200 bg-gray-50 space-y-2">
+              <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={settings.sound}
+                  onChange={(e) => updateSettings({ sound: e.target.checked })}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                Jouer un son
+              </label>
+              {desktopSupported && (
+                <label className={`flex items-center gap-2 text-sm ${desktopBlocked ? 'text-gray-400' : 'text-gray-700 cursor-pointer'}`}>
+                  <input
+                    type="checkbox"
+                    checked={settings.desktop}
+                    onChange={(e) => updateSettings({ desktop: e.target.checked })}
+                    disabled={desktopBlocked}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  Notifications du bureau
+                  {desktopBlocked && <span className="text-xs">(bloquées par le navigateur)</span>}
+                </label>
+              )}
+              {notifications.length > 0 && (
+                <button onClick={clearNotifications} className="text-xs font-medium text-gray-500 hover:text-gray-700">
+                  Vider la liste
+                </button>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default NotificationBell;
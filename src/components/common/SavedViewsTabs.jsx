@@ -0,0 +1,159 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Bookmark, Plus, Star, Trash2 } from 'lucide-react';
+
+/**
+ * SavedViewsTabs component
+ * Saved views pinned as tabs above a table, with a form to save the current view
+ * @param {Array} views - Saved views from useSavedViews
+ * @param {Object} activeView - View matching the current table state (null if none)
+ * @param {boolean} isDefaultState - Whether the table shows its unfiltered state
+ * @param {string} allLabel - Label of the unfiltered tab
+ * @param {Function} onSelectAll - Reset the table to its unfiltered state
+ * @param {Function} onSelect - Called with the view to apply
+ * @param {Function} onSave - Called with (name, isDefault) to save the current state
+ * @param {Function} onDelete - Called with the view to delete
+ * @param {Function} onToggleDefault - Called with the view to make (or unmake) the default view
+ */
+const SavedViewsTabs = ({
+  views,
+  activeView,
+  isDefaultState,
+  allLabel,
+  onSelectAll,
+  onSelect,
+  onSave,
+  onDelete,
+  onToggleDefault,
+}) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [isDefault, setIsDefault] = useState(false);
+
+  const canSave = !activeView && !isDefaultState;
+  const nameTaken = views.some((view) => view.name.toLowerCase() === name.trim().toLowerCase());
+
+  const closeForm = () => {
+    setIsSaving(false);
+    setName('');
+    setIsDefault(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim() || nameTaken) return;
+    onSave(name, isDefault);
+    closeForm();
+  };
+
+  const tabClassName = (active) => `flex items-center gap-1.5 px-3 py-2 text-sm font-medium whitespace-nowrap border-b-2 transition-colors ${
+    active ? 'border-blue-600 text-blue-700' : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
+  }`;
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 px-3 sm:px-4">
+      <div className="flex items-center gap-2">
+        <div className="flex items-center gap-1 overflow-x-auto flex-1 min-w-0">
+          <button onClick={onSelectAll} className={tabClassName(isDefaultState)}>
+            {allLabel}
+          </button>
+
+          {views.map((view) => {
+            const active = activeView?.id === view.id;
+            return (
+              <div key={view.id} className={tabClassName(active)}>
+                <button onClick={() => onSelect(view)} className="flex items-center gap-1.5">
+                  {view.isDefault && <Star className="w-3.5 h-3.5 fill-amber-400 text-amber-400" />}
+                  {view.name}
+                </button>
+                {active && (
+                  <>
+                    <button
+                      onClick={() => onToggleDefault(view)}
+                      className="p-0.5 text-gray-400 hover:text-amber-500 transition-colors"
+                      title={view.isDefault ? 'Ne plus utiliser par défaut' : 'Utiliser par défaut'}
+                    >
+                      <Star className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                      onClick={() => onDelete(view)}
+                      className="p-0.5 text-gray-400 hover:text-red-600 transition-colors"
+                      title="Supprimer la vue"
+                    >
+                      <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <button
+          onClick={() => setIsSaving((open) => !open)}
+          disabled={!canSave}
+          className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-blue-700 rounded-lg hover:bg-blue-50 disabled:text-gray-400 disabled:hover:bg-transparent disabled:cursor-not-allowed transition-colors flex-shrink-0"
+          title={canSave ? 'Enregistrer les filtres actuels' : 'Modifiez la recherche, les filtres ou le tri pour enregistrer une vue'}
+        >
+          <Plus className="w-4 h-4" />
+          <span className="hidden sm:inline">Enregistrer la vue</span>
+        </button>
+      </div>
+
+      <AnimatePresence>
+        {isSaving && canSave && (
+          <motion.form
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            onSubmit={handleSubmit}
+            className="overflow-hidden"
+          >
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-3 py-3 border-t border-gray-100">
+              <div className="relative flex-1">
+                <Bookmark className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="Nom de la vue (ex. ZR en attente)"
+                  maxLength={40}
+                  autoFocus
+                  className="w-full pl-9 pr-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={isDefault}
+                  onChange={(e) => setIsDefault(e.target.checked)}
+                  className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                Vue par défaut
+              </label>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors"
+                >
+                  Annuler
+                </button>
+                <button
+                  type="submit"
+                  disabled={!name.trim() || nameTaken}
+                  className="px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Enregistrer
+                </button>
+              </div>
+            </div>
+            {nameTaken && <p className="pb-3 -mt-1 text-xs text-red-600">Une vue porte déjà ce nom</p>}
+          </motion.form>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default SavedViewsTabs;
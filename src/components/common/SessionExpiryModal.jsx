@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Clock, LogOut, RefreshCw } from 'lucide-react';
+import useScrollLock from '../../hooks/useScrollLock';
+
+/**
+ * Format a remaining duration as m:ss
+ * @param {number} ms - Remaining time in milliseconds
+ * @returns {string} Formatted countdown
+ */
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+/**
+ * SessionExpiryModal component
+ * Warns the user that their session is about to expire and counts down to it
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {number} expiresAt - Session expiry timestamp in milliseconds
+ * @param {Function} onStaySignedIn - Refresh the session
+ * @param {Function} onLogout - Log out now
+ * @param {boolean} isExtending - Whether the refresh is in progress
+ */
+const SessionExpiryModal = ({ isOpen, expiresAt, onStaySignedIn, onLogout, isExtending = false }) => {
+  const [remaining, setRemaining] = useState(() => (expiresAt ? expiresAt - Date.now() : 0));
+
+  // Lock background scroll when modal is open
+  useScrollLock(isOpen);
+
+  // Tick the countdown every second while the modal is open
+  useEffect(() => {
+    if (!isOpen || !expiresAt) return;
+
+    const tick = () => setRemaining(expiresAt - Date.now());
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [isOpen, expiresAt]);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed top-0 left-0 w-screen h-screen bg-black/60 z-[110]"
+            style={{ margin: 0, padding: 0 }}
+          />
+
+          {/* Modal Container */}
+          <div
+            className="fixed top-0 left-0 w-screen h-screen z-[111] flex items-center justify-center px-3 py-4 sm:p-4"
+            style={{ margin: 0 }}
+          >
+            <motion.div
+              initial={{ opacity: 0, scale: 0.95, y: 20 }}
+              animate={{ opacity: 1, scale: 1, y: 0 }}
+              exit={{ opacity: 0, scale: 0.95, y: 20 }}
+              transition={{ duration: 0.2 }}
+              className="bg-white rounded-xl sm:rounded-2xl shadow-2xl max-w-md w-full overflow-hidden"
+            >
+              {/* Header */}
+              <div className="bg-gradient-to-r from-amber-500 to-orange-500 px-4 py-4 sm:p-6">
+                <div className="flex items-center gap-2 sm:gap-3">
+                  <Clock className="w-5 h-5 sm:w-6 sm:h-6 text-white flex-shrink-0" />
+                  <h2 className="text-base sm:text-xl font-bold text-white leading-tight">Votre session va expirer</h2>
+                </div>
+              </div>
+
+              {/* Content */}
+              <div className="p-4 sm:p-6 text-center space-y-3">
+                <p className="text-gray-700 text-sm sm:text-base leading-relaxed">
+                  Pour votre sécurité, vous serez déconnecté automatiquement dans
+                </p>
+                <p className="text-4xl font-bold text-orange-600 tabular-nums">
+                  {formatCountdown(remaining)}
+                </p>
+                <p className="text-xs sm:text-sm text-gray-500">
+                  Restez connecté pour continuer sans perdre votre travail en cours.
+                </p>
+              </div>
+
+              {/* Actions */}
+              <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:py-4 flex items-center justify-end gap-2 sm:gap-3">
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={onLogout}
+                  disabled={isExtending}
+                  className="flex items-center gap-2 px-3 py-2 sm:px-5 sm:py-2.5 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 font-medium transition-colors text-sm sm:text-base disabled:opacity-50"
+                >
+                  <LogOut className="w-4 h-4" />
+                  Se déconnecter
+                </motion.button>
+
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={onStaySignedIn}
+                  disabled={isExtending}
+                  className="flex items-center gap-2 px-3 py-2 sm:px-5 sm:py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors shadow-sm text-sm sm:text-base disabled:opacity-50"
+                >
+                  <RefreshCw className={`w-4 h-4 ${isExtending ? 'animate-spin' : ''}`} />
+                  Rester connecté
+                </motion.button>
+              </div>
+            </motion.div>
+          </div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default SessionExpiryModal;
@@ -1,20 +1,26 @@
 import { NavLink } from 'react-router-dom';
-import { LayoutDashboard, BookOpen, ShoppingCart, Users, X, LogOut, Megaphone, Search } from 'lucide-react';
+import { LayoutDashboard, BookOpen, ShoppingCart, Truck, Banknote, Users, X, LogOut, Megaphone, Search } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import { useOrderNotifications } from '../../contexts/OrderNotificationsContext';
 
 const Sidebar = ({ isOpen, onClose }) => {
-  const { logout } = useAuth();
+  const { logout, can } = useAuth();
+  const { unreadCount } = useOrderNotifications();
 
+  // Only show the pages the user's role grants access to
   const navItems = [
-    { to: '/admin/dashboard', icon: LayoutDashboard, label: 'Tableau de bord' },
-    { to: '/admin/books', icon: BookOpen, label: 'Livres' },
-    { to: '/admin/orders', icon: ShoppingCart, label: 'Commandes' },
-    { to: '/admin/users', icon: Users, label: 'Utilisateurs' },
-    { to: '/admin/marketing', icon: Megaphone, label: 'Marketing' },
-    { to: '/admin/recherches', icon: Search, label: 'Recherches' },
-  ];
+    { to: '/admin/dashboard', icon: LayoutDashboard, label: 'Tableau de bord', permission: PERMISSIONS.VIEW_DASHBOARD },
+    { to: '/admin/books', icon: BookOpen, label: 'Livres', permission: PERMISSIONS.VIEW_BOOKS },
+    { to: '/admin/orders', icon: ShoppingCart, label: 'Commandes', permission: PERMISSIONS.VIEW_ORDERS, badge: unreadCount },
+    { to: '/admin/shipping-tariffs', icon: Truck, label: 'Tarifs de livraison', permission: PERMISSIONS.MANAGE_SHIPPING_TARIFFS },
+    { to: '/admin/reconciliation', icon: Banknote, label: 'Encaissements', permission: PERMISSIONS.RECONCILE_PAYOUTS },
+    { to: '/admin/users', icon: Users, label: 'Utilisateurs', permission: PERMISSIONS.VIEW_USERS },
+    { to: '/admin/marketing', icon: Megaphone, label: 'Marketing', permission: PERMISSIONS.MANAGE_MARKETING },
+    { to: '/admin/recherches', icon: Search, label: 'Recherches', permission: PERMISSIONS.VIEW_SEARCH_ANALYTICS },
+  ].filter(({ permission }) => can(permission));
 
   // Lock body scroll when mobile sidebar is open
   useEffect(() => {
@@ -58,7 +64,7 @@ const Sidebar = ({ isOpen, onClose }) => {
 
         {/* Navigation */}
         <nav className="flex-1 px-4 py-6 space-y-1 overflow-y-auto">
-          {navItems.map(({ to, icon: Icon, label }) => (
+          {navItems.map(({ to, icon: Icon, label, badge }) => (
             <NavLink
               key={to}
               to={to}
@@ -71,6 +77,11 @@ const Sidebar = ({ isOpen, onClose }) => {
             >
               <Icon className="w-5 h-5" />
               <span>{label}</span>
+              {badge > 0 && (
+                <span className="ml-auto min-w-[20px] h-5 px-1.5 flex items-center justify-center text-xs font-bold text-white bg-red-600 rounded-full">
+                  {badge > 99 ? '99+' : badge}
+                </span>
+              )}
             </NavLink>
           ))}
         </nav>
@@ -115,7 +126,7 @@ const Sidebar = ({ isOpen, onClose }) => {
 
         {/* Navigation */}
         <nav className="flex-1 px-4 py-6 space-y-1">
-          {navItems.map(({ to, icon: Icon, label }) => (
+          {navItems.map(({ to, icon: Icon, label, badge }) => (
             <NavLink
               key={to}
               to={to}
@@ -129,6 +140,11 @@ const Sidebar = ({ isOpen, onClose }) => {
             >
               <Icon className="w-5 h-5" />
               <span>{label}</span>
+              {badge > 0 && (
+                <span className="ml-auto min-w-[20px] h-5 px-1.5 flex items-center justify-center text-xs font-bold text-white bg-red-600 rounded-full">
+                  {badge > 99 ? '99+' : badge}
+                </span>
+              )}
             </NavLink>
           ))}
         </nav>
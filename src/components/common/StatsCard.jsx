@@ -61,7 +61,8 @@ const StatsCard = memo(({
         growth: data.growth?.orders,
       },
       sales: {
-        value: formatCurrency(data.monthlySales),
+        // Net of the refunds of returned orders when they are known
+        value: formatCurrency(data.netSales ?? data.monthlySales),
         growth: data.growth?.sales,
       },
     };
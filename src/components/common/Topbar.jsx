@@ -3,6 +3,7 @@ import { useState, useEffect } from 'react';
 import { Menu, User } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { getAdminProfile, fetchAdminPictureBlob } from '../../services/adminApi';
+import NotificationBell from './NotificationBell';
 
 const Topbar = ({ onMenuClick }) => {
   const navigate = useNavigate();
@@ -77,6 +78,8 @@ const Topbar = ({ onMenuClick }) => {
 
       {/* Right side */}
       <div className="flex items-center gap-3">
+        <NotificationBell />
+
         {/* User menu */}
         <div className="relative">
           <button
@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import { PackageOpen, ArrowRight } from 'lucide-react';
+import * as booksApi from '../../services/booksApi';
+import { STOCK_STATUS, getReorderThreshold } from '../../utils/inventory';
+
+// Titles listed on the card; "Voir tout" opens the full filtered list
+const LOW_STOCK_LIMIT = 8;
+
+/**
+ * LowStockCard component
+ * Titles about to run out: stock above 0 and at or below their reorder threshold, lowest stock first
+ */
+const LowStockCard = () => {
+  const navigate = useNavigate();
+  const [books, setBooks] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchLowStock = async () => {
+      try {
+        setIsLoading(true);
+        const response = await booksApi.getBooks({
+          page: 0,
+          size: LOW_STOCK_LIMIT,
+          status: STOCK_STATUS.LOW,
+          sort: 'stockQuantity,asc',
+        }, controller.signal);
+        const content = response.content || response || [];
+        setBooks(content);
+        setTotalCount(response.totalElements ?? content.length);
+      } catch (error) {
+        if (error.message === 'REQUEST_CANCELLED') return;
+        console.error('Error fetching low stock books:', error);
+        setBooks([]);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchLowStock();
+    return () => controller.abort();
+  }, []);
+
+  const handleViewAll = () => {
+    navigate('/admin/books', { state: { statusFilter: STOCK_STATUS.LOW } });
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{
+        delay: 0.3,
+        duration: 0.4,
+        ease: [0.25, 0.1, 0.25, 1.0]
+      }}
+      className="bg-white rounded-2xl border border-gray-100 overflow-hidden shadow-sm hover:shadow-lg transition-shadow duration-300"
+    >
+      {/* Header */}
+      <div className="p-4 md:p-6 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-white">
+        <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-amber-100 rounded-lg flex-shrink-0">
+              <PackageOpen className="w-5 h-5 text-amber-600" />
+            </div>
+            <div className="min-w-0">
+              <h2 className="text-lg md:text-xl font-bold text-gray-900">
+                Stock faible
+                {totalCount > 0 && <span className="ml-2 text-sm font-medium text-amber-700">({totalCount})</span>}
+              </h2>
+              <p className="text-xs md:text-sm text-gray-500 mt-0.5 line-clamp-1">Titres à réapprovisionner avant la rupture</p>
+            </div>
+          </div>
+
+          {totalCount > 0 && (
+            <motion.button
+              onClick={handleViewAll}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              className="inline-flex items-center gap-2 px-3 md:px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg font-semibold text-xs md:text-sm hover:from-blue-700 hover:to-purple-700 transition-all duration-200 shadow-md hover:shadow-lg flex-shrink-0 w-full sm:w-auto justify-center"
+            >
+              <span>Voir tout</span>
+              <ArrowRight className="w-4 h-4" />
+            </motion.button>
+          )}
+        </div>
+      </div>
+
+      {/* Content */}
+      {isLoading ? (
+        <div className="flex justify-center py-10">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : books.length === 0 ? (
+        <p className="py-10 text-center text-sm text-gray-500">Aucun titre sous son seuil de réapprovisionnement</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {books.map((book) => {
+            const threshold = getReorderThreshold(book);
+            const stock = Number(book.stockQuantity) || 0;
+            return (
+              <li key={book.id} className="flex items-center gap-4 px-4 md:px-6 py-3">
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm font-medium text-gray-900 truncate">{book.title}</p>
+                  <p className="text-xs text-gray-500 truncate">{book.author?.name || 'Auteur inconnu'}</p>
+                </div>
+                <div className="w-32 flex-shrink-0">
+                  <div className="flex justify-between text-xs mb-1">
+                    <span className="font-semibold text-amber-700">{stock} restant{stock > 1 ? 's' : ''}</span>
+                    <span className="text-gray-400">seuil {threshold}</span>
+                  </div>
+                  <div className="w-full h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-amber-500 rounded-full"
+                      style={{ width: `${Math.min(100, Math.round((stock / Math.max(threshold, 1)) * 100))}%` }}
+                    />
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </motion.div>
+  );
+};
+
+export default LowStockCard;
@@ -2,22 +2,25 @@ import { useState } from 'react';
 import { Outlet } from 'react-router-dom';
 import Sidebar from '../common/Sidebar';
 import Topbar from '../common/Topbar';
+import { OrderNotificationsProvider } from '../../contexts/OrderNotificationsContext';
 
 const Layout = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
   return (
-    <div className="min-h-screen bg-gray-50">
-      <Sidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
+    <OrderNotificationsProvider>
+      <div className="min-h-screen bg-gray-50">
+        <Sidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
 
-      <div className="lg:ml-64 flex flex-col min-h-screen">
-        <Topbar onMenuClick={() => setSidebarOpen(true)} />
+        <div className="lg:ml-64 flex flex-col min-h-screen">
+          <Topbar onMenuClick={() => setSidebarOpen(true)} />
 
-        <main className="flex-1 p-6 overflow-auto pt-24">
-          <Outlet />
-        </main>
+          <main className="flex-1 p-6 overflow-auto pt-24">
+            <Outlet />
+          </main>
+        </div>
       </div>
-    </div>
+    </OrderNotificationsProvider>
   );
 };
 
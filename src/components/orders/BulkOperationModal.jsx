@@ -0,0 +1,115 @@
+import { CheckCircle, Download, ExternalLink, XCircle } from 'lucide-react';
+import { motion } from 'framer-motion';
+import useScrollLock from '../../hooks/useScrollLock';
+
+/**
+ * BulkOperationModal component
+ * Shows the progress of a bulk operation, then the per-item report
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {string} title - Operation title
+ * @param {number} total - Number of items to process
+ * @param {Array} results - Results from runBulk ({ item, ok, value, error }); value may hold { message, url },
+ *   item is shown by its label, order number or ID
+ * @param {boolean} running - Whether the operation is still running
+ * @param {Function} onClose - Close handler (only available once finished)
+ * @param {Function} onDownloadReport - Download the failures once finished (hidden when null or without failures)
+ */
+const BulkOperationModal = ({ isOpen, title, total, results, running, onClose, onDownloadReport = null }) => {
+  useScrollLock(isOpen);
+
+  if (!isOpen) return null;
+
+  const done = results.length;
+  const failedCount = results.filter((result) => !result.ok).length;
+  const progress = total > 0 ? Math.round((done / total) * 100) : 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[85vh] flex flex-col"
+      >
+        {/* Header */}
+        <div className="p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+          <div className="mt-3">
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+              <span>{running ? 'Traitement en cours...' : 'Terminé'}</span>
+              <span>{done} / {total}</span>
+            </div>
+            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className={`h-full transition-all duration-300 ${failedCount > 0 ? 'bg-orange-500' : 'bg-blue-600'}`}
+                style={{ width: `${progress}%` }}
+              />
+            </div>
+          </div>
+          {!running && (
+            <p className="mt-3 text-sm text-gray-700">
+              <span className="text-green-700 font-medium">{done - failedCount} réussie{done - failedCount > 1 ? 's' : ''}</span>
+              {failedCount > 0 && (
+                <>
+                  {' · '}
+                  <span className="text-red-700 font-medium">{failedCount} en échec</span>
+                </>
+              )}
+            </p>
+          )}
+        </div>
+
+        {/* Report */}
+        <div className="flex-1 overflow-y-auto divide-y divide-gray-100">
+          {results.map(({ item, ok, value, error }) => (
+            <div key={item.id} className="flex items-start gap-3 px-4 py-2.5 text-sm">
+              {ok ? (
+                <CheckCircle className="w-4 h-4 text-green-600 flex-shrink-0 mt-0.5" />
+              ) : (
+                <XCircle className="w-4 h-4 text-red-600 flex-shrink-0 mt-0.5" />
+              )}
+              <div className="min-w-0 flex-1">
+                <p className="font-medium text-gray-900">{item.label || item.orderNumber || item.uniqueId || `#${item.id}`}</p>
+                <p className={`text-xs ${ok ? 'text-gray-500' : 'text-red-600'}`}>
+                  {ok ? value?.message || 'OK' : error}
+                </p>
+              </div>
+              {ok && value?.url && (
+                <a
+                  href={value.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800 flex-shrink-0"
+                >
+                  Ouvrir
+                  <ExternalLink className="w-3 h-3" />
+                </a>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-200">
+          {onDownloadReport && !running && failedCount > 0 && (
+            <button
+              onClick={onDownloadReport}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              <Download className="w-4 h-4" />
+              Rapport d'erreurs
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            disabled={running}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Fermer
+          </button>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default BulkOperationModal;
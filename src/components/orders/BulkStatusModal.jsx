@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { X } from 'lucide-react';
+import { motion } from 'framer-motion';
+import CustomSelect from '../common/CustomSelect';
+import StatusTransitionFields from './StatusTransitionFields';
+import useScrollLock from '../../hooks/useScrollLock';
+import { ORDER_STATUS } from '../../services/ordersApi';
+import { ORDER_STATUS_LABELS, TRANSITION_INPUTS } from '../../utils/orderWorkflow';
+
+const statusOptions = Object.values(ORDER_STATUS).map((status) => ({
+  value: status.toLowerCase(),
+  label: ORDER_STATUS_LABELS[status],
+}));
+
+const BULK_INPUTS = {
+  cancelled: [TRANSITION_INPUTS.cancellationReason],
+  return_requested: [TRANSITION_INPUTS.returnReason],
+  refused: [TRANSITION_INPUTS.returnReason],
+};
+
+/**
+ * BulkStatusModal component
+ * Picks the target status for a bulk change. The workflow is checked per order
+ * when the change runs: orders that cannot make the transition are reported as failed.
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {number} count - Number of orders to update
+ * @param {Function} onClose - Close handler
+ * @param {Function} onConfirm - Called with (status, transitionFields)
+ */
+const BulkStatusModal = ({ isOpen, count, onClose, onConfirm }) => {
+  const [status, setStatus] = useState('confirmed');
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState({});
+
+  useScrollLock(isOpen);
+
+  if (!isOpen) return null;
+
+  // A shared cancellation or return reason makes sense for a batch; tracking numbers are per order
+  const inputs = BULK_INPUTS[status] || [];
+
+  const handleChange = (name, value) => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleConfirm = () => {
+    const missing = inputs.filter((input) => !values[input.name]?.trim());
+    if (missing.length > 0) {
+      setErrors(Object.fromEntries(missing.map((input) => [input.name, `${input.label} est requis`])));
+      return;
+    }
+    onConfirm(status, inputs.length > 0 ? values : {});
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-lg shadow-xl max-w-md w-full"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Changer le statut de {count} commande{count > 1 ? 's' : ''}
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Nouveau statut</label>
+            <CustomSelect
+              value={status}
+              onChange={setStatus}
+              options={statusOptions}
+              placeholder="Sélectionner un statut"
+            />
+          </div>
+
+          <StatusTransitionFields inputs={inputs} values={values} onChange={handleChange} errors={errors} />
+
+          <p className="text-xs text-gray-500">
+            Les commandes pour lesquelles ce changement n&apos;est pas autorisé seront ignorées et signalées dans le rapport.
+          </p>
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+          >
+            Annuler
+          </button>
+          <button
+            onClick={handleConfirm}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+          >
+            Appliquer
+          </button>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default BulkStatusModal;
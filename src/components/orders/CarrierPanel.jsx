@@ -0,0 +1,228 @@
+import { useState, useEffect } from 'react';
+import { Ban, Download, MapPin, PackagePlus, RefreshCw, RotateCcw } from 'lucide-react';
+import { formatDateTime } from '../../utils/format';
+import { downloadFile } from '../../utils/csv';
+import { getErrorMessage } from '../../utils/bulk';
+import { hasCarrierParcel } from '../../utils/orderWorkflow';
+import { getCarrierAdapter, getParcelTracking, getParcelLabel, PARCEL_STATUS } from '../../services/carriersApi';
+
+const parcelStatusConfig = {
+  [PARCEL_STATUS.CREATED]: { label: 'Colis créé', color: 'bg-gray-100 text-gray-700', dot: 'bg-gray-400' },
+  [PARCEL_STATUS.IN_TRANSIT]: { label: 'En transit', color: 'bg-blue-100 text-blue-700', dot: 'bg-blue-500' },
+  [PARCEL_STATUS.OUT_FOR_DELIVERY]: { label: 'En livraison', color: 'bg-indigo-100 text-indigo-700', dot: 'bg-indigo-500' },
+  [PARCEL_STATUS.DELIVERY_FAILED]: { label: 'Échec de livraison', color: 'bg-amber-100 text-amber-700', dot: 'bg-amber-500' },
+  [PARCEL_STATUS.DELIVERED]: { label: 'Livré', color: 'bg-emerald-100 text-emerald-700', dot: 'bg-emerald-500' },
+  [PARCEL_STATUS.RETURNING]: { label: 'En retour', color: 'bg-orange-100 text-orange-700', dot: 'bg-orange-500' },
+  [PARCEL_STATUS.RETURNED]: { label: 'Retourné', color: 'bg-rose-100 text-rose-700', dot: 'bg-rose-500' },
+  [PARCEL_STATUS.CANCELLED]: { label: 'Annulé', color: 'bg-rose-100 text-rose-700', dot: 'bg-rose-500' },
+};
+
+// Statuses in which a parcel can be created (confirmed orders, or shipped ones whose parcel creation failed)
+const PARCEL_CREATION_STATUSES = ['confirmed', 'shipped'];
+
+/**
+ * CarrierPanel component
+ * Parcel of an order at its delivery provider: tracking events, current location, delivery attempts
+ * and the create / cancel / label actions
+ * @param {Object} order - Order (with shippingProvider)
+ * @param {Function} onCreateParcel - Called with the order to create its parcel (hidden when null)
+ * @param {Function} onCancelParcel - Called with the order to cancel its parcel (hidden when null)
+ */
+const CarrierPanel = ({ order, onCreateParcel = null, onCancelParcel = null }) => {
+  const [tracking, setTracking] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [running, setRunning] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const hasParcel = hasCarrierParcel(order);
+
+  useEffect(() => {
+    if (!hasParcel) {
+      setTracking(null);
+      return;
+    }
+
+    const controller = new AbortController();
+
+    const fetchTracking = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await getParcelTracking(order, controller.signal);
+        setTracking(data);
+      } catch (err) {
+        if (err.message === 'REQUEST_CANCELLED') return;
+        console.error('Error fetching parcel tracking:', err);
+        setError('Impossible de charger le suivi du colis');
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchTracking();
+    return () => controller.abort();
+    // The parcel only changes with its tracking number
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [order.trackingNumber, order.providerOrderId, reloadKey]);
+
+  const run = async (action) => {
+    setRunning(true);
+    setActionError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Error running carrier action:', err);
+      setActionError(getErrorMessage(err));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleDownloadLabel = () => run(async () => {
+    // Labels returned at parcel creation are hosted by the provider
+    if (order.shippingLabelUrl) {
+      window.open(order.shippingLabelUrl, '_blank', 'noopener');
+      return;
+    }
+    const label = await getParcelLabel(order);
+    const extension = label.type === 'application/pdf' ? 'pdf' : 'html';
+    downloadFile(label, `etiquette-${order.trackingNumber || order.providerOrderId}.${extension}`);
+  });
+
+  let carrierName = order.shippingProvider;
+  try {
+    carrierName = getCarrierAdapter(order.shippingProvider).name;
+  } catch {
+    // Unknown provider: keep its code
+  }
+
+  const canCreate = onCreateParcel && !hasParcel && PARCEL_CREATION_STATUSES.includes(order.status);
+  // Carriers only accept cancellations before they pick the parcel up
+  const canCancel = onCancelParcel && hasParcel && tracking?.status === PARCEL_STATUS.CREATED;
+  const statusConfig = parcelStatusConfig[tracking?.status] || parcelStatusConfig[PARCEL_STATUS.CREATED];
+
+  return (
+    <div className="space-y-3 sm:space-y-4">
+      <div className="flex flex-col xs:flex-row xs:items-center xs:justify-between gap-2">
+        <div className="min-w-0">
+          <p className="text-xs sm:text-sm font-bold text-gray-900">{carrierName}</p>
+          <p className="text-xs text-gray-600 break-all">
+            {hasParcel ? `N° de suivi : ${order.trackingNumber || order.providerOrderId}` : 'Aucun colis chez le transporteur'}
+          </p>
+        </div>
+        {tracking && (
+          <span className={`inline-flex items-center gap-1.5 self-start xs:self-auto px-3 py-1 text-xs font-bold rounded-full ${statusConfig.color}`}>
+            <span className={`w-2 h-2 rounded-full ${statusConfig.dot}`} />
+            {statusConfig.label}
+          </span>
+        )}
+      </div>
+
+      {hasParcel && loading && (
+        <div className="flex items-center justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+
+      {hasParcel && !loading && error && (
+        <div className="flex items-center justify-between gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-xs sm:text-sm text-red-700">
+          <span>{error}</span>
+          <button
+            onClick={() => setReloadKey((key) => key + 1)}
+            className="flex items-center gap-1 font-medium hover:text-red-900"
+          >
+            <RefreshCw className="w-3.5 h-3.5" />
+            Réessayer
+          </button>
+        </div>
+      )}
+
+      {hasParcel && !loading && !error && tracking && (
+        <>
+          <div className="grid grid-cols-1 xs:grid-cols-2 gap-2 sm:gap-3">
+            <div className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+              <p className="text-[10px] sm:text-xs text-gray-500 uppercase">Position actuelle</p>
+              <p className="flex items-center gap-1.5 mt-1 text-xs sm:text-sm font-semibold text-gray-900">
+                <MapPin className="w-4 h-4 text-blue-600 flex-shrink-0" />
+                {tracking.currentLocation || 'Inconnue'}
+              </p>
+            </div>
+            <div className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+              <p className="text-[10px] sm:text-xs text-gray-500 uppercase">Tentatives de livraison échouées</p>
+              <p className={`flex items-center gap-1.5 mt-1 text-xs sm:text-sm font-semibold ${tracking.deliveryAttempts > 0 ? 'text-amber-700' : 'text-gray-900'}`}>
+                <RotateCcw className="w-4 h-4 flex-shrink-0" />
+                {tracking.deliveryAttempts}
+              </p>
+            </div>
+          </div>
+
+          {tracking.events.length === 0 ? (
+            <p className="text-xs sm:text-sm text-gray-500 text-center py-4">Aucun événement transporteur</p>
+          ) : (
+            <ol className="relative border-l-2 border-gray-200 ml-2 space-y-3">
+              {tracking.events.map((event, index) => {
+                const config = parcelStatusConfig[event.status] || parcelStatusConfig[PARCEL_STATUS.CREATED];
+                return (
+                  <li key={event.id} className="relative ml-4">
+                    <span className={`absolute -left-[23px] top-1 w-3 h-3 rounded-full ring-2 ring-white ${index === 0 ? config.dot : 'bg-gray-300'}`} />
+                    <div className="flex flex-col xs:flex-row xs:items-baseline xs:justify-between gap-0.5 xs:gap-2">
+                      <p className="text-xs sm:text-sm font-semibold text-gray-900">{event.label}</p>
+                      <time className="text-[10px] sm:text-xs text-gray-500 whitespace-nowrap">{formatDateTime(event.timestamp)}</time>
+                    </div>
+                    {event.location && <p className="text-xs text-gray-600">{event.location}</p>}
+                    {event.comment && <p className="text-xs text-gray-500 italic">{event.comment}</p>}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </>
+      )}
+
+      {actionError && (
+        <p className="p-3 bg-red-50 border border-red-200 rounded-lg text-xs sm:text-sm text-red-700">{actionError}</p>
+      )}
+
+      {(canCreate || canCancel || hasParcel) && (
+        <div className="flex flex-col xs:flex-row flex-wrap gap-2 pt-1">
+          {canCreate && (
+            <button
+              onClick={() => run(() => onCreateParcel(order))}
+              disabled={running}
+              className="flex items-center justify-center gap-2 px-4 py-2 text-xs sm:text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              <PackagePlus className="w-4 h-4" />
+              Créer le colis
+            </button>
+          )}
+          {hasParcel && (
+            <button
+              onClick={handleDownloadLabel}
+              disabled={running}
+              className="flex items-center justify-center gap-2 px-4 py-2 text-xs sm:text-sm font-medium text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              Télécharger l&apos;étiquette
+            </button>
+          )}
+          {canCancel && (
+            <button
+              onClick={() => run(() => onCancelParcel(order))}
+              disabled={running}
+              className="flex items-center justify-center gap-2 px-4 py-2 text-xs sm:text-sm font-medium text-red-700 border border-red-200 bg-red-50 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50"
+            >
+              <Ban className="w-4 h-4" />
+              Annuler le colis
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CarrierPanel;
@@ -0,0 +1,113 @@
+import { useState, useRef, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Loader2, Search, ShoppingBag, UserCheck } from 'lucide-react';
+import { useCustomerSearch } from '../../hooks/useCustomerSearch';
+import { formatDate } from '../../utils/format';
+
+/**
+ * CustomerLookup component
+ * Search field over registered users and past orders; picking a result fills the order form
+ * @param {Function} onSelect - Called with the selected customer (see utils/customerLookup)
+ * @param {Object} selectedCustomer - Customer currently applied to the form (null if none)
+ */
+const CustomerLookup = ({ onSelect, selectedCustomer = null }) => {
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const { customers, loading, error } = useCustomerSearch(query);
+
+  // Click outside to close the results
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSelect = (customer) => {
+    onSelect(customer);
+    setQuery('');
+    setIsOpen(false);
+  };
+
+  const showResults = isOpen && query.trim().length >= 3;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+        Rechercher un client
+      </label>
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          placeholder="Téléphone, email ou nom..."
+          className="w-full pl-10 pr-10 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 hover:border-gray-400 leading-tight"
+        />
+        {loading && <Loader2 className="absolute right-3 top-1/2 -translate-y-1/2 w-5 h-5 text-blue-600 animate-spin" />}
+      </div>
+
+      {selectedCustomer && (
+        <p className="mt-1.5 flex items-center gap-1.5 text-xs text-green-700">
+          <UserCheck className="w-3.5 h-3.5" />
+          Informations reprises de {selectedCustomer.fullName || selectedCustomer.phone}
+          {selectedCustomer.source === 'user' ? ' (compte client)' : ' (commande précédente)'}
+        </p>
+      )}
+
+      <AnimatePresence>
+        {showResults && (
+          <motion.ul
+            initial={{ opacity: 0, y: -5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -5 }}
+            className="absolute z-20 mt-1 w-full max-h-72 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg divide-y divide-gray-100"
+          >
+            {error && <li className="px-4 py-3 text-sm text-red-600">{error}</li>}
+            {!error && !loading && customers.length === 0 && (
+              <li className="px-4 py-3 text-sm text-gray-500">Aucun client trouvé</li>
+            )}
+            {customers.map((customer) => (
+              <li key={customer.key}>
+                <button
+                  type="button"
+                  onClick={() => handleSelect(customer)}
+                  className="w-full flex items-start gap-3 px-4 py-3 text-left hover:bg-blue-50 transition-colors"
+                >
+                  {customer.source === 'user' ? (
+                    <UserCheck className="w-4 h-4 mt-0.5 text-blue-600 flex-shrink-0" />
+                  ) : (
+                    <ShoppingBag className="w-4 h-4 mt-0.5 text-gray-400 flex-shrink-0" />
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{customer.fullName || 'Sans nom'}</p>
+                    <p className="text-xs text-gray-600 truncate">
+                      {[customer.phone, customer.email].filter(Boolean).join(' · ')}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate">
+                      {[customer.city, customer.wilaya].filter(Boolean).join(', ')}
+                      {customer.source === 'user'
+                        ? ' — compte client'
+                        : customer.lastOrderAt && ` — dernière commande le ${formatDate(customer.lastOrderAt)}`}
+                    </p>
+                  </div>
+                </button>
+              </li>
+            ))}
+          </motion.ul>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default CustomerLookup;
@@ -0,0 +1,236 @@
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowLeftRight, Ban, Copy, GitMerge, X } from 'lucide-react';
+import useScrollLock from '../../hooks/useScrollLock';
+import { formatCurrency, formatDateTime } from '../../utils/format';
+import { ORDER_STATUS_LABELS, normalizeStatus } from '../../utils/orderWorkflow';
+import { getMergedFields, haveComparableItems } from '../../utils/orderDuplicates';
+import { getOrderItems, getItemTitle } from '../../utils/orderDocuments';
+import { formatPhone } from '../../utils/phone';
+
+const COMPARED_FIELDS = [
+  { label: 'Date', value: (order) => formatDateTime(order.createdAt || order.date) },
+  { label: 'Statut', value: (order) => ORDER_STATUS_LABELS[normalizeStatus(order.status)] },
+  { label: 'Client', value: (order) => order.fullName || order.customer },
+  { label: 'Téléphone', value: (order) => formatPhone(order.phone) },
+  { label: 'Email', value: (order) => order.email || order.customerEmail },
+  { label: 'Adresse', value: (order) => order.streetAddress },
+  { label: 'Ville', value: (order) => order.city },
+  { label: 'Wilaya', value: (order) => order.wilaya },
+  { label: 'Transporteur', value: (order) => order.shippingProvider },
+  { label: 'Méthode', value: (order) => order.shippingMethod },
+  { label: 'Frais de livraison', value: (order) => formatCurrency(order.shippingCost || 0) },
+  { label: 'Total', value: (order) => formatCurrency(order.totalAmount || order.total || 0) },
+  { label: 'Articles', value: (order) => getOrderItems(order).map((item) => `${getItemTitle(item)} × ${item.quantity}`).join(', ') },
+  { label: 'N° de suivi', value: (order) => order.trackingNumber || order.providerOrderId },
+];
+
+// The oldest order is kept by default
+const sortByDate = (a, b) => new Date(a.createdAt || a.date) - new Date(b.createdAt || b.date);
+
+/**
+ * DuplicateCompareModal component
+ * Side-by-side comparison of an order and its likely duplicates, with merge and cancel actions
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Object} order - Order whose duplicate badge was clicked
+ * @param {Array} duplicates - Likely duplicates of the order
+ * @param {Function} onClose - Close the modal
+ * @param {Function} onCancelDuplicate - Called with (kept, duplicate) to cancel the duplicate (hidden when null)
+ * @param {Function} onMerge - Called with (kept, duplicate, fields) to merge the duplicate into the kept order (hidden when null)
+ * @param {Function} onDismiss - Called with (order, duplicate) when they are not duplicates
+ */
+const DuplicateCompareModal = ({
+  isOpen,
+  order,
+  duplicates = [],
+  onClose,
+  onCancelDuplicate = null,
+  onMerge = null,
+  onDismiss,
+}) => {
+  const [otherIndex, setOtherIndex] = useState(0);
+  const [swapped, setSwapped] = useState(false);
+  const [running, setRunning] = useState(false);
+
+  useScrollLock(isOpen);
+
+  useEffect(() => {
+    setOtherIndex(0);
+    setSwapped(false);
+    setRunning(false);
+  }, [order, isOpen]);
+
+  const other = duplicates[otherIndex];
+  const [first, second] = order && other ? [order, other].sort(sortByDate) : [null, null];
+  const kept = swapped ? second : first;
+  const duplicate = swapped ? first : second;
+  const mergedFields = kept && duplicate ? getMergedFields(kept, duplicate) : {};
+
+  const run = async (action) => {
+    setRunning(true);
+    try {
+      await action();
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const renderHeader = (item, isKept) => (
+    <div className={`p-3 rounded-lg border-2 ${isKept ? 'border-green-300 bg-green-50' : 'border-red-200 bg-red-50'}`}>
+      <p className="text-sm font-bold text-gray-900 truncate">{item.orderNumber || item.uniqueId}</p>
+      <p className={`text-xs font-medium ${isKept ? 'text-green-700' : 'text-red-700'}`}>
+        {isKept ? 'Commande conservée' : 'Doublon'}
+      </p>
+    </div>
+  );
+
+  const modalContent = (
+    <AnimatePresence>
+      {isOpen && kept && duplicate && (
+        <>
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black/60 z-50"
+          />
+
+          {/* Modal */}
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed inset-0 z-50 flex items-center justify-center p-2 sm:p-4 pointer-events-none"
+          >
+            <div className="bg-white rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-3xl max-h-[95vh] sm:max-h-[90vh] overflow-hidden pointer-events-auto flex flex-col">
+              {/* Header */}
+              <div className="bg-gradient-to-r from-amber-500 to-orange-600 p-4 sm:p-6 text-white flex-shrink-0">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <Copy className="w-6 h-6 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <h2 className="text-xl sm:text-2xl font-bold truncate">Doublon probable</h2>
+                      <p className="text-amber-100 mt-1 font-medium text-sm">
+                        {haveComparableItems(kept, duplicate) ? 'Même téléphone et mêmes articles' : 'Même téléphone'} à quelques minutes d&apos;intervalle
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    onClick={onClose}
+                    className="p-2 rounded-lg hover:bg-white/20 transition-colors duration-200 flex-shrink-0"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
+              </div>
+
+              <div className="overflow-y-auto flex-1 p-4 sm:p-6 space-y-4">
+                {duplicates.length > 1 && (
+                  <div className="flex flex-wrap gap-2">
+                    {duplicates.map((item, index) => (
+                      <button
+                        key={item.id}
+                        onClick={() => {
+                          setOtherIndex(index);
+                          setSwapped(false);
+                        }}
+                        className={`px-3 py-1 text-xs font-medium rounded-full border transition-colors ${
+                          index === otherIndex ? 'bg-amber-100 border-amber-300 text-amber-800' : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+                        }`}
+                      >
+                        {item.orderNumber || item.uniqueId}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                <div className="flex justify-end">
+                  <button
+                    onClick={() => setSwapped((value) => !value)}
+                    className="flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                  >
+                    <ArrowLeftRight className="w-4 h-4" />
+                    Inverser la commande conservée
+                  </button>
+                </div>
+
+                <table className="w-full text-xs sm:text-sm">
+                  <thead>
+                    <tr>
+                      <th className="w-28 sm:w-36" />
+                      <th className="pb-2 px-2 text-left font-normal">{renderHeader(kept, true)}</th>
+                      <th className="pb-2 px-2 text-left font-normal">{renderHeader(duplicate, false)}</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {COMPARED_FIELDS.map(({ label, value }) => {
+                      const keptValue = value(kept) || '—';
+                      const duplicateValue = value(duplicate) || '—';
+                      const differs = String(keptValue) !== String(duplicateValue);
+                      return (
+                        <tr key={label} className={differs ? 'bg-amber-50' : ''}>
+                          <td className="py-2 pr-2 text-gray-600 font-medium w-28 sm:w-36">{label}</td>
+                          <td className="py-2 px-2 text-gray-900 break-words">{keptValue}</td>
+                          <td className="py-2 px-2 text-gray-900 break-words">{duplicateValue}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+
+                <p className="text-xs text-gray-500">
+                  La détection ne compare que les commandes de la page affichée : un doublon sur une autre page n&apos;est pas signalé.
+                </p>
+
+                {onMerge && Object.keys(mergedFields).length > 0 && (
+                  <p className="text-xs text-gray-600">
+                    La fusion reprend dans la commande conservée : {Object.keys(mergedFields).join(', ')}.
+                  </p>
+                )}
+              </div>
+
+              {/* Footer */}
+              <div className="border-t border-gray-200 bg-gray-50 flex-shrink-0 p-4 sm:p-6 flex flex-col sm:flex-row gap-2 sm:gap-3 justify-end">
+                <button
+                  onClick={() => run(() => onDismiss(order, other))}
+                  disabled={running}
+                  className="w-full sm:w-auto px-4 py-2.5 text-sm font-medium text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50"
+                >
+                  Pas un doublon
+                </button>
+                {onCancelDuplicate && (
+                  <button
+                    onClick={() => run(() => onCancelDuplicate(kept, duplicate))}
+                    disabled={running}
+                    className="w-full sm:w-auto flex items-center justify-center gap-2 px-4 py-2.5 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+                  >
+                    <Ban className="w-4 h-4" />
+                    Annuler le doublon
+                  </button>
+                )}
+                {onMerge && (
+                  <button
+                    onClick={() => run(() => onMerge(kept, duplicate, mergedFields))}
+                    disabled={running}
+                    className="w-full sm:w-auto flex items-center justify-center gap-2 px-4 py-2.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                  >
+                    <GitMerge className="w-4 h-4" />
+                    Fusionner
+                  </button>
+                )}
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+
+  return createPortal(modalContent, document.body);
+};
+
+export default DuplicateCompareModal;
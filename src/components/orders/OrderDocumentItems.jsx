@@ -0,0 +1,70 @@
+import { formatDZD } from '../../utils/format';
+import { getOrderItems, getItemTitle, getItemUnitPrice, getItemTotal, getOrderTotals } from '../../utils/orderDocuments';
+
+/**
+ * OrderDocumentItems component
+ * Items table and totals printed on packing slips and invoices
+ * @param {Object} order - Order with orderItems
+ * @param {string} totalLabel - Label of the grand total line
+ */
+const OrderDocumentItems = ({ order, totalLabel = 'Total' }) => {
+  const items = getOrderItems(order);
+  const { subtotal, shippingCost, total } = getOrderTotals(order);
+
+  return (
+    <div>
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="border-b-2 border-gray-800 text-left">
+            <th className="py-2 pr-2 font-semibold">Article</th>
+            <th className="py-2 px-2 font-semibold">Type</th>
+            <th className="py-2 px-2 font-semibold text-right">Qté</th>
+            <th className="py-2 px-2 font-semibold text-right">Prix unitaire</th>
+            <th className="py-2 pl-2 font-semibold text-right">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.length > 0 ? (
+            items.map((item, index) => (
+              <tr key={item.id || index} className="border-b border-gray-300 print-avoid-break">
+                <td className="py-2 pr-2">
+                  <div className="font-medium">{getItemTitle(item)}</div>
+                  {(item.author || item.bookAuthor) && (
+                    <div className="text-xs text-gray-600">{item.author || item.bookAuthor}</div>
+                  )}
+                </td>
+                <td className="py-2 px-2">{item.itemType === 'PACK' ? 'Pack' : 'Livre'}</td>
+                <td className="py-2 px-2 text-right">{item.quantity}</td>
+                <td className="py-2 px-2 text-right whitespace-nowrap">{formatDZD(getItemUnitPrice(item))}</td>
+                <td className="py-2 pl-2 text-right whitespace-nowrap">{formatDZD(getItemTotal(item))}</td>
+              </tr>
+            ))
+          ) : (
+            <tr>
+              <td colSpan="5" className="py-4 text-center text-gray-500">Aucun article</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <div className="flex justify-end mt-4 print-avoid-break">
+        <dl className="w-64 text-sm space-y-1">
+          <div className="flex justify-between">
+            <dt>Sous-total</dt>
+            <dd className="whitespace-nowrap">{formatDZD(subtotal)}</dd>
+          </div>
+          <div className="flex justify-between">
+            <dt>Frais de livraison</dt>
+            <dd className="whitespace-nowrap">{formatDZD(shippingCost)}</dd>
+          </div>
+          <div className="flex justify-between border-t-2 border-gray-800 pt-1 text-base font-bold">
+            <dt>{totalLabel}</dt>
+            <dd className="whitespace-nowrap">{formatDZD(total)}</dd>
+          </div>
+        </dl>
+      </div>
+    </div>
+  );
+};
+
+export default OrderDocumentItems;
@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { AlertTriangle } from 'lucide-react';
+import { useOrderCatalog } from '../../hooks/useOrderCatalog';
+import OrderFormFields from './OrderFormFields';
+import { validateOrderForm, buildOrderPayload, orderToFormData } from '../../utils/orderForm';
+import { hasCarrierParcel } from '../../utils/orderWorkflow';
+
+/**
+ * OrderEditForm component
+ * Edit mode of OrderDetailsModal: scrollable form and footer, same fields and validation as CreateOrderModal
+ * @param {Object} order - Full order from getOrderById
+ * @param {Function} onCancel - Leave edit mode
+ * @param {Function} onSave - Called with the order payload (async)
+ */
+const OrderEditForm = ({ order, onCancel, onSave }) => {
+  const [formData, setFormData] = useState(() => orderToFormData(order));
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  // Books and packs for the item selectors
+  const { books, packs, loading } = useOrderCatalog(true);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = validateOrderForm(formData);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await onSave(buildOrderPayload(formData));
+    } catch (err) {
+      setSaveError(err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <form onSubmit={handleSubmit} className="overflow-y-auto flex-1 p-3 xs:p-4 sm:p-5 md:p-6 space-y-4 sm:space-y-6">
+        {hasCarrierParcel(order) && (
+          <div className="flex items-start gap-2 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg text-sm">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+            <span>
+              Un colis existe déjà chez le transporteur ({order.trackingNumber || order.providerOrderId}).
+              Les changements d&apos;adresse ou de livraison ne lui sont pas transmis.
+            </span>
+          </div>
+        )}
+
+        {saveError && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm"
+          >
+            {saveError}
+          </motion.div>
+        )}
+
+        <OrderFormFields
+          formData={formData}
+          setFormData={setFormData}
+          errors={errors}
+          setErrors={setErrors}
+          books={books}
+          packs={packs}
+          loading={loading}
+        />
+      </form>
+
+      {/* Footer */}
+      <div className="border-t border-gray-200 bg-gray-50 flex-shrink-0 px-3 xs:px-4 sm:px-6 pt-4 sm:pt-5 pb-4 sm:pb-6 flex flex-col xs:flex-row gap-2 xs:gap-3 justify-end">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={saving}
+          className="w-full xs:w-auto px-4 xs:px-5 sm:px-6 py-2.5 xs:py-3 border border-gray-300 rounded-lg text-xs xs:text-sm text-gray-700 font-medium hover:bg-gray-100 transition-colors duration-200 disabled:opacity-50"
+        >
+          Annuler
+        </button>
+        <button
+          type="submit"
+          onClick={handleSubmit}
+          disabled={saving || loading || formData.orderItems.length === 0}
+          className="w-full xs:w-auto px-4 xs:px-5 sm:px-6 py-2.5 xs:py-3 rounded-lg text-xs xs:text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Enregistrement...' : 'Enregistrer les modifications'}
+        </button>
+      </div>
+    </>
+  );
+};
+
+export default OrderEditForm;
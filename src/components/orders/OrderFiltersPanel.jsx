@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import CustomSelect from '../common/CustomSelect';
+import { EMPTY_ORDER_FILTERS } from '../../utils/orderFilters';
+import { WILAYA_OPTIONS, SHIPPING_PROVIDER_OPTIONS, SHIPPING_METHOD_OPTIONS } from '../../utils/orderForm';
+
+const TRACKING_OPTIONS = [
+  { value: '', label: 'Tous' },
+  { value: 'true', label: 'Avec numéro de suivi' },
+  { value: 'false', label: 'Sans numéro de suivi' },
+];
+
+// Local YYYY-MM-DD, the format of date inputs
+const toDayValue = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const DATE_PRESETS = [
+  { id: 'today', label: "Aujourd'hui", days: 0 },
+  { id: '7d', label: '7 derniers jours', days: 6 },
+  { id: '30d', label: '30 derniers jours', days: 29 },
+  { id: 'month', label: 'Ce mois' },
+];
+
+const getPresetRange = (preset) => {
+  const today = new Date();
+  const from = preset.days === undefined
+    ? new Date(today.getFullYear(), today.getMonth(), 1)
+    : new Date(today.getFullYear(), today.getMonth(), today.getDate() - preset.days);
+  return { dateFrom: toDayValue(from), dateTo: toDayValue(today) };
+};
+
+const inputClassName = 'w-full px-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const labelClassName = 'block text-xs font-medium text-gray-600 mb-1';
+
+/**
+ * OrderFiltersPanel component
+ * Advanced order filters edited as a draft and applied together
+ * @param {Object} filters - Applied filter values (see EMPTY_ORDER_FILTERS)
+ * @param {Function} onApply - Called with the new filter values
+ * @param {Function} onClose - Close the panel
+ */
+const OrderFiltersPanel = ({ filters, onApply, onClose }) => {
+  const [draft, setDraft] = useState(filters);
+  const [error, setError] = useState(null);
+
+  const updateDraft = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+    setError(null);
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+
+    if (draft.dateFrom && draft.dateTo && draft.dateFrom > draft.dateTo) {
+      setError('La date de début doit précéder la date de fin');
+      return;
+    }
+    if (draft.minAmount && draft.maxAmount && Number(draft.minAmount) > Number(draft.maxAmount)) {
+      setError('Le montant minimum doit être inférieur au montant maximum');
+      return;
+    }
+
+    onApply(draft);
+    onClose();
+  };
+
+  const handleReset = () => {
+    setDraft(EMPTY_ORDER_FILTERS);
+    setError(null);
+  };
+
+  return (
+    <motion.form
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+      onSubmit={handleApply}
+      className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4"
+    >
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {/* Date range */}
+        <div className="sm:col-span-2">
+          <span className={labelClassName}>Période</span>
+          <div className="flex flex-col xs:flex-row gap-2">
+            <input
+              type="date"
+              value={draft.dateFrom}
+              max={draft.dateTo || undefined}
+              onChange={(e) => updateDraft('dateFrom', e.target.value)}
+              className={inputClassName}
+              aria-label="Date de début"
+            />
+            <input
+              type="date"
+              value={draft.dateTo}
+              min={draft.dateFrom || undefined}
+              onChange={(e) => updateDraft('dateTo', e.target.value)}
+              className={inputClassName}
+              aria-label="Date de fin"
+            />
+          </div>
+          <div className="flex flex-wrap gap-1.5 mt-2">
+            {DATE_PRESETS.map((preset) => (
+              <button
+                key={preset.id}
+                type="button"
+                onClick={() => setDraft((prev) => ({ ...prev, ...getPresetRange(preset) }))}
+                className="px-2.5 py-1 text-xs text-gray-700 bg-white border border-gray-300 rounded-full hover:bg-gray-100 transition-colors"
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Amount range */}
+        <div className="sm:col-span-2">
+          <span className={labelClassName}>Montant (DA)</span>
+          <div className="flex flex-col xs:flex-row gap-2">
+            <input
+              type="number"
+              min="0"
+              placeholder="Minimum"
+              value={draft.minAmount}
+              onChange={(e) => updateDraft('minAmount', e.target.value)}
+              className={inputClassName}
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Maximum"
+              value={draft.maxAmount}
+              onChange={(e) => updateDraft('maxAmount', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        <div>
+          <span className={labelClassName}>Transporteur</span>
+          <CustomSelect
+            value={draft.shippingProvider}
+            onChange={(value) => updateDraft('shippingProvider', value)}
+            options={[{ value: '', label: 'Tous les transporteurs' }, ...SHIPPING_PROVIDER_OPTIONS]}
+            placeholder="Tous les transporteurs"
+          />
+        </div>
+
+        <div>
+          <span className={labelClassName}>Méthode de livraison</span>
+          <CustomSelect
+            value={draft.shippingMethod}
+            onChange={(value) => updateDraft('shippingMethod', value)}
+            options={[{ value: '', label: 'Toutes les méthodes' }, ...SHIPPING_METHOD_OPTIONS]}
+            placeholder="Toutes les méthodes"
+          />
+        </div>
+
+        <div>
+          <span className={labelClassName}>Wilaya</span>
+          <CustomSelect
+            value={draft.wilaya}
+            onChange={(value) => updateDraft('wilaya', value)}
+            options={[{ value: '', label: 'Toutes les wilayas' }, ...WILAYA_OPTIONS]}
+            placeholder="Toutes les wilayas"
+            searchable
+          />
+        </div>
+
+        <div>
+          <span className={labelClassName}>Numéro de suivi</span>
+          <CustomSelect
+            value={draft.hasTracking}
+            onChange={(value) => updateDraft('hasTracking', value)}
+            options={TRACKING_OPTIONS}
+            placeholder="Tous"
+          />
+        </div>
+
+        <div>
+          <span className={labelClassName}>Passée depuis plus de (jours)</span>
+          <input
+            type="number"
+            min="1"
+            placeholder="Ex. 3"
+            value={draft.olderThanDays}
+            onChange={(e) => updateDraft('olderThanDays', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex flex-col xs:flex-row justify-end gap-2">
+        <button
+          type="button"
+          onClick={handleReset}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors"
+        >
+          Réinitialiser
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          Appliquer les filtres
+        </button>
+      </div>
+    </motion.form>
+  );
+};
+
+export default OrderFiltersPanel;
@@ -0,0 +1,606 @@
+import { motion } from 'framer-motion';
+import { Plus, Trash2, User, Package, MapPin, RotateCcw, MapIcon } from 'lucide-react';
+import CustomSelect from '../common/CustomSelect';
+import RelayPointSelect from './RelayPointSelect';
+import { SHIPPING_METHOD, ORDER_ITEM_TYPE } from '../../services/ordersApi';
+import {
+  WILAYA_OPTIONS,
+  SHIPPING_PROVIDER_OPTIONS,
+  SHIPPING_METHOD_OPTIONS,
+  ITEM_TYPE_OPTIONS,
+  calculateOrderTotal,
+} from '../../utils/orderForm';
+import { parsePhone, toLocalPhone } from '../../utils/phone';
+
+/**
+ * OrderFormFields component
+ * Customer, shipping and items sections of an order form (create and edit)
+ * @param {Object} formData - Order form values (see EMPTY_ORDER_FORM)
+ * @param {Function} setFormData - State setter of formData
+ * @param {Object} errors - Validation errors from validateOrderForm
+ * @param {Function} setErrors - State setter of errors
+ * @param {Array} books - Books available for items
+ * @param {Array} packs - Packs available for items
+ * @param {boolean} loading - Whether books and packs are loading
+ * @param {number|null} suggestedShippingCost - Cost from the tariffs (null: no tariff, undefined: tariffs not used)
+ * @param {Function} onBrowseRelayPoints - Open the relay point explorer (button hidden when null)
+ */
+const OrderFormFields = ({
+  formData,
+  setFormData,
+  errors,
+  setErrors,
+  books,
+  packs,
+  loading = false,
+  suggestedShippingCost,
+  onBrowseRelayPoints = null,
+}) => {
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    // Clear error for this field when user types
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  // Numbers pasted as +213..., 00213... or with spaces are rewritten in the local format
+  const handlePhoneBlur = () => {
+    if (parsePhone(formData.phone)) {
+      setFormData((prev) => ({ ...prev, phone: toLocalPhone(prev.phone) }));
+    }
+  };
+
+  const phoneType = parsePhone(formData.phone)?.type;
+
+  const handleAddOrderItem = () => {
+    setFormData((prev) => ({
+      ...prev,
+      orderItems: [
+        ...prev.orderItems,
+        {
+          itemId: null,
+          itemType: ORDER_ITEM_TYPE.BOOK,
+          quantity: 1,
+          unitPrice: 0,
+        },
+      ],
+    }));
+  };
+
+  const handleRemoveOrderItem = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      orderItems: prev.orderItems.filter((_, i) => i !== index),
+    }));
+  };
+
+  const handleOrderItemChange = (index, field, value) => {
+    setFormData((prev) => {
+      const newOrderItems = [...prev.orderItems];
+      newOrderItems[index] = { ...newOrderItems[index], [field]: value };
+
+      // Auto-fill unit price when item is selected
+      if (field === 'itemId' && value) {
+        const currentItem = newOrderItems[index];
+
+        if (currentItem.itemType === ORDER_ITEM_TYPE.BOOK) {
+          const selectedBook = books.find((b) => b.id === parseInt(value));
+          if (selectedBook) {
+            newOrderItems[index].unitPrice = selectedBook.price;
+          }
+        } else if (currentItem.itemType === ORDER_ITEM_TYPE.PACK) {
+          const selectedPack = packs.find((p) => p.id === parseInt(value));
+          if (selectedPack) {
+            newOrderItems[index].unitPrice = selectedPack.price;
+          }
+        }
+      }
+
+      // Reset itemId and price when itemType changes
+      if (field === 'itemType') {
+        newOrderItems[index].itemId = null;
+        newOrderItems[index].unitPrice = 0;
+      }
+
+      return { ...prev, orderItems: newOrderItems };
+    });
+  };
+
+  const calculateTotalAmount = () => calculateOrderTotal(formData);
+
+  return (
+    <div className="space-y-4 sm:space-y-6">
+      {/* Global Error Message (for orderItems) */}
+      {errors.orderItems && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg"
+        >
+          {errors.orderItems}
+        </motion.div>
+      )}
+
+      {/* Customer Information Section */}
+      <div>
+        <h3 className="text-base sm:text-lg font-bold text-gray-900 mb-4 flex items-center gap-2 pb-2 border-b-2 border-gray-200">
+          <User className="w-5 h-5 text-blue-600" />
+          <span>Informations client</span>
+        </h3>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+              Nom complet <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="text"
+              name="fullName"
+              value={formData.fullName}
+              onChange={handleChange}
+              className={`w-full px-4 py-3 border-2 rounded-lg focus:outline-none focus:ring-2 transition-all duration-200 ${
+                errors.fullName
+                  ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+                  : 'border-gray-300 focus:ring-blue-500 focus:border-blue-500 hover:border-gray-400'
+              }`}
+            />
+            {errors.fullName && (
+              <motion.p
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="mt-1 text-sm text-red-600"
+              >
+                {errors.fullName}
+              </motion.p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+              Téléphone <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="tel"
+              name="phone"
+              value={formData.phone}
+              onChange={handleChange}
+              onBlur={handlePhoneBlur}
+              placeholder="0555123456"
+              className={`w-full px-4 py-3 border-2 rounded-lg focus:outline-none focus:ring-2 transition-all duration-200 ${
+                errors.phone
+                  ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+                  : 'border-gray-300 focus:ring-blue-500 focus:border-blue-500 hover:border-gray-400'
+              }`}
+            />
+            {errors.phone && (
+              <motion.p
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="mt-1 text-sm text-red-600"
+              >
+                {errors.phone}
+              </motion.p>
+            )}
+            {!errors.phone && phoneType && (
+              <p className="mt-1 text-xs text-gray-500">
+                {phoneType === 'mobile' ? 'Numéro mobile' : 'Numéro fixe'}
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+              Email
+            </label>
+            <input
+              type="email"
+              name="email"
+              value={formData.email}
+              onChange={handleChange}
+              className={`w-full px-4 py-3 border-2 rounded-lg focus:outline-none focus:ring-2 transition-all duration-200 ${
+                errors.email
+                  ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+                  : 'border-gray-300 focus:ring-blue-500 focus:border-blue-500 hover:border-gray-400'
+              }`}
+            />
+            {errors.email && (
+              <motion.p
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="mt-1 text-sm text-red-600"
+              >
+                {errors.email}
+              </motion.p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+              Wilaya <span className="text-red-500">*</span>
+            </label>
+            <CustomSelect
+              value={formData.wilaya}
+              onChange={(value) => {
+                setFormData((prev) => ({ ...prev, wilaya: value }));
+                if (errors.wilaya) {
+                  setErrors((prev) => ({ ...prev, wilaya: '' }));
+                }
+              }}
+              options={WILAYA_OPTIONS}
+              placeholder="Sélectionnez une wilaya"
+              alwaysVisibleSearch={true}
+            />
+            {errors.wilaya && (
+              <motion.p
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="mt-1 text-sm text-red-600"
+              >
+                {errors.wilaya}
+              </motion.p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+              Ville <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="text"
+              name="city"
+              value={formData.city}
+              onChange={handleChange}
+              className={`w-full px-4 py-3 border-2 rounded-lg focus:outline-none focus:ring-2 transition-all duration-200 ${
+                errors.city
+                  ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+                  : 'border-gray-300 focus:ring-blue-500 focus:border-blue-500 hover:border-gray-400'
+              }`}
+            />
+            {errors.city && (
+              <motion.p
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="mt-1 text-sm text-red-600"
+              >
+                {errors.city}
+              </motion.p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+              Code postal
+            </label>
+            <input
+              type="text"
+              name="postalCode"
+              value={formData.postalCode}
+              onChange={handleChange}
+              className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 hover:border-gray-400"
+            />
+          </div>
+
+          <div className="sm:col-span-2">
+            <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+              Adresse {formData.shippingMethod === SHIPPING_METHOD.HOME_DELIVERY && <span className="text-red-500">*</span>}
+            </label>
+            <input
+              type="text"
+              name="streetAddress"
+              value={formData.streetAddress}
+              onChange={handleChange}
+              className={`w-full px-4 py-3 border-2 rounded-lg focus:outline-none focus:ring-2 transition-all duration-200 ${
+                errors.streetAddress
+                  ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+                  : 'border-gray-300 focus:ring-blue-500 focus:border-blue-500 hover:border-gray-400'
+              }`}
+            />
+            {errors.streetAddress && (
+              <motion.p
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="mt-1 text-sm text-red-600"
+              >
+                {errors.streetAddress}
+              </motion.p>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Shipping Information Section */}
+      <div>
+        <h3 className="text-base sm:text-lg font-bold text-gray-900 mb-4 flex items-center gap-2 pb-2 border-b-2 border-gray-200">
+          <Package className="w-5 h-5 text-blue-600" />
+          <span>Informations de livraison</span>
+        </h3>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+              Fournisseur de livraison
+            </label>
+            <CustomSelect
+              value={formData.shippingProvider}
+              onChange={(value) => setFormData((prev) => ({ ...prev, shippingProvider: value }))}
+              options={SHIPPING_PROVIDER_OPTIONS}
+              placeholder="Sélectionnez un fournisseur"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+              Méthode de livraison
+            </label>
+            <CustomSelect
+              value={formData.shippingMethod}
+              onChange={(value) => setFormData((prev) => ({
+                ...prev,
+                shippingMethod: value,
+                // Clear stop desk when switching away from point de retrait
+                stopDeskId: value === SHIPPING_METHOD.SHIPPING_PROVIDER ? prev.stopDeskId : null,
+                isStopDesk: value === SHIPPING_METHOD.SHIPPING_PROVIDER
+              }))}
+              options={SHIPPING_METHOD_OPTIONS}
+              placeholder="Sélectionnez une méthode"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+              Frais de livraison (DZD)
+            </label>
+            {/* A typed cost is kept as is and flagged on the order when it differs from the tariff;
+                without a tariff to compare with (edit mode, no tariff) the flag is left unchanged */}
+            <input
+              type="number"
+              name="shippingCost"
+              value={formData.shippingCost}
+              onChange={(e) => {
+                setFormData((prev) => ({
+                  ...prev,
+                  shippingCost: e.target.value,
+                  shippingCostOverridden: suggestedShippingCost != null
+                    ? Number(e.target.value) !== suggestedShippingCost
+                    : prev.shippingCostOverridden,
+                }));
+                if (errors.shippingCost) {
+                  setErrors((prev) => ({ ...prev, shippingCost: '' }));
+                }
+              }}
+              min="0"
+              step="0.01"
+              className={`w-full px-4 py-3 border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 hover:border-gray-400 leading-tight ${
+                errors.shippingCost ? 'border-red-300' : formData.shippingCostOverridden ? 'border-amber-400' : 'border-gray-300'
+              }`}
+            />
+            {errors.shippingCost && (
+              <motion.p
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="mt-1 text-sm text-red-600"
+              >
+                {errors.shippingCost}
+              </motion.p>
+            )}
+            {formData.shippingCostOverridden && suggestedShippingCost != null && (
+              <div className="mt-1.5 flex flex-wrap items-center gap-x-2 gap-y-1 text-xs">
+                <span className="text-amber-700 font-medium">Modifié manuellement (tarif : {suggestedShippingCost} DZD)</span>
+                <button
+                  type="button"
+                  onClick={() => setFormData((prev) => ({ ...prev, shippingCost: suggestedShippingCost, shippingCostOverridden: false }))}
+                  className="flex items-center gap-1 text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  <RotateCcw className="w-3 h-3" />
+                  Appliquer le tarif
+                </button>
+              </div>
+            )}
+            {!formData.shippingCostOverridden && suggestedShippingCost != null && (
+              <p className="mt-1.5 text-xs text-gray-500">Calculé depuis la grille tarifaire</p>
+            )}
+            {suggestedShippingCost === null && formData.wilaya && (
+              <p className="mt-1.5 text-xs text-amber-700">Aucun tarif pour cette destination, saisissez les frais</p>
+            )}
+          </div>
+        </div>
+
+        {/* Relay Point Selection - Only shown for Point de retrait */}
+        {formData.shippingMethod === SHIPPING_METHOD.SHIPPING_PROVIDER && (
+          <div className="mt-4">
+            <div className="flex items-center justify-between gap-2 mb-2">
+              <label className="block text-sm font-semibold text-gray-700 tracking-wide items-center gap-2">
+                <MapPin className="w-4 h-4 text-blue-600" />
+                Point de retrait <span className="text-red-500">*</span>
+              </label>
+              {onBrowseRelayPoints && (
+                <button
+                  type="button"
+                  onClick={onBrowseRelayPoints}
+                  disabled={!formData.wilaya}
+                  title={formData.wilaya ? undefined : "Sélectionnez d'abord une wilaya"}
+                  className="flex items-center gap-1.5 text-sm font-medium text-blue-600 hover:text-blue-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+                >
+                  <MapIcon className="w-4 h-4" />
+                  Voir sur la carte
+                </button>
+              )}
+            </div>
+            <RelayPointSelect
+              value={formData.stopDeskId}
+              onChange={(value) => {
+                setFormData((prev) => ({ ...prev, stopDeskId: value }));
+                if (errors.stopDeskId) {
+                  setErrors((prev) => ({ ...prev, stopDeskId: '' }));
+                }
+              }}
+              provider={formData.shippingProvider}
+              wilaya={formData.wilaya}
+              error={!!errors.stopDeskId}
+            />
+            {errors.stopDeskId && (
+              <motion.p
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="mt-1 text-sm text-red-600"
+              >
+                {errors.stopDeskId}
+              </motion.p>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Order Items Section */}
+      <div>
+        <div className="flex flex-col sm:flex-row items-stretch sm:items-center justify-between gap-3 mb-4">
+          <h3 className="text-base sm:text-lg font-bold text-gray-900">Articles de la commande</h3>
+          <button
+            type="button"
+            onClick={handleAddOrderItem}
+            disabled={loading}
+            className="flex items-center justify-center gap-2 px-4 py-2.5 text-sm sm:text-base bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-lg hover:shadow-lg hover:scale-105 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+          >
+            <Plus className="w-4 h-4 sm:w-5 sm:h-5" />
+            {loading ? 'Chargement...' : 'Ajouter un article'}
+          </button>
+        </div>
+
+        {formData.orderItems.length === 0 ? (
+          <div className="text-center py-8 sm:py-12 bg-gradient-to-br from-gray-50 to-blue-50 rounded-xl border-2 border-dashed border-gray-300">
+            <Package className="w-10 h-10 sm:w-12 sm:h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-sm sm:text-base text-gray-600 font-medium px-4">Aucun article ajouté</p>
+            <p className="text-xs sm:text-sm text-gray-500 mt-1 px-4">Cliquez sur "Ajouter un article" pour commencer</p>
+          </div>
+        ) : (
+          <div className="space-y-3 sm:space-y-4">
+            {formData.orderItems.map((item, index) => (
+              <div key={index} className="p-4 sm:p-5 bg-gradient-to-br from-gray-50 to-white rounded-xl border-2 border-gray-200 hover:border-blue-300 transition-all duration-200">
+                {/* Delete Button - Positioned at top right, aligned with first row end on lg+ */}
+                <div className="flex justify-end mb-2 lg:mb-1">
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveOrderItem(index)}
+                    className="p-2 sm:p-2.5 text-red-600 hover:bg-red-50 rounded-lg transition-all duration-200 hover:scale-110"
+                    title="Supprimer l'article"
+                  >
+                    <Trash2 className="w-4 h-4 sm:w-5 sm:h-5" />
+                  </button>
+                </div>
+
+                <div className="space-y-3 sm:space-y-4">
+                  {/* First Row on lg+: Type d'article | Quantité | Prix unitaire (3 equal columns) */}
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {/* Item Type Selection */}
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+                        Type d'article <span className="text-red-500">*</span>
+                      </label>
+                      <CustomSelect
+                        value={item.itemType}
+                        onChange={(value) => handleOrderItemChange(index, 'itemType', value)}
+                        options={ITEM_TYPE_OPTIONS}
+                        placeholder="Sélectionnez un type"
+                      />
+                    </div>
+
+                    {/* Quantity */}
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+                        Quantité <span className="text-red-500">*</span>
+                      </label>
+                      <input
+                        type="number"
+                        value={item.quantity}
+                        onChange={(e) => handleOrderItemChange(index, 'quantity', e.target.value)}
+                        min="1"
+                        className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 hover:border-gray-400 leading-tight"
+                        required
+                      />
+                    </div>
+
+                    {/* Unit Price */}
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+                        Prix unitaire (DZD) <span className="text-red-500">*</span>
+                      </label>
+                      <input
+                        type="number"
+                        value={item.unitPrice}
+                        onChange={(e) => handleOrderItemChange(index, 'unitPrice', e.target.value)}
+                        min="0"
+                        step="0.01"
+                        className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 hover:border-gray-400 leading-tight"
+                        required
+                      />
+                    </div>
+                  </div>
+
+                  {/* Second Row: Book/Pack Selection (full width) */}
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2 tracking-wide">
+                      {item.itemType === ORDER_ITEM_TYPE.PACK ? 'Pack' : 'Livre'} <span className="text-red-500">*</span>
+                    </label>
+                    {item.itemType === ORDER_ITEM_TYPE.BOOK ? (
+                      <CustomSelect
+                        value={item.itemId || ''}
+                        onChange={(value) => handleOrderItemChange(index, 'itemId', value)}
+                        options={books.map((book) => ({
+                          value: book.id,
+                          label: `${book.title} - ${book.price} DZD`
+                        }))}
+                        placeholder="Rechercher un livre..."
+                        alwaysVisibleSearch={true}
+                      />
+                    ) : (
+                      <CustomSelect
+                        value={item.itemId || ''}
+                        onChange={(value) => handleOrderItemChange(index, 'itemId', value)}
+                        options={packs.map((pack) => ({
+                          value: pack.id,
+                          label: `${pack.name} - ${pack.price} DZD`
+                        }))}
+                        placeholder="Rechercher un pack..."
+                        alwaysVisibleSearch={true}
+                      />
+                    )}
+                  </div>
+                </div>
+
+                {/* Item Total */}
+                <div className="mt-3 sm:mt-4 pt-3 sm:pt-4 border-t border-gray-200 flex justify-between items-center">
+                  <span className="text-xs sm:text-sm font-medium text-gray-600">Total de l'article:</span>
+                  <span className="text-base sm:text-lg font-bold text-blue-600">
+                    {(item.quantity * item.unitPrice).toFixed(2)} DZD
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Order Summary */}
+      {formData.orderItems.length > 0 && (
+        <div className="bg-gradient-to-br from-blue-50 to-indigo-50 border-2 border-blue-200 rounded-xl p-4 sm:p-5 shadow-sm">
+          <div className="flex justify-between items-center mb-3">
+            <span className="text-base sm:text-lg font-bold text-gray-900">Montant total</span>
+            <span className="text-xl sm:text-2xl font-bold text-blue-600">{calculateTotalAmount().toFixed(2)} DZD</span>
+          </div>
+          <div className="space-y-2 pt-3 border-t border-blue-200">
+            <div className="flex justify-between text-xs sm:text-sm">
+              <span className="text-gray-600">Sous-total articles</span>
+              <span className="font-medium text-gray-900">{(calculateTotalAmount() - parseFloat(formData.shippingCost || 0)).toFixed(2)} DZD</span>
+            </div>
+            <div className="flex justify-between text-xs sm:text-sm">
+              <span className="text-gray-600">Frais de livraison</span>
+              <span className="font-medium text-gray-900">{parseFloat(formData.shippingCost || 0).toFixed(2)} DZD</span>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderFormFields;
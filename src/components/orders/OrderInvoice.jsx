@@ -0,0 +1,62 @@
+import { formatDate } from '../../utils/format';
+import { STORE_INFO, getInvoiceNumber } from '../../utils/orderDocuments';
+import { formatPhone } from '../../utils/phone';
+import OrderDocumentItems from './OrderDocumentItems';
+
+/**
+ * OrderInvoice component
+ * Simple printable invoice for the customer
+ * @param {Object} order - Full order from getOrderById
+ * @param {Object|null} stopDesk - Relay point from getStopDeskById (stop desk deliveries)
+ */
+const OrderInvoice = ({ order, stopDesk = null }) => {
+  return (
+    <article className="print-page bg-white text-gray-900 p-8">
+      <header className="flex justify-between items-start border-b-2 border-gray-800 pb-4 mb-6">
+        <div className="text-sm">
+          <p className="text-xl font-bold">{STORE_INFO.name}</p>
+          {STORE_INFO.address && <p>{STORE_INFO.address}</p>}
+          {STORE_INFO.phone && <p>Tél : {STORE_INFO.phone}</p>}
+          {STORE_INFO.email && <p>{STORE_INFO.email}</p>}
+        </div>
+        <div className="text-right">
+          <h1 className="text-2xl font-bold">Facture</h1>
+          <p className="text-sm mt-1">N° <span className="font-semibold">{getInvoiceNumber(order)}</span></p>
+          <p className="text-sm">Date : {formatDate(order.createdAt || order.date)}</p>
+          <p className="text-sm">Commande : {order.uniqueId || order.orderNumber}</p>
+        </div>
+      </header>
+
+      <section className="grid grid-cols-2 gap-6 mb-6 text-sm">
+        <div>
+          <h2 className="text-xs font-bold uppercase tracking-wide text-gray-600 mb-2">Facturé à</h2>
+          <p className="font-semibold text-base">{order.fullName || order.customer}</p>
+          <p>{formatPhone(order.phone)}</p>
+          {order.email && <p>{order.email}</p>}
+          {order.streetAddress && <p className="mt-1">{order.streetAddress}</p>}
+          <p>
+            {[order.postalCode, order.city].filter(Boolean).join(' ')}
+            {order.wilaya && `, ${order.wilaya}`}
+          </p>
+        </div>
+
+        {stopDesk && (
+          <div>
+            <h2 className="text-xs font-bold uppercase tracking-wide text-gray-600 mb-2">Point de retrait</h2>
+            <p className="font-semibold">{stopDesk.name}</p>
+            <p>{stopDesk.address}</p>
+            <p>{[stopDesk.commune, stopDesk.wilaya].filter(Boolean).join(', ')}</p>
+          </div>
+        )}
+      </section>
+
+      <OrderDocumentItems order={order} totalLabel="Total à payer" />
+
+      <footer className="mt-10 text-xs text-gray-500 text-center">
+        Merci pour votre commande — {STORE_INFO.name}
+      </footer>
+    </article>
+  );
+};
+
+export default OrderInvoice;
@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import { PackageCheck, RefreshCw, Undo2 } from 'lucide-react';
+import { formatCurrency, formatDateTime } from '../../utils/format';
+import { RETURN_REASONS, canRecordReturn, getReturnableLines, getTotalRefunded } from '../../utils/orderReturns';
+import { getOrderReturns } from '../../services/returnsApi';
+import ReturnFormModal from './ReturnFormModal';
+
+/**
+ * OrderReturns component
+ * Returns recorded for an order (items, reason, restock, refund) and the action to record a new one
+ * @param {Object} order - Order (with its items)
+ * @param {Function} onCreateReturn - Called with the order and the return payload (async, hidden when null)
+ */
+const OrderReturns = ({ order, onCreateReturn = null }) => {
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchReturns = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await getOrderReturns(order.id, controller.signal);
+        setReturns(data);
+      } catch (err) {
+        if (err.message === 'REQUEST_CANCELLED') return;
+        console.error('Error fetching order returns:', err);
+        setError('Impossible de charger les retours');
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchReturns();
+    return () => controller.abort();
+  }, [order.id, reloadKey]);
+
+  const handleSubmit = async (payload) => {
+    try {
+      await onCreateReturn(order, payload);
+    } catch {
+      // The page reports the error, keep the form open
+      return;
+    }
+    setIsFormOpen(false);
+    setReloadKey((key) => key + 1);
+  };
+
+  const hasRemainingItems = getReturnableLines(order, returns).some((line) => line.remaining > 0);
+  const canCreate = onCreateReturn && canRecordReturn(order) && !loading && !error && hasRemainingItems;
+  const totalRefunded = getTotalRefunded(returns);
+
+  return (
+    <div className="space-y-3 sm:space-y-4">
+      {loading && (
+        <div className="flex items-center justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+
+      {!loading && error && (
+        <div className="flex items-center justify-between gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-xs sm:text-sm text-red-700">
+          <span>{error}</span>
+          <button
+            onClick={() => setReloadKey((key) => key + 1)}
+            className="flex items-center gap-1 font-medium hover:text-red-900"
+          >
+            <RefreshCw className="w-3.5 h-3.5" />
+            Réessayer
+          </button>
+        </div>
+      )}
+
+      {!loading && !error && (
+        returns.length === 0 ? (
+          <p className="text-xs sm:text-sm text-gray-500 text-center py-4">Aucun retour enregistré</p>
+        ) : (
+          <>
+            <ul className="space-y-2 sm:space-y-3">
+              {returns.map((record) => (
+                <li key={record.id} className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+                  <div className="flex flex-col xs:flex-row xs:items-baseline xs:justify-between gap-0.5 xs:gap-2">
+                    <p className="text-xs sm:text-sm font-semibold text-gray-900">
+                      {RETURN_REASONS[record.reason]?.label || record.reason}
+                    </p>
+                    <time className="text-[10px] sm:text-xs text-gray-500 whitespace-nowrap">{formatDateTime(record.createdAt)}</time>
+                  </div>
+                  {record.comment && <p className="text-xs text-gray-500 italic">{record.comment}</p>}
+                  <ul className="mt-2 text-xs text-gray-700">
+                    {record.items.map((item) => (
+                      <li key={item.orderItemId}>{item.quantity} × {item.title}</li>
+                    ))}
+                  </ul>
+                  <div className="flex flex-wrap items-center gap-2 mt-2">
+                    <span className="text-xs font-semibold text-gray-900">
+                      Remboursé : {formatCurrency(record.refundAmount || 0)}
+                    </span>
+                    <span className={`inline-flex items-center gap-1 px-2 py-0.5 text-[10px] sm:text-xs font-medium rounded-full ${
+                      record.restock ? 'bg-emerald-100 text-emerald-700' : 'bg-gray-200 text-gray-700'
+                    }`}>
+                      <PackageCheck className="w-3 h-3" />
+                      {record.restock ? 'Remis en stock' : 'Non remis en stock'}
+                    </span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <div className="flex items-center justify-between pt-2 border-t border-gray-200">
+              <span className="text-xs sm:text-sm font-medium text-gray-600">Total remboursé</span>
+              <span className="text-xs sm:text-sm font-bold text-red-600">{formatCurrency(totalRefunded)}</span>
+            </div>
+          </>
+        )
+      )}
+
+      {canCreate && (
+        <button
+          onClick={() => setIsFormOpen(true)}
+          className="flex items-center justify-center gap-2 w-full xs:w-auto px-4 py-2 text-xs sm:text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <Undo2 className="w-4 h-4" />
+          Enregistrer un retour
+        </button>
+      )}
+
+      {onCreateReturn && (
+        <ReturnFormModal
+          isOpen={isFormOpen}
+          onClose={() => setIsFormOpen(false)}
+          onSubmit={handleSubmit}
+          order={order}
+          returns={returns}
+        />
+      )}
+    </div>
+  );
+};
+
+export default OrderReturns;
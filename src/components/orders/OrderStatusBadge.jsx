@@ -24,6 +24,21 @@ const statusConfig = {
     textColor: 'text-red-800',
     label: 'Annulé',
   },
+  return_requested: {
+    bgColor: 'bg-orange-100',
+    textColor: 'text-orange-800',
+    label: 'Retour demandé',
+  },
+  returned: {
+    bgColor: 'bg-slate-200',
+    textColor: 'text-slate-800',
+    label: 'Retourné',
+  },
+  refused: {
+    bgColor: 'bg-pink-100',
+    textColor: 'text-pink-800',
+    label: 'Refusé',
+  },
 };
 
 const OrderStatusBadge = ({ status }) => {
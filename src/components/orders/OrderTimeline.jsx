@@ -0,0 +1,157 @@
+import { useState, useEffect } from 'react';
+import { ArrowRight, CheckCircle, Pencil, PlusCircle, RefreshCw, Truck } from 'lucide-react';
+import { formatDateTime } from '../../utils/format';
+import { ORDER_STATUS_LABELS, normalizeStatus } from '../../utils/orderWorkflow';
+import { getOrderHistory, ORDER_HISTORY_EVENT, ORDER_HISTORY_SOURCE, SHIPPING_METHOD } from '../../services/ordersApi';
+
+const eventConfig = {
+  [ORDER_HISTORY_EVENT.CREATED]: { label: 'Commande créée', icon: PlusCircle, color: 'bg-gray-100 text-gray-600' },
+  [ORDER_HISTORY_EVENT.STATUS_CHANGED]: { label: 'Statut modifié', icon: CheckCircle, color: 'bg-blue-100 text-blue-600' },
+  [ORDER_HISTORY_EVENT.UPDATED]: { label: 'Commande modifiée', icon: Pencil, color: 'bg-amber-100 text-amber-600' },
+  [ORDER_HISTORY_EVENT.CARRIER_SYNC]: { label: 'Synchronisation transporteur', icon: Truck, color: 'bg-purple-100 text-purple-600' },
+};
+
+const sourceLabels = {
+  [ORDER_HISTORY_SOURCE.YALIDINE]: 'Yalidine',
+  [ORDER_HISTORY_SOURCE.ZR]: 'ZR Express',
+  [ORDER_HISTORY_SOURCE.SYSTEM]: 'Système',
+};
+
+const fieldLabels = {
+  status: 'Statut',
+  fullName: 'Nom complet',
+  phone: 'Téléphone',
+  email: 'Email',
+  streetAddress: 'Adresse',
+  wilaya: 'Wilaya',
+  city: 'Ville',
+  postalCode: 'Code postal',
+  shippingProvider: 'Transporteur',
+  shippingMethod: 'Méthode de livraison',
+  shippingCost: 'Frais de livraison',
+  stopDeskId: 'Point de retrait',
+  totalAmount: 'Montant total',
+  trackingNumber: 'Numéro de suivi',
+  cancellationReason: "Motif d'annulation",
+  orderItems: 'Articles',
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'status') return ORDER_STATUS_LABELS[normalizeStatus(value)] || value;
+  if (field === 'shippingMethod') {
+    return value === SHIPPING_METHOD.SHIPPING_PROVIDER ? 'Point de retrait' : 'Livraison à domicile';
+  }
+  return String(value);
+};
+
+const getActorLabel = (event) => {
+  if (event.actor) return event.actor.name || event.actor.login;
+  return sourceLabels[event.source] || 'Système';
+};
+
+/**
+ * OrderTimeline component
+ * Audit history of an order: status changes, edits and carrier syncs with actor and old/new values
+ * @param {number} orderId - Order ID
+ */
+const OrderTimeline = ({ orderId }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await getOrderHistory(orderId, controller.signal);
+        setEvents(data || []);
+      } catch (err) {
+        if (err.message === 'REQUEST_CANCELLED') return;
+        console.error('Error fetching order history:', err);
+        setError("Impossible de charger l'historique de la commande");
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchHistory();
+    return () => controller.abort();
+  }, [orderId, reloadKey]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-6">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-center justify-between gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-xs sm:text-sm text-red-700">
+        <span>{error}</span>
+        <button
+          onClick={() => setReloadKey((key) => key + 1)}
+          className="flex items-center gap-1 font-medium hover:text-red-900"
+        >
+          <RefreshCw className="w-3.5 h-3.5" />
+          Réessayer
+        </button>
+      </div>
+    );
+  }
+
+  if (events.length === 0) {
+    return <p className="text-xs sm:text-sm text-gray-500 text-center py-4">Aucun événement enregistré</p>;
+  }
+
+  return (
+    <ol className="relative border-l-2 border-gray-200 ml-3 space-y-4">
+      {events.map((event) => {
+        const config = eventConfig[event.type] || eventConfig[ORDER_HISTORY_EVENT.UPDATED];
+        const Icon = config.icon;
+
+        return (
+          <li key={event.id} className="relative ml-5">
+            <span className={`absolute -left-[33px] top-0 flex items-center justify-center w-6 h-6 rounded-full ring-4 ring-white ${config.color}`}>
+              <Icon className="w-3.5 h-3.5" />
+            </span>
+            <div className="flex flex-col xs:flex-row xs:items-center xs:justify-between gap-0.5">
+              <p className="text-xs sm:text-sm font-semibold text-gray-900">{config.label}</p>
+              <time className="text-xs text-gray-500">{formatDateTime(event.timestamp)}</time>
+            </div>
+            <p className="text-xs text-gray-600">par {getActorLabel(event)}</p>
+
+            {event.changes?.length > 0 && (
+              <ul className="mt-1.5 space-y-1">
+                {event.changes.map((change) => (
+                  <li key={change.field} className="flex flex-wrap items-center gap-1.5 text-xs">
+                    <span className="text-gray-600">{fieldLabels[change.field] || change.field} :</span>
+                    <span className="px-1.5 py-0.5 bg-red-50 text-red-700 rounded line-through">
+                      {formatValue(change.field, change.oldValue)}
+                    </span>
+                    <ArrowRight className="w-3 h-3 text-gray-400" />
+                    <span className="px-1.5 py-0.5 bg-green-50 text-green-700 rounded">
+                      {formatValue(change.field, change.newValue)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {event.comment && <p className="mt-1 text-xs text-gray-500 italic">{event.comment}</p>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default OrderTimeline;
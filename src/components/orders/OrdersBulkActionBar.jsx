@@ -0,0 +1,117 @@
+import { motion } from 'framer-motion';
+import { Download, FileText, Printer, RefreshCw, Trash2, X } from 'lucide-react';
+
+/**
+ * OrdersBulkActionBar component
+ * Shown above OrdersTable while orders are selected
+ * @param {number} selectedCount - Number of selected orders (on every page)
+ * @param {number} pageCount - Number of orders on the current page
+ * @param {number} totalCount - Number of orders matching the current filter
+ * @param {boolean} allMatchingSelected - Whether every order matching the filter is selected
+ * @param {boolean} pageSelected - Whether every order of the current page is selected
+ * @param {Function} onSelectAllMatching - Select every order matching the filter
+ * @param {Function} onClearSelection - Clear the selection
+ * @param {Function} onChangeStatus - Bulk status change (hidden when null)
+ * @param {Function} onDelete - Bulk soft delete (hidden when null)
+ * @param {Function} onExport - Export the selected orders
+ * @param {Function} onPrintLabels - Print the carrier labels of the selected orders
+ * @param {Function} onPrintDocuments - Print packing slips and invoices of the selected orders
+ * @param {boolean} disabled - Disable the actions (operation running)
+ */
+const OrdersBulkActionBar = ({
+  selectedCount,
+  pageCount,
+  totalCount,
+  allMatchingSelected,
+  pageSelected,
+  onSelectAllMatching,
+  onClearSelection,
+  onChangeStatus = null,
+  onDelete = null,
+  onExport,
+  onPrintLabels,
+  onPrintDocuments,
+  disabled = false,
+}) => {
+  const count = allMatchingSelected ? totalCount : selectedCount;
+  const buttonClassName = 'flex items-center gap-2 px-3 py-1.5 text-sm font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-blue-50 border border-blue-200 rounded-lg p-3 sm:p-4 flex flex-col lg:flex-row lg:items-center justify-between gap-3"
+    >
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+        <span className="font-medium text-blue-900">
+          {count} commande{count > 1 ? 's' : ''} sélectionnée{count > 1 ? 's' : ''}
+        </span>
+        {pageSelected && !allMatchingSelected && totalCount > pageCount && (
+          <button
+            onClick={onSelectAllMatching}
+            className="text-blue-700 underline hover:text-blue-900"
+          >
+            Sélectionner les {totalCount} commandes correspondant au filtre
+          </button>
+        )}
+        <button
+          onClick={onClearSelection}
+          disabled={disabled}
+          className="flex items-center gap-1 text-gray-600 hover:text-gray-800 disabled:opacity-50"
+        >
+          <X className="w-4 h-4" />
+          Effacer la sélection
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {onChangeStatus && (
+          <button
+            onClick={onChangeStatus}
+            disabled={disabled}
+            className={`${buttonClassName} text-white bg-blue-600 hover:bg-blue-700`}
+          >
+            <RefreshCw className="w-4 h-4" />
+            Changer le statut
+          </button>
+        )}
+        <button
+          onClick={onExport}
+          disabled={disabled}
+          className={`${buttonClassName} text-white bg-green-600 hover:bg-green-700`}
+        >
+          <Download className="w-4 h-4" />
+          Exporter
+        </button>
+        <button
+          onClick={onPrintLabels}
+          disabled={disabled}
+          className={`${buttonClassName} text-gray-700 bg-white border border-gray-300 hover:bg-gray-100`}
+        >
+          <Printer className="w-4 h-4" />
+          Étiquettes
+        </button>
+        <button
+          onClick={onPrintDocuments}
+          disabled={disabled}
+          className={`${buttonClassName} text-gray-700 bg-white border border-gray-300 hover:bg-gray-100`}
+        >
+          <FileText className="w-4 h-4" />
+          Bordereaux et factures
+        </button>
+        {onDelete && (
+          <button
+            onClick={onDelete}
+            disabled={disabled}
+            className={`${buttonClassName} text-white bg-red-600 hover:bg-red-700`}
+          >
+            <Trash2 className="w-4 h-4" />
+            Supprimer
+          </button>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default OrdersBulkActionBar;
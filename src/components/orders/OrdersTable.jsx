@@ -1,19 +1,15 @@
 import { useState, useEffect } from 'react';
-import { motion } from 'framer-motion';
-import { Eye, RefreshCw, Search, Trash2, Truck } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Copy, Eye, RefreshCw, Search, SlidersHorizontal, Trash2, Truck } from 'lucide-react';
 import { formatCurrency, formatDateTime } from '../../utils/format';
 import CustomSelect from '../common/CustomSelect';
 import Pagination from '../common/Pagination';
+import FilterChips from '../common/FilterChips';
 import StatusChangeModal from './StatusChangeModal';
-
-// Status options for inline editing (same as OrderDetailsModal)
-const statusOptions = [
-  { value: 'pending', label: 'En attente' },
-  { value: 'confirmed', label: 'Confirmé' },
-  { value: 'shipped', label: 'Expédié' },
-  { value: 'delivered', label: 'Livré' },
-  { value: 'cancelled', label: 'Annulé' }
-];
+import OrderFiltersPanel from './OrderFiltersPanel';
+import { getStatusOptions, getRequiredInputs, normalizeStatus, ORDER_STATUS_LABELS } from '../../utils/orderWorkflow';
+import { EMPTY_ORDER_FILTERS, getOrderFilterChips } from '../../utils/orderFilters';
+import { getCarrierParcelUrl } from '../../services/carriersApi';
 
 // Status badge colors
 const getStatusColor = (status) => {
@@ -28,14 +24,28 @@ const getStatusColor = (status) => {
       return 'bg-green-100 text-green-800 hover:bg-green-200';
     case 'cancelled':
       return 'bg-red-100 text-red-800 hover:bg-red-200';
+    case 'return_requested':
+      return 'bg-orange-100 text-orange-800 hover:bg-orange-200';
+    case 'returned':
+      return 'bg-slate-200 text-slate-800 hover:bg-slate-300';
+    case 'refused':
+      return 'bg-pink-100 text-pink-800 hover:bg-pink-200';
     default:
       return 'bg-gray-100 text-gray-800 hover:bg-gray-200';
   }
 };
 
-// Clickable status badge for desktop
+// Clickable status badge for desktop (read-only when onClick is not provided)
 const StatusBadge = ({ order, onClick }) => {
-  const statusLabel = statusOptions.find(opt => opt.value === order.status)?.label || order.status;
+  const statusLabel = ORDER_STATUS_LABELS[normalizeStatus(order.status)] || order.status;
+
+  if (!onClick) {
+    return (
+      <span className={`inline-flex px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(order.status)}`}>
+        {statusLabel}
+      </span>
+    );
+  }
 
   return (
     <button
@@ -52,7 +62,8 @@ const StatusBadge = ({ order, onClick }) => {
 };
 
 // Mobile status select with badge styling
-const MobileStatusSelect = ({ order, onUpdateStatus }) => {
+// Only offers allowed transitions; those needing inputs are handed to onRequireInputs (status modal)
+const MobileStatusSelect = ({ order, onUpdateStatus, onRequireInputs }) => {
   const [selectedStatus, setSelectedStatus] = useState(order?.status || 'pending');
   const [isUpdating, setIsUpdating] = useState(false);
 
@@ -63,6 +74,10 @@ const MobileStatusSelect = ({ order, onUpdateStatus }) => {
 
   const handleStatusChange = async (newStatus) => {
     if (newStatus !== selectedStatus && onUpdateStatus) {
+      if (getRequiredInputs(order, newStatus).length > 0) {
+        onRequireInputs(order, newStatus);
+        return;
+      }
       setIsUpdating(true);
       setSelectedStatus(newStatus);
       try {
@@ -80,7 +95,7 @@ const MobileStatusSelect = ({ order, onUpdateStatus }) => {
       <CustomSelect
         value={selectedStatus}
         onChange={handleStatusChange}
-        options={statusOptions}
+        options={getStatusOptions(order)}
         placeholder="Statut"
       />
       {isUpdating && (
@@ -103,28 +118,72 @@ const OrdersTable = ({
   onStatusFilterChange,
   searchQuery,
   onSearchChange,
+  filters = null,
+  onFiltersChange = null,
   loading = false,
   pagination = null,
   onPageChange = null,
   onPageSizeChange = null,
-  onRefresh = null
+  onRefresh = null,
+  selectedIds = null,
+  onToggleSelect = null,
+  onTogglePageSelection = null,
+  duplicates = null,
+  onCompareDuplicates = null
 }) => {
   // Use orders directly (server-side pagination)
   const displayOrders = orders || [];
   const totalCount = pagination?.totalElements || orders.length;
 
+  // Row selection for bulk actions (disabled when selectedIds is not provided)
+  const selectable = Boolean(selectedIds && onToggleSelect);
+  const isSelected = (order) => selectable && selectedIds.includes(order.id);
+  const pageSelected = selectable && displayOrders.length > 0 && displayOrders.every(isSelected);
+
+  // Likely duplicates badge (hidden when duplicates is not provided)
+  const renderDuplicateBadge = (order) => {
+    const count = duplicates?.[order.id]?.length;
+    if (!count) return null;
+    return (
+      <button
+        type="button"
+        onClick={(e) => {
+          e.stopPropagation();
+          onCompareDuplicates?.(order);
+        }}
+        title={`${count} commande${count > 1 ? 's' : ''} similaire${count > 1 ? 's' : ''} sur cette page`}
+        className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium text-amber-800 bg-amber-100 border border-amber-200 rounded-full hover:bg-amber-200 transition-colors"
+      >
+        <Copy className="w-3 h-3" />
+        Doublon probable
+      </button>
+    );
+  };
+
+  // Advanced filters (hidden when filters is not provided)
+  const [filtersOpen, setFiltersOpen] = useState(false);
+  const filterChips = filters ? getOrderFilterChips(filters) : [];
+
+  const handleRemoveFilterChip = (chip) => {
+    const cleared = chip.keys.reduce((next, key) => ({ ...next, [key]: '' }), {});
+    onFiltersChange({ ...filters, ...cleared });
+  };
+
   // Modal state for status change
   const [statusModalOpen, setStatusModalOpen] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [initialStatus, setInitialStatus] = useState(null);
 
-  const handleOpenStatusModal = (order) => {
+  const handleOpenStatusModal = (order, status = null) => {
     setSelectedOrder(order);
+    setInitialStatus(status);
     setStatusModalOpen(true);
   };
 
   const handleCloseStatusModal = () => {
     setStatusModalOpen(false);
     setSelectedOrder(null);
+    setInitialStatus(null);
   };
 
   // Filter status options (includes 'all' option)
@@ -134,7 +193,10 @@ const OrdersTable = ({
     { value: 'confirmed', label: 'Confirmé' },
     { value: 'shipped', label: 'Expédié' },
     { value: 'delivered', label: 'Livré' },
-    { value: 'cancelled', label: 'Annulé' }
+    { value: 'cancelled', label: 'Annulé' },
+    { value: 'return_requested', label: 'Retour demandé' },
+    { value: 'returned', label: 'Retourné' },
+    { value: 'refused', label: 'Refusé' }
   ];
 
   const sortOptions = [
@@ -175,6 +237,25 @@ const OrdersTable = ({
           </div>
 
           <div className="flex flex-col sm:flex-row gap-3 sm:ml-auto">
+            {filters && onFiltersChange && (
+              <button
+                onClick={() => setFiltersOpen((open) => !open)}
+                className={`flex items-center justify-center gap-2 px-4 py-2.5 text-sm font-medium border rounded-lg transition-colors ${
+                  filtersOpen || filterChips.length > 0
+                    ? 'text-blue-700 bg-blue-50 border-blue-200 hover:bg-blue-100'
+                    : 'text-gray-700 bg-gray-50 border-gray-200 hover:bg-gray-100'
+                }`}
+              >
+                <SlidersHorizontal className="w-4 h-4" />
+                Filtres
+                {filterChips.length > 0 && (
+                  <span className="min-w-[20px] h-5 px-1.5 flex items-center justify-center text-xs text-white bg-blue-600 rounded-full">
+                    {filterChips.length}
+                  </span>
+                )}
+              </button>
+            )}
+
             <div className="w-full sm:min-w-[140px]">
               <CustomSelect
                 value={statusFilter}
@@ -194,6 +275,29 @@ const OrdersTable = ({
             </div>
           </div>
         </div>
+
+        {filters && onFiltersChange && (
+          <>
+            <AnimatePresence>
+              {filtersOpen && (
+                <OrderFiltersPanel
+                  filters={filters}
+                  onApply={onFiltersChange}
+                  onClose={() => setFiltersOpen(false)}
+                />
+              )}
+            </AnimatePresence>
+            {filterChips.length > 0 && (
+              <div className="mt-4">
+                <FilterChips
+                  chips={filterChips}
+                  onRemove={handleRemoveFilterChip}
+                  onClearAll={() => onFiltersChange(EMPTY_ORDER_FILTERS)}
+                />
+              </div>
+            )}
+          </>
+        )}
       </div>
 
       {/* Loading state */}
@@ -212,6 +316,17 @@ const OrdersTable = ({
           <table className="w-full">
             <thead className="bg-gray-50">
               <tr>
+                {selectable && (
+                  <th className="pl-6 py-3 w-4">
+                    <input
+                      type="checkbox"
+                      checked={pageSelected}
+                      onChange={(e) => onTogglePageSelection(e.target.checked)}
+                      className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 cursor-pointer"
+                      title="Sélectionner la page"
+                    />
+                  </th>
+                )}
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Numéro de commande
                 </th>
@@ -238,10 +353,23 @@ const OrdersTable = ({
                   key={order.id}
                   initial={{ opacity: 0 }}
                   animate={{ opacity: 1 }}
-                  className="hover:bg-gray-100 transition-colors duration-150 cursor-default"
+                  className={`hover:bg-gray-100 transition-colors duration-150 cursor-default ${isSelected(order) ? 'bg-blue-50' : ''}`}
                 >
+                  {selectable && (
+                    <td className="pl-6 py-4 w-4">
+                      <input
+                        type="checkbox"
+                        checked={isSelected(order)}
+                        onChange={() => onToggleSelect(order)}
+                        className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 cursor-pointer"
+                      />
+                    </td>
+                  )}
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                    {order.orderNumber}
+                    <div className="flex items-center gap-2">
+                      {order.orderNumber}
+                      {renderDuplicateBadge(order)}
+                    </div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm font-medium text-gray-900">{order.customer}</div>
@@ -254,7 +382,7 @@ const OrdersTable = ({
                     {formatCurrency(order.total)}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
-                    <StatusBadge order={order} onClick={() => handleOpenStatusModal(order)} />
+                    <StatusBadge order={order} onClick={onUpdateStatus ? () => handleOpenStatusModal(order) : null} />
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm">
                     <div className="flex items-center gap-2">
@@ -265,12 +393,9 @@ const OrdersTable = ({
                       >
                         <Eye className="w-4 h-4" />
                       </button>
-                      {order.trackingNumber ? (
+                      {getCarrierParcelUrl(order) ? (
                         <a
-                          href={order.shippingProvider === 'ZR'
-                            ? 'https://app.zrexpress.app/parcels/default/all'
-                            : `https://yalidine.app/app/colis/modifier-ecommerce.php?&id=${order.trackingNumber}`
-                          }
+                          href={getCarrierParcelUrl(order)}
                           target="_blank"
                           rel="noopener noreferrer"
                           onClick={(e) => e.stopPropagation()}
@@ -287,13 +412,15 @@ const OrdersTable = ({
                           <Truck className="w-4 h-4" />
                         </span>
                       )}
-                      <button
-                        onClick={() => onDelete(order)}
-                        className="text-red-600 hover:text-red-800 p-1 rounded hover:bg-red-50 cursor-pointer"
-                        title="Supprimer"
-                      >
-                        <Trash2 className="w-4 h-4" />
-                      </button>
+                      {onDelete && (
+                        <button
+                          onClick={() => onDelete(order)}
+                          className="text-red-600 hover:text-red-800 p-1 rounded hover:bg-red-50 cursor-pointer"
+                          title="Supprimer"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
                     </div>
                   </td>
                 </motion.tr>
@@ -306,6 +433,17 @@ const OrdersTable = ({
       {/* Mobile cards */}
       {!loading && (
         <div className="md:hidden p-4 space-y-4">
+          {selectable && displayOrders.length > 0 && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={pageSelected}
+                onChange={(e) => onTogglePageSelection(e.target.checked)}
+                className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Sélectionner la page
+            </label>
+          )}
           {displayOrders.map((order) => (
             <motion.div
               key={order.id}
@@ -314,12 +452,31 @@ const OrdersTable = ({
               className="bg-gray-50 rounded-lg p-4 space-y-3"
             >
               <div className="flex justify-between items-start gap-2">
+                {selectable && (
+                  <input
+                    type="checkbox"
+                    checked={isSelected(order)}
+                    onChange={() => onToggleSelect(order)}
+                    className="mt-1 w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 flex-shrink-0"
+                  />
+                )}
                 <div className="min-w-0 flex-1">
-                  <h3 className="font-medium text-gray-900">{order.orderNumber}</h3>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <h3 className="font-medium text-gray-900">{order.orderNumber}</h3>
+                    {renderDuplicateBadge(order)}
+                  </div>
                   <p className="text-sm text-gray-600 mt-1">{order.customer}</p>
                   <p className="text-xs text-gray-500">{order.customerEmail}</p>
                 </div>
-                <MobileStatusSelect order={order} onUpdateStatus={onUpdateStatus} />
+                {onUpdateStatus ? (
+                  <MobileStatusSelect
+                    order={order}
+                    onUpdateStatus={onUpdateStatus}
+                    onRequireInputs={handleOpenStatusModal}
+                  />
+                ) : (
+                  <StatusBadge order={order} />
+                )}
               </div>
 
               <div className="flex justify-between items-center pt-2 border-t border-gray-200">
@@ -342,12 +499,9 @@ const OrdersTable = ({
                   <Eye className="w-3.5 h-3.5 flex-shrink-0" />
                   <span>Voir</span>
                 </button>
-                {order.trackingNumber ? (
+                {getCarrierParcelUrl(order) ? (
                   <a
-                    href={order.shippingProvider === 'ZR'
-                      ? 'https://app.zrexpress.app/parcels/default/all'
-                      : `https://yalidine.app/app/colis/modifier-ecommerce.php?&id=${order.trackingNumber}`
-                    }
+                    href={getCarrierParcelUrl(order)}
                     target="_blank"
                     rel="noopener noreferrer"
                     onClick={(e) => e.stopPropagation()}
@@ -366,14 +520,16 @@ const OrdersTable = ({
                     <span>Suivi</span>
                   </span>
                 )}
-                <button
-                  onClick={() => onDelete(order)}
-                  className="flex-1 flex items-center justify-center gap-1 px-2 py-2 bg-red-600 text-white text-xs font-medium rounded-md hover:bg-red-700 transition-colors"
-                  title="Supprimer"
-                >
-                  <Trash2 className="w-3.5 h-3.5 flex-shrink-0" />
-                  <span>Suppr.</span>
-                </button>
+                {onDelete && (
+                  <button
+                    onClick={() => onDelete(order)}
+                    className="flex-1 flex items-center justify-center gap-1 px-2 py-2 bg-red-600 text-white text-xs font-medium rounded-md hover:bg-red-700 transition-colors"
+                    title="Supprimer"
+                  >
+                    <Trash2 className="w-3.5 h-3.5 flex-shrink-0" />
+                    <span>Suppr.</span>
+                  </button>
+                )}
               </div>
             </motion.div>
           ))}
@@ -400,12 +556,13 @@ const OrdersTable = ({
       )}
 
       {/* Status Change Modal */}
-      {selectedOrder && (
+      {selectedOrder && onUpdateStatus && (
         <StatusChangeModal
           isOpen={statusModalOpen}
           onClose={handleCloseStatusModal}
           order={selectedOrder}
           onUpdateStatus={onUpdateStatus}
+          initialStatus={initialStatus}
         />
       )}
     </div>
@@ -0,0 +1,66 @@
+import { formatDateTime } from '../../utils/format';
+import { STORE_INFO } from '../../utils/orderDocuments';
+import { formatPhone } from '../../utils/phone';
+import OrderDocumentItems from './OrderDocumentItems';
+
+/**
+ * PackingSlip component
+ * Printable packing slip placed in (or on) the parcel
+ * @param {Object} order - Full order from getOrderById
+ * @param {Object|null} stopDesk - Relay point from getStopDeskById (stop desk deliveries)
+ */
+const PackingSlip = ({ order, stopDesk = null }) => {
+  const isStopDesk = order.isStopDesk || order.shippingMethod === 'SHIPPING_PROVIDER';
+
+  return (
+    <article className="print-page bg-white text-gray-900 p-8">
+      <header className="flex justify-between items-start border-b-2 border-gray-800 pb-4 mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Bordereau de livraison</h1>
+          <p className="text-sm text-gray-600 mt-1">{STORE_INFO.name}</p>
+        </div>
+        <div className="text-right">
+          <p className="text-lg font-bold">{order.uniqueId || order.orderNumber}</p>
+          <p className="text-sm text-gray-600">{formatDateTime(order.createdAt || order.date)}</p>
+          {order.trackingNumber && (
+            <p className="text-sm mt-1">Suivi : <span className="font-semibold">{order.trackingNumber}</span></p>
+          )}
+        </div>
+      </header>
+
+      <section className="grid grid-cols-2 gap-6 mb-6 text-sm">
+        <div>
+          <h2 className="text-xs font-bold uppercase tracking-wide text-gray-600 mb-2">Destinataire</h2>
+          <p className="font-semibold text-base">{order.fullName || order.customer}</p>
+          <p>{formatPhone(order.phone)}</p>
+          {order.email && <p>{order.email}</p>}
+          {!isStopDesk && order.streetAddress && <p className="mt-1">{order.streetAddress}</p>}
+          <p>
+            {[order.postalCode, order.city].filter(Boolean).join(' ')}
+            {order.wilaya && `, ${order.wilaya}`}
+          </p>
+        </div>
+
+        <div>
+          <h2 className="text-xs font-bold uppercase tracking-wide text-gray-600 mb-2">Livraison</h2>
+          <p>{isStopDesk ? 'Retrait en point relais' : 'Livraison à domicile'}</p>
+          {order.shippingProvider && <p>Transporteur : <span className="font-semibold">{order.shippingProvider}</span></p>}
+          {isStopDesk && (stopDesk ? (
+            <div className="mt-2">
+              <p className="font-semibold">{stopDesk.name}</p>
+              <p>{stopDesk.address}</p>
+              <p>{[stopDesk.commune, stopDesk.wilaya].filter(Boolean).join(', ')}</p>
+              {stopDesk.phone && <p>Tél : {stopDesk.phone}</p>}
+            </div>
+          ) : order.stopDeskId && (
+            <p className="mt-2">Point de retrait : {order.stopDeskId}</p>
+          ))}
+        </div>
+      </section>
+
+      <OrderDocumentItems order={order} totalLabel="Montant à encaisser" />
+    </article>
+  );
+};
+
+export default PackingSlip;
@@ -0,0 +1,40 @@
+import { motion } from 'framer-motion';
+import { AlertTriangle } from 'lucide-react';
+import { formatDate } from '../../utils/format';
+import { ORDER_STATUS_LABELS, normalizeStatus } from '../../utils/orderWorkflow';
+
+/**
+ * PhoneHistoryWarning component
+ * Warns that the phone number of the order was used for cancelled, refused or returned orders
+ * @param {Array} orders - Cancelled, refused or returned past orders (from usePhoneOrderHistory)
+ */
+const PhoneHistoryWarning = ({ orders }) => {
+  if (!orders || orders.length === 0) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm"
+    >
+      <p className="flex items-center gap-2 font-semibold">
+        <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+        Ce numéro a déjà {orders.length} commande{orders.length > 1 ? 's' : ''} annulée{orders.length > 1 ? 's' : ''}, refusée{orders.length > 1 ? 's' : ''} ou retournée{orders.length > 1 ? 's' : ''}
+      </p>
+      <ul className="mt-2 space-y-1 text-xs">
+        {orders.slice(0, 5).map((order) => (
+          <li key={order.id}>
+            <span className="font-medium">{order.uniqueId || `#${order.id}`}</span>
+            {' — '}
+            {ORDER_STATUS_LABELS[normalizeStatus(order.status)] || order.status}
+            {order.createdAt && ` le ${formatDate(order.createdAt)}`}
+            {order.cancellationReason && ` (${order.cancellationReason})`}
+          </li>
+        ))}
+      </ul>
+      {orders.length > 5 && <p className="mt-1 text-xs">et {orders.length - 5} autre{orders.length - 5 > 1 ? 's' : ''}…</p>}
+    </motion.div>
+  );
+};
+
+export default PhoneHistoryWarning;
@@ -0,0 +1,423 @@
+import { useState, useEffect, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Search, MapPin, Phone, Clock, Loader2, WifiOff, Navigation } from 'lucide-react';
+import useScrollLock from '../../hooks/useScrollLock';
+import useDebounce from '../../hooks/useDebounce';
+import { useRelayPoints } from '../../hooks/useRelayPoints';
+import RelayPointMap from './RelayPointMap';
+import { SHIPPING_PROVIDER_OPTIONS } from '../../utils/orderForm';
+import { formatPhone, toLocalPhone } from '../../utils/phone';
+import { formatDateTime } from '../../utils/format';
+import {
+  getCoordinates,
+  getCommunes,
+  locateCommune,
+  sortByDistance,
+  formatDistance,
+  getOpeningHours,
+  getHoursOn,
+  isOpenAt,
+  compareProviders,
+} from '../../utils/relayPoints';
+
+const PROVIDERS = SHIPPING_PROVIDER_OPTIONS.map((option) => option.value);
+const PROVIDER_LABELS = Object.fromEntries(SHIPPING_PROVIDER_OPTIONS.map((option) => [option.value, option.label]));
+const PROVIDER_COLORS = { YALIDINE: '#dc2626', ZR: '#2563eb' };
+const ALL_PROVIDERS = 'ALL';
+
+// Relay point IDs are only unique within a provider
+const getEntryKey = (provider, id) => `${provider}|${id}`;
+
+const OpenBadge = ({ point }) => {
+  const open = isOpenAt(point);
+  if (open === null) return null;
+  return (
+    <span className={`px-1.5 py-0.5 text-[10px] font-medium rounded-full ${open ? 'bg-emerald-100 text-emerald-700' : 'bg-gray-100 text-gray-600'}`}>
+      {open ? 'Ouvert' : 'Fermé'}
+    </span>
+  );
+};
+
+/**
+ * RelayPointExplorer component
+ * Browse the relay points of a wilaya for every provider: map, opening hours, phone,
+ * distance from the customer's commune and a provider comparison. Opens over the order form.
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Close the modal
+ * @param {Function} onSelect - Called with the chosen relay point and its provider
+ * @param {string} wilaya - Wilaya of the order
+ * @param {string} provider - Provider of the order
+ * @param {string} value - Relay point already chosen (stopDeskId)
+ * @param {string} commune - Customer commune, used as the starting position
+ */
+const RelayPointExplorer = ({ isOpen, onClose, onSelect, wilaya, provider = null, value = null, commune = '' }) => {
+  const [providerFilter, setProviderFilter] = useState(ALL_PROVIDERS);
+  const [communeQuery, setCommuneQuery] = useState(commune);
+  const [pickedOrigin, setPickedOrigin] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  useScrollLock(isOpen);
+
+  const debouncedSearch = useDebounce(searchQuery, 300);
+  const isSearching = debouncedSearch.trim() !== '';
+  // The whole wilaya locates the customer's commune whatever the search; the search only narrows the list
+  const wilayaPoints = useRelayPoints(PROVIDERS, wilaya, '', isOpen);
+  const searchedPoints = useRelayPoints(PROVIDERS, wilaya, debouncedSearch, isOpen && isSearching);
+  const { pointsByProvider, loading, error, cachedAt } = isSearching ? searchedPoints : wilayaPoints;
+
+  // Start from the order each time the explorer opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setProviderFilter(ALL_PROVIDERS);
+    setCommuneQuery(commune);
+    setPickedOrigin(null);
+    setSearchQuery('');
+    setSelectedKey(value ? getEntryKey(provider, value) : null);
+  }, [isOpen, commune, provider, value]);
+
+  // Relay point objects carry no provider in every API: keep it next to each point
+  const entries = useMemo(() => Object.entries(pointsByProvider)
+    .flatMap(([pointProvider, points]) => points.map((point) => ({ point, provider: pointProvider }))), [pointsByProvider]);
+  const providerOf = useMemo(() => new Map(entries.map((entry) => [entry.point, entry.provider])), [entries]);
+
+  // Every desk of the wilaya, unfiltered by the search
+  const allPoints = Object.values(wilayaPoints.pointsByProvider).flat();
+  const communes = getCommunes(allPoints);
+  const communeOrigin = locateCommune(communeQuery, allPoints);
+  const origin = pickedOrigin || communeOrigin;
+
+  const visibleEntries = entries.filter((entry) => providerFilter === ALL_PROVIDERS || entry.provider === providerFilter);
+  const rankedPoints = sortByDistance(visibleEntries.map((entry) => entry.point), origin);
+  const comparison = compareProviders(pointsByProvider, origin);
+  const nearestDistance = Math.min(...comparison.filter((row) => row.nearest).map((row) => row.nearest.distance));
+
+  const selected = entries.find((entry) => getEntryKey(entry.provider, entry.point.id) === selectedKey) || null;
+  const selectedHours = selected ? getOpeningHours(selected.point) : null;
+  const today = selected ? getHoursOn(selected.point)?.key : null;
+  const selectedDistance = selected ? rankedPoints.find((ranked) => ranked.point === selected.point)?.distance ?? null : null;
+  const unlocatedCount = visibleEntries.filter((entry) => !getCoordinates(entry.point)).length;
+
+  const reload = () => {
+    wilayaPoints.reload();
+    if (isSearching) searchedPoints.reload();
+  };
+
+  const handleCommuneChange = (e) => {
+    setCommuneQuery(e.target.value);
+    setPickedOrigin(null);
+  };
+
+  const handlePickOrigin = (position) => {
+    setPickedOrigin(position);
+    setCommuneQuery('');
+  };
+
+  const handleConfirm = () => {
+    if (!selected) return;
+    onSelect(selected.point, selected.provider);
+    onClose();
+  };
+
+  const modalContent = (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black/60 z-[60]"
+          />
+
+          {/* Modal */}
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed inset-0 z-[60] flex items-center justify-center p-2 sm:p-4 pointer-events-none"
+          >
+            <div className="bg-white rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-5xl max-h-[95vh] sm:max-h-[90vh] overflow-hidden pointer-events-auto flex flex-col">
+              {/* Header */}
+              <div className="bg-gradient-to-r from-blue-600 to-purple-600 p-4 sm:p-6 text-white flex-shrink-0">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex-1 min-w-0">
+                    <h2 className="text-xl sm:text-2xl font-bold truncate">Points de retrait — {wilaya}</h2>
+                    <p className="text-blue-100 mt-1 font-medium text-sm sm:text-base truncate">
+                      Comparez les transporteurs et trouvez le point le plus proche du client
+                    </p>
+                  </div>
+                  <button
+                    onClick={onClose}
+                    className="p-2 rounded-lg hover:bg-white/20 transition-colors duration-200 flex-shrink-0"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
+              </div>
+
+              <div className="overflow-y-auto flex-1 p-4 sm:p-6 space-y-4">
+                {/* Filters */}
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <div className="relative">
+                    <Navigation className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+                    <input
+                      type="text"
+                      list="relay-point-communes"
+                      value={communeQuery}
+                      onChange={handleCommuneChange}
+                      placeholder="Commune du client"
+                      className="w-full pl-9 pr-3 py-2.5 text-sm border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <datalist id="relay-point-communes">
+                      {communes.map((name) => <option key={name} value={name} />)}
+                    </datalist>
+                  </div>
+                  <div className="relative">
+                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+                    <input
+                      type="text"
+                      value={searchQuery}
+                      onChange={(e) => setSearchQuery(e.target.value)}
+                      placeholder="Nom, adresse..."
+                      className="w-full pl-9 pr-3 py-2.5 text-sm border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  <div className="flex p-1 bg-gray-100 rounded-lg">
+                    {[ALL_PROVIDERS, ...PROVIDERS].map((filter) => (
+                      <button
+                        key={filter}
+                        type="button"
+                        onClick={() => setProviderFilter(filter)}
+                        className={`flex-1 flex items-center justify-center gap-1.5 px-2 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                          providerFilter === filter ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                        }`}
+                      >
+                        {filter !== ALL_PROVIDERS && (
+                          <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: PROVIDER_COLORS[filter] }} />
+                        )}
+                        {filter === ALL_PROVIDERS ? 'Tous' : PROVIDER_LABELS[filter]}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {cachedAt && (
+                  <div className="flex items-center gap-2 bg-amber-50 border border-amber-200 text-amber-800 px-4 py-2 rounded-lg text-sm">
+                    <WifiOff className="w-4 h-4 flex-shrink-0" />
+                    Hors ligne : points de retrait enregistrés le {formatDateTime(cachedAt)}
+                  </div>
+                )}
+                {error && (
+                  <div className="flex items-center justify-between gap-2 bg-red-50 border border-red-200 text-red-700 px-4 py-2 rounded-lg text-sm">
+                    {error}
+                    <button type="button" onClick={reload} className="font-medium hover:underline">Réessayer</button>
+                  </div>
+                )}
+                {communeQuery.trim() && !communeOrigin && !wilayaPoints.loading && (
+                  <p className="text-xs text-gray-500">
+                    Aucun point de retrait à « {communeQuery.trim()} » : cliquez sur la carte pour placer le client.
+                  </p>
+                )}
+
+                <div className="grid grid-cols-1 lg:grid-cols-5 gap-4">
+                  {/* Map */}
+                  <div className="lg:col-span-3 space-y-2">
+                    {loading && entries.length === 0 ? (
+                      <div className="flex items-center justify-center aspect-[10/7] bg-gray-50 border border-gray-200 rounded-lg">
+                        <Loader2 className="w-8 h-8 text-blue-500 animate-spin" />
+                      </div>
+                    ) : (
+                      <RelayPointMap
+                        points={visibleEntries}
+                        colors={PROVIDER_COLORS}
+                        origin={origin}
+                        selected={selected?.point}
+                        onSelect={(point, pointProvider) => setSelectedKey(getEntryKey(pointProvider, point.id))}
+                        onPickOrigin={handlePickOrigin}
+                      />
+                    )}
+                    <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-500">
+                      {PROVIDERS.map((legendProvider) => (
+                        <span key={legendProvider} className="flex items-center gap-1.5">
+                          <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: PROVIDER_COLORS[legendProvider] }} />
+                          {PROVIDER_LABELS[legendProvider]}
+                        </span>
+                      ))}
+                      <span className="flex items-center gap-1.5">
+                        <span className="w-2.5 h-2.5 rounded-full bg-gray-900" />
+                        Client
+                      </span>
+                      {unlocatedCount > 0 && <span>{unlocatedCount} point{unlocatedCount > 1 ? 's' : ''} sans coordonnées</span>}
+                    </div>
+                  </div>
+
+                  {/* List */}
+                  <div className="lg:col-span-2 border border-gray-200 rounded-lg overflow-hidden flex flex-col max-h-80 lg:max-h-none">
+                    <div className="px-4 py-2 bg-gray-50 border-b border-gray-200 text-xs font-medium text-gray-600 flex items-center gap-2">
+                      {loading && <Loader2 className="w-3 h-3 animate-spin" />}
+                      {rankedPoints.length} point{rankedPoints.length !== 1 ? 's' : ''} de retrait
+                      {origin && <span className="text-gray-400">· du plus proche au plus loin</span>}
+                    </div>
+                    <div className="overflow-y-auto flex-1 divide-y divide-gray-100">
+                      {rankedPoints.length === 0 && !loading ? (
+                        <div className="px-4 py-8 text-center">
+                          <MapPin className="w-8 h-8 text-gray-300 mx-auto mb-2" />
+                          <p className="text-sm text-gray-500">Aucun point de retrait trouvé</p>
+                        </div>
+                      ) : (
+                        rankedPoints.map(({ point, distance }) => {
+                          const pointProvider = providerOf.get(point);
+                          const isSelected = point === selected?.point;
+                          return (
+                            <button
+                              type="button"
+                              key={getEntryKey(pointProvider, point.id)}
+                              onClick={() => setSelectedKey(getEntryKey(pointProvider, point.id))}
+                              className={`w-full text-left px-4 py-3 hover:bg-blue-50 transition-colors ${isSelected ? 'bg-blue-50' : ''}`}
+                            >
+                              <div className="flex items-start justify-between gap-2">
+                                <div className="min-w-0">
+                                  <p className={`text-sm font-semibold truncate ${isSelected ? 'text-blue-700' : 'text-gray-900'}`}>
+                                    {point.name}
+                                  </p>
+                                  <p className="flex items-center gap-1.5 text-xs text-gray-500 mt-0.5">
+                                    <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: PROVIDER_COLORS[pointProvider] }} />
+                                    {PROVIDER_LABELS[pointProvider]} · {point.commune}
+                                  </p>
+                                </div>
+                                <div className="flex flex-col items-end gap-1 flex-shrink-0">
+                                  {distance !== null && <span className="text-xs font-semibold text-gray-700">{formatDistance(distance)}</span>}
+                                  <OpenBadge point={point} />
+                                </div>
+                              </div>
+                            </button>
+                          );
+                        })
+                      )}
+                    </div>
+                  </div>
+                </div>
+
+                {/* Selected relay point */}
+                {selected && (
+                  <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="space-y-1">
+                      <p className="flex items-center gap-2 text-sm font-bold text-blue-900">
+                        {selected.point.name}
+                        <OpenBadge point={selected.point} />
+                      </p>
+                      <p className="text-xs text-blue-700">{selected.point.address}</p>
+                      <p className="text-xs text-blue-600">
+                        {[selected.point.commune, selected.point.wilaya].filter(Boolean).join(', ')} · {PROVIDER_LABELS[selected.provider]}
+                      </p>
+                      {selected.point.phone && (
+                        <a href={`tel:${toLocalPhone(selected.point.phone)}`} className="inline-flex items-center gap-1 text-xs font-medium text-blue-700 hover:underline">
+                          <Phone className="w-3 h-3" />
+                          {formatPhone(selected.point.phone)}
+                        </a>
+                      )}
+                      {selectedDistance !== null && (
+                        <p className="text-xs text-blue-600">
+                          À {formatDistance(selectedDistance)} {communeOrigin && !pickedOrigin ? `de ${communeOrigin.commune}` : 'du client'} (à vol d&apos;oiseau)
+                        </p>
+                      )}
+                    </div>
+                    <div>
+                      <p className="flex items-center gap-1.5 text-xs font-semibold text-blue-900 mb-1">
+                        <Clock className="w-3.5 h-3.5" />
+                        Horaires
+                      </p>
+                      {selectedHours ? (
+                        <table className="text-xs w-full">
+                          <tbody>
+                            {selectedHours.map((day) => (
+                              <tr key={day.key} className={day.key === today ? 'font-semibold text-blue-900' : 'text-blue-700'}>
+                                <td className="pr-3 py-0.5">{day.label}</td>
+                                <td className="py-0.5">{day.hours ? day.hours.replace('-', ' – ') : 'Fermé'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      ) : (
+                        <p className="text-xs text-blue-600">Horaires non communiqués par le transporteur</p>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {/* Provider comparison */}
+                <div className="border border-gray-200 rounded-lg overflow-x-auto">
+                  <table className="w-full">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Transporteur</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Points</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Ouverts maintenant</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Le plus proche</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {comparison.map((row) => (
+                        <tr key={row.provider}>
+                          <td className="px-4 py-2 text-sm font-medium text-gray-900 whitespace-nowrap">
+                            <span className="inline-flex items-center gap-1.5">
+                              <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: PROVIDER_COLORS[row.provider] }} />
+                              {PROVIDER_LABELS[row.provider]}
+                            </span>
+                          </td>
+                          <td className="px-4 py-2 text-sm text-right text-gray-700">{row.count}</td>
+                          <td className="px-4 py-2 text-sm text-right text-gray-700">{row.openCount}</td>
+                          <td className="px-4 py-2 text-sm text-gray-700">
+                            {row.nearest ? (
+                              <button
+                                type="button"
+                                onClick={() => setSelectedKey(getEntryKey(row.provider, row.nearest.point.id))}
+                                className={`text-left hover:underline ${row.nearest.distance === nearestDistance ? 'font-semibold text-emerald-700' : ''}`}
+                              >
+                                {row.nearest.point.name} · {formatDistance(row.nearest.distance)}
+                              </button>
+                            ) : (
+                              <span className="text-gray-400">{origin ? '—' : 'Indiquez la commune du client'}</span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              {/* Footer */}
+              <div className="border-t border-gray-200 p-4 sm:p-6 flex flex-col sm:flex-row justify-end gap-3 bg-gray-50 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="w-full sm:w-auto px-6 py-3 sm:py-2.5 text-sm sm:text-base border-2 border-gray-300 rounded-lg hover:bg-gray-100 transition-all duration-200 font-medium"
+                >
+                  Annuler
+                </button>
+                <button
+                  type="button"
+                  onClick={handleConfirm}
+                  disabled={!selected}
+                  className="w-full sm:w-auto px-6 py-3 sm:py-2.5 text-sm sm:text-base bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                >
+                  Choisir ce point
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+
+  return createPortal(modalContent, document.body);
+};
+
+export default RelayPointExplorer;
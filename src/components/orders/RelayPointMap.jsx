@@ -0,0 +1,104 @@
+import { createMapProjection, getCoordinates, getDistanceKm, formatDistance } from '../../utils/relayPoints';
+
+const WIDTH = 400;
+const HEIGHT = 280;
+const SCALE_BAR_WIDTH = 80;
+
+/**
+ * RelayPointMap component
+ * Plots relay points from their coordinates on a plain SVG background: no map tiles are
+ * downloaded, so it keeps working offline. Clicking the background places the customer.
+ * @param {Array<{point: Object, provider: string}>} points - Relay points to plot (points without coordinates are skipped)
+ * @param {Object} colors - Marker color per provider
+ * @param {Object|null} origin - Customer position { latitude, longitude }
+ * @param {Object|null} selected - Highlighted relay point
+ * @param {Function} onSelect - Called with a relay point and its provider when its marker is clicked
+ * @param {Function} onPickOrigin - Called with { latitude, longitude } when the background is clicked (disabled when null)
+ */
+const RelayPointMap = ({ points, colors, origin = null, selected = null, onSelect, onPickOrigin = null }) => {
+  const located = points
+    .map((entry) => ({ ...entry, coordinates: getCoordinates(entry.point) }))
+    .filter((entry) => entry.coordinates);
+
+  const projection = createMapProjection(
+    [...located.map((entry) => entry.coordinates), ...(origin ? [origin] : [])],
+    { width: WIDTH, height: HEIGHT }
+  );
+
+  if (!projection) {
+    return (
+      <div className="flex items-center justify-center aspect-[10/7] bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-500 text-center px-4">
+        Aucun point de retrait avec coordonnées
+      </div>
+    );
+  }
+
+  const scaleDistance = getDistanceKm(
+    projection.unproject({ x: 0, y: HEIGHT / 2 }),
+    projection.unproject({ x: SCALE_BAR_WIDTH, y: HEIGHT / 2 })
+  );
+
+  const handleBackgroundClick = (e) => {
+    if (!onPickOrigin) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onPickOrigin(projection.unproject({
+      x: ((e.clientX - rect.left) / rect.width) * WIDTH,
+      y: ((e.clientY - rect.top) / rect.height) * HEIGHT,
+    }));
+  };
+
+  // Selected marker last so it is drawn on top
+  const ordered = [...located].sort((a, b) => (a.point === selected) - (b.point === selected));
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full aspect-[10/7] rounded-lg border border-gray-200 bg-slate-50 select-none"
+      role="img"
+      aria-label="Carte des points de retrait"
+    >
+      <defs>
+        <pattern id="relay-map-grid" width="20" height="20" patternUnits="userSpaceOnUse">
+          <path d="M 20 0 L 0 0 0 20" fill="none" stroke="#e2e8f0" strokeWidth="1" />
+        </pattern>
+      </defs>
+      <rect
+        width={WIDTH}
+        height={HEIGHT}
+        fill="url(#relay-map-grid)"
+        onClick={handleBackgroundClick}
+        className={onPickOrigin ? 'cursor-crosshair' : ''}
+      />
+
+      {origin && (() => {
+        const { x, y } = projection.project(origin);
+        return (
+          <g pointerEvents="none">
+            <circle cx={x} cy={y} r="14" fill="#111827" fillOpacity="0.08" />
+            <circle cx={x} cy={y} r="5" fill="#111827" stroke="white" strokeWidth="2" />
+          </g>
+        );
+      })()}
+
+      {ordered.map(({ point, provider, coordinates }) => {
+        const { x, y } = projection.project(coordinates);
+        const isSelected = point === selected;
+        return (
+          <g key={`${provider}-${point.id}`} onClick={() => onSelect(point, provider)} className="cursor-pointer">
+            <title>{`${point.name}${point.commune ? ` — ${point.commune}` : ''}`}</title>
+            {isSelected && <circle cx={x} cy={y} r="13" fill={colors[provider]} fillOpacity="0.2" />}
+            <circle cx={x} cy={y} r={isSelected ? 8 : 6} fill={colors[provider]} stroke="white" strokeWidth="2" />
+          </g>
+        );
+      })}
+
+      {/* Scale */}
+      <g pointerEvents="none" transform={`translate(12 ${HEIGHT - 14})`}>
+        <path d={`M 0 -4 V 0 H ${SCALE_BAR_WIDTH} V -4`} fill="none" stroke="#64748b" strokeWidth="1.5" />
+        <text x={SCALE_BAR_WIDTH + 6} y="2" fontSize="10" fill="#64748b">{formatDistance(scaleDistance)}</text>
+      </g>
+    </svg>
+  );
+};
+
+export default RelayPointMap;
@@ -0,0 +1,266 @@
+import { useState, useEffect, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X } from 'lucide-react';
+import CustomSelect from '../common/CustomSelect';
+import useScrollLock from '../../hooks/useScrollLock';
+import { formatCurrency } from '../../utils/format';
+import { getOrderTotals } from '../../utils/orderDocuments';
+import {
+  RETURN_REASONS,
+  RETURN_REASON_OPTIONS,
+  getReturnableLines,
+  getSuggestedRefund,
+  getTotalRefunded,
+  getEmptyReturnForm,
+  validateReturnForm,
+  buildReturnPayload,
+} from '../../utils/orderReturns';
+
+/**
+ * ReturnFormModal component
+ * Record a return: returned quantities, reason, restock and refunded amount
+ * Opens over the order details modal
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Close the modal
+ * @param {Function} onSubmit - Called with the return payload (async)
+ * @param {Object} order - Order (with its items)
+ * @param {Array} returns - Returns already recorded for the order
+ */
+const ReturnFormModal = ({ isOpen, onClose, onSubmit, order, returns = [] }) => {
+  const [formData, setFormData] = useState(() => getEmptyReturnForm(order));
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useScrollLock(isOpen);
+
+  const lines = useMemo(() => getReturnableLines(order, returns), [order, returns]);
+  const maxRefund = Math.max(0, getOrderTotals(order).total - getTotalRefunded(returns));
+
+  // Reset the form when the modal opens
+  useEffect(() => {
+    setFormData(getEmptyReturnForm(order));
+    setErrors({});
+    setIsSubmitting(false);
+  }, [order, isOpen]);
+
+  // The refund follows the returned items until the operator types an amount
+  const refundAmount = formData.refundOverridden
+    ? formData.refundAmount
+    : String(Math.min(maxRefund, getSuggestedRefund(lines, formData.quantities, formData.reason)));
+
+  const updateField = (name, value) => {
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: '' }));
+  };
+
+  const updateQuantity = (key, value) => {
+    setFormData((prev) => ({ ...prev, quantities: { ...prev.quantities, [key]: value } }));
+    setErrors((prev) => ({ ...prev, items: '' }));
+  };
+
+  const handleReturnAll = () => {
+    setFormData((prev) => ({
+      ...prev,
+      quantities: Object.fromEntries(lines.map((line) => [line.key, String(line.remaining)])),
+    }));
+    setErrors((prev) => ({ ...prev, items: '' }));
+  };
+
+  // Each reason comes with its usual restock choice, which the operator can still change
+  const handleReasonChange = (reason) => {
+    setFormData((prev) => ({ ...prev, reason, restock: RETURN_REASONS[reason]?.restock ?? prev.restock }));
+    setErrors((prev) => ({ ...prev, reason: '', comment: '', refundAmount: '' }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const values = { ...formData, refundAmount };
+    const newErrors = validateReturnForm(values, lines, maxRefund);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit(buildReturnPayload(values, lines));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClassName = (error) => `w-full px-3 py-2 text-sm border rounded-lg focus:outline-none focus:ring-2 focus:border-transparent ${
+    error ? 'border-red-300 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'
+  }`;
+
+  const modalContent = (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black/60 z-[60]"
+          />
+
+          {/* Modal */}
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed inset-0 z-[60] flex items-center justify-center p-2 sm:p-4 pointer-events-none"
+          >
+            <div className="bg-white rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-2xl max-h-[95vh] sm:max-h-[90vh] overflow-hidden pointer-events-auto flex flex-col">
+              {/* Header */}
+              <div className="bg-gradient-to-r from-blue-600 to-purple-600 p-4 sm:p-6 text-white flex-shrink-0">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex-1 min-w-0">
+                    <h2 className="text-xl sm:text-2xl font-bold truncate">Enregistrer un retour</h2>
+                    <p className="text-blue-100 mt-1 font-medium text-sm sm:text-base truncate">
+                      Commande #{order.id} — {order.fullName || order.customer}
+                    </p>
+                  </div>
+                  <button
+                    onClick={onClose}
+                    className="p-2 rounded-lg hover:bg-white/20 transition-colors duration-200 flex-shrink-0"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
+              </div>
+
+              {/* Form */}
+              <form onSubmit={handleSubmit} className="overflow-y-auto flex-1 p-4 sm:p-6 space-y-5">
+                {/* Returned items */}
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-sm font-semibold text-gray-700">Articles retournés</span>
+                    <button
+                      type="button"
+                      onClick={handleReturnAll}
+                      className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                    >
+                      Tout retourner
+                    </button>
+                  </div>
+                  <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                    {lines.map((line) => (
+                      <div key={line.key} className="flex items-center gap-3 p-3">
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-medium text-gray-900 truncate">{line.title}</p>
+                          <p className="text-xs text-gray-500">
+                            {formatCurrency(line.unitPrice)} · commandé {line.ordered}
+                            {line.returned > 0 && ` · déjà retourné ${line.returned}`}
+                          </p>
+                        </div>
+                        <input
+                          type="number"
+                          min="0"
+                          max={line.remaining}
+                          placeholder="0"
+                          value={formData.quantities[line.key] ?? ''}
+                          onChange={(e) => updateQuantity(line.key, e.target.value)}
+                          disabled={line.remaining === 0}
+                          className={`${inputClassName(errors.items)} !w-20 text-right disabled:bg-gray-100`}
+                        />
+                        <span className="w-10 text-xs text-gray-500">/ {line.remaining}</span>
+                      </div>
+                    ))}
+                  </div>
+                  {errors.items && <p className="mt-1 text-sm text-red-600">{errors.items}</p>}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Motif du retour</label>
+                  <CustomSelect
+                    value={formData.reason}
+                    onChange={handleReasonChange}
+                    options={RETURN_REASON_OPTIONS}
+                    placeholder="Sélectionner un motif"
+                  />
+                  {errors.reason && <p className="mt-1 text-sm text-red-600">{errors.reason}</p>}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Commentaire{formData.reason !== 'OTHER' && ' (optionnel)'}
+                  </label>
+                  <textarea
+                    rows={2}
+                    value={formData.comment}
+                    onChange={(e) => updateField('comment', e.target.value)}
+                    className={inputClassName(errors.comment)}
+                  />
+                  {errors.comment && <p className="mt-1 text-sm text-red-600">{errors.comment}</p>}
+                </div>
+
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={formData.restock}
+                    onChange={(e) => updateField('restock', e.target.checked)}
+                    className="mt-0.5 w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  <span>
+                    <span className="block text-sm font-semibold text-gray-700">Remettre les articles en stock</span>
+                    <span className="block text-xs text-gray-500">
+                      Décochez pour les articles abîmés qui ne seront pas revendus
+                    </span>
+                  </span>
+                </label>
+
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Montant remboursé (DA)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={refundAmount}
+                    onChange={(e) => setFormData((prev) => ({ ...prev, refundAmount: e.target.value, refundOverridden: true }))}
+                    className={inputClassName(errors.refundAmount)}
+                  />
+                  {errors.refundAmount ? (
+                    <p className="mt-1 text-sm text-red-600">{errors.refundAmount}</p>
+                  ) : (
+                    <p className="mt-1 text-xs text-gray-500">
+                      {RETURN_REASONS[formData.reason]?.collected === false
+                        ? 'Colis non payé : aucun remboursement par défaut'
+                        : `Valeur des articles retournés, au plus ${formatCurrency(maxRefund)}`}
+                    </p>
+                  )}
+                </div>
+              </form>
+
+              {/* Footer */}
+              <div className="border-t border-gray-200 p-4 sm:p-6 flex flex-col sm:flex-row justify-end gap-3 bg-gray-50 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="w-full sm:w-auto px-6 py-2.5 text-sm border-2 border-gray-300 rounded-lg hover:bg-gray-100 transition-all duration-200 font-medium"
+                >
+                  Annuler
+                </button>
+                <button
+                  type="submit"
+                  onClick={handleSubmit}
+                  disabled={isSubmitting}
+                  className="w-full sm:w-auto px-6 py-2.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                >
+                  {isSubmitting ? 'Enregistrement...' : 'Enregistrer le retour'}
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+
+  return createPortal(modalContent, document.body);
+};
+
+export default ReturnFormModal;
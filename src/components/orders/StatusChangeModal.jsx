@@ -1,32 +1,53 @@
 import { useState } from 'react';
 import { X } from 'lucide-react';
 import { motion } from 'framer-motion';
+import StatusTransitionFields from './StatusTransitionFields';
+import {
+  getStatusOptions,
+  getRequiredInputs,
+  validateTransitionInputs,
+  normalizeStatus,
+  ORDER_STATUS_LABELS,
+} from '../../utils/orderWorkflow';
 
-const statusOptions = [
-  { value: 'pending', label: 'En attente', color: 'bg-yellow-100 text-yellow-800' },
-  { value: 'confirmed', label: 'Confirmé', color: 'bg-blue-100 text-blue-800' },
-  { value: 'shipped', label: 'Expédié', color: 'bg-purple-100 text-purple-800' },
-  { value: 'delivered', label: 'Livré', color: 'bg-green-100 text-green-800' },
-  { value: 'cancelled', label: 'Annulé', color: 'bg-red-100 text-red-800' }
-];
+const statusColors = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  confirmed: 'bg-blue-100 text-blue-800',
+  shipped: 'bg-purple-100 text-purple-800',
+  delivered: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800',
+  return_requested: 'bg-orange-100 text-orange-800',
+  returned: 'bg-slate-200 text-slate-800',
+  refused: 'bg-pink-100 text-pink-800',
+};
 
-const StatusChangeModal = ({ isOpen, onClose, order, onUpdateStatus }) => {
+/**
+ * StatusChangeModal component
+ * Offers only the transitions allowed by the order workflow
+ * @param {string} initialStatus - Preselected target status (opens directly on its required inputs)
+ */
+const StatusChangeModal = ({ isOpen, onClose, order, onUpdateStatus, initialStatus = null }) => {
   const [isUpdating, setIsUpdating] = useState(false);
   const [error, setError] = useState(null);
+  const [pendingStatus, setPendingStatus] = useState(initialStatus);
+  const [inputValues, setInputValues] = useState({});
+  const [inputErrors, setInputErrors] = useState({});
 
   if (!isOpen) return null;
 
-  const handleStatusChange = async (newStatus) => {
-    if (newStatus === order.status) {
-      onClose();
-      return;
-    }
+  const currentStatus = order.status;
+  const statusOptions = getStatusOptions(order).map((option) => ({
+    ...option,
+    color: statusColors[option.value],
+  }));
+  const requiredInputs = pendingStatus ? getRequiredInputs(order, pendingStatus) : [];
 
+  const submitStatus = async (newStatus, values = {}) => {
     setIsUpdating(true);
     setError(null);
 
     try {
-      await onUpdateStatus(order.id, newStatus);
+      await onUpdateStatus(order.id, newStatus, values);
       onClose();
     } catch (err) {
       setError('Échec de la mise à jour du statut');
@@ -34,6 +55,36 @@ const StatusChangeModal = ({ isOpen, onClose, order, onUpdateStatus }) => {
     }
   };
 
+  const handleStatusChange = async (newStatus) => {
+    if (newStatus === currentStatus) {
+      onClose();
+      return;
+    }
+
+    // Ask for the required inputs before changing the status
+    if (getRequiredInputs(order, newStatus).length > 0) {
+      setPendingStatus(newStatus);
+      setInputErrors({});
+      return;
+    }
+
+    await submitStatus(newStatus);
+  };
+
+  const handleInputChange = (name, value) => {
+    setInputValues((prev) => ({ ...prev, [name]: value }));
+    setInputErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleConfirmPending = async () => {
+    const errors = validateTransitionInputs(order, pendingStatus, inputValues);
+    if (Object.keys(errors).length > 0) {
+      setInputErrors(errors);
+      return;
+    }
+    await submitStatus(pendingStatus, inputValues);
+  };
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50" onClick={onClose}>
       <motion.div
@@ -63,29 +114,71 @@ const StatusChangeModal = ({ isOpen, onClose, order, onUpdateStatus }) => {
             </div>
           )}
 
-          <div className="space-y-2">
-            {statusOptions.map((status) => (
-              <button
-                key={status.value}
-                onClick={() => handleStatusChange(status.value)}
+          {requiredInputs.length > 0 ? (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-700">
+                Passage au statut{' '}
+                <span className={`inline-flex px-3 py-1 rounded-full text-xs font-medium ${statusColors[pendingStatus]}`}>
+                  {ORDER_STATUS_LABELS[normalizeStatus(pendingStatus)]}
+                </span>
+              </p>
+
+              <StatusTransitionFields
+                inputs={requiredInputs}
+                values={inputValues}
+                onChange={handleInputChange}
+                errors={inputErrors}
                 disabled={isUpdating}
-                className={`w-full text-left px-4 py-3 rounded-lg border-2 transition-all ${
-                  order.status === status.value
-                    ? 'border-blue-500 bg-blue-50'
-                    : 'border-gray-200 hover:border-gray-300 hover:bg-gray-50'
-                } disabled:opacity-50 disabled:cursor-not-allowed`}
-              >
-                <div className="flex items-center justify-between">
-                  <span className={`inline-flex px-3 py-1 rounded-full text-xs font-medium ${status.color}`}>
-                    {status.label}
-                  </span>
-                  {order.status === status.value && (
-                    <span className="text-xs text-blue-600 font-medium">Actuel</span>
-                  )}
-                </div>
-              </button>
-            ))}
-          </div>
+              />
+
+              <div className="flex justify-end gap-2">
+                <button
+                  onClick={() => setPendingStatus(null)}
+                  disabled={isUpdating}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                >
+                  Retour
+                </button>
+                <button
+                  onClick={handleConfirmPending}
+                  disabled={isUpdating}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Confirmer
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {statusOptions.map((status) => (
+                <button
+                  key={status.value}
+                  onClick={() => handleStatusChange(status.value)}
+                  disabled={isUpdating}
+                  className={`w-full text-left px-4 py-3 rounded-lg border-2 transition-all ${
+                    currentStatus === status.value
+                      ? 'border-blue-500 bg-blue-50'
+                      : 'border-gray-200 hover:border-gray-300 hover:bg-gray-50'
+                  } disabled:opacity-50 disabled:cursor-not-allowed`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className={`inline-flex px-3 py-1 rounded-full text-xs font-medium ${status.color}`}>
+                      {status.label}
+                    </span>
+                    {currentStatus === status.value && (
+                      <span className="text-xs text-blue-600 font-medium">Actuel</span>
+                    )}
+                  </div>
+                </button>
+              ))}
+
+              {statusOptions.length === 1 && (
+                <p className="text-xs text-gray-500 text-center pt-2">
+                  Aucun changement de statut possible pour cette commande
+                </p>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Loading Overlay */}
@@ -0,0 +1,54 @@
+/**
+ * StatusTransitionFields component
+ * Renders the inputs a status transition requires (see utils/orderWorkflow)
+ * @param {Array<Object>} inputs - Input definitions from getRequiredInputs
+ * @param {Object} values - Current values keyed by input name
+ * @param {Function} onChange - Called with (name, value)
+ * @param {Object} errors - Validation errors keyed by input name
+ * @param {boolean} disabled - Disable the inputs
+ */
+const StatusTransitionFields = ({ inputs, values, onChange, errors = {}, disabled = false }) => {
+  if (!inputs || inputs.length === 0) return null;
+
+  return (
+    <div className="space-y-3">
+      {inputs.map((input) => {
+        const inputClassName = `w-full px-3 py-2 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+          errors[input.name] ? 'border-red-300' : 'border-gray-300'
+        }`;
+
+        return (
+          <div key={input.name}>
+            <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">
+              {input.label} <span className="text-red-500">*</span>
+            </label>
+            {input.type === 'textarea' ? (
+              <textarea
+                value={values[input.name] || ''}
+                onChange={(e) => onChange(input.name, e.target.value)}
+                placeholder={input.placeholder}
+                disabled={disabled}
+                rows={3}
+                className={`${inputClassName} resize-none`}
+              />
+            ) : (
+              <input
+                type="text"
+                value={values[input.name] || ''}
+                onChange={(e) => onChange(input.name, e.target.value)}
+                placeholder={input.placeholder}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            )}
+            {errors[input.name] && (
+              <p className="mt-1 text-xs text-red-600">{errors[input.name]}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StatusTransitionFields;
@@ -0,0 +1,137 @@
+import { formatCurrency } from '../../utils/format';
+import { ORDER_STATUS_LABELS, normalizeStatus } from '../../utils/orderWorkflow';
+import { RECONCILIATION_STATUS, RECONCILIATION_LABELS, SETTLEABLE_STATUSES } from '../../utils/codReconciliation';
+
+const statusColors = {
+  [RECONCILIATION_STATUS.PAID]: 'bg-emerald-100 text-emerald-700',
+  [RECONCILIATION_STATUS.SHORT_PAID]: 'bg-red-100 text-red-700',
+  [RECONCILIATION_STATUS.OVERPAID]: 'bg-amber-100 text-amber-700',
+  [RECONCILIATION_STATUS.ALREADY_SETTLED]: 'bg-gray-100 text-gray-700',
+  [RECONCILIATION_STATUS.DUPLICATE]: 'bg-purple-100 text-purple-700',
+  [RECONCILIATION_STATUS.UNKNOWN]: 'bg-orange-100 text-orange-700',
+  [RECONCILIATION_STATUS.INVALID]: 'bg-red-100 text-red-700',
+};
+
+/**
+ * ReconciliationTable component
+ * Lines of a carrier payout statement with the order each one matched and the amount difference
+ * @param {Array} lines - Reconciled lines (see reconcileStatement)
+ * @param {Array<number>} selectedRows - Statement row numbers selected for settlement
+ * @param {Function} onSelectionChange - Called with the new selected row numbers (checkboxes hidden when null)
+ * @param {Function} onViewOrder - Called with an order to open it (plain text when null)
+ */
+const ReconciliationTable = ({ lines, selectedRows = [], onSelectionChange = null, onViewOrder = null }) => {
+  const settleableRows = lines.filter((line) => SETTLEABLE_STATUSES.includes(line.status)).map((line) => line.row);
+  const allSelected = settleableRows.length > 0 && settleableRows.every((row) => selectedRows.includes(row));
+
+  const handleToggle = (row) => {
+    onSelectionChange(selectedRows.includes(row) ? selectedRows.filter((selected) => selected !== row) : [...selectedRows, row]);
+  };
+
+  const handleToggleAll = () => {
+    onSelectionChange(allSelected
+      ? selectedRows.filter((row) => !settleableRows.includes(row))
+      : [...new Set([...selectedRows, ...settleableRows])]);
+  };
+
+  if (lines.length === 0) {
+    return <p className="py-12 text-center text-sm text-gray-500">Aucune ligne</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full">
+        <thead className="bg-gray-50">
+          <tr>
+            {onSelectionChange && (
+              <th className="pl-6 py-3 w-10">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={handleToggleAll}
+                  disabled={settleableRows.length === 0}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  title="Sélectionner les lignes à régler"
+                />
+              </th>
+            )}
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ligne</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Colis</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Commande</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Attendu</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Encaissé</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Frais</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Écart</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Statut</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {lines.map((line) => {
+            const settleable = SETTLEABLE_STATUSES.includes(line.status);
+            // A paid parcel was delivered even if the order was not updated yet
+            const notDelivered = line.order && normalizeStatus(line.order.status) !== 'DELIVERED';
+            return (
+              <tr key={line.row} className="hover:bg-gray-50">
+                {onSelectionChange && (
+                  <td className="pl-6 py-4">
+                    {settleable && (
+                      <input
+                        type="checkbox"
+                        checked={selectedRows.includes(line.row)}
+                        onChange={() => handleToggle(line.row)}
+                        className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                      />
+                    )}
+                  </td>
+                )}
+                <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">{line.row}</td>
+                <td className="px-6 py-4 text-sm whitespace-nowrap">
+                  <p className="font-medium text-gray-900">{line.trackingNumber || '—'}</p>
+                  {line.reference && <p className="text-xs text-gray-500">Réf. {line.reference}</p>}
+                </td>
+                <td className="px-6 py-4 text-sm whitespace-nowrap">
+                  {line.order ? (
+                    <>
+                      {onViewOrder ? (
+                        <button onClick={() => onViewOrder(line.order)} className="font-medium text-blue-600 hover:text-blue-800">
+                          {line.order.uniqueId || `#${line.order.id}`}
+                        </button>
+                      ) : (
+                        <p className="font-medium text-gray-900">{line.order.uniqueId || `#${line.order.id}`}</p>
+                      )}
+                      <p className="text-xs text-gray-500">{line.order.fullName}</p>
+                      {notDelivered && (
+                        <p className="text-xs text-amber-700">Statut : {ORDER_STATUS_LABELS[normalizeStatus(line.order.status)]}</p>
+                      )}
+                    </>
+                  ) : (
+                    <span className="text-gray-400">—</span>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-sm text-right text-gray-700 whitespace-nowrap">
+                  {line.expected === null ? '—' : formatCurrency(line.expected)}
+                </td>
+                <td className="px-6 py-4 text-sm text-right font-medium text-gray-900 whitespace-nowrap">
+                  {Number.isNaN(line.amount) ? '—' : formatCurrency(line.amount)}
+                </td>
+                <td className="px-6 py-4 text-sm text-right text-gray-700 whitespace-nowrap">{formatCurrency(line.fees)}</td>
+                <td className={`px-6 py-4 text-sm text-right font-semibold whitespace-nowrap ${
+                  line.difference < 0 ? 'text-red-600' : line.difference > 0 ? 'text-amber-600' : 'text-gray-400'
+                }`}>
+                  {line.difference ? `${line.difference > 0 ? '+' : ''}${formatCurrency(line.difference)}` : '—'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${statusColors[line.status]}`}>
+                    {RECONCILIATION_LABELS[line.status]}
+                  </span>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ReconciliationTable;
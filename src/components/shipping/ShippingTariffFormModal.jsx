@@ -0,0 +1,262 @@
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Plus, Trash2, X } from 'lucide-react';
+import CustomSelect from '../common/CustomSelect';
+import useScrollLock from '../../hooks/useScrollLock';
+import { WILAYA_OPTIONS, SHIPPING_PROVIDER_OPTIONS, SHIPPING_METHOD_OPTIONS } from '../../utils/orderForm';
+import { EMPTY_TARIFF, validateTariff, buildTariffPayload } from '../../utils/shippingTariffs';
+
+const WILAYA_SELECT_OPTIONS = [{ value: '', label: 'Toutes les wilayas (tarif par défaut)' }, ...WILAYA_OPTIONS];
+
+// Tariff from the API to form values (numbers as strings for the inputs)
+const toFormValues = (tariff) => ({
+  id: tariff.id,
+  provider: tariff.provider,
+  shippingMethod: tariff.shippingMethod,
+  wilaya: tariff.wilaya || '',
+  tiers: tariff.tiers.map((tier) => ({
+    maxQuantity: tier.maxQuantity === null ? '' : String(tier.maxQuantity),
+    price: String(tier.price),
+  })),
+});
+
+/**
+ * ShippingTariffFormModal component
+ * Create or edit a tariff: provider, method, wilaya and quantity tiers
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Close the modal
+ * @param {Function} onSubmit - Called with the tariff payload (async)
+ * @param {Object} tariff - Tariff to edit, null to create one
+ * @param {Array} tariffs - Existing tariffs, to reject duplicates
+ */
+const ShippingTariffFormModal = ({ isOpen, onClose, onSubmit, tariff = null, tariffs = [] }) => {
+  const [formData, setFormData] = useState(EMPTY_TARIFF);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useScrollLock(isOpen);
+
+  // Reset the form when the modal opens or the edited tariff changes
+  useEffect(() => {
+    setFormData(tariff ? toFormValues(tariff) : EMPTY_TARIFF);
+    setErrors({});
+    setIsSubmitting(false);
+  }, [tariff, isOpen]);
+
+  const updateField = (name, value) => {
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: '' }));
+  };
+
+  const updateTier = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)),
+    }));
+    setErrors((prev) => ({ ...prev, [`tier_${index}_${field}`]: '' }));
+  };
+
+  // New tiers are inserted before the open-ended last tier
+  const handleAddTier = () => {
+    setFormData((prev) => ({
+      ...prev,
+      tiers: [...prev.tiers.slice(0, -1), { maxQuantity: '', price: '' }, prev.tiers[prev.tiers.length - 1]],
+    }));
+  };
+
+  const handleRemoveTier = (index) => {
+    setFormData((prev) => ({ ...prev, tiers: prev.tiers.filter((_, i) => i !== index) }));
+    setErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = validateTariff(formData, tariffs);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit(buildTariffPayload(formData));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClassName = (error) => `w-full px-3 py-2 text-sm border rounded-lg focus:outline-none focus:ring-2 focus:border-transparent ${
+    error ? 'border-red-300 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'
+  }`;
+
+  const modalContent = (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black/60 z-50"
+          />
+
+          {/* Modal */}
+          <motion.div
+            initial={{ opacity: 0, scale: 0.9, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.9, y: 20 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed inset-0 z-50 flex items-center justify-center p-2 sm:p-4 pointer-events-none"
+          >
+            <div className="bg-white rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-xl max-h-[95vh] sm:max-h-[90vh] overflow-hidden pointer-events-auto flex flex-col">
+              {/* Header */}
+              <div className="bg-gradient-to-r from-blue-600 to-purple-600 p-4 sm:p-6 text-white flex-shrink-0">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex-1 min-w-0">
+                    <h2 className="text-xl sm:text-2xl font-bold truncate">
+                      {tariff ? 'Modifier le tarif' : 'Ajouter un tarif'}
+                    </h2>
+                    <p className="text-blue-100 mt-1 font-medium text-sm sm:text-base">
+                      Prix par nombre d&apos;articles dans la commande
+                    </p>
+                  </div>
+                  <button
+                    onClick={onClose}
+                    className="p-2 rounded-lg hover:bg-white/20 transition-colors duration-200 flex-shrink-0"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
+              </div>
+
+              {/* Form */}
+              <form onSubmit={handleSubmit} className="overflow-y-auto flex-1 p-4 sm:p-6 space-y-5">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Transporteur</label>
+                    <CustomSelect
+                      value={formData.provider}
+                      onChange={(value) => updateField('provider', value)}
+                      options={SHIPPING_PROVIDER_OPTIONS}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Méthode de livraison</label>
+                    <CustomSelect
+                      value={formData.shippingMethod}
+                      onChange={(value) => updateField('shippingMethod', value)}
+                      options={SHIPPING_METHOD_OPTIONS}
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Wilaya</label>
+                  <CustomSelect
+                    value={formData.wilaya}
+                    onChange={(value) => updateField('wilaya', value)}
+                    options={WILAYA_SELECT_OPTIONS}
+                    placeholder="Toutes les wilayas (tarif par défaut)"
+                    searchable
+                  />
+                  {errors.wilaya && <p className="mt-1 text-sm text-red-600">{errors.wilaya}</p>}
+                </div>
+
+                {/* Tiers */}
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-sm font-semibold text-gray-700">Paliers</span>
+                    <button
+                      type="button"
+                      onClick={handleAddTier}
+                      className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Ajouter un palier
+                    </button>
+                  </div>
+                  <div className="space-y-2">
+                    {formData.tiers.map((tier, index) => {
+                      const isLast = index === formData.tiers.length - 1;
+                      const from = index === 0 ? 1 : (parseInt(formData.tiers[index - 1].maxQuantity) || 0) + 1;
+                      return (
+                        <div key={index} className="flex items-start gap-2">
+                          <span className="w-12 pt-2 text-sm text-gray-500 flex-shrink-0">Dès {from}</span>
+                          <div className="flex-1">
+                            {isLast ? (
+                              <p className="px-3 py-2 text-sm text-gray-500 bg-gray-50 border border-gray-200 rounded-lg">et plus</p>
+                            ) : (
+                              <input
+                                type="number"
+                                min="1"
+                                placeholder="Jusqu'à (articles)"
+                                value={tier.maxQuantity}
+                                onChange={(e) => updateTier(index, 'maxQuantity', e.target.value)}
+                                className={inputClassName(errors[`tier_${index}_maxQuantity`])}
+                              />
+                            )}
+                            {errors[`tier_${index}_maxQuantity`] && (
+                              <p className="mt-1 text-xs text-red-600">{errors[`tier_${index}_maxQuantity`]}</p>
+                            )}
+                          </div>
+                          <div className="flex-1">
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              placeholder="Prix (DZD)"
+                              value={tier.price}
+                              onChange={(e) => updateTier(index, 'price', e.target.value)}
+                              className={inputClassName(errors[`tier_${index}_price`])}
+                            />
+                            {errors[`tier_${index}_price`] && (
+                              <p className="mt-1 text-xs text-red-600">{errors[`tier_${index}_price`]}</p>
+                            )}
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveTier(index)}
+                            disabled={formData.tiers.length === 1}
+                            className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-30 disabled:hover:text-gray-400"
+                            title="Supprimer le palier"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              </form>
+
+              {/* Footer */}
+              <div className="border-t border-gray-200 p-4 sm:p-6 flex flex-col sm:flex-row justify-end gap-3 bg-gray-50 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="w-full sm:w-auto px-6 py-2.5 text-sm border-2 border-gray-300 rounded-lg hover:bg-gray-100 transition-all duration-200 font-medium"
+                >
+                  Annuler
+                </button>
+                <button
+                  type="submit"
+                  onClick={handleSubmit}
+                  disabled={isSubmitting}
+                  className="w-full sm:w-auto px-6 py-2.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+                >
+                  {isSubmitting ? 'Enregistrement...' : 'Enregistrer'}
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+
+  return createPortal(modalContent, document.body);
+};
+
+export default ShippingTariffFormModal;
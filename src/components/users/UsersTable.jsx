@@ -1,6 +1,7 @@
 import { motion } from 'framer-motion';
 import { Eye, Search } from 'lucide-react';
 import { formatDate } from '../../utils/format';
+import { formatPhone } from '../../utils/phone';
 import CustomSelect from '../common/CustomSelect';
 import Pagination from '../common/Pagination';
 
@@ -46,7 +47,7 @@ const UsersTable = ({
             <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
             <input
               type="text"
-              placeholder="Rechercher des utilisateurs..."
+              placeholder="Nom, email ou téléphone..."
               value={searchQuery}
               onChange={(e) => onSearchChange(e.target.value)}
               className="w-full pl-10 pr-4 py-2.5 bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -97,6 +98,9 @@ const UsersTable = ({
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Email
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Téléphone
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Inscrit
                 </th>
@@ -124,13 +128,18 @@ const UsersTable = ({
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                       {user.email || 'N/A'}
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                      {formatPhone(user.phone) || 'N/A'}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                       {formatDate(user.createdDate)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <button
                         onClick={() => onToggleActive(user.id)}
-                        className="relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                        disabled={!onToggleActive}
+                        title={onToggleActive ? undefined : 'Action réservée aux administrateurs'}
+                        className="relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-60 disabled:cursor-not-allowed"
                         style={{ backgroundColor: user.activated ? '#22c55e' : '#d1d5db' }}
                       >
                         <span
@@ -172,6 +181,7 @@ const UsersTable = ({
                 <div>
                   <h3 className="font-medium text-gray-900">{fullName}</h3>
                   <p className="text-sm text-gray-600 mt-1">{user.email || 'N/A'}</p>
+                  {user.phone && <p className="text-sm text-gray-600">{formatPhone(user.phone)}</p>}
                 </div>
 
                 <div className="flex items-center justify-between pt-2 border-t border-gray-200">
@@ -183,7 +193,9 @@ const UsersTable = ({
                     <span className="text-xs text-gray-500">Statut :</span>
                     <button
                       onClick={() => onToggleActive(user.id)}
-                      className="relative inline-flex h-6 w-11 items-center rounded-full transition-colors"
+                      disabled={!onToggleActive}
+                      title={onToggleActive ? undefined : 'Action réservée aux administrateurs'}
+                      className="relative inline-flex h-6 w-11 items-center rounded-full transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
                       style={{ backgroundColor: user.activated ? '#22c55e' : '#d1d5db' }}
                     >
                       <span
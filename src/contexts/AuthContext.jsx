@@ -1,5 +1,35 @@
-import { createContext, useContext, useState, useEffect } from 'react';
-import { login as apiLogin, checkAuth, getCurrentUser, logout as apiLogout } from '../services/authApi';
+import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  login as apiLogin,
+  loginWithRedirect as apiLoginWithRedirect,
+  handleLoginCallback,
+  checkAuth,
+  getCurrentUser,
+  logout as apiLogout,
+  AUTH_MODE,
+} from '../services/authApi';
+import {
+  clearTokens,
+  getAccessTokenExpiry,
+  getSessionExpiry,
+  refreshAccessToken,
+  TOKENS_CHANGED_EVENT,
+} from '../services/tokenService';
+import { getUserRoles, getUserPermissions } from '../utils/permissions';
+import useIdleTimer, { getLastActivity } from '../hooks/useIdleTimer';
+import SessionExpiryModal from '../components/common/SessionExpiryModal';
+
+// Show the expiry warning this long before the session (refresh token) expires
+const SESSION_WARNING_MS = (Number(import.meta.env.VITE_SESSION_WARNING_SECONDS) || 120) * 1000;
+
+// Renew the access token this long before it expires, if the user was active meanwhile
+const TOKEN_REFRESH_MARGIN_MS = 30 * 1000;
+
+// Activity within this period keeps the access token renewed in the background
+const ACTIVE_PERIOD_MS = 5 * 60 * 1000;
+
+// Log out after this long without activity (shared shop-floor PCs); 0 disables it
+const IDLE_TIMEOUT_MS = Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES ?? 30) * 60 * 1000;
 
 const AuthContext = createContext(null);
 
@@ -11,11 +41,15 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(() => getSessionExpiry());
+  const [accessExpiresAt, setAccessExpiresAt] = useState(() => getAccessTokenExpiry());
+  const [showExpiryWarning, setShowExpiryWarning] = useState(false);
+  const [isExtendingSession, setIsExtendingSession] = useState(false);
 
   /**
    * Check authentication status and fetch user profile
    */
-  const checkAuthStatus = async () => {
+  const checkAuthStatus = useCallback(async () => {
     try {
       const authenticated = await checkAuth();
 
@@ -34,7 +68,7 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setIsLoading(false);
     }
-  };
+  }, []);
 
   /**
    * Login with username and password
@@ -60,10 +94,40 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Start the Keycloak redirect login (Authorization Code + PKCE)
+   */
+  const loginWithRedirect = async () => {
+    await apiLoginWithRedirect();
+  };
+
+  /**
+   * Finish the redirect login on the callback route
+   * @param {URLSearchParams} searchParams - Query parameters of the callback URL
+   */
+  const completeLogin = async (searchParams) => {
+    try {
+      // Exchange the authorization code for tokens
+      await handleLoginCallback(searchParams);
+
+      // Fetch user profile after successful login
+      const userData = await getCurrentUser();
+      setUser(userData);
+      setIsAuthenticated(true);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Login callback error:', error);
+      setUser(null);
+      setIsAuthenticated(false);
+      throw error;
+    }
+  };
+
   /**
    * Logout user and redirect to Keycloak logout
    */
-  const logout = async () => {
+  const logout = useCallback(async () => {
     try {
       await apiLogout();
       // apiLogout handles the redirect to Keycloak logout URL
@@ -73,6 +137,22 @@ export const AuthProvider = ({ children }) => {
       setUser(null);
       setIsAuthenticated(false);
     }
+  }, []);
+
+  /**
+   * Refresh the access token to keep the session alive ("stay signed in")
+   */
+  const extendSession = async () => {
+    setIsExtendingSession(true);
+    try {
+      // storeTokens fires TOKENS_CHANGED_EVENT, which reschedules the warning
+      await refreshAccessToken();
+    } catch (error) {
+      console.error('Session refresh error:', error);
+      await logout();
+    } finally {
+      setIsExtendingSession(false);
+    }
   };
 
   /**
@@ -81,27 +161,134 @@ export const AuthProvider = ({ children }) => {
   const clearAuth = () => {
     setUser(null);
     setIsAuthenticated(false);
-    localStorage.removeItem('access_token');
-    localStorage.removeItem('refresh_token');
-    localStorage.removeItem('id_token');
+    clearTokens();
   };
 
   // Check authentication status on mount
   useEffect(() => {
     checkAuthStatus();
-  }, []);
+  }, [checkAuthStatus]);
+
+  // Keep the session and access token expiries in sync with the stored tokens, and follow
+  // logins/logouts done in other tabs
+  useEffect(() => {
+    const syncExpiry = () => {
+      setSessionExpiresAt(getSessionExpiry());
+      setAccessExpiresAt(getAccessTokenExpiry());
+    };
+
+    const handleStorage = (event) => {
+      // key is null when localStorage was cleared
+      if (event.key !== 'access_token' && event.key !== null) return;
+
+      syncExpiry();
+      if (!event.newValue) {
+        // Logged out in another tab
+        setUser(null);
+        setIsAuthenticated(false);
+      } else if (!event.oldValue) {
+        // Logged in in another tab
+        checkAuthStatus();
+      }
+    };
+
+    window.addEventListener(TOKENS_CHANGED_EVENT, syncExpiry);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener(TOKENS_CHANGED_EVENT, syncExpiry);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [checkAuthStatus]);
+
+  // Renew the access token shortly before it expires while the user is working, so the
+  // session only ends with the refresh token or after the idle timeout; an idle user's
+  // token is left to expire (the API client still refreshes it on the next 401)
+  useEffect(() => {
+    if (!isAuthenticated || !accessExpiresAt) return;
+
+    const refreshTimer = setTimeout(async () => {
+      const lastActivity = getLastActivity();
+      if (!lastActivity || Date.now() - lastActivity > ACTIVE_PERIOD_MS) return;
+
+      try {
+        // storeTokens fires TOKENS_CHANGED_EVENT, which schedules the next refresh
+        await refreshAccessToken();
+      } catch (error) {
+        // The warning and logout follow the session expiry
+        console.error('Silent token refresh error:', error);
+      }
+    }, Math.max(0, accessExpiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS));
+
+    return () => clearTimeout(refreshTimer);
+  }, [isAuthenticated, accessExpiresAt]);
+
+  // Show the warning shortly before the session expires, log out when it does
+  useEffect(() => {
+    if (!isAuthenticated || !sessionExpiresAt) {
+      setShowExpiryWarning(false);
+      return;
+    }
+
+    const remaining = sessionExpiresAt - Date.now();
+    const warningDelay = remaining - SESSION_WARNING_MS;
+    setShowExpiryWarning(warningDelay <= 0);
+
+    const warningTimer = warningDelay > 0
+      ? setTimeout(() => setShowExpiryWarning(true), warningDelay)
+      : null;
+    const expiryTimer = setTimeout(logout, Math.max(0, remaining));
+
+    return () => {
+      clearTimeout(warningTimer);
+      clearTimeout(expiryTimer);
+    };
+  }, [isAuthenticated, sessionExpiresAt, logout]);
+
+  // Log out automatically after a period of inactivity
+  useIdleTimer({
+    timeout: IDLE_TIMEOUT_MS,
+    onIdle: logout,
+    enabled: isAuthenticated,
+  });
+
+  // Roles and permissions derived from the user's authorities
+  const roles = useMemo(() => getUserRoles(user), [user]);
+  const permissions = useMemo(() => getUserPermissions(user), [user]);
+
+  /**
+   * Check whether the current user has a permission
+   * @param {string} permission - Permission from PERMISSIONS
+   * @returns {boolean} True if granted
+   */
+  const can = useCallback((permission) => permissions.has(permission), [permissions]);
 
   const value = {
     user,
     isAuthenticated,
     isLoading,
+    roles,
+    can,
+    authMode: AUTH_MODE,
     login,
+    loginWithRedirect,
+    completeLogin,
     logout,
     checkAuthStatus,
     clearAuth,
   };
 
-  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+      <SessionExpiryModal
+        isOpen={showExpiryWarning}
+        expiresAt={sessionExpiresAt}
+        onStaySignedIn={extendSession}
+        onLogout={logout}
+        isExtending={isExtendingSession}
+      />
+    </AuthContext.Provider>
+  );
 };
 
 /**
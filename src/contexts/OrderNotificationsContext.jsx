@@ -0,0 +1,182 @@
+import { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from './AuthContext';
+import { useToast } from '../hooks/useToast';
+import ToastContainer from '../components/common/Toast';
+import { subscribeToNewOrders } from '../services/orderEventsApi';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatCurrency } from '../utils/format';
+
+// Notifications kept in the bell
+const MAX_NOTIFICATIONS = 20;
+
+// Sound and desktop notifications are opt-in, per browser
+const SETTINGS_KEY = 'order_notification_settings';
+const DEFAULT_SETTINGS = { sound: false, desktop: false };
+
+const readSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+// Short two-note chime, synthesized so no audio file has to be shipped
+const playChime = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  const context = new AudioContextClass();
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  const start = context.currentTime;
+
+  oscillator.type = 'sine';
+  oscillator.frequency.setValueAtTime(880, start);
+  oscillator.frequency.setValueAtTime(1320, start + 0.12);
+  gain.gain.setValueAtTime(0.15, start);
+  gain.gain.exponentialRampToValueAtTime(0.001, start + 0.4);
+  oscillator.connect(gain).connect(context.destination);
+  oscillator.onended = () => context.close();
+  oscillator.start(start);
+  oscillator.stop(start + 0.4);
+};
+
+const describeOrder = (order) => `${order.uniqueId || `#${order.id}`} — ${order.fullName || 'Client'} · ${formatCurrency(order.totalAmount || 0)}`;
+
+const OrderNotificationsContext = createContext(null);
+
+/**
+ * OrderNotificationsProvider component
+ * Listens for new orders while the admin shell is open: toast, bell list, unread count,
+ * optional sound and desktop notification. Pages subscribe to refresh their data.
+ */
+export const OrderNotificationsProvider = ({ children }) => {
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const enabled = can(PERMISSIONS.VIEW_ORDERS);
+
+  const [notifications, setNotifications] = useState([]);
+  const [connectionMode, setConnectionMode] = useState(null);
+  const [settings, setSettings] = useState(readSettings);
+  const { toasts, removeToast, showToast } = useToast();
+
+  // Read from the event handler without resubscribing to the stream
+  const settingsRef = useRef(settings);
+  const listenersRef = useRef(new Set());
+
+  useEffect(() => {
+    settingsRef.current = settings;
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  const openOrder = useCallback((order) => {
+    navigate(`/admin/orders?q=${encodeURIComponent(order.uniqueId || order.id)}`);
+  }, [navigate]);
+
+  // navigate changes with the location: keep the stream open across pages
+  const openOrderRef = useRef(openOrder);
+  useEffect(() => {
+    openOrderRef.current = openOrder;
+  }, [openOrder]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleOrder = (order) => {
+      setNotifications((prev) => [{ id: order.id, order, receivedAt: new Date().toISOString(), read: false }, ...prev].slice(0, MAX_NOTIFICATIONS));
+      showToast({ type: 'success', title: 'Nouvelle commande', message: describeOrder(order) });
+
+      if (settingsRef.current.sound) {
+        playChime();
+      }
+
+      // Desktop notifications only matter when the operator is looking at another tab or window
+      if (settingsRef.current.desktop && 'Notification' in window && Notification.permission === 'granted' && document.hidden) {
+        const notification = new Notification('Nouvelle commande', { body: describeOrder(order), tag: `order-${order.id}` });
+        notification.onclick = () => {
+          window.focus();
+          openOrderRef.current(order);
+          notification.close();
+        };
+      }
+
+      listenersRef.current.forEach((listener) => listener(order));
+    };
+
+    return subscribeToNewOrders({ onOrder: handleOrder, onModeChange: setConnectionMode });
+  }, [enabled, showToast]);
+
+  /**
+   * Listen for new orders (pages refreshing their list)
+   * @param {Function} listener - Called with each new order
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    return () => listenersRef.current.delete(listener);
+  }, []);
+
+  const markRead = useCallback((id) => {
+    setNotifications((prev) => prev.map((item) => (item.id === id ? { ...item, read: true } : item)));
+  }, []);
+
+  const markAllRead = useCallback(() => {
+    setNotifications((prev) => (prev.some((item) => !item.read) ? prev.map((item) => ({ ...item, read: true })) : prev));
+  }, []);
+
+  const clearNotifications = useCallback(() => setNotifications([]), []);
+
+  /**
+   * Update the sound / desktop settings; enabling desktop notifications asks for the browser permission
+   * @param {Object} changes - Settings to change ({ sound, desktop })
+   */
+  const updateSettings = useCallback(async (changes) => {
+    if (changes.desktop && 'Notification' in window && Notification.permission !== 'granted') {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        setSettings((prev) => ({ ...prev, ...changes, desktop: false }));
+        return;
+      }
+    }
+    setSettings((prev) => ({ ...prev, ...changes }));
+  }, []);
+
+  const value = {
+    enabled,
+    notifications,
+    unreadCount: notifications.filter((item) => !item.read).length,
+    connectionMode,
+    settings,
+    desktopSupported: 'Notification' in window,
+    desktopBlocked: 'Notification' in window && Notification.permission === 'denied',
+    subscribe,
+    markRead,
+    markAllRead,
+    clearNotifications,
+    updateSettings,
+    openOrder,
+  };
+
+  return (
+    <OrderNotificationsContext.Provider value={value}>
+      {children}
+      <ToastContainer toasts={toasts} onClose={removeToast} />
+    </OrderNotificationsContext.Provider>
+  );
+};
+
+/**
+ * Hook to use the new order notifications
+ * @returns {Object} Notifications context value
+ */
+export const useOrderNotifications = () => {
+  const context = useContext(OrderNotificationsContext);
+  if (!context) {
+    throw new Error('useOrderNotifications must be used within OrderNotificationsProvider');
+  }
+  return context;
+};
+
+export default OrderNotificationsContext;
@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as booksApi from '../services/booksApi';
+import * as authorsApi from '../services/authorsApi';
+import * as categoriesApi from '../services/categoriesApi';
+import * as etiquettesApi from '../services/etiquettesApi';
+
+const ALL = { page: 0, size: 1000 };
+
+const toList = (response) => response?.content || response || [];
+
+/**
+ * Load the whole catalog with its reference data (authors, categories, etiquettes)
+ * Used to match imported rows against existing books and names
+ * @param {boolean} enabled - Fetch only while needed (e.g. while the import wizard is open)
+ * @returns {{books: Array, authors: Array, categories: Array, etiquettes: Array, loading: boolean, error: string|null, reload: Function}}
+ */
+export const useCatalogReferences = (enabled) => {
+  const [references, setReferences] = useState({ books: [], authors: [], categories: [], etiquettes: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let cancelled = false;
+
+    const fetchReferences = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const [books, authors, categories, etiquettes] = await Promise.all([
+          booksApi.getBooks(ALL),
+          authorsApi.getAuthors(ALL),
+          categoriesApi.getCategories(ALL),
+          etiquettesApi.getEtiquettes(ALL),
+        ]);
+        if (cancelled) return;
+        setReferences({
+          books: toList(books),
+          authors: toList(authors),
+          categories: toList(categories),
+          etiquettes: toList(etiquettes),
+        });
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Error fetching catalog references:', err);
+        setError('Impossible de charger le catalogue');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchReferences();
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, reloadKey]);
+
+  const reload = useCallback(() => setReloadKey((key) => key + 1), []);
+
+  return { ...references, loading, error, reload };
+};
+
+export default useCatalogReferences;
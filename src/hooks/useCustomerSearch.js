@@ -0,0 +1,84 @@
+import { useState, useEffect, useRef } from 'react';
+import { useDebounce } from './useDebounce';
+import { useAuth } from '../contexts/AuthContext';
+import { getAllUsers } from '../services/usersApi';
+import { getOrders } from '../services/ordersApi';
+import { mergeCustomers, matchesCustomerQuery } from '../utils/customerLookup';
+import { PERMISSIONS } from '../utils/permissions';
+import { toPhoneSearchTerm } from '../utils/phone';
+
+// Shortest query sent to the backend
+const MIN_QUERY_LENGTH = 3;
+
+// Customers listed for a query
+const MAX_CUSTOMERS = 20;
+
+/**
+ * Search customers by phone, email or name among registered users and past orders
+ * The users endpoint has no search for now: every user is loaded once per form, then the
+ * results are filtered here; users are only searched by operators allowed to list them
+ * @param {string} query - Search text typed by the operator
+ * @returns {{customers: Array, loading: boolean, error: string|null}} Matching customers
+ */
+export const useCustomerSearch = (query) => {
+  const { can } = useAuth();
+  const canSearchUsers = can(PERMISSIONS.VIEW_USERS);
+  const debouncedQuery = useDebounce(query.trim(), 400);
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Every user, loaded on the first search and kept for the next ones
+  const usersRef = useRef(null);
+
+  useEffect(() => {
+    if (debouncedQuery.length < MIN_QUERY_LENGTH) {
+      setCustomers([]);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+
+    const search = async () => {
+      setLoading(true);
+      setError(null);
+
+      const searchTerm = toPhoneSearchTerm(debouncedQuery);
+
+      // Not cancelled with the query: the next search reuses the loaded users
+      if (canSearchUsers && !usersRef.current) {
+        usersRef.current = getAllUsers();
+        usersRef.current.catch(() => {
+          // Retried on the next search
+          usersRef.current = null;
+        });
+      }
+
+      // One source failing still shows the other
+      const [usersResult, ordersResult] = await Promise.allSettled([
+        canSearchUsers ? usersRef.current : Promise.resolve([]),
+        getOrders({ search: searchTerm, size: 20, sort: 'createdAt,desc' }, controller.signal),
+      ]);
+      if (controller.signal.aborted) return;
+
+      const users = usersResult.status === 'fulfilled' ? usersResult.value : [];
+      const orders = ordersResult.status === 'fulfilled' ? ordersResult.value.content || [] : [];
+      if (usersResult.status === 'rejected' && ordersResult.status === 'rejected') {
+        console.error('Error searching customers:', ordersResult.reason);
+        setError('Recherche de clients impossible');
+      }
+
+      setCustomers(mergeCustomers(users, orders)
+        .filter((customer) => matchesCustomerQuery(customer, debouncedQuery))
+        .slice(0, MAX_CUSTOMERS));
+      setLoading(false);
+    };
+
+    search();
+    return () => controller.abort();
+  }, [debouncedQuery, canSearchUsers]);
+
+  return { customers, loading, error };
+};
+
+export default useCustomerSearch;
@@ -0,0 +1,22 @@
+import { useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+/**
+ * Custom hook sending the user to the forbidden page when the main load of a page is refused
+ * The API client returns 403 responses to their caller: background calls (searches, polling,
+ * lookups) handle them in place, only page-level loads use this hook
+ * @returns {Function} Called with the request error, returns true when the user was redirected
+ */
+export const useForbiddenRedirect = () => {
+  const navigate = useNavigate();
+
+  return useCallback((error) => {
+    if (error?.response?.status !== 403) {
+      return false;
+    }
+    navigate('/admin/forbidden', { replace: true });
+    return true;
+  }, [navigate]);
+};
+
+export default useForbiddenRedirect;
@@ -0,0 +1,67 @@
+import { useEffect, useRef } from 'react';
+
+// DOM events that count as user activity
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+// localStorage key shared by all tabs, so activity in one tab keeps the others alive
+const LAST_ACTIVITY_KEY = 'last_activity';
+
+// How often the idle state is checked
+const CHECK_INTERVAL = 15 * 1000;
+
+/**
+ * Get the time of the last user activity in any tab
+ * @returns {number|null} Timestamp in milliseconds, or null if no activity was recorded
+ */
+export const getLastActivity = () => Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || null;
+
+/**
+ * Custom hook that calls onIdle after a period without user activity
+ * Activity is recorded while the hook is enabled, even with the timer disabled (see getLastActivity)
+ * @param {Object} options - Timer options
+ * @param {number} options.timeout - Idle period in milliseconds (0 disables the timer)
+ * @param {Function} options.onIdle - Called once when the idle period has elapsed
+ * @param {boolean} options.enabled - Whether the timer runs (default: true)
+ */
+export const useIdleTimer = ({ timeout, onIdle, enabled = true }) => {
+  // Keep the latest callback without restarting the timer on every render
+  const onIdleRef = useRef(onIdle);
+
+  useEffect(() => {
+    onIdleRef.current = onIdle;
+  }, [onIdle]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let lastWrite = 0;
+
+    const markActivity = () => {
+      const now = Date.now();
+      // mousemove fires constantly: write at most once per second
+      if (now - lastWrite > 1000) {
+        lastWrite = now;
+        localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+      }
+    };
+
+    // Starting the timer counts as activity (ignores a stale value from a previous session)
+    markActivity();
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, markActivity, { passive: true }));
+
+    const interval = timeout ? setInterval(() => {
+      const lastActivity = getLastActivity() || Date.now();
+      if (Date.now() - lastActivity >= timeout) {
+        clearInterval(interval);
+        onIdleRef.current();
+      }
+    }, CHECK_INTERVAL) : null;
+
+    return () => {
+      clearInterval(interval);
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, markActivity));
+    };
+  }, [timeout, enabled]);
+};
+
+export default useIdleTimer;
@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react';
+import * as booksApi from '../services/booksApi';
+import * as packsApi from '../services/packsApi';
+
+/**
+ * Load the books and packs that can be added to an order
+ * @param {boolean} enabled - Fetch only while the order form is open
+ * @returns {{books: Array, packs: Array, loading: boolean}} Catalog for the item selectors
+ */
+export const useOrderCatalog = (enabled) => {
+  const [books, setBooks] = useState([]);
+  const [packs, setPacks] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Fetch books and packs when the form opens
+  useEffect(() => {
+    const fetchBooksAndPacks = async () => {
+      if (!enabled) return;
+
+      setLoading(true);
+
+      try {
+        const [booksResponse, packsResponse] = await Promise.all([
+          booksApi.getBooks({ page: 0, size: 1000 }),
+          packsApi.getPacks({ page: 0, size: 1000 })
+        ]);
+        setBooks(booksResponse.content || booksResponse);
+        setPacks(packsResponse.content || packsResponse);
+      } catch (err) {
+        console.error('Error fetching books and packs:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBooksAndPacks();
+  }, [enabled]);
+
+  return { books, packs, loading };
+};
+
+export default useOrderCatalog;
@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import { useDebounce } from './useDebounce';
+import { getOrders } from '../services/ordersApi';
+import { getRiskyOrders } from '../utils/customerLookup';
+import { getPhoneKey } from '../utils/phone';
+
+/**
+ * Find the cancelled, refused or returned past orders of a phone number
+ * @param {string} phone - Phone number typed in the order form
+ * @returns {{riskyOrders: Array, loading: boolean}} Cancelled, refused or returned orders of this phone
+ */
+export const usePhoneOrderHistory = (phone) => {
+  const phoneKey = useDebounce(getPhoneKey(phone), 500);
+  const [riskyOrders, setRiskyOrders] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!phoneKey) {
+      setRiskyOrders([]);
+      return;
+    }
+
+    const controller = new AbortController();
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        // Search on the significant digits so both 0555... and +213555... match
+        const response = await getOrders({ search: phoneKey, size: 50, sort: 'createdAt,desc' }, controller.signal);
+        setRiskyOrders(getRiskyOrders(response.content || [], phoneKey));
+      } catch (err) {
+        if (err.message === 'REQUEST_CANCELLED') return;
+        // The warning is a hint: a failed lookup must not block the order
+        console.error('Error fetching phone order history:', err);
+        setRiskyOrders([]);
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchHistory();
+    return () => controller.abort();
+  }, [phoneKey]);
+
+  return { riskyOrders, loading };
+};
+
+export default usePhoneOrderHistory;
@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getRelayPoints, searchRelayPoints } from '../services/relayPointsApi';
+
+// Last relay points loaded per provider and wilaya, shown again when the network is down
+const CACHE_KEY = 'relay_points_cache';
+
+const readCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeCache = (key, points) => {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ ...readCache(), [key]: { points, savedAt: new Date().toISOString() } }));
+  } catch {
+    // Storage full or disabled: the cache is only a fallback
+  }
+};
+
+/**
+ * Load the relay points of several providers in one wilaya
+ * A search query is sent to the providers' search; without network, the last loaded
+ * points of the wilaya are used (and filtered locally) instead
+ * @param {Array<string>} providers - Providers to load (YALIDINE, ZR)
+ * @param {string} wilaya - Wilaya name
+ * @param {string} query - Optional search on name, address or commune
+ * @param {boolean} enabled - Fetch only while needed (e.g. while the explorer is open)
+ * @returns {{pointsByProvider: Object, loading: boolean, error: string|null, cachedAt: string|null, reload: Function}}
+ *   Relay points keyed by provider; cachedAt is set when they come from the offline cache
+ */
+export const useRelayPoints = (providers, wilaya, query = '', enabled = true) => {
+  const [pointsByProvider, setPointsByProvider] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const providersKey = providers.join(',');
+
+  useEffect(() => {
+    if (!enabled || !wilaya) {
+      setPointsByProvider({});
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const search = query.trim();
+
+    const fetchPoints = async () => {
+      setLoading(true);
+      setError(null);
+
+      const results = await Promise.allSettled(providersKey.split(',').map((provider) => (search
+        ? searchRelayPoints(provider, search, wilaya)
+        : getRelayPoints(provider, wilaya))));
+      if (cancelled) return;
+
+      const cache = readCache();
+      const next = {};
+      let oldestCache = null;
+      let failed = false;
+
+      providersKey.split(',').forEach((provider, index) => {
+        const result = results[index];
+        const key = `${provider}|${wilaya}`;
+        if (result.status === 'fulfilled') {
+          next[provider] = result.value || [];
+          if (!search) writeCache(key, next[provider]);
+          return;
+        }
+
+        console.error(`Error fetching ${provider} relay points:`, result.reason);
+        const cached = cache[key];
+        if (!cached) {
+          failed = true;
+          next[provider] = [];
+          return;
+        }
+        const needle = search.toLowerCase();
+        next[provider] = cached.points.filter((point) => !needle
+          || [point.name, point.address, point.commune].some((value) => value?.toLowerCase().includes(needle)));
+        if (!oldestCache || cached.savedAt < oldestCache) oldestCache = cached.savedAt;
+      });
+
+      setPointsByProvider(next);
+      setCachedAt(oldestCache);
+      setError(failed ? 'Impossible de charger certains points de retrait' : null);
+      setLoading(false);
+    };
+
+    fetchPoints();
+    return () => {
+      cancelled = true;
+    };
+  }, [providersKey, wilaya, query, enabled, reloadKey]);
+
+  const reload = useCallback(() => setReloadKey((key) => key + 1), []);
+
+  return { pointsByProvider, loading, error, cachedAt, reload };
+};
+
+export default useRelayPoints;
@@ -0,0 +1,111 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// localStorage key prefix; views are stored per table and per operator
+const STORAGE_PREFIX = 'saved_views';
+
+const getStorageKey = (scope, user) => {
+  const owner = user?.login || user?.id || 'anonymous';
+  return `${STORAGE_PREFIX}:${scope}:${owner}`;
+};
+
+const readViews = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Deep equality of plain view states (strings, numbers and nested objects)
+ * @param {Object} a - View state
+ * @param {Object} b - View state
+ * @returns {boolean} True if both states show the same rows
+ */
+export const isSameViewState = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((key) => isSameViewState(a[key], b[key]));
+};
+
+/**
+ * Read the default view of an operator outside of React state
+ * Used to initialise a table before its first fetch
+ * @param {string} scope - Table the views belong to
+ * @param {Object} user - Current user from useAuth
+ * @returns {Object|null} Default view
+ */
+export const getStoredDefaultView = (scope, user) => {
+  return readViews(getStorageKey(scope, user)).find((v) => v.isDefault) || null;
+};
+
+/**
+ * Custom hook for named saved views of a table (search, filters, sort)
+ * Views are kept in localStorage per operator; one of them can be the default view
+ * @param {string} scope - Table the views belong to ('orders', 'books', 'users')
+ * @param {Object} currentState - Current table state, compared with the views to find the active one
+ * @returns {Object} views, activeView, defaultView, saveView, deleteView, toggleDefaultView
+ */
+export const useSavedViews = (scope, currentState) => {
+  const { user } = useAuth();
+  const storageKey = getStorageKey(scope, user);
+
+  const [views, setViews] = useState(() => readViews(storageKey));
+
+  // Reload when the operator changes (e.g. after a new login in the same tab)
+  useEffect(() => {
+    setViews(readViews(storageKey));
+  }, [storageKey]);
+
+  const updateViews = useCallback((update) => {
+    setViews((prev) => {
+      const next = update(prev);
+      localStorage.setItem(storageKey, JSON.stringify(next));
+      return next;
+    });
+  }, [storageKey]);
+
+  /**
+   * Save the given state as a new view
+   * @param {string} name - View name shown on the tab
+   * @param {Object} state - Table state to restore
+   * @param {boolean} isDefault - Whether the view becomes the default view
+   */
+  const saveView = useCallback((name, state, isDefault = false) => {
+    const view = { id: `${Date.now()}`, name: name.trim(), state, isDefault };
+    updateViews((prev) => [
+      ...prev.map((v) => (isDefault ? { ...v, isDefault: false } : v)),
+      view,
+    ]);
+    return view;
+  }, [updateViews]);
+
+  const deleteView = useCallback((viewId) => {
+    updateViews((prev) => prev.filter((v) => v.id !== viewId));
+  }, [updateViews]);
+
+  // Make a view the default one, or unset it if it already is
+  const toggleDefaultView = useCallback((viewId) => {
+    updateViews((prev) => prev.map((v) => ({
+      ...v,
+      isDefault: v.id === viewId ? !v.isDefault : false,
+    })));
+  }, [updateViews]);
+
+  const defaultView = useMemo(() => views.find((v) => v.isDefault) || null, [views]);
+  const activeView = views.find((v) => isSameViewState(v.state, currentState)) || null;
+
+  return {
+    views,
+    activeView,
+    defaultView,
+    saveView,
+    deleteView,
+    toggleDefaultView,
+  };
+};
+
+export default useSavedViews;
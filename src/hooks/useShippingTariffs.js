@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as shippingTariffsApi from '../services/shippingTariffsApi';
+
+/**
+ * Load the shipping tariffs
+ * @param {boolean} enabled - Fetch only while needed (e.g. while the order form is open)
+ * @returns {{tariffs: Array, loading: boolean, error: string|null, reload: Function}} Tariffs and loading state
+ */
+export const useShippingTariffs = (enabled = true) => {
+  const [tariffs, setTariffs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const controller = new AbortController();
+
+    const fetchTariffs = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await shippingTariffsApi.getShippingTariffs(controller.signal);
+        setTariffs(data || []);
+      } catch (err) {
+        if (err.message === 'REQUEST_CANCELLED') return;
+        console.error('Error fetching shipping tariffs:', err);
+        setError('Impossible de charger les tarifs de livraison');
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchTariffs();
+    return () => controller.abort();
+  }, [enabled, reloadKey]);
+
+  const reload = useCallback(() => setReloadKey((key) => key + 1), []);
+
+  return { tariffs, loading, error, reload };
+};
+
+export default useShippingTariffs;
@@ -0,0 +1,64 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { AlertCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+/**
+ * AuthCallback page
+ * Keycloak redirects here after login with ?code=...&state=...
+ * Exchanges the code for tokens, then enters the admin panel
+ */
+const AuthCallback = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { completeLogin } = useAuth();
+  const [error, setError] = useState('');
+
+  // The authorization code is single-use: never exchange it twice (StrictMode runs effects twice)
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (handledRef.current) return;
+    handledRef.current = true;
+
+    const finishLogin = async () => {
+      try {
+        await completeLogin(searchParams);
+        navigate('/admin/dashboard', { replace: true });
+      } catch (err) {
+        setError(err.message || 'La connexion a échoué. Veuillez réessayer.');
+      }
+    };
+
+    finishLogin();
+  }, [completeLogin, navigate, searchParams]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-md bg-white rounded-lg shadow-xl border border-gray-200 p-8 text-center">
+          <AlertCircle className="w-12 h-12 text-red-600 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Échec de la connexion</h2>
+          <p className="text-sm text-gray-600 mb-6">{error}</p>
+          <button
+            onClick={() => navigate('/admin/login', { replace: true })}
+            className="w-full bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+          >
+            Retour à la connexion
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center">
+      <div className="flex flex-col items-center gap-4">
+        <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin" />
+        <p className="text-gray-600">Connexion en cours...</p>
+      </div>
+    </div>
+  );
+};
+
+export default AuthCallback;
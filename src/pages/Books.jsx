@@ -1,16 +1,101 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
+import { useLocation } from 'react-router-dom';
 import BooksTable from '../components/books/BooksTable';
 import BookForm from '../components/books/BookForm';
+import BookImportWizard from '../components/books/BookImportWizard';
+import BookExportModal from '../components/books/BookExportModal';
+import BookBulkEditModal from '../components/books/BookBulkEditModal';
+import BooksBulkActionBar from '../components/books/BooksBulkActionBar';
+import StockMovementsModal from '../components/books/StockMovementsModal';
 import CategoriesSection from '../components/categories/CategoriesSection';
 import EtiquettesSection from '../components/etiquettes/EtiquettesSection';
 import AuthorsSection from '../components/authors/AuthorsSection';
 import ConfirmDeleteModal from '../components/common/ConfirmDeleteModal';
+import SavedViewsTabs from '../components/common/SavedViewsTabs';
 import ToastContainer from '../components/common/Toast';
+import BulkOperationModal from '../components/orders/BulkOperationModal';
 import { useDebounce } from '../hooks/useDebounce';
 import { useToast } from '../hooks/useToast';
+import { useForbiddenRedirect } from '../hooks/useForbiddenRedirect';
+import { useSavedViews, getStoredDefaultView, isSameViewState } from '../hooks/useSavedViews';
+import { useAuth } from '../contexts/AuthContext';
 import * as booksApi from '../services/booksApi';
+import * as authorsApi from '../services/authorsApi';
+import * as categoriesApi from '../services/categoriesApi';
+import * as etiquettesApi from '../services/etiquettesApi';
+import * as inventoryApi from '../services/inventoryApi';
+import { PERMISSIONS } from '../utils/permissions';
+import { runBulk } from '../utils/bulk';
+import { toCsv, downloadFile } from '../utils/csv';
+import { EXPORT_SCOPES, buildCatalogExport } from '../utils/catalogExport';
+import { BULK_BOOK_ACTIONS, BULK_BOOK_ACTION_LABELS, getBookData } from '../utils/bookBulkEdit';
+import {
+  IMPORT_ACTION,
+  IMPORT_REPORT_COLUMNS,
+  normalizeName,
+  indexCatalogNames,
+  buildImportedBook,
+  getImportedStockMovement,
+  getImportedTagChanges,
+  getImportReportRows,
+} from '../utils/catalogImport';
+
+// Table state of the unfiltered "Tous les livres" view; saved views store the same shape
+const DEFAULT_VIEW_STATE = {
+  searchQuery: '',
+  statusFilter: 'all',
+  categoryFilter: 'all',
+  sortBy: 'date_desc',
+};
+
+// Backend sort of each sort option
+const SORT_PARAMS = {
+  title: 'title,asc',
+  price: 'price,desc',
+  date_asc: 'createdAt,asc',
+  date_desc: 'createdAt,desc',
+};
+
+/**
+ * Query filters of the table (shared by the list, the export and the bulk selection)
+ * The "deleted" status lists the soft-deleted books instead of filtering on stock
+ */
+const getFilterParams = ({ search, statusFilter, categoryFilter, sortBy }) => ({
+  ...(search && { search }),
+  ...(statusFilter === 'deleted' && { active: false }),
+  ...(statusFilter && statusFilter !== 'all' && statusFilter !== 'deleted' && { status: statusFilter }),
+  ...(categoryFilter && categoryFilter !== 'all' && { categoryId: categoryFilter }),
+  ...(SORT_PARAMS[sortBy] && { sort: SORT_PARAMS[sortBy] }),
+});
+
+// Color of the etiquettes created by an import (default of the etiquette form)
+const IMPORTED_ETIQUETTE_COLOR = '#3B82F6';
+
+// Catalog names created by an import, in the order the books need them
+const IMPORTED_REFERENCES = [
+  { type: 'authors', label: 'Auteur', create: (name) => authorsApi.createAuthor({ name }) },
+  { type: 'categories', label: 'Catégorie', create: (name) => categoriesApi.createCategory({ nameFr: name, nameEn: name }) },
+  {
+    type: 'etiquettes',
+    label: 'Étiquette',
+    create: (name) => etiquettesApi.createEtiquette({ nameFr: name, nameEn: name, colorHex: IMPORTED_ETIQUETTE_COLOR }),
+  },
+];
 
 const Books = () => {
+  // Role-based permissions
+  const { user, can } = useAuth();
+  const canManageBooks = can(PERMISSIONS.MANAGE_BOOKS);
+  const redirectIfForbidden = useForbiddenRedirect();
+  const canDeleteBooks = can(PERMISSIONS.DELETE_BOOKS);
+
+  // A status passed by a link (dashboard low-stock card) wins over the operator's default view,
+  // which is otherwise applied before the first fetch
+  const location = useLocation();
+  const [initialView] = useState(() => (location.state?.statusFilter
+    ? { ...DEFAULT_VIEW_STATE, statusFilter: location.state.statusFilter }
+    : getStoredDefaultView('books', user)?.state || DEFAULT_VIEW_STATE));
+
   // State management
   const [books, setBooks] = useState([]);
   const [pagination, setPagination] = useState({
@@ -19,20 +104,38 @@ const Books = () => {
     totalElements: 0,
     totalPages: 0,
   });
-  const [searchQuery, setSearchQuery] = useState('');
+  const [searchQuery, setSearchQuery] = useState(initialView.searchQuery);
   const [loading, setLoading] = useState(true);
   const [filterLoading, setFilterLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isFormOpen, setIsFormOpen] = useState(false);
   const [editingBook, setEditingBook] = useState(null);
-  const [sortBy, setSortBy] = useState('date_desc');
-  const [statusFilter, setStatusFilter] = useState('all');
+  const [sortBy, setSortBy] = useState(initialView.sortBy);
+  const [statusFilter, setStatusFilter] = useState(initialView.statusFilter);
+  // Views saved before the category filter existed have no categoryFilter
+  const [categoryFilter, setCategoryFilter] = useState(initialView.categoryFilter || 'all');
+  const [categoryOptions, setCategoryOptions] = useState([]);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [bookToDelete, setBookToDelete] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [bulkOperation, setBulkOperation] = useState(null);
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  // Bulk selection: books picked on any page, or every book matching the filters
+  const [selectedBooks, setSelectedBooks] = useState([]);
+  const [allMatchingSelected, setAllMatchingSelected] = useState(false);
+  const [isResolvingSelection, setIsResolvingSelection] = useState(false);
+  const [bulkEdit, setBulkEdit] = useState(null);
+  const [stockBook, setStockBook] = useState(null);
 
   // Toast notifications
   const { toasts, removeToast, success, error: showError } = useToast();
 
+  // Saved views pinned as tabs above the table
+  const viewState = { searchQuery, statusFilter, categoryFilter, sortBy };
+  const savedViews = useSavedViews('books', viewState);
+
   // Refs for request cancellation
   const abortControllerRef = useRef(null);
 
@@ -65,29 +168,9 @@ const Books = () => {
       const params = {
         page: pagination.page,
         size: pagination.size,
+        ...getFilterParams({ search: debouncedSearchQuery, statusFilter, categoryFilter, sortBy }),
       };
 
-      // Add search query if present
-      if (debouncedSearchQuery) {
-        params.search = debouncedSearchQuery;
-      }
-
-      // Add status filter if not 'all'
-      if (statusFilter && statusFilter !== 'all') {
-        params.status = statusFilter;
-      }
-
-      // Map frontend sortBy to backend sort format
-      if (sortBy === 'title') {
-        params.sort = 'title,asc';
-      } else if (sortBy === 'price') {
-        params.sort = 'price,desc';
-      } else if (sortBy === 'date_asc') {
-        params.sort = 'createdAt,asc';
-      } else if (sortBy === 'date_desc') {
-        params.sort = 'createdAt,desc';
-      }
-
       const response = await booksApi.getBooks(params, abortControllerRef.current.signal);
 
       // Update state with response data
@@ -104,6 +187,7 @@ const Books = () => {
         return;
       }
 
+      if (redirectIfForbidden(err)) return;
       console.error('Error fetching books:', err);
       setError(err.response?.data?.message || 'Failed to load books. Please try again.');
       setBooks([]);
@@ -111,7 +195,7 @@ const Books = () => {
       setLoading(false);
       setFilterLoading(false);
     }
-  }, [pagination.page, pagination.size, debouncedSearchQuery, sortBy, statusFilter]);
+  }, [pagination.page, pagination.size, debouncedSearchQuery, sortBy, statusFilter, categoryFilter, redirectIfForbidden]);
 
   /**
    * Initial load and refetch when dependencies change
@@ -120,6 +204,33 @@ const Books = () => {
     fetchBooks(pagination.page > 0); // Show filter loading for page changes
   }, [fetchBooks]);
 
+  /**
+   * Clear the bulk selection when the set of matching books changes
+   */
+  useEffect(() => {
+    setSelectedBooks([]);
+    setAllMatchingSelected(false);
+  }, [debouncedSearchQuery, statusFilter, categoryFilter]);
+
+  /**
+   * Load the categories of the category filter
+   */
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await categoriesApi.getCategories({ page: 0, size: 1000 });
+        setCategoryOptions((response.content || response).map((category) => ({
+          value: String(category.id),
+          label: category.nameFr || category.nameEn,
+        })));
+      } catch (err) {
+        console.error('Error fetching categories:', err);
+      }
+    };
+
+    fetchCategories();
+  }, []);
+
   /**
    * Clean up abort controller on unmount
    */
@@ -164,6 +275,30 @@ const Books = () => {
     }
   };
 
+  /**
+   * Handle category filter changes
+   * Reset to page 0 when category filter changes
+   */
+  const handleCategoryFilterChange = (newCategory) => {
+    setCategoryFilter(newCategory);
+    if (pagination.page !== 0) {
+      setPagination(prev => ({ ...prev, page: 0 }));
+    }
+  };
+
+  /**
+   * Apply a saved view (search, status and category filters, sort)
+   */
+  const applyView = (state) => {
+    setSearchQuery(state.searchQuery);
+    setStatusFilter(state.statusFilter);
+    setCategoryFilter(state.categoryFilter || 'all');
+    setSortBy(state.sortBy);
+    if (pagination.page !== 0) {
+      setPagination(prev => ({ ...prev, page: 0 }));
+    }
+  };
+
   /**
    * Handle page changes
    */
@@ -330,6 +465,244 @@ const Books = () => {
     }
   };
 
+  /**
+   * Run a confirmed catalog import
+   * Missing authors, categories and etiquettes are created first, then each book is created or
+   * updated with its tags; failed rows can be downloaded as a report from the progress modal
+   */
+  const handleImport = async (plan, catalog) => {
+    setIsImportOpen(false);
+
+    const references = IMPORTED_REFERENCES.flatMap(({ type, label, create }) => plan.missing[type].map((name) => ({
+      id: `${type}|${name}`,
+      label: `${label} « ${name} »`,
+      type,
+      name,
+      create,
+    })));
+    const entries = plan.rows
+      .filter((entry) => entry.action === IMPORT_ACTION.CREATE || entry.action === IMPORT_ACTION.UPDATE)
+      .map((entry) => ({ id: `row|${entry.row}`, label: `Ligne ${entry.row} · ${entry.values.title}`, entry }));
+    setBulkOperation({ title: 'Import du catalogue', total: references.length + entries.length, results: [], running: true, report: [] });
+
+    // Names first: the books are saved with their IDs
+    const referenceResults = await runBulk(references, async ({ name, create }) => {
+      const created = await create(name);
+      return { message: 'Créé', created };
+    }, {
+      onProgress: ({ results: progress }) => {
+        setBulkOperation((prev) => ({ ...prev, results: progress }));
+      },
+    });
+
+    const names = indexCatalogNames(catalog);
+    referenceResults
+      .filter((result) => result.ok)
+      .forEach(({ item, value }) => names[item.type].set(normalizeName(item.name), value.created));
+
+    const results = await runBulk(entries, async ({ entry }) => {
+      const author = names.authors.get(normalizeName(entry.values.author));
+      const { add, remove, unresolved } = getImportedTagChanges(entry, names);
+      if (!author) {
+        throw new Error(`Auteur introuvable : ${entry.values.author}`);
+      }
+      if (unresolved.length > 0) {
+        throw new Error(`Catégorie ou étiquette introuvable : ${unresolved.join(', ')}`);
+      }
+
+      // A cover that cannot be downloaded does not block the book
+      let coverImage = null;
+      let coverMissed = false;
+      if (entry.values.coverUrl) {
+        try {
+          coverImage = await booksApi.fetchCoverImage(entry.values.coverUrl);
+        } catch (err) {
+          console.error('Error downloading imported cover:', err);
+          coverMissed = true;
+        }
+      }
+
+      let savedBook;
+      if (entry.book) {
+        // The stock only changes through movements: the book keeps its current stock and the
+        // imported stock is recorded as an adjustment
+        const currentBook = await booksApi.getBookById(entry.book.id);
+        savedBook = await booksApi.updateBook(entry.book.id, buildImportedBook(entry, author, currentBook), coverImage);
+        const movement = getImportedStockMovement(entry, currentBook);
+        if (movement) await inventoryApi.createStockMovement(entry.book.id, movement);
+      } else {
+        savedBook = await booksApi.createBook(buildImportedBook(entry, author), coverImage);
+      }
+      if (remove.length > 0) await booksApi.removeTagsFromBook(savedBook.id, remove);
+      if (add.length > 0) await booksApi.addTagsToBook(savedBook.id, add);
+
+      const message = entry.book ? 'Mis à jour' : 'Créé';
+      return { message: coverMissed ? `${message} (couverture non téléchargée)` : message };
+    }, {
+      onProgress: ({ results: progress }) => {
+        setBulkOperation((prev) => ({ ...prev, results: [...referenceResults, ...progress] }));
+      },
+    });
+
+    const failures = [...referenceResults, ...results].filter((result) => !result.ok);
+    setBulkOperation((prev) => ({
+      ...prev,
+      running: false,
+      report: failures.map(({ item, error }) => (item.entry
+        ? { ...item.entry, errors: [error] }
+        : { row: '', values: { title: item.label, author: '' }, errors: [error] })),
+    }));
+
+    const importedCount = results.filter((result) => result.ok).length;
+    if (failures.length === 0) {
+      success(`${importedCount} livre${importedCount > 1 ? 's' : ''} importé${importedCount > 1 ? 's' : ''}`);
+    } else {
+      showError(`${failures.length} élément${failures.length > 1 ? 's' : ''} n'${failures.length > 1 ? 'ont' : 'a'} pas pu être importé${failures.length > 1 ? 's' : ''}`);
+    }
+    fetchBooks();
+  };
+
+  const handleDownloadImportReport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(toCsv(IMPORT_REPORT_COLUMNS, getImportReportRows(bulkOperation.report)), `import-livres-echecs-${date}.csv`);
+  };
+
+  /**
+   * Export the filtered list or the whole catalog
+   * Every page is loaded first: the table only holds the current page
+   */
+  const handleExport = async ({ scope, format, columns }) => {
+    setExporting(true);
+    try {
+      const params = scope === EXPORT_SCOPES.FILTERED
+        ? getFilterParams({ search: searchQuery.trim(), statusFilter, categoryFilter, sortBy })
+        : getFilterParams({ sortBy });
+      const allBooks = await booksApi.getAllBooks(params);
+      const file = await buildCatalogExport(allBooks, format, columns);
+      downloadFile(file.content, file.filename, file.type);
+      setIsExportOpen(false);
+      success(`${allBooks.length} livre${allBooks.length > 1 ? 's ont été exportés' : ' a été exporté'}`);
+    } catch (err) {
+      console.error('Error exporting books:', err);
+      const errorMessage = err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue';
+      showError(errorMessage, 'Erreur lors de l\'export');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  /**
+   * Show the new stock of a book once a movement is recorded
+   */
+  const handleStockRecorded = (movement) => {
+    setBooks((prev) => prev.map((book) => (book.id === movement.bookId
+      ? { ...book, stockQuantity: movement.stockAfter ?? (Number(book.stockQuantity) || 0) + movement.quantity }
+      : book)));
+  };
+
+  // Bulk selection
+  const handleToggleSelect = (book) => {
+    if (allMatchingSelected) {
+      // Leaving "all matching": keep the rest of the visible page selected
+      setAllMatchingSelected(false);
+      setSelectedBooks(books.filter(b => b.id !== book.id));
+      return;
+    }
+    setSelectedBooks(prev => (
+      prev.some(b => b.id === book.id)
+        ? prev.filter(b => b.id !== book.id)
+        : [...prev, book]
+    ));
+  };
+
+  const handleTogglePageSelection = (checked) => {
+    setAllMatchingSelected(false);
+    setSelectedBooks(prev => {
+      const others = prev.filter(b => !books.some(book => book.id === b.id));
+      return checked ? [...others, ...books] : others;
+    });
+  };
+
+  const handleClearSelection = () => {
+    setSelectedBooks([]);
+    setAllMatchingSelected(false);
+  };
+
+  /**
+   * Open a bulk action with its preview
+   * When every matching book is selected, they are loaded first with the current filters
+   */
+  const handleOpenBulkEdit = async (action) => {
+    if (!allMatchingSelected) {
+      setBulkEdit({ action, books: selectedBooks });
+      return;
+    }
+
+    setIsResolvingSelection(true);
+    try {
+      const params = getFilterParams({ search: debouncedSearchQuery, statusFilter, categoryFilter, sortBy });
+      setBulkEdit({ action, books: await booksApi.getAllBooks(params) });
+    } catch (err) {
+      console.error('Error loading selected books:', err);
+      const errorMessage = err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue';
+      showError(errorMessage, 'Erreur lors du chargement de la sélection');
+    } finally {
+      setIsResolvingSelection(false);
+    }
+  };
+
+  /**
+   * Run a previewed bulk action on the books it changes
+   * Books are saved one by one and each result is shown in the progress modal
+   */
+  const handleConfirmBulkEdit = async (action, entries) => {
+    setBulkEdit(null);
+
+    const items = entries
+      .filter((entry) => entry.changed && !entry.error)
+      .map((entry) => ({ id: entry.book.id, label: entry.book.title, entry }));
+    setBulkOperation({ title: BULK_BOOK_ACTION_LABELS[action], total: items.length, results: [], running: true });
+
+    const results = await runBulk(items, async ({ entry }) => {
+      if (action === BULK_BOOK_ACTIONS.DELETE) {
+        await booksApi.deleteBook(entry.book.id);
+      } else if (entry.update) {
+        // Send the current book back, only changing the planned fields: the listed copy may be stale
+        // (stock movements, edits since the page loaded). Restoring saves it again with active=true
+        // (there is no restore endpoint)
+        const currentBook = await booksApi.getBookById(entry.book.id);
+        await booksApi.updateBook(entry.book.id, { ...getBookData(currentBook), ...entry.update });
+      }
+      if (entry.movement) await inventoryApi.createStockMovement(entry.book.id, entry.movement);
+      if (entry.remove.length > 0) await booksApi.removeTagsFromBook(entry.book.id, entry.remove);
+      if (entry.add.length > 0) await booksApi.addTagsToBook(entry.book.id, entry.add);
+      return { message: `${entry.before} → ${entry.after}` };
+    }, {
+      onProgress: ({ results: progress }) => {
+        setBulkOperation((prev) => ({ ...prev, results: progress }));
+      },
+    });
+
+    setBulkOperation((prev) => ({ ...prev, running: false }));
+
+    const failedCount = results.filter((result) => !result.ok).length;
+    const doneCount = results.length - failedCount;
+    if (failedCount === 0) {
+      success(`${doneCount} livre${doneCount > 1 ? 's ont été modifiés' : ' a été modifié'}`);
+    } else {
+      showError(`${failedCount} livre${failedCount > 1 ? 's n\'ont' : ' n\'a'} pas pu être modifié${failedCount > 1 ? 's' : ''}`);
+    }
+    handleClearSelection();
+    fetchBooks();
+  };
+
+  // Bulk actions allowed to the user; restoring only applies to the deleted books
+  const bulkActions = [
+    ...(canManageBooks ? [BULK_BOOK_ACTIONS.PRICE, BULK_BOOK_ACTIONS.STOCK, BULK_BOOK_ACTIONS.TAGS, BULK_BOOK_ACTIONS.ETIQUETTE] : []),
+    ...(canManageBooks && statusFilter === 'deleted' ? [BULK_BOOK_ACTIONS.RESTORE] : []),
+    ...(canDeleteBooks && statusFilter !== 'deleted' ? [BULK_BOOK_ACTIONS.DELETE] : []),
+  ];
+  const selectionCount = allMatchingSelected ? pagination.totalElements : selectedBooks.length;
 
   // Error state with retry
   if (error && books.length === 0) {
@@ -374,31 +747,75 @@ const Books = () => {
         </div>
       )}
 
+      <SavedViewsTabs
+        views={savedViews.views}
+        activeView={savedViews.activeView}
+        isDefaultState={isSameViewState(viewState, DEFAULT_VIEW_STATE)}
+        allLabel="Tous les livres"
+        onSelectAll={() => applyView(DEFAULT_VIEW_STATE)}
+        onSelect={(view) => applyView(view.state)}
+        onSave={(name, isDefault) => {
+          savedViews.saveView(name, viewState, isDefault);
+          success(`La vue « ${name.trim()} » a été enregistrée`);
+        }}
+        onDelete={(view) => savedViews.deleteView(view.id)}
+        onToggleDefault={(view) => savedViews.toggleDefaultView(view.id)}
+      />
+
+      {selectionCount > 0 && (
+        <BooksBulkActionBar
+          selectedCount={selectedBooks.length}
+          pageCount={books.length}
+          totalCount={pagination.totalElements}
+          allMatchingSelected={allMatchingSelected}
+          pageSelected={books.length > 0 && books.every(book => selectedBooks.some(b => b.id === book.id))}
+          onSelectAllMatching={() => setAllMatchingSelected(true)}
+          onClearSelection={handleClearSelection}
+          onAction={handleOpenBulkEdit}
+          actions={bulkActions}
+          disabled={isResolvingSelection || Boolean(bulkOperation?.running)}
+        />
+      )}
+
       <BooksTable
         books={books}
-        onEdit={handleEditBook}
-        onDelete={handleDeleteBook}
+        onEdit={canManageBooks ? handleEditBook : null}
+        onDelete={canDeleteBooks ? handleDeleteBook : null}
+        onManageStock={setStockBook}
         searchQuery={searchQuery}
         onSearchChange={handleSearchChange}
         sortBy={sortBy}
         onSortChange={handleSortChange}
         statusFilter={statusFilter}
         onStatusFilterChange={handleStatusFilterChange}
-        onAddBook={handleAddBook}
+        categoryFilter={categoryFilter}
+        onCategoryFilterChange={handleCategoryFilterChange}
+        categoryOptions={categoryOptions}
+        onAddBook={canManageBooks ? handleAddBook : null}
+        onImport={canManageBooks ? () => setIsImportOpen(true) : null}
+        onExport={() => setIsExportOpen(true)}
         loading={loading || filterLoading}
         pagination={pagination}
         onPageChange={handlePageChange}
         onPageSizeChange={handlePageSizeChange}
+        selectedIds={bulkActions.length > 0 ? (allMatchingSelected ? books : selectedBooks).map(book => book.id) : null}
+        onToggleSelect={handleToggleSelect}
+        onTogglePageSelection={handleTogglePageSelection}
       />
 
-      {/* Categories Management Section */}
-      <CategoriesSection />
+      {/* Catalog management sections (catalog editors and admins only) */}
+      {canManageBooks && (
+        <>
+          {/* Categories Management Section */}
+          <CategoriesSection />
 
-      {/* Authors Management Section */}
-      <AuthorsSection />
+          {/* Authors Management Section */}
+          <AuthorsSection />
 
-      {/* Etiquettes Management Section */}
-      <EtiquettesSection />
+          {/* Etiquettes Management Section */}
+          <EtiquettesSection />
+        </>
+      )}
 
       <BookForm
         isOpen={isFormOpen}
@@ -410,6 +827,46 @@ const Books = () => {
         initialData={editingBook}
       />
 
+      <BookImportWizard
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImport={handleImport}
+      />
+
+      <BookExportModal
+        isOpen={isExportOpen}
+        onClose={() => setIsExportOpen(false)}
+        onExport={handleExport}
+        filteredCount={pagination.totalElements}
+        hasFilters={!isSameViewState({ ...viewState, sortBy: DEFAULT_VIEW_STATE.sortBy }, DEFAULT_VIEW_STATE)}
+        exporting={exporting}
+      />
+
+      <BookBulkEditModal
+        isOpen={Boolean(bulkEdit)}
+        action={bulkEdit?.action}
+        books={bulkEdit?.books || []}
+        onClose={() => setBulkEdit(null)}
+        onConfirm={handleConfirmBulkEdit}
+      />
+
+      <StockMovementsModal
+        isOpen={Boolean(stockBook)}
+        book={stockBook}
+        onClose={() => setStockBook(null)}
+        onRecorded={canManageBooks ? handleStockRecorded : null}
+      />
+
+      <BulkOperationModal
+        isOpen={Boolean(bulkOperation)}
+        title={bulkOperation?.title}
+        total={bulkOperation?.total || 0}
+        results={bulkOperation?.results || []}
+        running={bulkOperation?.running}
+        onClose={() => setBulkOperation(null)}
+        onDownloadReport={bulkOperation?.report ? handleDownloadImportReport : null}
+      />
+
       <ConfirmDeleteModal
         isOpen={deleteConfirmOpen}
         onConfirm={confirmDeleteBook}
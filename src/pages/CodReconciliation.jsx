@@ -0,0 +1,500 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { AlertTriangle, CheckCircle, Download, FileSpreadsheet, RefreshCw, Upload } from 'lucide-react';
+import CustomSelect from '../components/common/CustomSelect';
+import ToastContainer from '../components/common/Toast';
+import BulkOperationModal from '../components/orders/BulkOperationModal';
+import ReconciliationTable from '../components/reconciliation/ReconciliationTable';
+import { useToast } from '../hooks/useToast';
+import { useForbiddenRedirect } from '../hooks/useForbiddenRedirect';
+import * as ordersApi from '../services/ordersApi';
+import * as codSettlementsApi from '../services/codSettlementsApi';
+import { SHIPPING_PROVIDER_OPTIONS } from '../utils/orderForm';
+import { formatCurrency, formatDate } from '../utils/format';
+import { runBulk } from '../utils/bulk';
+import { toCsv, downloadFile } from '../utils/csv';
+import { readSpreadsheet, SPREADSHEET_ACCEPT } from '../utils/spreadsheet';
+import {
+  RECONCILIATION_STATUS,
+  RECONCILIATION_LABELS,
+  STATEMENT_COLUMNS,
+  detectStatementColumns,
+  parseStatement,
+  reconcileStatement,
+  getExpectedAmount,
+  getSettlementFields,
+  applySettlements,
+} from '../utils/codReconciliation';
+
+// Page size used when loading the carrier's orders
+const FETCH_SIZE = 100;
+
+// Orders of the last two months by default: payouts rarely come later
+const DEFAULT_SINCE_DAYS = 60;
+
+// Statuses of the orders a statement can pay
+const RECONCILED_ORDER_STATUSES = ['SHIPPED', 'DELIVERED'];
+
+const MISSING_FILTER = 'missing';
+
+const toDateInput = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Columns of the reconciliation report
+const REPORT_COLUMNS = [
+  { key: 'row', label: 'Ligne' },
+  { key: 'trackingNumber', label: 'N° de suivi' },
+  { key: 'reference', label: 'Référence' },
+  { key: 'order', label: 'Commande', value: (line) => line.order?.uniqueId || line.order?.id || '' },
+  { key: 'customer', label: 'Client', value: (line) => line.order?.fullName || '' },
+  { key: 'expected', label: 'Attendu' },
+  { key: 'amount', label: 'Encaissé', value: (line) => (Number.isNaN(line.amount) ? '' : line.amount) },
+  { key: 'fees', label: 'Frais' },
+  { key: 'net', label: 'Net versé', value: (line) => (Number.isNaN(line.net) ? '' : line.net) },
+  { key: 'difference', label: 'Écart' },
+  { key: 'status', label: 'Statut' },
+];
+
+const CodReconciliation = () => {
+  const navigate = useNavigate();
+  const [provider, setProvider] = useState(SHIPPING_PROVIDER_OPTIONS[0].value);
+  const [since, setSince] = useState(() => toDateInput(new Date(Date.now() - DEFAULT_SINCE_DAYS * 24 * 60 * 60 * 1000)));
+  const [payoutReference, setPayoutReference] = useState('');
+
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [columns, setColumns] = useState(null);
+  const [reading, setReading] = useState(false);
+  const [readError, setReadError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const [orders, setOrders] = useState([]);
+  const [ordersLoading, setOrdersLoading] = useState(false);
+  const [ordersError, setOrdersError] = useState(null);
+  const [settlementsUnavailable, setSettlementsUnavailable] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [selectedRows, setSelectedRows] = useState([]);
+  const [bulkOperation, setBulkOperation] = useState(null);
+
+  const { toasts, removeToast, success, error: showError } = useToast();
+  const redirectIfForbidden = useForbiddenRedirect();
+
+  // Shipped and delivered orders of the carrier, matched against the statement
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchOrders = async () => {
+      setOrdersLoading(true);
+      setOrdersError(null);
+      try {
+        const dateFrom = since ? new Date(`${since}T00:00:00`).toISOString() : null;
+        const allOrders = [];
+        for (const status of RECONCILED_ORDER_STATUSES) {
+          let page = 0;
+          let totalPages = 1;
+          while (page < totalPages) {
+            const response = await ordersApi.getOrders({
+              status,
+              ...(dateFrom && { dateFrom }),
+              page,
+              size: FETCH_SIZE,
+            }, controller.signal);
+            // The API does not filter by carrier: other carriers' deliveries are not missing from this statement
+            allOrders.push(...(response.content || []).filter((order) => order.shippingProvider === provider));
+            totalPages = response.totalPages ?? 1;
+            page += 1;
+          }
+        }
+
+        let settlements = [];
+        try {
+          settlements = await codSettlementsApi.getCodSettlements({ ...(dateFrom && { dateFrom }) }, controller.signal);
+          setSettlementsUnavailable(false);
+        } catch (err) {
+          // A backend without the settlements endpoint: the statement is still compared, settling is disabled
+          if (err.response?.status !== 404) throw err;
+          setSettlementsUnavailable(true);
+        }
+        setOrders(applySettlements(allOrders, settlements));
+      } catch (err) {
+        if (err.message === 'REQUEST_CANCELLED' || redirectIfForbidden(err)) return;
+        console.error('Error fetching orders to reconcile:', err);
+        setOrdersError('Impossible de charger les commandes du transporteur');
+      } finally {
+        if (!controller.signal.aborted) {
+          setOrdersLoading(false);
+        }
+      }
+    };
+
+    fetchOrders();
+    return () => controller.abort();
+  }, [provider, since, reloadKey, redirectIfForbidden]);
+
+  const result = useMemo(() => {
+    if (!columns || rows.length === 0) return null;
+    return reconcileStatement(parseStatement(rows, columns), orders);
+  }, [rows, columns, orders]);
+
+  // Fully paid lines are selected for settlement, differences need a deliberate choice
+  useEffect(() => {
+    setSelectedRows(result ? result.lines.filter((line) => line.status === RECONCILIATION_STATUS.PAID).map((line) => line.row) : []);
+  }, [result]);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setReading(true);
+    setReadError(null);
+    try {
+      const data = await readSpreadsheet(file);
+      if (data.length < 2) {
+        throw new Error('Le fichier ne contient aucune ligne');
+      }
+      setRows(data);
+      setColumns(detectStatementColumns(data[0]));
+      setFileName(file.name);
+      setPayoutReference((reference) => reference || file.name.replace(/\.[^.]+$/, ''));
+      setStatusFilter('all');
+    } catch (err) {
+      setReadError(err.message);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  const handleReset = () => {
+    setRows([]);
+    setColumns(null);
+    setFileName('');
+    setPayoutReference('');
+    setReadError(null);
+  };
+
+  const handleExport = () => {
+    const missingLines = result.missing.map((order) => ({
+      row: '',
+      trackingNumber: order.trackingNumber || order.providerOrderId || '',
+      reference: order.uniqueId,
+      order,
+      expected: getExpectedAmount(order),
+      amount: '',
+      fees: '',
+      net: '',
+      difference: -getExpectedAmount(order),
+      status: 'Absente du relevé',
+    }));
+    const reportLines = [
+      ...result.lines.map((line) => ({ ...line, status: RECONCILIATION_LABELS[line.status] })),
+      ...missingLines,
+    ];
+    downloadFile(toCsv(REPORT_COLUMNS, reportLines), `rapprochement-${provider.toLowerCase()}-${toDateInput(new Date())}.csv`);
+  };
+
+  const handleSettle = async () => {
+    const lines = result.lines.filter((line) => selectedRows.includes(line.row));
+    const targets = lines.map((line) => ({ id: line.order.id, orderNumber: line.order.uniqueId, line }));
+    setBulkOperation({ title: 'Règlement des commandes', total: targets.length, results: [], running: true });
+
+    const results = await runBulk(targets, async ({ id, line }) => {
+      await codSettlementsApi.createCodSettlement(id, getSettlementFields(line, payoutReference.trim()));
+      return { message: `Réglée : ${formatCurrency(line.amount)}` };
+    }, {
+      onProgress: ({ results: progress }) => {
+        setBulkOperation((prev) => ({ ...prev, results: progress }));
+      },
+    });
+
+    setBulkOperation((prev) => ({ ...prev, running: false }));
+    const failedCount = results.filter((item) => !item.ok).length;
+    if (failedCount === 0) {
+      success(`${results.length} commande${results.length > 1 ? 's' : ''} marquée${results.length > 1 ? 's' : ''} comme réglée${results.length > 1 ? 's' : ''}`);
+    } else {
+      showError(`${failedCount} commande${failedCount > 1 ? 's' : ''} n'${failedCount > 1 ? 'ont' : 'a'} pas pu être réglée${failedCount > 1 ? 's' : ''}`);
+    }
+    // Settled orders come back as "Déjà réglée"
+    setReloadKey((key) => key + 1);
+  };
+
+  const columnOptions = [
+    { value: '-1', label: '— Aucune —' },
+    ...(rows[0] || []).map((header, index) => ({ value: String(index), label: String(header) || `Colonne ${index + 1}` })),
+  ];
+  const columnsError = columns && columns.amount === -1
+    ? 'Choisissez la colonne du montant encaissé'
+    : columns && columns.trackingNumber === -1 && columns.reference === -1
+      ? 'Choisissez la colonne du numéro de suivi ou de la référence commande'
+      : null;
+
+  const statusCounts = result
+    ? result.lines.reduce((counts, line) => ({ ...counts, [line.status]: (counts[line.status] || 0) + 1 }), {})
+    : {};
+  const filterTabs = result ? [
+    { value: 'all', label: 'Toutes', count: result.lines.length },
+    ...Object.values(RECONCILIATION_STATUS)
+      .filter((status) => statusCounts[status])
+      .map((status) => ({ value: status, label: RECONCILIATION_LABELS[status], count: statusCounts[status] })),
+    { value: MISSING_FILTER, label: 'Absentes du relevé', count: result.missing.length },
+  ] : [];
+  const displayLines = result && statusFilter !== MISSING_FILTER
+    ? result.lines.filter((line) => statusFilter === 'all' || line.status === statusFilter)
+    : [];
+
+  const summaryCards = result ? [
+    { label: 'Encaissé par le transporteur', value: formatCurrency(result.totals.collected), color: 'text-gray-900' },
+    { label: 'Frais transporteur', value: formatCurrency(result.totals.fees), color: 'text-gray-700' },
+    { label: 'Net versé', value: formatCurrency(result.totals.net), color: 'text-emerald-600' },
+    { label: 'Paiements insuffisants', value: formatCurrency(result.totals.shortfall), color: result.totals.shortfall > 0 ? 'text-red-600' : 'text-gray-700' },
+    { label: `Absentes du relevé (${result.missing.length})`, value: formatCurrency(result.totals.missingAmount), color: result.missing.length > 0 ? 'text-orange-600' : 'text-gray-700' },
+  ] : [];
+
+  const inputClassName = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Rapprochement des encaissements</h1>
+          <p className="text-gray-600 mt-1">
+            Comparez un relevé de versement du transporteur aux commandes livrées
+          </p>
+        </div>
+        {result && (
+          <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={handleExport}
+              className="flex items-center justify-center gap-2 px-3 sm:px-4 py-2 sm:py-2.5 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 shadow-sm whitespace-nowrap text-sm sm:text-base"
+            >
+              <Download className="w-4 h-4 sm:w-5 sm:h-5 flex-shrink-0" />
+              <span>Exporter le rapport</span>
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={handleSettle}
+              disabled={selectedRows.length === 0 || ordersLoading || settlementsUnavailable}
+              className="flex items-center justify-center gap-2 px-3 sm:px-4 py-2 sm:py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 shadow-sm whitespace-nowrap text-sm sm:text-base disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <CheckCircle className="w-4 h-4 sm:w-5 sm:h-5 flex-shrink-0" />
+              <span>Marquer comme réglées ({selectedRows.length})</span>
+            </motion.button>
+          </div>
+        )}
+      </div>
+
+      {settlementsUnavailable && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm"
+        >
+          <p className="flex items-center gap-2 font-semibold">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            Le serveur n&apos;enregistre pas encore les règlements
+          </p>
+          <p className="mt-1 text-xs">
+            Le relevé peut être comparé et le rapport exporté, mais les commandes ne peuvent pas être marquées comme réglées
+            et celles déjà payées ne sont pas reconnues.
+          </p>
+        </motion.div>
+      )}
+
+      {/* Statement */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-5">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Transporteur</label>
+            <CustomSelect value={provider} onChange={setProvider} options={SHIPPING_PROVIDER_OPTIONS} />
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Commandes créées depuis le</label>
+            <input type="date" value={since} onChange={(e) => setSince(e.target.value)} className={inputClassName} />
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Référence du versement</label>
+            <input
+              type="text"
+              placeholder="Ex. : bordereau du 12/03"
+              value={payoutReference}
+              onChange={(e) => setPayoutReference(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        {!fileName ? (
+          <label
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            className={`flex flex-col items-center justify-center gap-2 p-8 border-2 border-dashed rounded-lg cursor-pointer transition-colors ${
+              isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-blue-400 hover:bg-gray-50'
+            }`}
+          >
+            <Upload className="w-8 h-8 text-gray-400" />
+            <span className="text-sm font-medium text-gray-700">
+              {reading ? 'Lecture du fichier...' : 'Déposez le relevé du transporteur ou cliquez pour le choisir'}
+            </span>
+            <span className="text-xs text-gray-500">CSV ou Excel (.xlsx) — le fichier est lu sur cet ordinateur, rien n&apos;est envoyé</span>
+            <input
+              type="file"
+              accept={SPREADSHEET_ACCEPT}
+              onChange={(e) => {
+                handleFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+              disabled={reading}
+              className="hidden"
+            />
+          </label>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between gap-3 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+              <div className="flex items-center gap-2 min-w-0">
+                <FileSpreadsheet className="w-5 h-5 text-emerald-600 flex-shrink-0" />
+                <span className="text-sm font-medium text-gray-900 truncate">{fileName}</span>
+                <span className="text-xs text-gray-500 whitespace-nowrap">{rows.length - 1} ligne{rows.length > 2 ? 's' : ''}</span>
+              </div>
+              <button onClick={handleReset} className="text-sm font-medium text-blue-600 hover:text-blue-800 whitespace-nowrap">
+                Changer de fichier
+              </button>
+            </div>
+
+            {/* Column mapping, guessed from the headers */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+              {Object.entries(STATEMENT_COLUMNS).map(([field, { label }]) => (
+                <div key={field}>
+                  <label className="block text-xs font-semibold text-gray-600 mb-1">{label}</label>
+                  <CustomSelect
+                    value={String(columns[field])}
+                    onChange={(value) => setColumns((prev) => ({ ...prev, [field]: Number(value) }))}
+                    options={columnOptions}
+                  />
+                </div>
+              ))}
+            </div>
+            {columnsError && <p className="text-sm text-red-600">{columnsError}</p>}
+          </div>
+        )}
+
+        {readError && <p className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{readError}</p>}
+      </div>
+
+      {ordersError && (
+        <div className="flex items-center justify-between gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <span>{ordersError}</span>
+          <button
+            onClick={() => setReloadKey((key) => key + 1)}
+            className="flex items-center gap-1 font-medium hover:text-red-900"
+          >
+            <RefreshCw className="w-3.5 h-3.5" />
+            Réessayer
+          </button>
+        </div>
+      )}
+
+      {result && !columnsError && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+            {summaryCards.map((card) => (
+              <div key={card.label} className="bg-white rounded-lg border border-gray-200 p-4">
+                <p className="text-xs text-gray-500 uppercase">{card.label}</p>
+                <p className={`mt-1 text-lg font-bold ${card.color}`}>{card.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg border border-gray-200">
+            <div className="p-4 border-b border-gray-200 flex flex-wrap gap-2">
+              {filterTabs.map((tab) => (
+                <button
+                  key={tab.value}
+                  onClick={() => setStatusFilter(tab.value)}
+                  className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-colors ${
+                    statusFilter === tab.value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {tab.label} ({tab.count})
+                </button>
+              ))}
+            </div>
+
+            {ordersLoading && (
+              <div className="flex items-center justify-center py-12">
+                <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+              </div>
+            )}
+
+            {!ordersLoading && statusFilter !== MISSING_FILTER && (
+              <ReconciliationTable
+                lines={displayLines}
+                selectedRows={selectedRows}
+                onSelectionChange={setSelectedRows}
+                onViewOrder={(order) => navigate(`/admin/orders?q=${encodeURIComponent(order.uniqueId || order.id)}`)}
+              />
+            )}
+
+            {!ordersLoading && statusFilter === MISSING_FILTER && (
+              result.missing.length === 0 ? (
+                <p className="py-12 text-center text-sm text-gray-500">Toutes les commandes livrées figurent dans le relevé</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Commande</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">N° de suivi</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Client</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Créée le</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Attendu</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {result.missing.map((order) => (
+                        <tr key={order.id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 text-sm font-medium text-gray-900 whitespace-nowrap">{order.uniqueId || `#${order.id}`}</td>
+                          <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">{order.trackingNumber || order.providerOrderId || '—'}</td>
+                          <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">{order.fullName}</td>
+                          <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">{formatDate(order.createdAt)}</td>
+                          <td className="px-6 py-4 text-sm text-right font-medium text-gray-900 whitespace-nowrap">{formatCurrency(getExpectedAmount(order))}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )
+            )}
+          </div>
+        </>
+      )}
+
+      <BulkOperationModal
+        isOpen={Boolean(bulkOperation)}
+        title={bulkOperation?.title}
+        total={bulkOperation?.total || 0}
+        results={bulkOperation?.results || []}
+        running={bulkOperation?.running || false}
+        onClose={() => setBulkOperation(null)}
+      />
+
+      <ToastContainer toasts={toasts} onClose={removeToast} />
+    </div>
+  );
+};
+
+export default CodReconciliation;
@@ -4,7 +4,9 @@ import { useState, useEffect } from 'react';
 import StatsCard from '../components/common/StatsCard';
 import SalesChart from '../components/dashboard/SalesChart';
 import RecentOrdersTable from '../components/dashboard/RecentOrdersTable';
+import LowStockCard from '../components/dashboard/LowStockCard';
 import { formatCurrency } from '../utils/format';
+import { useForbiddenRedirect } from '../hooks/useForbiddenRedirect';
 import * as dashboardApi from '../services/dashboardApi';
 import * as ordersApi from '../services/ordersApi';
 
@@ -14,11 +16,13 @@ import * as ordersApi from '../services/ordersApi';
  * - No state management - each child manages its own data
  * - Each StatsCard independently fetches and filters its data
  * - SalesChart independently manages its time filter
+ * - LowStockCard independently fetches the titles about to run out
  * - Only RecentOrders fetched at dashboard level (static, no filter)
  * - Minimal re-renders - only components that change data re-render
  */
 
 const Dashboard = () => {
+  const redirectIfForbidden = useForbiddenRedirect();
   const [dashboardData, setDashboardData] = useState(null);
   const [recentOrders, setRecentOrders] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -29,9 +33,22 @@ const Dashboard = () => {
     const fetchDashboardStats = async () => {
       try {
         setIsLoading(true);
-        const stats = await dashboardApi.getDashboardStats('Ce mois-ci');
-        setDashboardData(stats);
+        // Refunds are optional: the stats still show (as gross sales) if they fail to load
+        const [stats, refunds] = await Promise.all([
+          dashboardApi.getDashboardStats('Ce mois-ci'),
+          dashboardApi.getRefundsSummary('Ce mois-ci').catch((error) => {
+            console.error('Error fetching refunds summary:', error);
+            return null;
+          }),
+        ]);
+        setDashboardData(refunds ? {
+          ...stats,
+          refundTotal: refunds.refundTotal,
+          returnCount: refunds.returnCount,
+          netSales: stats.monthlySales - refunds.refundTotal,
+        } : stats);
       } catch (error) {
+        if (redirectIfForbidden(error)) return;
         console.error('Error fetching dashboard stats:', error);
       } finally {
         setIsLoading(false);
@@ -39,7 +56,7 @@ const Dashboard = () => {
     };
 
     fetchDashboardStats();
-  }, []);
+  }, [redirectIfForbidden]);
 
   // Fetch recent orders on component mount
   useEffect(() => {
@@ -63,6 +80,9 @@ const Dashboard = () => {
             'SHIPPED': 'shipped',
             'DELIVERED': 'delivered',
             'CANCELLED': 'cancelled',
+            'RETURN_REQUESTED': 'return_requested',
+            'RETURNED': 'returned',
+            'REFUSED': 'refused',
           };
           return statusMap[backendStatus] || 'pending';
         };
@@ -156,8 +176,12 @@ const Dashboard = () => {
   const buildSalesDetails = (data) => {
     if (!data?.monthlySales) return null;
     return {
-      description: "Revenu généré ce mois-ci",
+      description: data.refundTotal ? "Revenu généré ce mois-ci, remboursements déduits" : "Revenu généré ce mois-ci",
       breakdown: [
+        ...(data.refundTotal ? [
+          { label: "Ventes brutes", value: formatCurrency(data.monthlySales), color: "text-gray-700" },
+          { label: `Remboursements (${data.returnCount} retour${data.returnCount > 1 ? 's' : ''})`, value: `-${formatCurrency(data.refundTotal)}`, color: "text-red-600" },
+        ] : []),
         { label: "Ventes en ligne", value: formatCurrency(data.monthlySales * 0.72), color: "text-green-600" },
         { label: "Ventes en magasin", value: formatCurrency(data.monthlySales * 0.28), color: "text-blue-600" },
         { label: "Commande moyenne", value: formatCurrency(data.monthlySales / Math.max(data.totalOrders, 1)), color: "text-purple-600" }
@@ -272,6 +296,11 @@ const Dashboard = () => {
           <SalesChart />
         </div>
 
+        {/* Low Stock Section - Independent fetch */}
+        <div className="relative z-0">
+          <LowStockCard />
+        </div>
+
         {/* Recent Orders Section */}
         {!isOrdersLoading && (
           <div className="relative z-0">
@@ -0,0 +1,63 @@
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ShieldOff, ArrowLeft, Home } from 'lucide-react';
+
+const Forbidden = () => {
+  const navigate = useNavigate();
+
+  return (
+    <div className="min-h-[60vh] flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="text-center"
+      >
+        <motion.div
+          initial={{ scale: 0.5 }}
+          animate={{ scale: 1 }}
+          transition={{ delay: 0.1 }}
+          className="w-20 h-20 mx-auto mb-6 rounded-full bg-red-100 flex items-center justify-center"
+        >
+          <ShieldOff className="w-10 h-10 text-red-600" />
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ delay: 0.3 }}
+        >
+          <h2 className="text-3xl font-semibold text-gray-900 mb-4">
+            Accès refusé
+          </h2>
+          <p className="text-gray-600 mb-8 max-w-md">
+            Votre rôle ne vous permet pas d'accéder à cette page ou d'effectuer cette action. Contactez un administrateur si vous pensez qu'il s'agit d'une erreur.
+          </p>
+
+          <div className="flex flex-col sm:flex-row gap-4 justify-center">
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => navigate(-1)}
+              className="flex items-center justify-center gap-2 px-6 py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 font-medium"
+            >
+              <ArrowLeft className="w-5 h-5" />
+              Retour
+            </motion.button>
+
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => navigate('/admin/dashboard')}
+              className="flex items-center justify-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium"
+            >
+              <Home className="w-5 h-5" />
+              Retour au tableau de bord
+            </motion.button>
+          </div>
+        </motion.div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default Forbidden;
@@ -0,0 +1,199 @@
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { FileDown, Loader2, Printer } from 'lucide-react';
+import PackingSlip from '../components/orders/PackingSlip';
+import OrderInvoice from '../components/orders/OrderInvoice';
+import CustomSelect from '../components/common/CustomSelect';
+import { useForbiddenRedirect } from '../hooks/useForbiddenRedirect';
+import * as ordersApi from '../services/ordersApi';
+import { getStopDeskById } from '../services/relayPointsApi';
+import { ORDER_DOCUMENT } from '../utils/orderDocuments';
+import { buildPdf } from '../utils/pdf';
+import { downloadFile } from '../utils/csv';
+
+const documentOptions = [
+  { value: ORDER_DOCUMENT.BOTH, label: 'Bordereau et facture' },
+  { value: ORDER_DOCUMENT.PACKING_SLIP, label: 'Bordereau de livraison' },
+  { value: ORDER_DOCUMENT.INVOICE, label: 'Facture' },
+];
+
+/**
+ * Load an order with its relay point (stop desk deliveries)
+ * @param {number} orderId - Order ID
+ * @returns {Promise<{order: Object, stopDesk: Object|null}>} Order and relay point
+ */
+const loadOrderDocument = async (orderId) => {
+  const order = await ordersApi.getOrderById(orderId);
+  let stopDesk = order.stopDesk || null;
+
+  if (!stopDesk && order.stopDeskId) {
+    try {
+      stopDesk = await getStopDeskById(order.stopDeskId);
+    } catch (err) {
+      // The documents stay printable without the relay point details
+      console.error('Error fetching stop desk:', err);
+    }
+  }
+
+  return { order, stopDesk };
+};
+
+/**
+ * OrderPrint page
+ * Print view for one or several orders: /admin/orders/print?ids=1,2&doc=slip|invoice|both
+ * Rendered outside the admin layout so only the documents are printed
+ */
+const OrderPrint = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const documentsRef = useRef(null);
+  const redirectIfForbidden = useForbiddenRedirect();
+
+  const ids = searchParams.get('ids') || '';
+  const documentType = searchParams.get('doc') || ORDER_DOCUMENT.BOTH;
+
+  useEffect(() => {
+    const orderIds = ids.split(',').map((id) => id.trim()).filter(Boolean);
+
+    const fetchDocuments = async () => {
+      if (orderIds.length === 0) {
+        setError('Aucune commande à imprimer');
+        setLoading(false);
+        return;
+      }
+
+      setLoading(true);
+      setError(null);
+      try {
+        const loaded = [];
+        // One order at a time to keep the API load low on large batches
+        for (const orderId of orderIds) {
+          loaded.push(await loadOrderDocument(orderId));
+        }
+        setDocuments(loaded);
+      } catch (err) {
+        if (redirectIfForbidden(err)) return;
+        console.error('Error loading orders to print:', err);
+        setError(err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDocuments();
+  }, [ids, redirectIfForbidden]);
+
+  const handleDocumentTypeChange = (value) => {
+    setSearchParams({ ids, doc: value });
+  };
+
+  const getFileName = () => {
+    const first = documents[0]?.order;
+    return documents.length === 1 && first
+      ? `commande_${first.uniqueId || first.id}`
+      : `commandes_${new Date().toISOString().slice(0, 10)}`;
+  };
+
+  // The document title becomes the file name proposed when the print is saved as PDF
+  const handlePrint = () => {
+    const previousTitle = document.title;
+    document.title = getFileName();
+    window.print();
+    document.title = previousTitle;
+  };
+
+  // One PDF page per packing slip or invoice, built from the documents on screen
+  const handleDownloadPdf = async () => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      const pages = [...documentsRef.current.querySelectorAll('.print-page')];
+      downloadFile(await buildPdf(pages), `${getFileName()}.pdf`);
+    } catch (err) {
+      console.error('Error building PDF:', err);
+      setExportError('Impossible de générer le PDF : utilisez Imprimer puis « Enregistrer au format PDF »');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const showSlip = documentType !== ORDER_DOCUMENT.INVOICE;
+  const showInvoice = documentType !== ORDER_DOCUMENT.PACKING_SLIP;
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white">
+      {/* Toolbar - hidden when printing */}
+      <div className="no-print sticky top-0 z-10 bg-white border-b border-gray-200 px-4 py-3 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div>
+          <h1 className="text-lg font-semibold text-gray-900">Impression des commandes</h1>
+          {!loading && !error && (
+            <p className="text-sm text-gray-600">
+              {documents.length} commande{documents.length > 1 ? 's' : ''}
+            </p>
+          )}
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <div className="sm:min-w-[220px]">
+            <CustomSelect
+              value={documentType}
+              onChange={handleDocumentTypeChange}
+              options={documentOptions}
+              placeholder="Document"
+            />
+          </div>
+          <button
+            onClick={handleDownloadPdf}
+            disabled={loading || Boolean(error) || exporting}
+            className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileDown className="w-4 h-4" />}
+            Télécharger en PDF
+          </button>
+          <button
+            onClick={handlePrint}
+            disabled={loading || Boolean(error)}
+            className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Printer className="w-4 h-4" />
+            Imprimer
+          </button>
+        </div>
+      </div>
+
+      {loading && (
+        <div className="flex items-center justify-center h-96">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+
+      {!loading && error && (
+        <div className="max-w-xl mx-auto mt-10 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {exportError && (
+        <div className="no-print max-w-xl mx-auto mt-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {exportError}
+        </div>
+      )}
+
+      {!loading && !error && (
+        <div ref={documentsRef} className="print-documents max-w-[210mm] mx-auto py-6 space-y-6 print:py-0 print:space-y-0">
+          {documents.map(({ order, stopDesk }) => (
+            <div key={order.id} className="space-y-6 print:space-y-0">
+              {showSlip && <PackingSlip order={order} stopDesk={stopDesk} />}
+              {showInvoice && <OrderInvoice order={order} stopDesk={stopDesk} />}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderPrint;
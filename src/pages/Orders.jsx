@@ -1,16 +1,122 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { Download, Plus } from 'lucide-react';
 import { motion } from 'framer-motion';
 import OrdersTable from '../components/orders/OrdersTable';
 import OrderDetailsModal from '../components/common/OrderDetailsModal';
 import CreateOrderModal from '../components/orders/CreateOrderModal';
 import ConfirmDeleteModal from '../components/common/ConfirmDeleteModal';
+import DuplicateCompareModal from '../components/orders/DuplicateCompareModal';
+import SavedViewsTabs from '../components/common/SavedViewsTabs';
+import OrdersBulkActionBar from '../components/orders/OrdersBulkActionBar';
+import BulkStatusModal from '../components/orders/BulkStatusModal';
+import BulkOperationModal from '../components/orders/BulkOperationModal';
 import ToastContainer from '../components/common/Toast';
 import { useDebounce } from '../hooks/useDebounce';
 import { useToast } from '../hooks/useToast';
+import { useForbiddenRedirect } from '../hooks/useForbiddenRedirect';
+import { useSavedViews, getStoredDefaultView, isSameViewState } from '../hooks/useSavedViews';
+import { useAuth } from '../contexts/AuthContext';
+import { useOrderNotifications } from '../contexts/OrderNotificationsContext';
 import * as ordersApi from '../services/ordersApi';
+import * as carriersApi from '../services/carriersApi';
+import * as returnsApi from '../services/returnsApi';
+import { PERMISSIONS } from '../utils/permissions';
+import { getTransitionBlocker, validateTransitionInputs, normalizeStatus, ORDER_STATUS_LABELS } from '../utils/orderWorkflow';
+import { runBulk } from '../utils/bulk';
+import { toCsv, downloadFile } from '../utils/csv';
+import { getPrintUrl } from '../utils/orderDocuments';
+import { EMPTY_ORDER_FILTERS, parseOrderFilters, writeOrderFilters, toOrderQueryParams, hasPageFilters, matchesPageFilters, isOrderInView } from '../utils/orderFilters';
+import { findDuplicateOrders, readDismissedPairs, dismissDuplicatePair } from '../utils/orderDuplicates';
+import { toPhoneSearchTerm } from '../utils/phone';
+import { STATUSES_CLOSED_BY_RETURN } from '../utils/orderReturns';
+
+// Page size used when loading every order matching the filter (bulk "select all", client-side filters)
+const BULK_FETCH_SIZE = 100;
+
+/**
+ * Load every order matching the query parameters and the filters the API does not support, page by page
+ * @param {Object} params - getOrders parameters (page and size are ignored)
+ * @param {Object} filters - Advanced filters (see matchesPageFilters)
+ * @returns {Promise<Array>} Orders (API shape), in the requested sort order
+ */
+const fetchAllMatchingOrders = async (params, filters) => {
+  const orders = [];
+  let page = 0;
+  let totalPages = 1;
+
+  while (page < totalPages) {
+    const response = await ordersApi.getOrders({ ...params, page, size: BULK_FETCH_SIZE });
+    orders.push(...(response.content || []).filter((order) => matchesPageFilters(order, filters)));
+    totalPages = response.totalPages ?? 1;
+    page += 1;
+  }
+
+  return orders;
+};
+
+// Transform API data to match OrdersTable expected format
+const transformOrder = (order) => ({
+  ...order,
+  orderNumber: order.uniqueId || order.orderNumber,
+  customer: order.fullName || order.customer,
+  customerEmail: order.email || order.customerEmail,
+  date: order.createdAt || order.date,
+  total: order.totalAmount || order.total,
+  status: order.status ? order.status.toLowerCase() : 'pending',
+});
+
+// Confirming or shipping creates the parcel at the carrier: no tracking info and no label means it failed
+const hasParcelCreationFailed = (status, updatedOrder) => {
+  return ['confirmed', 'shipped'].includes(status.toLowerCase())
+    && !(updatedOrder.trackingNumber || updatedOrder.providerOrderId)
+    && !updatedOrder.shippingLabelUrl;
+};
+
+// Columns of the selected orders export
+const EXPORT_COLUMNS = [
+  { key: 'orderNumber', label: 'N° commande' },
+  { key: 'date', label: 'Date', value: (order) => order.date ? new Date(order.date).toLocaleString('fr-FR') : '' },
+  { key: 'customer', label: 'Client' },
+  { key: 'customerEmail', label: 'Email' },
+  { key: 'phone', label: 'Téléphone' },
+  { key: 'wilaya', label: 'Wilaya' },
+  { key: 'city', label: 'Ville' },
+  { key: 'streetAddress', label: 'Adresse' },
+  { key: 'shippingProvider', label: 'Transporteur' },
+  { key: 'shippingMethod', label: 'Mode de livraison' },
+  { key: 'shippingCost', label: 'Frais de livraison' },
+  { key: 'total', label: 'Total' },
+  { key: 'status', label: 'Statut', value: (order) => ORDER_STATUS_LABELS[normalizeStatus(order.status)] },
+  { key: 'trackingNumber', label: 'N° de suivi' },
+];
+
+// Table state of the unfiltered "Toutes" view; saved views store the same shape
+const DEFAULT_VIEW_STATE = {
+  searchQuery: '',
+  statusFilter: 'all',
+  sortBy: 'date-desc',
+  filters: EMPTY_ORDER_FILTERS,
+};
 
 const Orders = () => {
+  // Search, status, sort and advanced filters live in the URL so a filtered view can be bookmarked
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // A shared link wins over the operator's default view
+  const { user, can } = useAuth();
+  const [initialView] = useState(() => {
+    if ([...searchParams.keys()].length > 0) {
+      return {
+        searchQuery: searchParams.get('q') || DEFAULT_VIEW_STATE.searchQuery,
+        statusFilter: searchParams.get('status') || DEFAULT_VIEW_STATE.statusFilter,
+        sortBy: searchParams.get('sort') || DEFAULT_VIEW_STATE.sortBy,
+        filters: parseOrderFilters(searchParams),
+      };
+    }
+    return getStoredDefaultView('orders', user)?.state || DEFAULT_VIEW_STATE;
+  });
+
   const [orders, setOrders] = useState([]);
   const [pagination, setPagination] = useState({
     page: 0,
@@ -20,17 +126,38 @@ const Orders = () => {
   });
   const [loading, setLoading] = useState(true);
   const [initialLoad, setInitialLoad] = useState(true);
-  const [sortBy, setSortBy] = useState('date-desc');
-  const [statusFilter, setStatusFilter] = useState('all');
-  const [searchQuery, setSearchQuery] = useState('');
+  const [sortBy, setSortBy] = useState(initialView.sortBy);
+  const [statusFilter, setStatusFilter] = useState(initialView.statusFilter);
+  const [searchQuery, setSearchQuery] = useState(initialView.searchQuery);
+  const [filters, setFilters] = useState({ ...EMPTY_ORDER_FILTERS, ...initialView.filters });
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
   const [orderToDelete, setOrderToDelete] = useState(null);
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [compareOrder, setCompareOrder] = useState(null);
+  // Pairs the operator marked as not duplicates (also kept in localStorage)
+  const [dismissedPairs, setDismissedPairs] = useState(readDismissedPairs);
+
+  // Bulk selection: orders picked on any page, or every order matching the filter
+  const [selectedOrders, setSelectedOrders] = useState([]);
+  const [allMatchingSelected, setAllMatchingSelected] = useState(false);
+  const [isBulkStatusOpen, setIsBulkStatusOpen] = useState(false);
+  const [isBulkDeleteOpen, setIsBulkDeleteOpen] = useState(false);
+  const [isResolvingSelection, setIsResolvingSelection] = useState(false);
+  const [bulkOperation, setBulkOperation] = useState(null);
 
   // Toast notifications
-  const { toasts, removeToast, success, error } = useToast();
+  const { toasts, removeToast, success, error, warning } = useToast();
+  const redirectIfForbidden = useForbiddenRedirect();
+
+  // Role-based permissions
+  const canManageOrders = can(PERMISSIONS.MANAGE_ORDERS);
+  const canDeleteOrders = can(PERMISSIONS.DELETE_ORDERS);
+
+  // Saved views pinned as tabs above the table
+  const viewState = { searchQuery, statusFilter, sortBy, filters };
+  const savedViews = useSavedViews('orders', viewState);
 
   // Ref to track pagination without causing re-renders
   const paginationRef = useRef(pagination);
@@ -50,46 +177,73 @@ const Orders = () => {
     }
   }, [debouncedSearchQuery]);
 
-  const fetchOrders = useCallback(async () => {
-    setLoading(true);
-    try {
-      // Parse sortBy to get field and direction
-      const [sortField, sortDirection] = sortBy.split('-');
-      const sortParam = sortField === 'date'
-        ? `createdAt,${sortDirection}`
-        : `totalAmount,${sortDirection}`;
-
-      const params = {
-        page: paginationRef.current.page,
-        size: paginationRef.current.size,
-        sort: sortParam,
-      };
+  // Clear the bulk selection when the set of matching orders changes
+  useEffect(() => {
+    setSelectedOrders([]);
+    setAllMatchingSelected(false);
+  }, [debouncedSearchQuery, statusFilter, filters]);
 
-      // Add status filter if not 'all'
-      if (statusFilter !== 'all') {
-        params.status = statusFilter.toUpperCase();
-      }
+  // Keep the URL query string in sync with the current view (default values are omitted)
+  useEffect(() => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      const setOrDelete = (key, value, defaultValue) => {
+        if (value && value !== defaultValue) {
+          next.set(key, value);
+        } else {
+          next.delete(key);
+        }
+      };
+      setOrDelete('q', debouncedSearchQuery, '');
+      setOrDelete('status', statusFilter, 'all');
+      setOrDelete('sort', sortBy, 'date-desc');
+      writeOrderFilters(next, filters);
+      return next;
+    }, { replace: true });
+  }, [debouncedSearchQuery, statusFilter, sortBy, filters, setSearchParams]);
+
+  // Filter and sort query parameters shared by the table and bulk "select all"
+  const buildFilterParams = useCallback(() => {
+    // Parse sortBy to get field and direction
+    const [sortField, sortDirection] = sortBy.split('-');
+    const sortParam = sortField === 'date'
+      ? `createdAt,${sortDirection}`
+      : `totalAmount,${sortDirection}`;
+
+    const params = { sort: sortParam, ...toOrderQueryParams(filters) };
+
+    // Add status filter if not 'all'
+    if (statusFilter !== 'all') {
+      params.status = statusFilter.toUpperCase();
+    }
 
-      // Add search parameter if present
-      if (debouncedSearchQuery) {
-        params.search = debouncedSearchQuery;
-      }
+    // Add search parameter if present (phone numbers match whatever their format)
+    if (debouncedSearchQuery) {
+      params.search = toPhoneSearchTerm(debouncedSearchQuery);
+    }
 
-      const response = await ordersApi.getOrders(params);
-      const data = response.content || [];
+    return params;
+  }, [debouncedSearchQuery, statusFilter, sortBy, filters]);
 
-      // Transform API data to match OrdersTable expected format
-      const transformedData = data.map(order => ({
-        ...order,
-        orderNumber: order.uniqueId || order.orderNumber,
-        customer: order.fullName || order.customer,
-        customerEmail: order.email || order.customerEmail,
-        date: order.createdAt || order.date,
-        total: order.totalAmount || order.total,
-        status: order.status ? order.status.toLowerCase() : 'pending',
-      }));
+  const fetchOrders = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { page, size } = paginationRef.current;
+      let response;
+      let data;
+
+      if (hasPageFilters(filters)) {
+        // Carrier, method, wilaya and tracking are not API filters: load every matching order,
+        // then page and count on the client
+        const matching = await fetchAllMatchingOrders(buildFilterParams(), filters);
+        data = matching.slice(page * size, (page + 1) * size);
+        response = { number: page, size, totalElements: matching.length, totalPages: Math.max(1, Math.ceil(matching.length / size)) };
+      } else {
+        response = await ordersApi.getOrders({ ...buildFilterParams(), page, size });
+        data = response.content || [];
+      }
 
-      setOrders(transformedData);
+      setOrders(data.map(transformOrder));
 
       // Update pagination info from response - only update if values changed
       setPagination(prev => {
@@ -127,13 +281,30 @@ const Orders = () => {
         success(message);
       }
     } catch (err) {
+      if (redirectIfForbidden(err)) return;
       console.error('Error fetching orders:', err);
       setOrders([]);
     } finally {
       setLoading(false);
       setInitialLoad(false);
     }
-  }, [debouncedSearchQuery, statusFilter, sortBy, success]);
+  }, [buildFilterParams, filters, success, redirectIfForbidden]);
+
+  // New orders: reload the list when they show up in the current view, and count them as seen
+  const { subscribe: subscribeToNewOrders, markAllRead } = useOrderNotifications();
+
+  useEffect(() => {
+    markAllRead();
+  }, [markAllRead]);
+
+  useEffect(() => {
+    return subscribeToNewOrders((order) => {
+      if (isOrderInView(order, { statusFilter, searchQuery: debouncedSearchQuery, filters })) {
+        fetchOrders();
+        markAllRead();
+      }
+    });
+  }, [subscribeToNewOrders, markAllRead, fetchOrders, statusFilter, debouncedSearchQuery, filters]);
 
   useEffect(() => {
     fetchOrders();
@@ -157,6 +328,28 @@ const Orders = () => {
     }
   };
 
+  const handleFiltersChange = (newFilters) => {
+    setFilters(newFilters);
+    if (pagination.page !== 0) {
+      setPagination(prev => ({ ...prev, page: 0 }));
+    }
+  };
+
+  const applyView = (state) => {
+    setSearchQuery(state.searchQuery);
+    setStatusFilter(state.statusFilter);
+    setSortBy(state.sortBy);
+    setFilters({ ...EMPTY_ORDER_FILTERS, ...state.filters });
+    if (pagination.page !== 0) {
+      setPagination(prev => ({ ...prev, page: 0 }));
+    }
+  };
+
+  const handleSaveView = (name, isDefault) => {
+    savedViews.saveView(name, viewState, isDefault);
+    success(`La vue « ${name.trim()} » a été enregistrée`);
+  };
+
   const handlePageChange = (newPage) => {
     setPagination(prev => ({ ...prev, page: newPage }));
   };
@@ -170,16 +363,36 @@ const Orders = () => {
     setIsModalOpen(true);
   };
 
-  const handleUpdateStatus = async (orderId, status) => {
-    try {
-      // Fetch the complete order data from the API to get all fields including orderItems
-      const fullOrder = await ordersApi.getOrderById(orderId);
+  /**
+   * Apply a status change through the workflow and save it
+   * @returns {Promise<Object>} Updated order
+   */
+  const applyStatusChange = async (orderId, status, transitionFields = {}) => {
+    // Fetch the complete order data from the API to get all fields including orderItems
+    const fullOrder = await ordersApi.getOrderById(orderId);
+
+    // Re-check the workflow against the fresh order (it may have changed since the list was loaded)
+    const blocker = getTransitionBlocker(fullOrder, status);
+    if (blocker) {
+      throw new Error(blocker);
+    }
+    const inputErrors = Object.values(validateTransitionInputs(fullOrder, status, transitionFields));
+    if (inputErrors.length > 0) {
+      throw new Error(inputErrors[0]);
+    }
 
-      // Send all fields as-is from the API response, only updating the status
-      const updatedOrder = await ordersApi.updateOrder(orderId, {
-        ...fullOrder,
-        status: status.toUpperCase(),
-      });
+    // Send all fields as-is from the API response, only updating the status
+    // and the fields the transition required (cancellation reason, tracking number)
+    return ordersApi.updateOrder(orderId, {
+      ...fullOrder,
+      ...transitionFields,
+      status: status.toUpperCase(),
+    });
+  };
+
+  const handleUpdateStatus = async (orderId, status, transitionFields = {}) => {
+    try {
+      const updatedOrder = await applyStatusChange(orderId, status, transitionFields);
 
       fetchOrders();
 
@@ -189,7 +402,7 @@ const Orders = () => {
 
         if (trackingInfo) {
           success(`Statut mis à jour avec succès. Numéro de suivi: ${trackingInfo}`);
-        } else if (!updatedOrder.shippingLabelUrl) {
+        } else if (hasParcelCreationFailed(status, updatedOrder)) {
           // Parcel creation failed - no shipping label URL
           error('La création du colis chez le transporteur a échoué', 'Attention');
         } else {
@@ -208,6 +421,99 @@ const Orders = () => {
     }
   };
 
+  const handleUpdateOrder = async (orderId, orderData) => {
+    try {
+      // Keep the fields the form does not manage (status, tracking, user...) from the complete order
+      const fullOrder = await ordersApi.getOrderById(orderId);
+      const updatedOrder = await ordersApi.updateOrder(orderId, {
+        ...fullOrder,
+        ...orderData,
+      });
+
+      setSelectedOrder(transformOrder(updatedOrder));
+      fetchOrders();
+      success('La commande a été modifiée avec succès');
+      return updatedOrder;
+    } catch (err) {
+      console.error('Error updating order:', err);
+      const errorMessage = err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue';
+      error(errorMessage, 'Erreur lors de la modification');
+      throw err;
+    }
+  };
+
+  /**
+   * Save the parcel fields of an order after a carrier action
+   * @returns {Promise<Object>} Updated order
+   */
+  const saveParcelFields = async (orderId, parcelFields) => {
+    const fullOrder = await ordersApi.getOrderById(orderId);
+    const updatedOrder = await ordersApi.updateOrder(orderId, { ...fullOrder, ...parcelFields });
+    setSelectedOrder(transformOrder(updatedOrder));
+    fetchOrders();
+    return updatedOrder;
+  };
+
+  const handleCreateParcel = async (order) => {
+    try {
+      const fullOrder = await ordersApi.getOrderById(order.id);
+      const parcel = await carriersApi.createParcel(fullOrder);
+      await saveParcelFields(order.id, {
+        trackingNumber: parcel.trackingNumber,
+        providerOrderId: parcel.providerOrderId,
+        shippingLabelUrl: parcel.labelUrl,
+      });
+      success(`Colis créé chez le transporteur. Numéro de suivi: ${parcel.trackingNumber}`);
+    } catch (err) {
+      console.error('Error creating parcel:', err);
+      const errorMessage = err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue';
+      error(errorMessage, 'Erreur lors de la création du colis');
+    }
+  };
+
+  const handleCancelParcel = async (order) => {
+    try {
+      await carriersApi.cancelParcel(order);
+      await saveParcelFields(order.id, {
+        trackingNumber: null,
+        providerOrderId: null,
+        shippingLabelUrl: null,
+      });
+      success('Le colis a été annulé chez le transporteur');
+    } catch (err) {
+      console.error('Error cancelling parcel:', err);
+      const errorMessage = err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue';
+      error(errorMessage, "Erreur lors de l'annulation du colis");
+    }
+  };
+
+  const handleCreateReturn = async (order, returnData) => {
+    try {
+      await returnsApi.createOrderReturn(order.id, returnData);
+
+    } catch (err) {
+      console.error('Error creating return:', err);
+      const errorMessage = err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue';
+      error(errorMessage, "Erreur lors de l'enregistrement du retour");
+      throw err;
+    }
+
+    // A recorded return closes the pending return request or refused parcel.
+    // The return is saved at this point, so a failure here must not reopen the form
+    if (STATUSES_CLOSED_BY_RETURN.includes(normalizeStatus(order.status))) {
+      try {
+        const updatedOrder = await applyStatusChange(order.id, 'returned');
+        setSelectedOrder(transformOrder(updatedOrder));
+      } catch (err) {
+        console.error('Error closing returned order:', err);
+        warning("Retour enregistré, mais la commande n'a pas pu passer au statut « Retourné »");
+      }
+    }
+
+    fetchOrders();
+    success(returnData.restock ? 'Retour enregistré, les articles ont été remis en stock' : 'Retour enregistré');
+  };
+
   const handleCreateOrder = async (orderData) => {
     try {
       await ordersApi.createOrder(orderData);
@@ -247,6 +553,42 @@ const Orders = () => {
     setOrderToDelete(null);
   };
 
+  // Likely duplicates among the loaded page
+  const duplicates = useMemo(() => findDuplicateOrders(orders, dismissedPairs), [orders, dismissedPairs]);
+
+  const handleCancelDuplicate = async (kept, duplicate, reason = `Doublon de ${kept.orderNumber}`) => {
+    try {
+      await applyStatusChange(duplicate.id, 'cancelled', { cancellationReason: reason });
+      setCompareOrder(null);
+      fetchOrders();
+      success(`La commande ${duplicate.orderNumber} a été annulée`);
+    } catch (err) {
+      console.error('Error cancelling duplicate order:', err);
+      const errorMessage = err.response?.data?.detail || err.response?.data?.message || err.message || 'Une erreur est survenue';
+      error(errorMessage, "Erreur lors de l'annulation du doublon");
+    }
+  };
+
+  const handleMergeDuplicates = async (kept, duplicate, fields) => {
+    if (Object.keys(fields).length > 0) {
+      try {
+        const fullOrder = await ordersApi.getOrderById(kept.id);
+        await ordersApi.updateOrder(kept.id, { ...fullOrder, ...fields });
+      } catch (err) {
+        console.error('Error merging duplicate order:', err);
+        const errorMessage = err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue';
+        error(errorMessage, 'Erreur lors de la fusion');
+        return;
+      }
+    }
+    await handleCancelDuplicate(kept, duplicate, `Fusionnée avec ${kept.orderNumber}`);
+  };
+
+  const handleDismissDuplicate = (order, duplicate) => {
+    setDismissedPairs(dismissDuplicatePair(order, duplicate));
+    setCompareOrder(null);
+  };
+
   const handleExport = async () => {
     try {
       const response = await ordersApi.exportOrders();
@@ -282,6 +624,155 @@ const Orders = () => {
     }
   };
 
+  // Bulk selection
+  const handleToggleSelect = (order) => {
+    if (allMatchingSelected) {
+      // Leaving "all matching": keep the rest of the visible page selected
+      setAllMatchingSelected(false);
+      setSelectedOrders(orders.filter(o => o.id !== order.id));
+      return;
+    }
+    setSelectedOrders(prev => (
+      prev.some(o => o.id === order.id)
+        ? prev.filter(o => o.id !== order.id)
+        : [...prev, order]
+    ));
+  };
+
+  const handleTogglePageSelection = (checked) => {
+    setAllMatchingSelected(false);
+    setSelectedOrders(prev => {
+      const others = prev.filter(o => !orders.some(order => order.id === o.id));
+      return checked ? [...others, ...orders] : others;
+    });
+  };
+
+  const handleClearSelection = () => {
+    setSelectedOrders([]);
+    setAllMatchingSelected(false);
+  };
+
+  /**
+   * Get the orders targeted by a bulk action
+   * When every matching order is selected, they are loaded page by page with the current filter
+   * @returns {Promise<Array>} Selected orders
+   */
+  const resolveSelectedOrders = async () => {
+    if (!allMatchingSelected) {
+      return selectedOrders;
+    }
+
+    setIsResolvingSelection(true);
+    try {
+      const allOrders = await fetchAllMatchingOrders(buildFilterParams(), filters);
+      return allOrders.map(transformOrder);
+    } finally {
+      setIsResolvingSelection(false);
+    }
+  };
+
+  /**
+   * Run a task on each selected order and show progress and the per-order report
+   */
+  const runBulkOperation = async (title, task) => {
+    try {
+      const targets = await resolveSelectedOrders();
+      setBulkOperation({ title, total: targets.length, results: [], running: true });
+
+      const results = await runBulk(targets, task, {
+        onProgress: ({ results: progress }) => {
+          setBulkOperation(prev => ({ ...prev, results: progress }));
+        },
+      });
+
+      setBulkOperation(prev => ({ ...prev, running: false }));
+      return results;
+    } catch (err) {
+      console.error('Error running bulk operation:', err);
+      const errorMessage = err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue';
+      error(errorMessage, 'Erreur lors de l\'opération groupée');
+      setBulkOperation(null);
+      return [];
+    }
+  };
+
+  const handleCloseBulkOperation = () => {
+    setBulkOperation(null);
+  };
+
+  const handleBulkStatusChange = async (status, transitionFields) => {
+    setIsBulkStatusOpen(false);
+    const label = ORDER_STATUS_LABELS[normalizeStatus(status)];
+
+    await runBulkOperation(`Passage au statut « ${label} »`, async (order) => {
+      const updatedOrder = await applyStatusChange(order.id, status, transitionFields);
+
+      if (hasParcelCreationFailed(status, updatedOrder)) {
+        throw new Error('Statut mis à jour, mais la création du colis chez le transporteur a échoué');
+      }
+
+      const trackingInfo = updatedOrder.trackingNumber || updatedOrder.providerOrderId;
+      return { message: trackingInfo ? `Numéro de suivi : ${trackingInfo}` : 'Statut mis à jour' };
+    });
+
+    handleClearSelection();
+    fetchOrders();
+  };
+
+  const handleConfirmBulkDelete = async () => {
+    setIsBulkDeleteOpen(false);
+
+    await runBulkOperation('Suppression des commandes', async (order) => {
+      await ordersApi.deleteOrder(order.id);
+      return { message: 'Commande supprimée' };
+    });
+
+    handleClearSelection();
+    fetchOrders();
+  };
+
+  const handleBulkExport = async () => {
+    try {
+      const targets = await resolveSelectedOrders();
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(toCsv(EXPORT_COLUMNS, targets), `commandes_${date}.csv`);
+      success(`${targets.length} commande${targets.length > 1 ? 's ont été exportées' : ' a été exportée'}`);
+    } catch (err) {
+      console.error('Error exporting selected orders:', err);
+      const errorMessage = err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue';
+      error(errorMessage, 'Erreur lors de l\'export');
+    }
+  };
+
+  const handleBulkPrintLabels = async () => {
+    await runBulkOperation('Étiquettes transporteur', async (order) => {
+      if (!order.shippingLabelUrl) {
+        throw new Error('Aucune étiquette disponible (colis non créé chez le transporteur)');
+      }
+      return { message: 'Étiquette disponible', url: order.shippingLabelUrl };
+    });
+  };
+
+  const handleBulkPrintDocuments = async () => {
+    // Open the tab right away: browsers block popups opened after an await
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      error('Autorisez les fenêtres pop-up pour imprimer les commandes', 'Impression bloquée');
+      return;
+    }
+    try {
+      const targets = await resolveSelectedOrders();
+      printWindow.location.href = getPrintUrl(targets.map(order => order.id));
+    } catch (err) {
+      printWindow.close();
+      console.error('Error preparing print view:', err);
+      const errorMessage = err.response?.data?.message || err.response?.data?.detail || err.message || 'Une erreur est survenue';
+      error(errorMessage, 'Erreur lors de l\'impression');
+    }
+  };
+
+  const selectionCount = allMatchingSelected ? pagination.totalElements : selectedOrders.length;
+
   if (initialLoad && loading) {
     return (
       <div className="flex items-center justify-center h-96">
@@ -299,15 +790,17 @@ const Orders = () => {
         </div>
 
         <div className="flex flex-col sm:flex-row gap-2 sm:gap-3 w-full sm:w-auto">
-          <motion.button
-            whileHover={{ scale: 1.02 }}
-            whileTap={{ scale: 0.98 }}
-            onClick={() => setIsCreateModalOpen(true)}
-            className="flex items-center justify-center gap-2 px-3 sm:px-4 py-2 sm:py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 shadow-sm whitespace-nowrap text-sm sm:text-base"
-          >
-            <Plus className="w-4 h-4 sm:w-5 sm:h-5 flex-shrink-0" />
-            <span>Ajouter une commande</span>
-          </motion.button>
+          {canManageOrders && (
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => setIsCreateModalOpen(true)}
+              className="flex items-center justify-center gap-2 px-3 sm:px-4 py-2 sm:py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 shadow-sm whitespace-nowrap text-sm sm:text-base"
+            >
+              <Plus className="w-4 h-4 sm:w-5 sm:h-5 flex-shrink-0" />
+              <span>Ajouter une commande</span>
+            </motion.button>
+          )}
 
           <motion.button
             whileHover={{ scale: 1.02 }}
@@ -321,29 +814,70 @@ const Orders = () => {
         </div>
       </div>
 
+      <SavedViewsTabs
+        views={savedViews.views}
+        activeView={savedViews.activeView}
+        isDefaultState={isSameViewState(viewState, DEFAULT_VIEW_STATE)}
+        allLabel="Toutes les commandes"
+        onSelectAll={() => applyView(DEFAULT_VIEW_STATE)}
+        onSelect={(view) => applyView(view.state)}
+        onSave={handleSaveView}
+        onDelete={(view) => savedViews.deleteView(view.id)}
+        onToggleDefault={(view) => savedViews.toggleDefaultView(view.id)}
+      />
+
+      {selectionCount > 0 && (
+        <OrdersBulkActionBar
+          selectedCount={selectedOrders.length}
+          pageCount={orders.length}
+          totalCount={pagination.totalElements}
+          allMatchingSelected={allMatchingSelected}
+          pageSelected={orders.length > 0 && orders.every(order => selectedOrders.some(o => o.id === order.id))}
+          onSelectAllMatching={() => setAllMatchingSelected(true)}
+          onClearSelection={handleClearSelection}
+          onChangeStatus={canManageOrders ? () => setIsBulkStatusOpen(true) : null}
+          onDelete={canDeleteOrders ? () => setIsBulkDeleteOpen(true) : null}
+          onExport={handleBulkExport}
+          onPrintLabels={handleBulkPrintLabels}
+          onPrintDocuments={handleBulkPrintDocuments}
+          disabled={isResolvingSelection || Boolean(bulkOperation?.running)}
+        />
+      )}
+
       <OrdersTable
         orders={orders}
         onViewOrder={handleViewOrder}
-        onDelete={handleDelete}
-        onUpdateStatus={handleUpdateStatus}
+        onDelete={canDeleteOrders ? handleDelete : null}
+        onUpdateStatus={canManageOrders ? handleUpdateStatus : null}
         sortBy={sortBy}
         onSortChange={handleSortChange}
         statusFilter={statusFilter}
         onStatusFilterChange={handleStatusFilterChange}
         searchQuery={searchQuery}
         onSearchChange={handleSearchChange}
+        filters={filters}
+        onFiltersChange={handleFiltersChange}
         loading={loading}
         pagination={pagination}
         onPageChange={handlePageChange}
         onPageSizeChange={handlePageSizeChange}
         onRefresh={fetchOrders}
+        selectedIds={(allMatchingSelected ? orders : selectedOrders).map(order => order.id)}
+        onToggleSelect={handleToggleSelect}
+        onTogglePageSelection={handleTogglePageSelection}
+        duplicates={duplicates}
+        onCompareDuplicates={setCompareOrder}
       />
 
       <OrderDetailsModal
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
         order={selectedOrder}
-        onUpdateStatus={handleUpdateStatus}
+        onUpdateStatus={canManageOrders ? handleUpdateStatus : null}
+        onUpdateOrder={canManageOrders ? handleUpdateOrder : null}
+        onCreateParcel={canManageOrders ? handleCreateParcel : null}
+        onCancelParcel={canManageOrders ? handleCancelParcel : null}
+        onCreateReturn={canManageOrders ? handleCreateReturn : null}
       />
 
       <CreateOrderModal
@@ -352,6 +886,16 @@ const Orders = () => {
         onSubmit={handleCreateOrder}
       />
 
+      <DuplicateCompareModal
+        isOpen={Boolean(compareOrder)}
+        order={compareOrder}
+        duplicates={compareOrder ? duplicates[compareOrder.id] : []}
+        onClose={() => setCompareOrder(null)}
+        onCancelDuplicate={canManageOrders ? handleCancelDuplicate : null}
+        onMerge={canManageOrders ? handleMergeDuplicates : null}
+        onDismiss={handleDismissDuplicate}
+      />
+
       <ConfirmDeleteModal
         isOpen={isDeleteModalOpen}
         onConfirm={handleConfirmDelete}
@@ -359,6 +903,29 @@ const Orders = () => {
         itemName={orderToDelete ? `la commande ${orderToDelete.orderNumber}` : 'cet élément'}
       />
 
+      <BulkStatusModal
+        isOpen={isBulkStatusOpen}
+        count={selectionCount}
+        onClose={() => setIsBulkStatusOpen(false)}
+        onConfirm={handleBulkStatusChange}
+      />
+
+      <ConfirmDeleteModal
+        isOpen={isBulkDeleteOpen}
+        onConfirm={handleConfirmBulkDelete}
+        onCancel={() => setIsBulkDeleteOpen(false)}
+        itemName={`${selectionCount} commande${selectionCount > 1 ? 's' : ''}`}
+      />
+
+      <BulkOperationModal
+        isOpen={Boolean(bulkOperation)}
+        title={bulkOperation?.title}
+        total={bulkOperation?.total || 0}
+        results={bulkOperation?.results || []}
+        running={Boolean(bulkOperation?.running)}
+        onClose={handleCloseBulkOperation}
+      />
+
       <ToastContainer toasts={toasts} onClose={removeToast} />
     </div>
   );
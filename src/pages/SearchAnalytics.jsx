@@ -22,6 +22,7 @@ import {
   Tooltip,
   ResponsiveContainer,
 } from 'recharts';
+import { useForbiddenRedirect } from '../hooks/useForbiddenRedirect';
 import * as searchAnalyticsApi from '../services/searchAnalyticsApi';
 
 const PERIOD_OPTIONS = [
@@ -115,6 +116,7 @@ const ListSkeleton = ({ rows = 6 }) => (
 );
 
 const SearchAnalytics = () => {
+  const redirectIfForbidden = useForbiddenRedirect();
   const [days, setDays] = useState(30);
   const [stats, setStats] = useState(null);
   const [trend, setTrend] = useState([]);
@@ -144,6 +146,7 @@ const SearchAnalytics = () => {
         setTopTerms(topData);
         setZeroTerms(zeroData);
       } catch (error) {
+        if (redirectIfForbidden(error)) return;
         console.error('Error fetching search analytics:', error);
       } finally {
         if (!cancelled) setIsLoading(false);
@@ -153,7 +156,7 @@ const SearchAnalytics = () => {
     return () => {
       cancelled = true;
     };
-  }, [days]);
+  }, [days, redirectIfForbidden]);
 
   useEffect(() => {
     let cancelled = false;
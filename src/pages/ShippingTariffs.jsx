@@ -0,0 +1,254 @@
+import { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Pencil, Plus, RefreshCw, Search, Trash2 } from 'lucide-react';
+import CustomSelect from '../components/common/CustomSelect';
+import ConfirmDeleteModal from '../components/common/ConfirmDeleteModal';
+import ToastContainer from '../components/common/Toast';
+import ShippingTariffFormModal from '../components/shipping/ShippingTariffFormModal';
+import { useToast } from '../hooks/useToast';
+import { useShippingTariffs } from '../hooks/useShippingTariffs';
+import * as shippingTariffsApi from '../services/shippingTariffsApi';
+import { SHIPPING_PROVIDER_OPTIONS, SHIPPING_METHOD_OPTIONS } from '../utils/orderForm';
+import { formatDZD } from '../utils/format';
+import { getErrorMessage } from '../utils/bulk';
+
+const getOptionLabel = (options, value) => options.find((option) => option.value === value)?.label || value;
+
+// "1 – 3 : 400 DA", "11+ : 900 DA"
+const formatTiers = (tiers) => {
+  let from = 1;
+  return tiers.map((tier) => {
+    const range = tier.maxQuantity === null ? `${from}+` : `${from} – ${tier.maxQuantity}`;
+    from = (tier.maxQuantity || 0) + 1;
+    return { range, price: formatDZD(tier.price) };
+  });
+};
+
+// Default tariffs first, then by provider, method and wilaya
+const compareTariffs = (a, b) => (
+  Number(Boolean(a.wilaya)) - Number(Boolean(b.wilaya))
+  || a.provider.localeCompare(b.provider)
+  || a.shippingMethod.localeCompare(b.shippingMethod)
+  || (a.wilaya || '').localeCompare(b.wilaya || '')
+);
+
+const ShippingTariffs = () => {
+  const { tariffs, loading, error, reload } = useShippingTariffs();
+  const [providerFilter, setProviderFilter] = useState('');
+  const [methodFilter, setMethodFilter] = useState('');
+  const [wilayaQuery, setWilayaQuery] = useState('');
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingTariff, setEditingTariff] = useState(null);
+  const [tariffToDelete, setTariffToDelete] = useState(null);
+
+  const { toasts, removeToast, success, error: showError } = useToast();
+
+  const displayTariffs = useMemo(() => {
+    const query = wilayaQuery.trim().toLowerCase();
+    return tariffs
+      .filter((tariff) => !providerFilter || tariff.provider === providerFilter)
+      .filter((tariff) => !methodFilter || tariff.shippingMethod === methodFilter)
+      .filter((tariff) => !query || (tariff.wilaya || 'toutes les wilayas').toLowerCase().includes(query))
+      .sort(compareTariffs);
+  }, [tariffs, providerFilter, methodFilter, wilayaQuery]);
+
+  const handleOpenForm = (tariff = null) => {
+    setEditingTariff(tariff);
+    setIsFormOpen(true);
+  };
+
+  const handleCloseForm = () => {
+    setIsFormOpen(false);
+    setEditingTariff(null);
+  };
+
+  const handleSubmit = async (tariffData) => {
+    try {
+      if (editingTariff) {
+        await shippingTariffsApi.updateShippingTariff(editingTariff.id, tariffData);
+        success('Le tarif a été mis à jour');
+      } else {
+        await shippingTariffsApi.createShippingTariff(tariffData);
+        success('Le tarif a été ajouté');
+      }
+      handleCloseForm();
+      reload();
+    } catch (err) {
+      console.error('Error saving shipping tariff:', err);
+      showError(getErrorMessage(err));
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    try {
+      await shippingTariffsApi.deleteShippingTariff(tariffToDelete.id);
+      success('Le tarif a été supprimé');
+      reload();
+    } catch (err) {
+      console.error('Error deleting shipping tariff:', err);
+      showError(getErrorMessage(err));
+    } finally {
+      setTariffToDelete(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Tarifs de livraison</h1>
+          <p className="text-gray-600 mt-1">
+            Grille utilisée pour calculer les frais de livraison des nouvelles commandes
+          </p>
+        </div>
+
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          onClick={() => handleOpenForm()}
+          className="flex items-center justify-center gap-2 px-3 sm:px-4 py-2 sm:py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 shadow-sm whitespace-nowrap text-sm sm:text-base"
+        >
+          <Plus className="w-4 h-4 sm:w-5 sm:h-5 flex-shrink-0" />
+          <span>Ajouter un tarif</span>
+        </motion.button>
+      </div>
+
+      <div className="bg-white rounded-lg border border-gray-200">
+        <div className="p-6 border-b border-gray-200 flex flex-col sm:flex-row gap-3 items-stretch sm:items-center">
+          <div className="relative flex-1 max-w-md">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Rechercher une wilaya..."
+              value={wilayaQuery}
+              onChange={(e) => setWilayaQuery(e.target.value)}
+              className="w-full pl-10 pr-4 py-2.5 bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div className="flex flex-col sm:flex-row gap-3 sm:ml-auto">
+            <div className="w-full sm:min-w-[180px]">
+              <CustomSelect
+                value={providerFilter}
+                onChange={setProviderFilter}
+                options={[{ value: '', label: 'Tous les transporteurs' }, ...SHIPPING_PROVIDER_OPTIONS]}
+                placeholder="Tous les transporteurs"
+              />
+            </div>
+            <div className="w-full sm:min-w-[180px]">
+              <CustomSelect
+                value={methodFilter}
+                onChange={setMethodFilter}
+                options={[{ value: '', label: 'Toutes les méthodes' }, ...SHIPPING_METHOD_OPTIONS]}
+                placeholder="Toutes les méthodes"
+              />
+            </div>
+          </div>
+        </div>
+
+        {loading && (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+
+        {!loading && error && (
+          <div className="flex flex-col items-center gap-3 py-12 text-sm text-red-600">
+            <p>{error}</p>
+            <button
+              onClick={reload}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+            >
+              <RefreshCw className="w-4 h-4" />
+              Réessayer
+            </button>
+          </div>
+        )}
+
+        {!loading && !error && displayTariffs.length === 0 && (
+          <p className="py-12 text-center text-sm text-gray-500">Aucun tarif</p>
+        )}
+
+        {!loading && !error && displayTariffs.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Transporteur</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Méthode</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Wilaya</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Paliers (articles : prix)</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {displayTariffs.map((tariff) => (
+                  <tr key={tariff.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900 whitespace-nowrap">
+                      {getOptionLabel(SHIPPING_PROVIDER_OPTIONS, tariff.provider)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 whitespace-nowrap">
+                      {getOptionLabel(SHIPPING_METHOD_OPTIONS, tariff.shippingMethod)}
+                    </td>
+                    <td className="px-6 py-4 text-sm whitespace-nowrap">
+                      {tariff.wilaya ? (
+                        <span className="text-gray-900">{tariff.wilaya}</span>
+                      ) : (
+                        <span className="px-2 py-0.5 text-xs font-medium text-blue-700 bg-blue-100 rounded-full">Par défaut</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex flex-wrap gap-1.5">
+                        {formatTiers(tariff.tiers).map(({ range, price }) => (
+                          <span key={range} className="px-2 py-0.5 text-xs text-gray-700 bg-gray-100 rounded whitespace-nowrap">
+                            {range} : <span className="font-semibold">{price}</span>
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => handleOpenForm(tariff)}
+                          className="p-1.5 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                          title="Modifier"
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => setTariffToDelete(tariff)}
+                          className="p-1.5 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Supprimer"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <ShippingTariffFormModal
+        isOpen={isFormOpen}
+        onClose={handleCloseForm}
+        onSubmit={handleSubmit}
+        tariff={editingTariff}
+        tariffs={tariffs}
+      />
+
+      <ConfirmDeleteModal
+        isOpen={Boolean(tariffToDelete)}
+        onConfirm={handleConfirmDelete}
+        onCancel={() => setTariffToDelete(null)}
+        itemName={tariffToDelete ? `le tarif ${tariffToDelete.provider} ${tariffToDelete.wilaya || 'par défaut'}` : 'ce tarif'}
+      />
+
+      <ToastContainer toasts={toasts} onClose={removeToast} />
+    </div>
+  );
+};
+
+export default ShippingTariffs;
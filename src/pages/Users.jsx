@@ -3,10 +3,31 @@ import { Download } from 'lucide-react';
 import { motion } from 'framer-motion';
 import UsersTable from '../components/users/UsersTable';
 import UserDetailsModal from '../components/users/UserDetailsModal';
+import SavedViewsTabs from '../components/common/SavedViewsTabs';
 import { getUsers, toggleUserActivation, exportUsers } from '../services/usersApi';
 import { useDebounce } from '../hooks/useDebounce';
+import { useForbiddenRedirect } from '../hooks/useForbiddenRedirect';
+import { useSavedViews, getStoredDefaultView, isSameViewState } from '../hooks/useSavedViews';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { toPhoneSearchTerm } from '../utils/phone';
+
+// Table state of the unfiltered "Tous les utilisateurs" view; saved views store the same shape
+const DEFAULT_VIEW_STATE = {
+  searchQuery: '',
+  statusFilter: 'all',
+  sortBy: 'createdDate,desc',
+};
 
 const Users = () => {
+  // Only admins can activate/deactivate accounts
+  const { user: currentUser, can } = useAuth();
+  const canManageUsers = can(PERMISSIONS.MANAGE_USERS);
+  const redirectIfForbidden = useForbiddenRedirect();
+
+  // The operator's default view, if any, is applied before the first fetch
+  const [initialView] = useState(() => getStoredDefaultView('users', currentUser)?.state || DEFAULT_VIEW_STATE);
+
   const [users, setUsers] = useState([]);
   const [pagination, setPagination] = useState({
     page: 0,
@@ -14,15 +35,19 @@ const Users = () => {
     totalElements: 0,
     totalPages: 0,
   });
-  const [searchQuery, setSearchQuery] = useState('');
+  const [searchQuery, setSearchQuery] = useState(initialView.searchQuery);
   const [loading, setLoading] = useState(true);
   const [initialLoad, setInitialLoad] = useState(true);
   const [selectedUser, setSelectedUser] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [sortBy, setSortBy] = useState('createdDate,desc'); // Format: "field,direction"
-  const [statusFilter, setStatusFilter] = useState('all');
+  const [sortBy, setSortBy] = useState(initialView.sortBy); // Format: "field,direction"
+  const [statusFilter, setStatusFilter] = useState(initialView.statusFilter);
   const [error, setError] = useState(null);
 
+  // Saved views pinned as tabs above the table
+  const viewState = { searchQuery, statusFilter, sortBy };
+  const savedViews = useSavedViews('users', viewState);
+
   // Ref for request cancellation
   const abortControllerRef = useRef(null);
 
@@ -59,9 +84,9 @@ const Users = () => {
         size: pagination.size,
       };
 
-      // Add search query if present
+      // Add search query if present (phone numbers match whatever their format)
       if (debouncedSearchQuery) {
-        params.search = debouncedSearchQuery;
+        params.search = toPhoneSearchTerm(debouncedSearchQuery);
       }
 
       // Apply server-side active filter if not 'all'
@@ -93,6 +118,7 @@ const Users = () => {
         return;
       }
 
+      if (redirectIfForbidden(err)) return;
       console.error('Error fetching users:', err);
       setError(err.response?.data?.message || 'Failed to load users. Please try again.');
       setUsers([]);
@@ -100,7 +126,7 @@ const Users = () => {
       setLoading(false);
       setInitialLoad(false);
     }
-  }, [pagination.page, pagination.size, debouncedSearchQuery, statusFilter, sortBy]);
+  }, [pagination.page, pagination.size, debouncedSearchQuery, statusFilter, sortBy, redirectIfForbidden]);
 
   /**
    * Initial load and refetch when dependencies change
@@ -148,6 +174,18 @@ const Users = () => {
     }
   };
 
+  /**
+   * Apply a saved view (search, status filter and sort)
+   */
+  const applyView = (state) => {
+    setSearchQuery(state.searchQuery);
+    setStatusFilter(state.statusFilter);
+    setSortBy(state.sortBy);
+    if (pagination.page !== 0) {
+      setPagination(prev => ({ ...prev, page: 0 }));
+    }
+  };
+
   /**
    * Handle page changes
    */
@@ -289,10 +327,22 @@ const Users = () => {
         </div>
       )}
 
+      <SavedViewsTabs
+        views={savedViews.views}
+        activeView={savedViews.activeView}
+        isDefaultState={isSameViewState(viewState, DEFAULT_VIEW_STATE)}
+        allLabel="Tous les utilisateurs"
+        onSelectAll={() => applyView(DEFAULT_VIEW_STATE)}
+        onSelect={(view) => applyView(view.state)}
+        onSave={(name, isDefault) => savedViews.saveView(name, viewState, isDefault)}
+        onDelete={(view) => savedViews.deleteView(view.id)}
+        onToggleDefault={(view) => savedViews.toggleDefaultView(view.id)}
+      />
+
       <UsersTable
         users={users}
         onViewUser={handleViewUser}
-        onToggleActive={handleToggleActive}
+        onToggleActive={canManageUsers ? handleToggleActive : null}
         searchQuery={searchQuery}
         onSearchChange={handleSearchChange}
         sortBy={sortBy}
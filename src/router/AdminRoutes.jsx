@@ -8,14 +8,26 @@ import Profile from '../pages/Profile';
 import Marketing from '../pages/Marketing';
 import SearchAnalytics from '../pages/SearchAnalytics';
 import Login from '../pages/Login';
+import AuthCallback from '../pages/AuthCallback';
 import NotFound from '../pages/NotFound';
+import Forbidden from '../pages/Forbidden';
+import OrderPrint from '../pages/OrderPrint';
+import ShippingTariffs from '../pages/ShippingTariffs';
+import CodReconciliation from '../pages/CodReconciliation';
 import ProtectedRoute from '../components/ProtectedRoute';
+import { PERMISSIONS } from '../utils/permissions';
 
 const AdminRoutes = () => {
   return (
     <BrowserRouter>
       <Routes>
         <Route path="/admin/login" element={<Login />} />
+        <Route path="/admin/callback" element={<AuthCallback />} />
+        {/* Print view lives outside the layout so only the documents are printed */}
+        <Route
+          path="/admin/orders/print"
+          element={<ProtectedRoute permission={PERMISSIONS.VIEW_ORDERS}><OrderPrint /></ProtectedRoute>}
+        />
         <Route
           path="/admin"
           element={
@@ -25,13 +37,40 @@ const AdminRoutes = () => {
           }
         >
           <Route index element={<Navigate to="/admin/dashboard" replace />} />
-          <Route path="dashboard" element={<Dashboard />} />
-          <Route path="books" element={<Books />} />
-          <Route path="orders" element={<Orders />} />
-          <Route path="users" element={<Users />} />
-          <Route path="marketing" element={<Marketing />} />
-          <Route path="recherches" element={<SearchAnalytics />} />
+          <Route
+            path="dashboard"
+            element={<ProtectedRoute permission={PERMISSIONS.VIEW_DASHBOARD}><Dashboard /></ProtectedRoute>}
+          />
+          <Route
+            path="books"
+            element={<ProtectedRoute permission={PERMISSIONS.VIEW_BOOKS}><Books /></ProtectedRoute>}
+          />
+          <Route
+            path="orders"
+            element={<ProtectedRoute permission={PERMISSIONS.VIEW_ORDERS}><Orders /></ProtectedRoute>}
+          />
+          <Route
+            path="shipping-tariffs"
+            element={<ProtectedRoute permission={PERMISSIONS.MANAGE_SHIPPING_TARIFFS}><ShippingTariffs /></ProtectedRoute>}
+          />
+          <Route
+            path="reconciliation"
+            element={<ProtectedRoute permission={PERMISSIONS.RECONCILE_PAYOUTS}><CodReconciliation /></ProtectedRoute>}
+          />
+          <Route
+            path="users"
+            element={<ProtectedRoute permission={PERMISSIONS.VIEW_USERS}><Users /></ProtectedRoute>}
+          />
+          <Route
+            path="marketing"
+            element={<ProtectedRoute permission={PERMISSIONS.MANAGE_MARKETING}><Marketing /></ProtectedRoute>}
+          />
+          <Route
+            path="recherches"
+            element={<ProtectedRoute permission={PERMISSIONS.VIEW_SEARCH_ANALYTICS}><SearchAnalytics /></ProtectedRoute>}
+          />
           <Route path="profile" element={<Profile />} />
+          <Route path="forbidden" element={<Forbidden />} />
         </Route>
         <Route path="/" element={<Navigate to="/admin/login" replace />} />
         <Route path="*" element={<NotFound />} />
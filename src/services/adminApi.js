@@ -1,30 +1,5 @@
-import axios from 'axios';
-
-// API base URL - should match backend
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
-
-// Create axios instance for admin API calls
-const adminApi = axios.create({
-  baseURL: API_BASE_URL,
-  withCredentials: true,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Request interceptor to add Authorization header
-adminApi.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('access_token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
+import api, { API_BASE_URL } from './apiClient';
+import { getAccessToken } from './tokenService';
 
 /**
  * Get current admin profile
@@ -32,7 +7,7 @@ adminApi.interceptors.request.use(
  */
 export const getAdminProfile = async () => {
   try {
-    const response = await adminApi.get('/api/admin/profile');
+    const response = await api.get('/api/admin/profile');
     return response.data;
   } catch (error) {
     console.error('Error fetching admin profile:', error);
@@ -71,7 +46,7 @@ export const updateAdminProfile = async (profileData, profilePicture = null) =>
       formData.append('profilePicture', profilePicture);
     }
 
-    const response = await adminApi.put('/api/admin/profile', formData, {
+    const response = await api.put('/api/admin/profile', formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
@@ -91,7 +66,7 @@ export const updateAdminProfile = async (profileData, profilePicture = null) =>
  * @returns {string} Image URL with auth token as query parameter
  */
 export const getAdminPictureUrl = () => {
-  const token = localStorage.getItem('access_token');
+  const token = getAccessToken();
   // Add timestamp to prevent caching issues
   // Token is passed as query param since <img> tags can't send custom headers
   return `${API_BASE_URL}/api/admin/picture?t=${Date.now()}&token=${token}`;
@@ -104,7 +79,7 @@ export const getAdminPictureUrl = () => {
  */
 export const fetchAdminPictureBlob = async () => {
   try {
-    const response = await adminApi.get('/api/admin/picture', {
+    const response = await api.get('/api/admin/picture', {
       responseType: 'blob',
     });
 
@@ -131,7 +106,7 @@ export const changeAdminPassword = async (passwordData) => {
       newPassword: passwordData.newPassword,
     };
 
-    await adminApi.post('/api/admin/password', payload);
+    await api.post('/api/admin/password', payload);
   } catch (error) {
     console.error('Error changing admin password:', error);
     throw error;
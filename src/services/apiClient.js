@@ -0,0 +1,119 @@
+import axios from 'axios';
+import { getCookie } from '../utils/cookies';
+import { getAccessToken, clearTokens, refreshAccessToken } from './tokenService';
+
+// API base URL - should be configured in environment variables
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
+
+// Serve endpoints the backend does not provide yet from local mocks (see services/mocks)
+export const USE_MOCKS = import.meta.env.VITE_USE_MOCKS === 'true';
+
+// Endpoints exempt from CSRF protection (guest checkout)
+const CSRF_EXEMPT_URLS = ['/api/orders'];
+
+// Shared axios instance used by every service module
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  withCredentials: true, // CRITICAL: Enable session cookie transmission
+});
+
+// Request interceptor to add Bearer token and CSRF token
+api.interceptors.request.use((config) => {
+  // Add Bearer token from localStorage
+  const token = getAccessToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+
+  // Set Content-Type ONLY for non-FormData requests
+  if (!(config.data instanceof FormData)) {
+    config.headers['Content-Type'] = 'application/json';
+  }
+
+  // Add CSRF token for POST, PUT, DELETE, PATCH requests
+  if (['post', 'put', 'delete', 'patch'].includes(config.method?.toLowerCase())) {
+    if (!CSRF_EXEMPT_URLS.includes(config.url)) {
+      const csrfToken = getCookie('XSRF-TOKEN');
+      if (csrfToken) {
+        config.headers['X-XSRF-TOKEN'] = csrfToken;
+      }
+    }
+  }
+  return config;
+});
+
+// Refresh state shared by all requests: only one refresh runs at a time,
+// requests that fail with 401 meanwhile wait in the queue and are replayed
+let isRefreshing = false;
+let pendingRequests = [];
+
+/**
+ * Settle every queued request once the running refresh is done
+ * @param {Error|null} error - Refresh error, or null on success
+ * @param {string|null} token - New access token on success
+ */
+const flushPendingRequests = (error, token = null) => {
+  pendingRequests.forEach(({ resolve, reject }) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve(token);
+    }
+  });
+  pendingRequests = [];
+};
+
+/**
+ * Clear tokens and send the user back to the login page
+ */
+const redirectToLogin = () => {
+  clearTokens();
+  // Only redirect if not already on login page
+  if (!window.location.pathname.includes('/login')) {
+    window.location.href = '/admin/login';
+  }
+};
+
+// Response interceptor: on 401, refresh the access token and replay the request
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const originalRequest = error.config;
+
+    // 403 (role not allowed, CSRF failure) is left to the caller: pages that cannot load
+    // send the user to the forbidden page through the router (see useForbiddenRedirect)
+    if (error.response?.status !== 401 || !originalRequest || originalRequest._retry) {
+      return Promise.reject(error);
+    }
+
+    if (isRefreshing) {
+      // Wait for the running refresh, then replay with the new token
+      return new Promise((resolve, reject) => {
+        pendingRequests.push({ resolve, reject });
+      }).then((token) => {
+        originalRequest._retry = true;
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      });
+    }
+
+    originalRequest._retry = true;
+    isRefreshing = true;
+
+    try {
+      const token = await refreshAccessToken();
+      flushPendingRequests(null, token);
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return api(originalRequest);
+    } catch (refreshError) {
+      // Refresh token expired or revoked: the session is really over
+      flushPendingRequests(refreshError);
+      redirectToLogin();
+      return Promise.reject(error);
+    } finally {
+      isRefreshing = false;
+    }
+  }
+);
+
+export default api;
@@ -1,37 +1,121 @@
-import axios from 'axios';
-
-// API base URL - should match backend
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
-
-// Keycloak configuration
-const KEYCLOAK_URL = import.meta.env.VITE_KEYCLOAK_URL || 'http://localhost:9080';
-const KEYCLOAK_REALM = import.meta.env.VITE_KEYCLOAK_REALM || 'jhipster';
-const KEYCLOAK_CLIENT_ID = import.meta.env.VITE_KEYCLOAK_CLIENT_ID || 'web_app';
-
-// Create axios instance for backend API calls
-const authApi = axios.create({
-  baseURL: API_BASE_URL,
-  withCredentials: true, // CRITICAL: Enable session cookie transmission
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Create axios instance for Keycloak token endpoint
-const keycloakApi = axios.create({
-  baseURL: `${KEYCLOAK_URL}/realms/${KEYCLOAK_REALM}/protocol/openid-connect`,
-  headers: {
-    'Content-Type': 'application/x-www-form-urlencoded',
-  },
-});
+import api from './apiClient';
+import {
+  keycloakApi,
+  KEYCLOAK_CLIENT_ID,
+  KEYCLOAK_OIDC_URL,
+  getAccessToken,
+  storeTokens,
+  clearTokens,
+  decodeToken,
+} from './tokenService';
+import { generateRandomString, createCodeChallenge } from '../utils/pkce';
+
+/**
+ * Login modes
+ * - pkce: redirect to Keycloak (Authorization Code + PKCE), supports MFA and identity brokering
+ * - password: Resource Owner Password Grant, kept for local development only
+ */
+export const AUTH_MODES = {
+  PKCE: 'pkce',
+  PASSWORD: 'password',
+};
+
+export const AUTH_MODE = import.meta.env.VITE_AUTH_MODE === AUTH_MODES.PASSWORD ? AUTH_MODES.PASSWORD : AUTH_MODES.PKCE;
+
+// Route Keycloak redirects back to after login (must be a valid redirect URI of the client)
+const REDIRECT_URI = `${window.location.origin}/admin/callback`;
+
+// sessionStorage key holding the PKCE verifier, state and nonce between redirect and callback
+const PKCE_STORAGE_KEY = 'pkce_login_request';
+
+/**
+ * Start the Authorization Code + PKCE login: redirect the browser to Keycloak
+ * @returns {Promise<void>}
+ */
+export const loginWithRedirect = async () => {
+  const codeVerifier = generateRandomString(64);
+  const state = generateRandomString();
+  const nonce = generateRandomString();
+  const codeChallenge = await createCodeChallenge(codeVerifier);
+
+  // Kept per tab: the callback must come back to the tab that started the login
+  sessionStorage.setItem(PKCE_STORAGE_KEY, JSON.stringify({ codeVerifier, state, nonce }));
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: KEYCLOAK_CLIENT_ID,
+    redirect_uri: REDIRECT_URI,
+    scope: 'openid profile email',
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  window.location.href = `${KEYCLOAK_OIDC_URL}/auth?${params.toString()}`;
+};
+
+/**
+ * Complete the Authorization Code + PKCE login on the callback route
+ * Checks state and nonce, then exchanges the code for tokens
+ * @param {URLSearchParams} searchParams - Query parameters of the callback URL
+ * @returns {Promise<Object>} Token response from Keycloak
+ */
+export const handleLoginCallback = async (searchParams) => {
+  const storedRequest = sessionStorage.getItem(PKCE_STORAGE_KEY);
+  sessionStorage.removeItem(PKCE_STORAGE_KEY);
+
+  if (searchParams.get('error')) {
+    throw new Error(searchParams.get('error_description') || searchParams.get('error'));
+  }
+
+  if (!storedRequest) {
+    throw new Error('Aucune connexion en cours. Veuillez recommencer.');
+  }
+
+  const { codeVerifier, state, nonce } = JSON.parse(storedRequest);
+
+  // state protects against CSRF on the callback
+  if (!searchParams.get('state') || searchParams.get('state') !== state) {
+    throw new Error('Réponse de connexion invalide (state). Veuillez recommencer.');
+  }
+
+  const code = searchParams.get('code');
+  if (!code) {
+    throw new Error('Code d\'autorisation manquant. Veuillez recommencer.');
+  }
+
+  const params = new URLSearchParams();
+  params.append('grant_type', 'authorization_code');
+  params.append('client_id', KEYCLOAK_CLIENT_ID);
+  params.append('code', code);
+  params.append('redirect_uri', REDIRECT_URI);
+  params.append('code_verifier', codeVerifier);
+
+  const response = await keycloakApi.post('/token', params.toString());
+
+  // nonce ties the ID token to this login request (replay protection)
+  const idTokenClaims = response.data.id_token ? decodeToken(response.data.id_token) : null;
+  if (!idTokenClaims || idTokenClaims.nonce !== nonce) {
+    throw new Error('Réponse de connexion invalide (nonce). Veuillez recommencer.');
+  }
+
+  storeTokens(response.data);
+  return response.data;
+};
 
 /**
  * Login with username and password using Keycloak Resource Owner Password Grant
+ * Only available when VITE_AUTH_MODE=password (local development)
  * @param {string} username - Username
  * @param {string} password - Password
  * @returns {Promise<Object>} Token response from Keycloak
  */
 export const login = async (username, password) => {
+  if (AUTH_MODE !== AUTH_MODES.PASSWORD) {
+    throw new Error('Password login is disabled. Set VITE_AUTH_MODE=password for local development.');
+  }
+
   // Prepare form data for Keycloak token endpoint
   const params = new URLSearchParams();
   params.append('grant_type', 'password');
@@ -45,12 +129,7 @@ export const login = async (username, password) => {
     const response = await keycloakApi.post('/token', params.toString());
 
     // Store tokens in localStorage
-    const { access_token, refresh_token, id_token } = response.data;
-    localStorage.setItem('access_token', access_token);
-    localStorage.setItem('refresh_token', refresh_token);
-    if (id_token) {
-      localStorage.setItem('id_token', id_token);
-    }
+    storeTokens(response.data);
 
     return response.data;
   } catch (error) {
@@ -69,24 +148,19 @@ export const login = async (username, password) => {
 export const checkAuth = async () => {
   try {
     // Check if we have an access token
-    const token = localStorage.getItem('access_token');
+    const token = getAccessToken();
     if (!token) {
       return false;
     }
 
     // Verify token is valid by calling backend
-    await authApi.get('/api/authenticate', {
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
-    });
+    // An expired access token is refreshed transparently by the shared client
+    await api.get('/api/authenticate');
     return true;
   } catch (error) {
     if (error.response?.status === 401) {
-      // Token is invalid, clear storage
-      localStorage.removeItem('access_token');
-      localStorage.removeItem('refresh_token');
-      localStorage.removeItem('id_token');
+      // Token is invalid and could not be refreshed, clear storage
+      clearTokens();
       return false;
     }
     throw error;
@@ -98,12 +172,7 @@ export const checkAuth = async () => {
  * @returns {Promise<Object>} User profile data
  */
 export const getCurrentUser = async () => {
-  const token = localStorage.getItem('access_token');
-  const response = await authApi.get('/api/account', {
-    headers: {
-      Authorization: `Bearer ${token}`,
-    },
-  });
+  const response = await api.get('/api/account');
   return response.data;
 };
 
@@ -113,18 +182,11 @@ export const getCurrentUser = async () => {
  */
 export const logout = async () => {
   try {
-    const token = localStorage.getItem('access_token');
-    const response = await authApi.post('/api/logout', null, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
-    });
+    const response = await api.post('/api/logout', null);
     const { logoutUrl } = response.data;
 
     // Clear tokens from localStorage
-    localStorage.removeItem('access_token');
-    localStorage.removeItem('refresh_token');
-    localStorage.removeItem('id_token');
+    clearTokens();
 
     // Redirect to Keycloak logout URL
     if (logoutUrl) {
@@ -136,9 +198,7 @@ export const logout = async () => {
   } catch (error) {
     console.error('Logout error:', error);
     // Even if logout fails, clear tokens and redirect to login page
-    localStorage.removeItem('access_token');
-    localStorage.removeItem('refresh_token');
-    localStorage.removeItem('id_token');
+    clearTokens();
     window.location.href = '/admin/login';
   }
 };
@@ -148,11 +208,14 @@ export const logout = async () => {
  * @returns {Promise<Object>} Auth info
  */
 export const getAuthInfo = async () => {
-  const response = await authApi.get('/api/auth-info');
+  const response = await api.get('/api/auth-info');
   return response.data;
 };
 
 export default {
+  AUTH_MODE,
+  loginWithRedirect,
+  handleLoginCallback,
   login,
   checkAuth,
   getCurrentUser,
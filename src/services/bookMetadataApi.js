@@ -0,0 +1,141 @@
+import axios from 'axios';
+import { USE_MOCKS } from './apiClient';
+import { fixtureMetadataAdapter } from './mocks/bookMetadataMock';
+import { getIsbnError, toIsbn13 } from '../utils/isbn';
+
+/**
+ * Book metadata API Service
+ *
+ * Looks up the title, author, language, description and cover of a book from its ISBN,
+ * to pre-fill the book form. Public catalogs are called directly with plain axios
+ * (no API key, and the API token is not sent to them):
+ * - Open Library: https://openlibrary.org/dev/docs/api/books
+ * - Google Books: https://developers.google.com/books/docs/v1/using
+ *
+ * The adapter is chosen with VITE_BOOK_METADATA_PROVIDER (openlibrary, google or fixtures,
+ * default openlibrary); VITE_USE_MOCKS=true always uses the local fixtures.
+ * Each adapter returns { title, author, language, description, coverUrl } or null when the ISBN is unknown;
+ * language is a backend code (FR, EN, AR) or null.
+ */
+
+export const BOOK_METADATA_PROVIDERS = {
+  OPEN_LIBRARY: 'openlibrary',
+  GOOGLE_BOOKS: 'google',
+  FIXTURES: 'fixtures',
+};
+
+// Language codes of the catalogs (ISO 639-1 and MARC) to backend codes
+const LANGUAGE_CODES = {
+  fr: 'FR',
+  fre: 'FR',
+  fra: 'FR',
+  en: 'EN',
+  eng: 'EN',
+  ar: 'AR',
+  ara: 'AR',
+};
+
+const toLanguage = (code) => LANGUAGE_CODES[String(code || '').toLowerCase()] || null;
+
+/**
+ * Open Library adapter
+ * Books API with jscmd=details: { "ISBN:…": { details: { title, authors: [{ name }], languages: [{ key }], description, covers } } }
+ */
+const openLibraryAdapter = {
+  name: 'Open Library',
+
+  lookup: async (isbn13, signal) => {
+    const response = await axios.get('https://openlibrary.org/api/books', {
+      params: { bibkeys: `ISBN:${isbn13}`, jscmd: 'details', format: 'json' },
+      signal,
+    });
+    const details = response.data?.[`ISBN:${isbn13}`]?.details;
+    if (!details) return null;
+
+    const [cover] = details.covers || [];
+    return {
+      title: [details.title, details.subtitle].filter(Boolean).join(' : '),
+      author: details.authors?.[0]?.name || null,
+      language: toLanguage(details.languages?.[0]?.key?.split('/').pop()),
+      // Descriptions are either a string or a { type, value } text block
+      description: typeof details.description === 'object' ? details.description?.value || '' : details.description || '',
+      coverUrl: cover ? `https://covers.openlibrary.org/b/id/${cover}-L.jpg` : null,
+    };
+  },
+};
+
+/**
+ * Google Books adapter
+ * Volumes search: { items: [{ volumeInfo: { title, subtitle, authors, language, description, imageLinks } }] }
+ */
+const googleBooksAdapter = {
+  name: 'Google Books',
+
+  lookup: async (isbn13, signal) => {
+    const response = await axios.get('https://www.googleapis.com/books/v1/volumes', {
+      params: { q: `isbn:${isbn13}` },
+      signal,
+    });
+    const volume = response.data?.items?.[0]?.volumeInfo;
+    if (!volume) return null;
+
+    const thumbnail = volume.imageLinks?.thumbnail || volume.imageLinks?.smallThumbnail;
+    return {
+      title: [volume.title, volume.subtitle].filter(Boolean).join(' : '),
+      author: volume.authors?.[0] || null,
+      language: toLanguage(volume.language),
+      description: volume.description || '',
+      coverUrl: thumbnail ? thumbnail.replace(/^http:/, 'https:') : null,
+    };
+  },
+};
+
+const ADAPTERS = {
+  [BOOK_METADATA_PROVIDERS.OPEN_LIBRARY]: openLibraryAdapter,
+  [BOOK_METADATA_PROVIDERS.GOOGLE_BOOKS]: googleBooksAdapter,
+  [BOOK_METADATA_PROVIDERS.FIXTURES]: fixtureMetadataAdapter,
+};
+
+/**
+ * Metadata adapter in use
+ * @param {string} provider - One of BOOK_METADATA_PROVIDERS (default: VITE_BOOK_METADATA_PROVIDER)
+ * @returns {Object} Adapter ({ name, lookup })
+ */
+export const getBookMetadataAdapter = (provider = import.meta.env.VITE_BOOK_METADATA_PROVIDER) => {
+  if (USE_MOCKS) {
+    return fixtureMetadataAdapter;
+  }
+  return ADAPTERS[provider] || openLibraryAdapter;
+};
+
+/**
+ * Look up a book by ISBN
+ * @param {string} isbn - ISBN-10 or ISBN-13
+ * @param {AbortSignal} signal - Optional abort signal for request cancellation
+ * @returns {Promise<Object|null>} { isbn, title, author, language, description, coverUrl, source }, null when not found
+ */
+export const lookupBookMetadata = async (isbn, signal = null) => {
+  const isbnError = getIsbnError(isbn);
+  if (isbnError) {
+    throw new Error(isbnError);
+  }
+
+  const isbn13 = toIsbn13(isbn);
+  const adapter = getBookMetadataAdapter();
+  try {
+    const metadata = await adapter.lookup(isbn13, signal);
+    return metadata ? { ...metadata, isbn: isbn13, source: adapter.name } : null;
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new Error('REQUEST_CANCELLED');
+    }
+    console.error('Error looking up book metadata:', error);
+    throw new Error(`${adapter.name} est injoignable, réessayez plus tard`);
+  }
+};
+
+export default {
+  BOOK_METADATA_PROVIDERS,
+  getBookMetadataAdapter,
+  lookupBookMetadata,
+};
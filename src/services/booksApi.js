@@ -1,57 +1,12 @@
 import axios from 'axios';
-import { getCookie } from '../utils/cookies';
-
-// API base URL - should be configured in environment variables
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
-
-// Create axios instance WITHOUT default Content-Type
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  withCredentials: true, // CRITICAL: Enable session cookie transmission
-});
-
-// Request interceptor to add Bearer token and CSRF token
-api.interceptors.request.use((config) => {
-  // Add Bearer token from localStorage
-  const token = localStorage.getItem('access_token');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
+import api, { API_BASE_URL } from './apiClient';
+import { normalizeIsbn, toIsbn13, findBooksByIsbn } from '../utils/isbn';
 
-  // Set Content-Type ONLY for non-FormData requests
-  if (!(config.data instanceof FormData)) {
-    config.headers['Content-Type'] = 'application/json';
-  }
+// Page size used when loading every book (exports)
+const ALL_BOOKS_PAGE_SIZE = 200;
 
-  // Add CSRF token for POST, PUT, DELETE, PATCH requests
-  if (['post', 'put', 'delete', 'patch'].includes(config.method?.toLowerCase())) {
-    // Check if endpoint is exempt from CSRF protection
-    const isExempt = config.url === '/api/orders' || config.url === '/api/contact';
-
-    if (!isExempt) {
-      const csrfToken = getCookie('XSRF-TOKEN');
-      if (csrfToken) {
-        config.headers['X-XSRF-TOKEN'] = csrfToken;
-      }
-    }
-  }
-  return config;
-});
-
-// Response interceptor for handling authentication errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    // Handle 401/403 errors by redirecting to login
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      // Only redirect if not already on login page
-      if (!window.location.pathname.includes('/login')) {
-        window.location.href = '/admin/login';
-      }
-    }
-    return Promise.reject(error);
-  }
-);
+// Books returned per ISBN search; an edition is only expected a few times
+const ISBN_SEARCH_PAGE_SIZE = 20;
 
 /**
  * Normalize image URL - convert relative URLs to absolute URLs
@@ -105,13 +60,15 @@ const processBookData = (data) => {
  * @param {Object} params - Query parameters
  * @param {number} params.page - Page number (0-indexed)
  * @param {number} params.size - Page size (default: 20)
- * @param {string} params.search - Search query (searches title, author, tags)
+ * @param {string} params.search - Search query (searches title, author, tags and ISBN)
  * @param {string} params.author - Filter by author name
  * @param {number} params.categoryId - Filter by category tag ID
  * @param {number} params.minPrice - Minimum price filter
  * @param {number} params.maxPrice - Maximum price filter
  * @param {string} params.sort - Sort parameter (e.g., 'title,asc' or 'price,desc')
- * @param {string} params.status - Filter by availability status ('available' or 'out_of_stock')
+ * @param {string} params.status - Filter by availability status ('available', 'low_stock' or 'out_of_stock');
+ *   low_stock is a stock above 0 and at or below the book's reorder threshold
+ * @param {boolean} params.active - Filter by activation status (false lists the soft-deleted books)
  * @param {AbortSignal} signal - Abort signal for cancellation
  * @returns {Promise} Response with books data and pagination info
  */
@@ -127,6 +84,7 @@ export const getBooks = async (params = {}, signal = null) => {
       ...(params.maxPrice && { maxPrice: params.maxPrice }),
       ...(params.sort && { sort: params.sort }),
       ...(params.status && { status: params.status }),
+      ...(params.active !== undefined && params.active !== null && { active: params.active }),
     };
 
     const response = await api.get('/api/books', {
@@ -154,6 +112,43 @@ export const getBooks = async (params = {}, signal = null) => {
   }
 };
 
+/**
+ * Get every book matching some filters, page by page (exports)
+ * @param {Object} params - Same filters as getBooks (page and size are ignored)
+ * @param {AbortSignal} signal - Optional abort signal for request cancellation
+ * @returns {Promise<Array>} Books
+ */
+export const getAllBooks = async (params = {}, signal = null) => {
+  const books = [];
+  let page = 0;
+  let totalPages = 1;
+
+  while (page < totalPages) {
+    const response = await getBooks({ ...params, page, size: ALL_BOOKS_PAGE_SIZE }, signal);
+    books.push(...(response.content || response));
+    totalPages = response.totalPages ?? 1;
+    page += 1;
+  }
+
+  return books;
+};
+
+/**
+ * Get the books holding an ISBN (same edition, ISBN-10 and ISBN-13 forms compared)
+ * Searches the whole catalog for the typed form and the ISBN-13 form, instead of scanning a loaded page
+ * @param {string} isbn - Valid ISBN
+ * @param {number|null} excludeId - Book being edited
+ * @param {AbortSignal} signal - Optional abort signal for request cancellation
+ * @returns {Promise<Array>} Matching books
+ */
+export const getBooksByIsbn = async (isbn, excludeId = null, signal = null) => {
+  const terms = [...new Set([normalizeIsbn(isbn), toIsbn13(isbn)].filter(Boolean))];
+  const responses = await Promise.all(terms.map((term) => getBooks({ search: term, page: 0, size: ISBN_SEARCH_PAGE_SIZE }, signal)));
+  const books = new Map();
+  responses.forEach((response) => (response.content || response).forEach((book) => books.set(book.id, book)));
+  return findBooksByIsbn(isbn, [...books.values()], excludeId);
+};
+
 /**
  * Get book suggestions for autocomplete/search
  * @param {string} query - Search term
@@ -293,8 +288,26 @@ export const getBookCoverUrl = (id, placeholder = false) => {
   return `${baseUrl}${placeholderParam}${separator}t=${Date.now()}`;
 };
 
+/**
+ * Download a cover image from an external URL, to upload it with a book (catalog import)
+ * Uses plain axios so the API token is not sent to the image host, which must allow CORS
+ * @param {string} url - Image URL
+ * @returns {Promise<File>} Cover image file
+ */
+export const fetchCoverImage = async (url) => {
+  const response = await axios.get(url, { responseType: 'blob' });
+  const type = response.data.type || 'image/jpeg';
+  if (!type.startsWith('image/')) {
+    throw new Error('Le lien de couverture ne pointe pas vers une image');
+  }
+  const name = new URL(url).pathname.split('/').pop() || 'cover';
+  return new File([response.data], name, { type });
+};
+
 export default {
   getBooks,
+  getAllBooks,
+  getBooksByIsbn,
   getBookSuggestions,
   getBookById,
   createBook,
@@ -304,4 +317,5 @@ export default {
   addTagsToBook,
   removeTagsFromBook,
   getBookCoverUrl,
+  fetchCoverImage,
 };
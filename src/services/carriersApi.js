@@ -0,0 +1,287 @@
+import axios from 'axios';
+import api, { USE_MOCKS } from './apiClient';
+import { WILAYA_ID_MAP } from './relayPointsApi';
+import { fakeCarrierAdapter } from './mocks/carrierMock';
+
+/**
+ * Carriers API Service
+ *
+ * Provider-agnostic access to the parcels of an order at its delivery provider:
+ * tracking events, parcel creation and cancellation, carrier label.
+ *
+ * Calls go through the backend, which holds the carrier API keys and forwards the provider payloads:
+ * - Yalidine API: https://api.yalidine.app/v1/
+ * - ZR Express / Procolis API
+ * Each adapter maps its provider formats to the shapes below. VITE_USE_MOCKS=true uses the fake adapter.
+ *
+ * Tracking: { trackingNumber, status, currentLocation, deliveryAttempts, events }
+ *   events: [{ id, timestamp, status, label, location, comment }], most recent first
+ * Parcel: { trackingNumber, providerOrderId, labelUrl }
+ */
+
+/**
+ * Parcel status enum values (common to every provider)
+ */
+export const PARCEL_STATUS = {
+  CREATED: 'CREATED',
+  IN_TRANSIT: 'IN_TRANSIT',
+  OUT_FOR_DELIVERY: 'OUT_FOR_DELIVERY',
+  DELIVERY_FAILED: 'DELIVERY_FAILED',
+  DELIVERED: 'DELIVERED',
+  RETURNING: 'RETURNING',
+  RETURNED: 'RETURNED',
+  CANCELLED: 'CANCELLED',
+};
+
+// Provider status labels, matched by keyword (first match wins)
+const STATUS_KEYWORDS = [
+  [/annul/i, PARCEL_STATUS.CANCELLED],
+  [/retourn[ée] (au|à l'|a l')?(vendeur|exp[ée]diteur)|retour re[çc]u/i, PARCEL_STATUS.RETURNED],
+  [/retour/i, PARCEL_STATUS.RETURNING],
+  [/[ée]ch[èe]c|tentative|injoignable|report/i, PARCEL_STATUS.DELIVERY_FAILED],
+  [/livr[ée]$|livr[ée] |encaiss/i, PARCEL_STATUS.DELIVERED],
+  [/sorti|en livraison|en cours de livraison/i, PARCEL_STATUS.OUT_FOR_DELIVERY],
+  [/exp[ée]di|transfert|centre|bureau|ramass|vers wilaya|en transit|re[çc]u/i, PARCEL_STATUS.IN_TRANSIT],
+];
+
+/**
+ * Common status of a provider status label
+ * @param {string} label - Provider status, e.g. "Sorti en livraison"
+ * @returns {string} PARCEL_STATUS value (CREATED when unknown)
+ */
+const toParcelStatus = (label = '') => {
+  const match = STATUS_KEYWORDS.find(([pattern]) => pattern.test(label));
+  return match ? match[1] : PARCEL_STATUS.CREATED;
+};
+
+/**
+ * Build the common tracking shape from mapped events
+ * @param {string} trackingNumber - Tracking number
+ * @param {Array} events - Events in the common shape
+ * @returns {Object} Tracking
+ */
+const toTracking = (trackingNumber, events) => {
+  const sorted = [...events].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  return {
+    trackingNumber,
+    status: sorted[0]?.status || PARCEL_STATUS.CREATED,
+    currentLocation: sorted.find((event) => event.location)?.location || null,
+    deliveryAttempts: sorted.filter((event) => event.status === PARCEL_STATUS.DELIVERY_FAILED).length,
+    events: sorted,
+  };
+};
+
+// Carriers want first and last names apart
+const splitName = (fullName = '') => {
+  const [firstName, ...rest] = fullName.trim().split(/\s+/);
+  return { firstName: firstName || '', lastName: rest.join(' ') || firstName || '' };
+};
+
+const getProductList = (order) => (order.orderItems || order.items || [])
+  .map((item) => `${item.bookTitle || item.bookPackTitle || item.title || 'Article'} x${item.quantity}`)
+  .join(', ');
+
+const isStopDesk = (order) => order.shippingMethod === 'SHIPPING_PROVIDER';
+
+/**
+ * Download a label returned as a file by the backend
+ * @param {string} url - Backend label endpoint
+ * @returns {Promise<Blob>} Label file
+ */
+const fetchLabel = async (url) => {
+  const response = await api.get(url, { responseType: 'blob' });
+  return response.data;
+};
+
+/**
+ * Yalidine adapter
+ * Histories: [{ date_status, status, reason, center_name, commune_name, wilaya_name }]
+ */
+const yalidineAdapter = {
+  name: 'Yalidine',
+
+  getParcelUrl: (order) => `https://yalidine.app/app/colis/modifier-ecommerce.php?&id=${order.trackingNumber}`,
+
+  getTracking: async (order, signal) => {
+    const response = await api.get(`/api/carriers/yalidine/parcels/${order.trackingNumber}/history`, { signal });
+    const events = (response.data?.data || response.data || []).map((item, index) => ({
+      id: `${order.trackingNumber}-${index}`,
+      timestamp: item.date_status,
+      status: toParcelStatus(item.status),
+      label: item.status,
+      location: [item.center_name || item.commune_name, item.wilaya_name].filter(Boolean).join(', ') || null,
+      comment: item.reason || null,
+    }));
+    return toTracking(order.trackingNumber, events);
+  },
+
+  createParcel: async (order) => {
+    const { firstName, lastName } = splitName(order.fullName);
+    const response = await api.post('/api/carriers/yalidine/parcels', {
+      order_id: order.uniqueId || String(order.id),
+      firstname: firstName,
+      familyname: lastName,
+      contact_phone: order.phone,
+      address: order.streetAddress || order.city,
+      to_commune_name: order.city,
+      to_wilaya_name: order.wilaya,
+      product_list: getProductList(order),
+      price: Math.round(order.totalAmount || 0),
+      declared_value: Math.round(order.totalAmount || 0),
+      freeshipping: false,
+      is_stopdesk: isStopDesk(order),
+      stopdesk_id: isStopDesk(order) ? order.stopDeskId : null,
+      has_exchange: false,
+    });
+    const parcel = response.data;
+    return { trackingNumber: parcel.tracking, providerOrderId: parcel.import_id ? String(parcel.import_id) : null, labelUrl: parcel.label || null };
+  },
+
+  cancelParcel: async (order) => {
+    await api.delete(`/api/carriers/yalidine/parcels/${order.trackingNumber}`);
+  },
+
+  getLabel: (order) => fetchLabel(`/api/carriers/yalidine/parcels/${order.trackingNumber}/label`),
+};
+
+/**
+ * ZR Express adapter
+ * Tracking: { Tracking, Situation, Historique: [{ DateH_Action, Situation, Wilaya, Commune, Commentaire }] }
+ */
+const zrAdapter = {
+  name: 'ZR Express',
+
+  getParcelUrl: () => 'https://app.zrexpress.app/parcels/default/all',
+
+  getTracking: async (order, signal) => {
+    const trackingNumber = order.trackingNumber || order.providerOrderId;
+    const response = await api.get(`/api/carriers/zr/parcels/${trackingNumber}/tracking`, { signal });
+    const events = (response.data?.Historique || []).map((item, index) => ({
+      id: `${trackingNumber}-${index}`,
+      timestamp: item.DateH_Action,
+      status: toParcelStatus(item.Situation),
+      label: item.Situation,
+      location: [item.Commune, item.Wilaya].filter(Boolean).join(', ') || null,
+      comment: item.Commentaire || null,
+    }));
+    return toTracking(trackingNumber, events);
+  },
+
+  createParcel: async (order) => {
+    const response = await api.post('/api/carriers/zr/parcels', {
+      Colis: [{
+        Tracking: '',
+        TypeLivraison: isStopDesk(order) ? '1' : '0',
+        TypeColis: '0',
+        Confrimee: '',
+        Client: order.fullName,
+        MobileA: order.phone,
+        MobileB: '',
+        Adresse: order.streetAddress || order.city,
+        IDWilaya: String(WILAYA_ID_MAP[order.wilaya] || ''),
+        Commune: order.city,
+        Total: String(Math.round(order.totalAmount || 0)),
+        Note: '',
+        TProduit: getProductList(order),
+        id_Externe: order.uniqueId || String(order.id),
+        Source: '',
+      }],
+    });
+    const parcel = response.data?.Colis?.[0] || {};
+    if (!parcel.Tracking) {
+      throw new Error(parcel.MessageRetour || 'ZR Express a refusé le colis');
+    }
+    return { trackingNumber: parcel.Tracking, providerOrderId: parcel.Tracking, labelUrl: parcel.Etiquette || null };
+  },
+
+  cancelParcel: async (order) => {
+    await api.delete(`/api/carriers/zr/parcels/${order.trackingNumber || order.providerOrderId}`);
+  },
+
+  getLabel: (order) => fetchLabel(`/api/carriers/zr/parcels/${order.trackingNumber || order.providerOrderId}/label`),
+};
+
+const ADAPTERS = {
+  YALIDINE: yalidineAdapter,
+  ZR: zrAdapter,
+};
+
+/**
+ * Adapter of the delivery provider of an order
+ * @param {string} provider - YALIDINE or ZR
+ * @returns {Object} Adapter ({ name, getParcelUrl, getTracking, createParcel, cancelParcel, getLabel })
+ */
+export const getCarrierAdapter = (provider) => {
+  if (USE_MOCKS) {
+    return { ...fakeCarrierAdapter, name: ADAPTERS[provider]?.name || fakeCarrierAdapter.name };
+  }
+  const adapter = ADAPTERS[provider];
+  if (!adapter) {
+    throw new Error(`Transporteur non pris en charge : ${provider || 'aucun'}`);
+  }
+  return adapter;
+};
+
+/**
+ * Link to the parcel in the provider web app
+ * @param {Object} order - Order with a tracking number
+ * @returns {string|null} URL, null without tracking number or provider
+ */
+export const getCarrierParcelUrl = (order) => {
+  const adapter = ADAPTERS[order?.shippingProvider];
+  return adapter && order.trackingNumber ? adapter.getParcelUrl(order) : null;
+};
+
+/**
+ * Get the tracking events of the parcel of an order
+ * @param {Object} order - Order with a tracking number
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Object>} Tracking (see above)
+ */
+export const getParcelTracking = async (order, signal = null) => {
+  try {
+    return await getCarrierAdapter(order.shippingProvider).getTracking(order, signal);
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new Error('REQUEST_CANCELLED');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create the parcel of an order at its delivery provider
+ * @param {Object} order - Full order from getOrderById
+ * @returns {Promise<Object>} Parcel ({ trackingNumber, providerOrderId, labelUrl })
+ */
+export const createParcel = async (order) => {
+  return getCarrierAdapter(order.shippingProvider).createParcel(order);
+};
+
+/**
+ * Cancel the parcel of an order (only possible before the carrier picks it up)
+ * @param {Object} order - Order with a tracking number
+ * @returns {Promise<void>}
+ */
+export const cancelParcel = async (order) => {
+  return getCarrierAdapter(order.shippingProvider).cancelParcel(order);
+};
+
+/**
+ * Get the carrier label of the parcel of an order
+ * @param {Object} order - Order with a tracking number
+ * @returns {Promise<Blob>} Label file (PDF from the providers)
+ */
+export const getParcelLabel = async (order) => {
+  return getCarrierAdapter(order.shippingProvider).getLabel(order);
+};
+
+export default {
+  PARCEL_STATUS,
+  getCarrierAdapter,
+  getCarrierParcelUrl,
+  getParcelTracking,
+  createParcel,
+  cancelParcel,
+  getParcelLabel,
+};
@@ -1,7 +1,5 @@
 import * as tagsApi from './tagsApi';
-
-// API base URL - should be configured in environment variables
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
+import { API_BASE_URL } from './apiClient';
 
 /**
  * Categories API - Thin wrapper around tagsApi for CATEGORY type tags
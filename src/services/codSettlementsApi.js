@@ -0,0 +1,59 @@
+import axios from 'axios';
+import api, { USE_MOCKS } from './apiClient';
+import { getMockCodSettlements, createMockCodSettlement } from './mocks/codSettlementsMock';
+
+/**
+ * COD Settlements API Service
+ *
+ * A settlement records that the carrier paid back the cash it collected for an order: when, how much,
+ * the fees it withheld and the payout reference. See utils/codReconciliation for how they are used.
+ */
+
+/**
+ * Get the settlements of the orders created since a date
+ * Backend endpoint: GET /api/orders/cod-settlements
+ * @param {Object} params - Query parameters
+ * @param {string} params.dateFrom - Only orders created since this ISO date (optional)
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Array>} Settlements ({ orderId, codSettledAt, codSettledAmount, codCarrierFees, codPayoutReference })
+ */
+export const getCodSettlements = async (params = {}, signal = null) => {
+  if (USE_MOCKS) {
+    return getMockCodSettlements();
+  }
+
+  try {
+    const response = await api.get('/api/orders/cod-settlements', { params, signal });
+    return response.data;
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new Error('REQUEST_CANCELLED');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record the settlement of an order, replacing any previous one
+ * Backend endpoint: PUT /api/orders/{id}/cod-settlement
+ * @param {number} orderId - Order ID
+ * @param {Object} settlement - Settlement fields
+ * @param {string} settlement.codSettledAt - When the carrier paid the cash collected
+ * @param {number} settlement.codSettledAmount - Amount paid by the carrier
+ * @param {number} settlement.codCarrierFees - Carrier fees withheld from the payout
+ * @param {string} settlement.codPayoutReference - Payout or statement reference (optional)
+ * @returns {Promise<Object>} Saved settlement
+ */
+export const createCodSettlement = async (orderId, settlement) => {
+  if (USE_MOCKS) {
+    return createMockCodSettlement(orderId, settlement);
+  }
+
+  const response = await api.put(`/api/orders/${orderId}/cod-settlement`, settlement);
+  return response.data;
+};
+
+export default {
+  getCodSettlements,
+  createCodSettlement,
+};
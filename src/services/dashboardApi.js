@@ -1,52 +1,5 @@
-import axios from 'axios';
-import { getCookie } from '../utils/cookies';
-
-// API base URL - should be configured in environment variables
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
-
-// Create axios instance
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  withCredentials: true,
-});
-
-// Request interceptor to add Bearer token and CSRF token
-api.interceptors.request.use((config) => {
-  // Add Bearer token from localStorage
-  const token = localStorage.getItem('access_token');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-
-  // Set Content-Type for JSON requests
-  if (!(config.data instanceof FormData)) {
-    config.headers['Content-Type'] = 'application/json';
-  }
-
-  // Add CSRF token for POST, PUT, DELETE, PATCH requests
-  if (['post', 'put', 'delete', 'patch'].includes(config.method?.toLowerCase())) {
-    const csrfToken = getCookie('XSRF-TOKEN');
-    if (csrfToken) {
-      config.headers['X-XSRF-TOKEN'] = csrfToken;
-    }
-  }
-  return config;
-});
-
-// Response interceptor for handling authentication errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    // Handle 401/403 errors by redirecting to login
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      // Only redirect if not already on login page
-      if (!window.location.pathname.includes('/login')) {
-        window.location.href = '/admin/login';
-      }
-    }
-    return Promise.reject(error);
-  }
-);
+import api, { USE_MOCKS } from './apiClient';
+import { getMockRefundsSummary } from './mocks/returnsMock';
 
 /**
  * Map frontend time range to backend time range enum
@@ -124,7 +77,26 @@ export const getSalesChartData = async (period = 'mois', year = null, month = nu
   return response.data;
 };
 
+/**
+ * Get the refunds of returned orders, deducted from the revenue
+ * Backend endpoint: GET /api/dashboard/refunds?timeRange={TODAY|THIS_WEEK|THIS_MONTH}
+ * @param {string} timeRange - Time range filter ('Aujourd'hui', 'Cette semaine', 'Ce mois-ci')
+ * @returns {Promise<{refundTotal: number, returnCount: number}>} Refunds summary
+ */
+export const getRefundsSummary = async (timeRange = 'Ce mois-ci') => {
+  const backendTimeRange = mapTimeRangeToBackend(timeRange);
+  if (USE_MOCKS) {
+    return getMockRefundsSummary(backendTimeRange);
+  }
+
+  const response = await api.get('/api/dashboard/refunds', {
+    params: { timeRange: backendTimeRange },
+  });
+  return response.data;
+};
+
 export default {
   getDashboardStats,
   getSalesChartData,
+  getRefundsSummary,
 };
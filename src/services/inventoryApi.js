@@ -0,0 +1,60 @@
+import axios from 'axios';
+import api, { USE_MOCKS } from './apiClient';
+import { getMockStockMovements, createMockStockMovement } from './mocks/inventoryMock';
+
+/**
+ * Inventory API Service
+ *
+ * Every change of a book's stock is recorded as a movement (receipt, sale, return, adjustment
+ * or damage) with its reason and the operator who made it. The backend applies the movement to
+ * the book's stockQuantity; order deliveries and restocked returns record their own movements.
+ */
+
+/**
+ * Get the stock movements of a book
+ * Backend endpoint: GET /api/books/{id}/stock-movements
+ * @param {number} bookId - Book ID
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Array>} Movements ({ id, bookId, type, quantity, stockAfter, reason, actor: { login, name }, createdAt }),
+ *   most recent first; quantity is the signed change of stock
+ */
+export const getStockMovements = async (bookId, signal = null) => {
+  if (USE_MOCKS) {
+    return getMockStockMovements(bookId);
+  }
+
+  try {
+    const response = await api.get(`/api/books/${bookId}/stock-movements`, { signal });
+    return response.data;
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new Error('REQUEST_CANCELLED');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record a stock movement
+ * Backend endpoint: POST /api/books/{id}/stock-movements (the actor is the authenticated user)
+ * With VITE_USE_MOCKS=true the movement is only kept locally: the book's stock is not changed on the backend
+ * @param {number} bookId - Book ID
+ * @param {Object} movement - Movement data
+ * @param {string} movement.type - STOCK_MOVEMENT_TYPES value
+ * @param {number} movement.quantity - Signed change of stock (see getMovementDelta)
+ * @param {string} movement.reason - Why the stock changes
+ * @returns {Promise<Object>} Created movement, with the stock after it (stockAfter, null when the mock does not know it)
+ */
+export const createStockMovement = async (bookId, movement) => {
+  if (USE_MOCKS) {
+    return createMockStockMovement(bookId, movement);
+  }
+
+  const response = await api.post(`/api/books/${bookId}/stock-movements`, movement);
+  return response.data;
+};
+
+export default {
+  getStockMovements,
+  createStockMovement,
+};
@@ -1,55 +1,7 @@
 import axios from 'axios';
-import { getCookie } from '../utils/cookies';
+import api, { API_BASE_URL } from './apiClient';
 import { getBookCoverUrl } from './booksApi';
 
-// API base URL - should be configured in environment variables
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
-
-// Create axios instance WITHOUT default Content-Type
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  withCredentials: true, // CRITICAL: Enable session cookie transmission
-});
-
-// Request interceptor to add Bearer token and CSRF token
-api.interceptors.request.use((config) => {
-  // Add Bearer token from localStorage
-  const token = localStorage.getItem('access_token');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-
-  // Set Content-Type ONLY for non-FormData requests
-  if (!(config.data instanceof FormData)) {
-    config.headers['Content-Type'] = 'application/json';
-  }
-
-  // Add CSRF token for POST, PUT, DELETE, PATCH requests
-  if (['post', 'put', 'delete', 'patch'].includes(config.method?.toLowerCase())) {
-    const csrfToken = getCookie('XSRF-TOKEN');
-    if (csrfToken) {
-      config.headers['X-XSRF-TOKEN'] = csrfToken;
-    }
-  }
-  return config;
-});
-
-// Response interceptor for handling authentication errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    // Handle 401/403 errors by redirecting to login
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      // Only redirect if not already on login page
-      if (!window.location.pathname.includes('/login')) {
-        window.location.href = '/admin/login';
-      }
-    }
-    return Promise.reject(error);
-  }
-);
-
-
 /**
  * Process main display data to normalize image URLs and transform data structure
  * Backend returns: { id, nameEn, nameFr, type, active, imageUrl, books }
@@ -0,0 +1,34 @@
+/**
+ * Book metadata fixtures
+ * Local metadata provider used by bookMetadataApi with VITE_USE_MOCKS=true or
+ * VITE_BOOK_METADATA_PROVIDER=fixtures, to test the ISBN lookup offline.
+ * Fixtures have no cover: covers come from the online providers only.
+ *
+ * Uses plain strings (not the bookMetadataApi constants) to avoid a circular import with the service.
+ */
+import { delay } from './mockDelay';
+
+const FIXTURES = [
+  { isbn: '9782070360024', title: 'L\'Étranger', author: 'Albert Camus', language: 'FR', description: 'Meursault, employé de bureau à Alger, apprend la mort de sa mère et se retrouve, quelques jours plus tard, au cœur d\'un drame sur une plage.' },
+  { isbn: '9782070612758', title: 'Le Petit Prince', author: 'Antoine de Saint-Exupéry', language: 'FR', description: 'Un aviateur tombé en panne dans le désert rencontre un petit garçon venu d\'une autre planète.' },
+  { isbn: '9782020255981', title: 'Nedjma', author: 'Kateb Yacine', language: 'FR', description: 'Quatre jeunes hommes et une femme insaisissable, au cœur d\'un roman fondateur de la littérature algérienne.' },
+  { isbn: '9789947612347', title: 'La Grande Maison', author: 'Mohammed Dib', language: 'FR', description: 'Tlemcen, 1939 : le jeune Omar grandit dans la misère de Dar Sbitar.' },
+  { isbn: '9780062315007', title: 'The Alchemist', author: 'Paulo Coelho', language: 'EN', description: 'A young Andalusian shepherd travels to the Egyptian desert in search of a treasure.' },
+  { isbn: '9789954001233', title: 'موسم الهجرة إلى الشمال', author: 'الطيب صالح', language: 'AR', description: 'رواية عن عودة مصطفى سعيد من لندن إلى قريته على ضفاف النيل.' },
+];
+
+/**
+ * Fixture metadata adapter (same interface as the bookMetadataApi adapters)
+ */
+export const fixtureMetadataAdapter = {
+  name: 'Données locales',
+
+  lookup: async (isbn13) => {
+    const fixture = FIXTURES.find((book) => book.isbn === isbn13);
+    return delay(fixture ? { ...fixture, coverUrl: null } : null);
+  },
+};
+
+export default {
+  fixtureMetadataAdapter,
+};
@@ -0,0 +1,144 @@
+/**
+ * Carrier mock
+ * Fake carrier adapter used by carriersApi when VITE_USE_MOCKS=true, for offline development.
+ * Parcels created here are kept in localStorage and move one step forward every minute;
+ * other tracking numbers get a deterministic history so the same order always shows the same events.
+ *
+ * Uses plain strings (not the carriersApi enums) to avoid a circular import with carriersApi.
+ */
+import { delay } from './mockDelay';
+
+const STORAGE_KEY = 'mock_carrier_parcels';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const HUBS = ['Alger, Alger', 'Blida, Blida', 'Sétif, Sétif', 'Oran, Oran', 'Constantine, Constantine'];
+
+const readStore = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeStore = (parcels) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(parcels));
+};
+
+// Stable number from a tracking number
+const hash = (text) => [...String(text)].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 100000, 7);
+
+const getTrackingNumber = (order) => order.trackingNumber || order.providerOrderId;
+
+/**
+ * Steps of a parcel, in order
+ * @param {Object} order - Order
+ * @param {number} seed - Stable number of the parcel
+ * @returns {Array} Steps ({ status, label, location, comment })
+ */
+const buildSteps = (order, seed) => {
+  const destination = [order.city, order.wilaya].filter(Boolean).join(', ') || null;
+  const steps = [
+    { status: 'CREATED', label: 'En préparation', location: 'Alger, Alger', comment: null },
+    { status: 'IN_TRANSIT', label: 'Expédié', location: 'Alger, Alger', comment: null },
+    { status: 'IN_TRANSIT', label: 'Transfert vers wilaya', location: HUBS[seed % HUBS.length], comment: null },
+    { status: 'IN_TRANSIT', label: 'Reçu au centre', location: destination, comment: null },
+    { status: 'OUT_FOR_DELIVERY', label: 'Sorti en livraison', location: destination, comment: null },
+  ];
+
+  // One parcel out of three needs a second attempt
+  if (seed % 3 === 0) {
+    steps.push(
+      { status: 'DELIVERY_FAILED', label: 'Tentative échouée', location: destination, comment: 'Client injoignable' },
+      { status: 'OUT_FOR_DELIVERY', label: 'Sorti en livraison', location: destination, comment: null },
+    );
+  }
+
+  steps.push({ status: 'DELIVERED', label: 'Livré', location: destination, comment: null });
+  return steps;
+};
+
+const toEvents = (trackingNumber, steps, timestamps) => steps
+  .map((step, index) => ({ id: `${trackingNumber}-${index}`, timestamp: timestamps[index], ...step }))
+  .reverse();
+
+/**
+ * Tracking of a parcel
+ * @param {Object} order - Order with a tracking number
+ * @returns {Object} Tracking in the carriersApi shape
+ */
+const buildTracking = (order) => {
+  const trackingNumber = getTrackingNumber(order);
+  const stored = readStore()[trackingNumber];
+  const seed = hash(trackingNumber);
+  const steps = buildSteps(order, seed);
+  let events;
+
+  if (stored) {
+    // Parcels created in this browser move one step per minute
+    const reached = Math.min(steps.length, 1 + Math.floor((Date.now() - stored.createdAt) / MINUTE_MS));
+    events = toEvents(trackingNumber, steps.slice(0, reached), steps.map((_, index) => new Date(stored.createdAt + index * MINUTE_MS).toISOString()));
+    if (stored.cancelledAt) {
+      events.unshift({ id: `${trackingNumber}-cancelled`, timestamp: new Date(stored.cancelledAt).toISOString(), status: 'CANCELLED', label: 'Annulé', location: null, comment: null });
+    }
+  } else {
+    const createdAt = new Date(order.createdAt || Date.now() - 72 * HOUR_MS).getTime() + 2 * HOUR_MS;
+    const delivered = order.status?.toUpperCase() === 'DELIVERED';
+    // Shipped parcels stop before the delivery, the others stay at the first step
+    const reached = delivered ? steps.length : order.status?.toUpperCase() === 'SHIPPED' ? steps.length - 1 : 1;
+    events = toEvents(trackingNumber, steps.slice(0, reached), steps.map((_, index) => new Date(createdAt + index * 6 * HOUR_MS).toISOString()));
+  }
+
+  return {
+    trackingNumber,
+    status: events[0].status,
+    currentLocation: events.find((event) => event.location)?.location || null,
+    deliveryAttempts: events.filter((event) => event.status === 'DELIVERY_FAILED').length,
+    events,
+  };
+};
+
+const buildLabel = (order, trackingNumber) => new Blob([
+  `<!DOCTYPE html><html lang="fr"><head><meta charset="utf-8"><title>Étiquette ${trackingNumber}</title></head>`,
+  '<body style="font-family:sans-serif;border:2px dashed #000;padding:16px;width:360px">',
+  `<h2>${order.shippingProvider || 'Transporteur'} — ${trackingNumber}</h2>`,
+  `<p><strong>${order.fullName || ''}</strong><br>${order.phone || ''}</p>`,
+  `<p>${[order.streetAddress, order.city, order.wilaya].filter(Boolean).join('<br>')}</p>`,
+  `<p>Contre-remboursement : ${Math.round(order.totalAmount || 0)} DA</p>`,
+  '<p><em>Étiquette de test (transporteur simulé)</em></p>',
+  '</body></html>',
+], { type: 'text/html' });
+
+/**
+ * Fake carrier adapter (same interface as the provider adapters of carriersApi)
+ */
+export const fakeCarrierAdapter = {
+  name: 'Transporteur simulé',
+
+  getParcelUrl: () => null,
+
+  getTracking: (order) => delay(buildTracking(order)),
+
+  createParcel: (order) => {
+    const prefix = order.shippingProvider === 'ZR' ? 'ZR' : 'yal-';
+    const trackingNumber = `${prefix}${Date.now().toString(36).toUpperCase()}`;
+    const parcels = readStore();
+    parcels[trackingNumber] = { orderId: order.id, createdAt: Date.now(), cancelledAt: null };
+    writeStore(parcels);
+    return delay({ trackingNumber, providerOrderId: trackingNumber, labelUrl: null });
+  },
+
+  cancelParcel: (order) => {
+    const trackingNumber = getTrackingNumber(order);
+    const parcels = readStore();
+    parcels[trackingNumber] = { orderId: order.id, createdAt: Date.now(), ...parcels[trackingNumber], cancelledAt: Date.now() };
+    writeStore(parcels);
+    return delay(undefined);
+  },
+
+  getLabel: (order) => delay(buildLabel(order, getTrackingNumber(order))),
+};
+
+export default fakeCarrierAdapter;
@@ -0,0 +1,46 @@
+/**
+ * COD settlements mock
+ * Local stand-in for /api/orders/cod-settlements and /api/orders/{id}/cod-settlement, enabled with VITE_USE_MOCKS=true.
+ * Settlements are kept in localStorage so they survive a reload.
+ */
+import { delay } from './mockDelay';
+
+const STORAGE_KEY = 'mock_cod_settlements';
+
+const readStore = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Corrupted store: start over
+  }
+  return [];
+};
+
+const writeStore = (settlements) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settlements));
+};
+
+/**
+ * Get the mocked settlements
+ * The mock does not know when orders were created: every recorded settlement is returned
+ * @returns {Promise<Array>} Settlements
+ */
+export const getMockCodSettlements = () => delay(readStore());
+
+/**
+ * Record a mocked settlement, replacing the previous one of the order
+ * @param {number} orderId - Order ID
+ * @param {Object} settlement - Settlement fields from getSettlementFields
+ * @returns {Promise<Object>} Saved settlement
+ */
+export const createMockCodSettlement = (orderId, settlement) => {
+  const saved = { ...settlement, orderId: Number(orderId) };
+  writeStore([...readStore().filter((item) => item.orderId !== saved.orderId), saved]);
+  return delay(saved);
+};
+
+export default {
+  getMockCodSettlements,
+  createMockCodSettlement,
+};
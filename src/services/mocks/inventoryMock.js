@@ -0,0 +1,66 @@
+/**
+ * Inventory mock
+ * Local stand-in for /api/books/{id}/stock-movements, enabled with VITE_USE_MOCKS=true.
+ * Movements are kept in localStorage so they survive a reload; they are recorded for a fixed operator.
+ * Books have no mock: the mocked stock is followed from movement to movement, never saved on the book.
+ */
+import { delay } from './mockDelay';
+
+const STORAGE_KEY = 'mock_stock_movements';
+
+const MOCK_OPERATOR = { login: 'admin', name: 'Administrateur' };
+
+const readStore = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Corrupted store: start over
+  }
+  return [];
+};
+
+const writeStore = (movements) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(movements));
+};
+
+/**
+ * Get the mocked movements of a book
+ * @param {number} bookId - Book ID
+ * @returns {Promise<Array>} Movements, most recent first
+ */
+export const getMockStockMovements = (bookId) => {
+  const movements = readStore()
+    .filter((movement) => movement.bookId === Number(bookId))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  return delay(movements);
+};
+
+/**
+ * Record a mocked movement
+ * @param {number} bookId - Book ID
+ * @param {Object} movement - { type, quantity, reason }
+ * @returns {Promise<Object>} Created movement; stockAfter follows the previous mocked movement of the book,
+ *   null for its first one (the starting stock is on the backend)
+ */
+export const createMockStockMovement = (bookId, movement) => {
+  const movements = readStore();
+  const [previous] = movements
+    .filter((item) => item.bookId === Number(bookId))
+    .sort((a, b) => b.id - a.id);
+  const created = {
+    ...movement,
+    stockAfter: previous?.stockAfter !== undefined && previous?.stockAfter !== null ? previous.stockAfter + movement.quantity : null,
+    id: Math.max(0, ...movements.map((item) => item.id)) + 1,
+    bookId: Number(bookId),
+    actor: MOCK_OPERATOR,
+    createdAt: new Date().toISOString(),
+  };
+  writeStore([...movements, created]);
+  return delay(created);
+};
+
+export default {
+  getMockStockMovements,
+  createMockStockMovement,
+};
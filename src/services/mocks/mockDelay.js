@@ -0,0 +1,19 @@
+/**
+ * Network delay shared by the mocks, so loading states show as they do against the backend
+ */
+
+export const MOCK_DELAY_MS = 300;
+
+/**
+ * Resolve a mocked response after the mock network delay
+ * @param {any} value - Response value
+ * @returns {Promise<any>} Value, after MOCK_DELAY_MS
+ */
+export const delay = (value) => new Promise((resolve) => {
+  setTimeout(() => resolve(value), MOCK_DELAY_MS);
+});
+
+export default {
+  MOCK_DELAY_MS,
+  delay,
+};
@@ -0,0 +1,102 @@
+/**
+ * Order history mock
+ * Local stand-in for GET /api/orders/{id}/history, enabled with VITE_USE_MOCKS=true.
+ * Histories are generated from the order ID so the same order always shows the same timeline.
+ *
+ * Uses plain strings (not the ordersApi enums) to avoid a circular import with ordersApi.
+ */
+
+const MOCK_DELAY_MS = 400;
+
+const MOCK_OPERATORS = [
+  { login: 'admin', name: 'Administrateur' },
+  { login: 'sarah.b', name: 'Sarah B.' },
+  { login: 'karim.m', name: 'Karim M.' },
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Build a deterministic history for an order
+ * @param {number} orderId - Order ID
+ * @returns {Array} History events, most recent first
+ */
+const buildHistory = (orderId) => {
+  const id = Number(orderId) || 1;
+  const operator = MOCK_OPERATORS[id % MOCK_OPERATORS.length];
+  const carrier = id % 2 === 0 ? 'YALIDINE' : 'ZR';
+  const createdAt = Date.now() - (72 + (id % 48)) * HOUR_MS;
+  const at = (hours) => new Date(createdAt + hours * HOUR_MS).toISOString();
+
+  const events = [
+    {
+      id: `${id}-1`,
+      type: 'CREATED',
+      timestamp: at(0),
+      actor: null,
+      source: 'SYSTEM',
+      changes: [],
+      comment: 'Commande passée sur la boutique',
+    },
+    {
+      id: `${id}-2`,
+      type: 'UPDATED',
+      timestamp: at(1),
+      actor: operator,
+      source: 'USER',
+      changes: [
+        { field: 'phone', oldValue: '0555 12 34 56', newValue: '0555123456' },
+        { field: 'city', oldValue: 'Bab Ezzouar', newValue: 'Bab Ezzouar (Cité 5 juillet)' },
+      ],
+      comment: null,
+    },
+    {
+      id: `${id}-3`,
+      type: 'STATUS_CHANGED',
+      timestamp: at(2),
+      actor: operator,
+      source: 'USER',
+      changes: [{ field: 'status', oldValue: 'PENDING', newValue: 'CONFIRMED' }],
+      comment: null,
+    },
+    {
+      id: `${id}-4`,
+      type: 'CARRIER_SYNC',
+      timestamp: at(26),
+      actor: null,
+      source: carrier,
+      changes: [{ field: 'status', oldValue: 'CONFIRMED', newValue: 'SHIPPED' }],
+      comment: 'Colis pris en charge par le transporteur',
+    },
+  ];
+
+  // Every third order has also been delivered
+  if (id % 3 === 0) {
+    events.push({
+      id: `${id}-5`,
+      type: 'CARRIER_SYNC',
+      timestamp: at(50),
+      actor: null,
+      source: carrier,
+      changes: [{ field: 'status', oldValue: 'SHIPPED', newValue: 'DELIVERED' }],
+      comment: 'Colis livré et encaissé',
+    });
+  }
+
+  return events.reverse();
+};
+
+/**
+ * Get the mocked history of an order
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Array>} History events, most recent first
+ */
+export const getMockOrderHistory = (orderId) => {
+  return new Promise((resolve) => {
+    setTimeout(() => resolve(buildHistory(orderId)), MOCK_DELAY_MS);
+  });
+};
+
+export default {
+  getMockOrderHistory,
+};
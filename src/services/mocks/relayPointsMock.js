@@ -0,0 +1,93 @@
+/**
+ * Relay points mock
+ * Local stand-in for /api/relay-points, enabled with VITE_USE_MOCKS=true.
+ * A few desks per provider in the main wilayas, with coordinates and opening hours.
+ */
+import { delay } from './mockDelay';
+
+// Saturday to Thursday, closed on Friday
+const WEEK_HOURS = {
+  saturday: '08:00-17:00',
+  sunday: '08:00-17:00',
+  monday: '08:00-17:00',
+  tuesday: '08:00-17:00',
+  wednesday: '08:00-17:00',
+  thursday: '08:00-13:00',
+  friday: null,
+};
+
+const LONG_HOURS = { ...WEEK_HOURS, thursday: '08:00-17:00', saturday: '09:00-18:00' };
+
+const RELAY_POINTS = [
+  // Alger
+  { id: 'YAL-1601', provider: 'YALIDINE', name: 'Yalidine Bab Ezzouar', address: 'Cité 5 Juillet, bâtiment 12', commune: 'Bab Ezzouar', wilaya: 'Alger', phone: '023 83 41 10', latitude: 36.7213, longitude: 3.1829, openingHours: LONG_HOURS },
+  { id: 'YAL-1602', provider: 'YALIDINE', name: 'Yalidine Hydra', address: '14 rue des Frères Oughlis', commune: 'Hydra', wilaya: 'Alger', phone: '023 48 22 05', latitude: 36.7431, longitude: 3.0317, openingHours: WEEK_HOURS },
+  { id: 'YAL-1603', provider: 'YALIDINE', name: 'Yalidine Chéraga', address: 'Boulevard du 1er Novembre', commune: 'Chéraga', wilaya: 'Alger', phone: '023 36 10 77', latitude: 36.7664, longitude: 2.9592, openingHours: WEEK_HOURS },
+  { id: 'YAL-1604', provider: 'YALIDINE', name: 'Yalidine Rouïba', address: 'Route nationale 5, zone d\'activités', commune: 'Rouïba', wilaya: 'Alger', phone: '023 85 63 18', latitude: 36.7383, longitude: 3.2810, openingHours: WEEK_HOURS },
+  { id: 'ZR-1601', provider: 'ZR', name: 'ZR Express Kouba', address: '3 rue Ahmed Ghermoul', commune: 'Kouba', wilaya: 'Alger', phone: '0550 12 34 56', latitude: 36.7262, longitude: 3.0856, openingHours: LONG_HOURS },
+  { id: 'ZR-1602', provider: 'ZR', name: 'ZR Express Alger Centre', address: '22 rue Didouche Mourad', commune: 'Alger Centre', wilaya: 'Alger', phone: '0550 98 76 54', latitude: 36.7694, longitude: 3.0528, openingHours: WEEK_HOURS },
+  { id: 'ZR-1603', provider: 'ZR', name: 'ZR Express Dar El Beïda', address: 'Cité Hamiz', commune: 'Dar El Beïda', wilaya: 'Alger', phone: '0560 44 21 09', latitude: 36.7136, longitude: 3.2127, openingHours: WEEK_HOURS },
+
+  // Oran
+  { id: 'YAL-3101', provider: 'YALIDINE', name: 'Yalidine Oran Centre', address: '8 boulevard de la Soummam', commune: 'Oran', wilaya: 'Oran', phone: '041 33 18 90', latitude: 35.6987, longitude: -0.6349, openingHours: LONG_HOURS },
+  { id: 'YAL-3102', provider: 'YALIDINE', name: 'Yalidine Bir El Djir', address: 'Cité USTO, local 4', commune: 'Bir El Djir', wilaya: 'Oran', phone: '041 42 60 11', latitude: 35.7206, longitude: -0.5450, openingHours: WEEK_HOURS },
+  { id: 'ZR-3101', provider: 'ZR', name: 'ZR Express Es Senia', address: 'Route de l\'aéroport', commune: 'Es Senia', wilaya: 'Oran', phone: '0551 20 30 40', latitude: 35.6478, longitude: -0.6239, openingHours: WEEK_HOURS },
+
+  // Constantine
+  { id: 'YAL-2501', provider: 'YALIDINE', name: 'Yalidine Constantine', address: 'Rue Larbi Ben M\'hidi', commune: 'Constantine', wilaya: 'Constantine', phone: '031 92 14 50', latitude: 36.3650, longitude: 6.6147, openingHours: WEEK_HOURS },
+  { id: 'YAL-2502', provider: 'YALIDINE', name: 'Yalidine Ali Mendjeli', address: 'UV 7, centre commercial', commune: 'El Khroub', wilaya: 'Constantine', phone: '031 97 30 22', latitude: 36.2485, longitude: 6.5701, openingHours: LONG_HOURS },
+  { id: 'ZR-2501', provider: 'ZR', name: 'ZR Express Constantine', address: 'Cité Daksi', commune: 'Constantine', wilaya: 'Constantine', phone: '0552 11 22 33', latitude: 36.3534, longitude: 6.6420, openingHours: WEEK_HOURS },
+  { id: 'ZR-2502', provider: 'ZR', name: 'ZR Express Hamma Bouziane', address: 'Avenue principale', commune: 'Hamma Bouziane', wilaya: 'Constantine', phone: null, latitude: 36.4123, longitude: 6.5968, openingHours: null },
+
+  // Blida
+  { id: 'YAL-0901', provider: 'YALIDINE', name: 'Yalidine Blida', address: 'Boulevard Larbi Tebessi', commune: 'Blida', wilaya: 'Blida', phone: '025 41 08 66', latitude: 36.4700, longitude: 2.8277, openingHours: WEEK_HOURS },
+  { id: 'YAL-0902', provider: 'YALIDINE', name: 'Yalidine Boufarik', address: 'Rue de la gare', commune: 'Boufarik', wilaya: 'Blida', phone: '025 47 12 03', latitude: 36.5750, longitude: 2.9110, openingHours: WEEK_HOURS },
+  { id: 'ZR-0901', provider: 'ZR', name: 'ZR Express Blida', address: 'Cité Ben Boulaid', commune: 'Blida', wilaya: 'Blida', phone: '0553 40 50 60', latitude: 36.4812, longitude: 2.8105, openingHours: LONG_HOURS },
+
+  // Sétif
+  { id: 'YAL-1901', provider: 'YALIDINE', name: 'Yalidine Sétif', address: 'Cité 1014 logements', commune: 'Sétif', wilaya: 'Sétif', phone: '036 84 20 19', latitude: 36.1911, longitude: 5.4137, openingHours: WEEK_HOURS },
+  { id: 'YAL-1902', provider: 'YALIDINE', name: 'Yalidine El Eulma', address: 'Rue du 8 Mai 1945', commune: 'El Eulma', wilaya: 'Sétif', phone: '036 87 55 31', latitude: 36.1528, longitude: 5.6900, openingHours: WEEK_HOURS },
+];
+
+const normalize = (value) => String(value ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Get the mocked relay points of a provider, optionally in one wilaya
+ * @param {string} provider - YALIDINE or ZR
+ * @param {string} wilayaName - Wilaya name, with or without diacritics
+ * @returns {Promise<Array>} Relay points
+ */
+export const getMockRelayPoints = (provider, wilayaName = null) => delay(RELAY_POINTS.filter((point) =>
+  point.provider === provider && (!wilayaName || normalize(point.wilaya) === normalize(wilayaName))));
+
+/**
+ * Get a mocked relay point
+ * @param {string} id - Relay point ID
+ * @returns {Promise<Object>} Relay point
+ */
+export const getMockStopDeskById = (id) => {
+  const point = RELAY_POINTS.find((item) => item.id === id);
+  if (!point) {
+    return Promise.reject(new Error(`Point de retrait ${id} introuvable`));
+  }
+  return delay(point);
+};
+
+/**
+ * Search the mocked relay points by name, address or commune
+ * @param {string} provider - YALIDINE or ZR
+ * @param {string} query - Search query
+ * @param {string} wilayaName - Optional wilaya
+ * @returns {Promise<Array>} Matching relay points
+ */
+export const searchMockRelayPoints = async (provider, query = '', wilayaName = null) => {
+  const points = await getMockRelayPoints(provider, wilayaName);
+  const search = normalize(query.trim());
+  return points.filter((point) => [point.name, point.address, point.commune].some((value) => normalize(value).includes(search)));
+};
+
+export default {
+  getMockRelayPoints,
+  getMockStopDeskById,
+  searchMockRelayPoints,
+};
@@ -0,0 +1,85 @@
+/**
+ * Order returns mock
+ * Local stand-in for /api/orders/{id}/returns and /api/dashboard/refunds, enabled with VITE_USE_MOCKS=true.
+ * Returns are kept in localStorage so they survive a reload.
+ */
+import { delay } from './mockDelay';
+
+const STORAGE_KEY = 'mock_order_returns';
+
+const readStore = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Corrupted store: start over
+  }
+  return [];
+};
+
+const writeStore = (returns) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(returns));
+};
+
+// Start of the backend time ranges (TODAY, THIS_WEEK, THIS_MONTH)
+const getRangeStart = (timeRange) => {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  if (timeRange === 'THIS_WEEK') {
+    // Weeks start on Monday
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  } else if (timeRange !== 'TODAY') {
+    start.setDate(1);
+  }
+  return start;
+};
+
+/**
+ * Get the mocked returns of an order
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Array>} Returns, most recent first
+ */
+export const getMockOrderReturns = (orderId) => {
+  const returns = readStore()
+    .filter((item) => item.orderId === Number(orderId))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  return delay(returns);
+};
+
+/**
+ * Record a mocked return
+ * @param {number} orderId - Order ID
+ * @param {Object} returnData - Return payload from buildReturnPayload
+ * @returns {Promise<Object>} Created return
+ */
+export const createMockOrderReturn = (orderId, returnData) => {
+  const returns = readStore();
+  const created = {
+    ...returnData,
+    id: Math.max(0, ...returns.map((item) => item.id)) + 1,
+    orderId: Number(orderId),
+    createdAt: new Date().toISOString(),
+  };
+  writeStore([...returns, created]);
+  return delay(created);
+};
+
+/**
+ * Get the mocked refunds of a time range
+ * @param {string} timeRange - TODAY, THIS_WEEK or THIS_MONTH
+ * @returns {Promise<{refundTotal: number, returnCount: number}>} Refunds summary
+ */
+export const getMockRefundsSummary = (timeRange) => {
+  const start = getRangeStart(timeRange);
+  const returns = readStore().filter((item) => new Date(item.createdAt) >= start);
+  return delay({
+    refundTotal: returns.reduce((sum, item) => sum + (Number(item.refundAmount) || 0), 0),
+    returnCount: returns.length,
+  });
+};
+
+export default {
+  getMockOrderReturns,
+  createMockOrderReturn,
+  getMockRefundsSummary,
+};
@@ -0,0 +1,106 @@
+/**
+ * Shipping tariffs mock
+ * Local stand-in for /api/shipping-tariffs, enabled with VITE_USE_MOCKS=true.
+ * Tariffs are kept in localStorage so edits made on the admin screen survive a reload.
+ */
+import { delay } from './mockDelay';
+
+const STORAGE_KEY = 'mock_shipping_tariffs';
+
+// Far south wilayas cost more than the default rate
+const SOUTH_WILAYAS = ['Adrar', 'Tamanrasset', 'Illizi', 'Tindouf', 'Djanet', 'In Guezzam', 'Bordj Badji Mokhtar'];
+
+const tiers = (base) => [
+  { maxQuantity: 3, price: base },
+  { maxQuantity: 10, price: base + 200 },
+  { maxQuantity: null, price: base + 500 },
+];
+
+const buildSeed = () => {
+  let id = 0;
+  const seed = [];
+  const add = (provider, shippingMethod, wilaya, base) => {
+    id += 1;
+    seed.push({ id, provider, shippingMethod, wilaya, tiers: tiers(base) });
+  };
+
+  // Default rates (every wilaya)
+  add('YALIDINE', 'HOME_DELIVERY', null, 600);
+  add('YALIDINE', 'SHIPPING_PROVIDER', null, 400);
+  add('ZR', 'HOME_DELIVERY', null, 550);
+  add('ZR', 'SHIPPING_PROVIDER', null, 350);
+
+  // Alger is the origin wilaya
+  add('YALIDINE', 'HOME_DELIVERY', 'Alger', 400);
+  add('YALIDINE', 'SHIPPING_PROVIDER', 'Alger', 250);
+  add('ZR', 'HOME_DELIVERY', 'Alger', 350);
+  add('ZR', 'SHIPPING_PROVIDER', 'Alger', 200);
+
+  SOUTH_WILAYAS.forEach((wilaya) => {
+    add('YALIDINE', 'HOME_DELIVERY', wilaya, 1100);
+    add('ZR', 'HOME_DELIVERY', wilaya, 1000);
+  });
+
+  return seed;
+};
+
+const readStore = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Corrupted store: fall back to the seed
+  }
+  return buildSeed();
+};
+
+const writeStore = (tariffs) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(tariffs));
+};
+
+/**
+ * Get every mocked tariff
+ * @returns {Promise<Array>} Tariffs
+ */
+export const getMockShippingTariffs = () => delay(readStore());
+
+/**
+ * Create a mocked tariff
+ * @param {Object} tariff - Tariff without id
+ * @returns {Promise<Object>} Created tariff
+ */
+export const createMockShippingTariff = (tariff) => {
+  const tariffs = readStore();
+  const created = { ...tariff, id: Math.max(0, ...tariffs.map((t) => t.id)) + 1 };
+  writeStore([...tariffs, created]);
+  return delay(created);
+};
+
+/**
+ * Update a mocked tariff
+ * @param {number} id - Tariff ID
+ * @param {Object} tariff - New tariff values
+ * @returns {Promise<Object>} Updated tariff
+ */
+export const updateMockShippingTariff = (id, tariff) => {
+  const updated = { ...tariff, id };
+  writeStore(readStore().map((t) => (t.id === id ? updated : t)));
+  return delay(updated);
+};
+
+/**
+ * Delete a mocked tariff
+ * @param {number} id - Tariff ID
+ * @returns {Promise<void>}
+ */
+export const deleteMockShippingTariff = (id) => {
+  writeStore(readStore().filter((t) => t.id !== id));
+  return delay(undefined);
+};
+
+export default {
+  getMockShippingTariffs,
+  createMockShippingTariff,
+  updateMockShippingTariff,
+  deleteMockShippingTariff,
+};
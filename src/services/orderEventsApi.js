@@ -0,0 +1,175 @@
+import api, { API_BASE_URL, USE_MOCKS } from './apiClient';
+import { getAccessToken, TOKENS_CHANGED_EVENT } from './tokenService';
+import { getOrders } from './ordersApi';
+
+/**
+ * Order Events API Service
+ *
+ * Pushes new orders to the admin app as they are created. The backend streams them with
+ * Server-Sent Events; when the stream is unavailable the app polls the orders list instead.
+ */
+
+// Delay between two checks when polling
+export const POLLING_INTERVAL_MS = 30 * 1000;
+
+/**
+ * How new orders are received
+ */
+export const CONNECTION_MODE = {
+  LIVE: 'LIVE',
+  POLLING: 'POLLING',
+};
+
+// Orders created after this many are checked per poll; more than that in 30 s is unlikely
+const POLLING_PAGE_SIZE = 50;
+
+/**
+ * Get a ticket opening the order event stream
+ * Backend endpoint: POST /api/admin/orders/events/ticket
+ * EventSource cannot send headers, so the stream is opened with this single-use ticket, valid a few
+ * seconds, rather than the access token: nothing reusable ends up in access logs or the browser history
+ * @returns {Promise<string>} Stream ticket
+ */
+export const getOrderEventsTicket = async () => {
+  const response = await api.post('/api/admin/orders/events/ticket');
+  return response.data.ticket;
+};
+
+/**
+ * Subscribe to new orders
+ * Backend endpoint: GET /api/admin/orders/events?ticket= (Server-Sent Events, one `new-order` event per order with the order as JSON data)
+ * The stream is reopened with a new ticket after each token refresh and when a live stream drops.
+ * Polls GET /api/orders when no ticket can be obtained or the stream is refused (no backend support)
+ * and with VITE_USE_MOCKS=true
+ * @param {Object} handlers - Event handlers
+ * @param {Function} handlers.onOrder - Called with each new order, once per order
+ * @param {Function} handlers.onModeChange - Called with the CONNECTION_MODE in use
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToNewOrders = ({ onOrder, onModeChange = () => {} }) => {
+  const seenIds = new Set();
+  // Only orders created from now on are new
+  let since = new Date().toISOString();
+  let source = null;
+  let timer = null;
+  let polling = false;
+  let hasOpened = false;
+  // Ignores the ticket of a superseded opening attempt
+  let attempt = 0;
+  let closed = false;
+
+  const emit = (order) => {
+    if (closed || !order?.id || seenIds.has(order.id)) return;
+    seenIds.add(order.id);
+    // Dates may come with any offset: compare them as dates
+    if (order.createdAt && new Date(order.createdAt) > new Date(since)) {
+      since = new Date(order.createdAt).toISOString();
+    }
+    onOrder(order);
+  };
+
+  const poll = async () => {
+    try {
+      const response = await getOrders({ dateFrom: since, sort: 'createdAt,desc', page: 0, size: POLLING_PAGE_SIZE });
+      // Oldest first, so notifications come in creation order
+      [...(response.content || [])].reverse().forEach(emit);
+    } catch (err) {
+      console.error('Error polling new orders:', err);
+    } finally {
+      if (!closed && polling) {
+        timer = setTimeout(poll, POLLING_INTERVAL_MS);
+      }
+    }
+  };
+
+  const startPolling = () => {
+    if (closed || polling) return;
+    polling = true;
+    onModeChange(CONNECTION_MODE.POLLING);
+    timer = setTimeout(poll, POLLING_INTERVAL_MS);
+  };
+
+  const stopPolling = () => {
+    polling = false;
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  const openStream = async () => {
+    const current = ++attempt;
+    let ticket;
+    try {
+      ticket = await getOrderEventsTicket();
+    } catch (err) {
+      console.error('Error opening the order event stream:', err);
+      if (current === attempt) startPolling();
+      return;
+    }
+    if (closed || current !== attempt) return;
+
+    if (source) source.close();
+    const stream = new EventSource(
+      `${API_BASE_URL}/api/admin/orders/events?ticket=${encodeURIComponent(ticket)}`,
+      { withCredentials: true }
+    );
+    source = stream;
+    let isOpen = false;
+
+    stream.onopen = () => {
+      isOpen = true;
+      // Catch up on the orders created while polling or reconnecting
+      const catchUp = hasOpened || polling;
+      hasOpened = true;
+      stopPolling();
+      onModeChange(CONNECTION_MODE.LIVE);
+      if (catchUp) poll();
+    };
+
+    stream.addEventListener('new-order', (event) => {
+      try {
+        emit(JSON.parse(event.data));
+      } catch (err) {
+        console.error('Error reading new order event:', err);
+      }
+    });
+
+    // EventSource would retry with the same ticket, which is already used: a live stream that drops
+    // is reopened with a new ticket, a stream refused from the start falls back to polling
+    stream.onerror = () => {
+      if (stream !== source || (!isOpen && stream.readyState !== EventSource.CLOSED)) return;
+      stream.close();
+      source = null;
+      if (isOpen) {
+        openStream();
+      } else {
+        startPolling();
+      }
+    };
+  };
+
+  // The stream was authorized with the previous token: reopen it once the token is refreshed
+  const handleTokensChanged = () => {
+    if (getAccessToken()) openStream();
+  };
+
+  if (USE_MOCKS || typeof EventSource === 'undefined') {
+    startPolling();
+  } else {
+    openStream();
+    window.addEventListener(TOKENS_CHANGED_EVENT, handleTokensChanged);
+  }
+
+  return () => {
+    closed = true;
+    window.removeEventListener(TOKENS_CHANGED_EVENT, handleTokensChanged);
+    if (source) source.close();
+    stopPolling();
+  };
+};
+
+export default {
+  POLLING_INTERVAL_MS,
+  CONNECTION_MODE,
+  getOrderEventsTicket,
+  subscribeToNewOrders,
+};
@@ -1,57 +1,6 @@
 import axios from 'axios';
-import { getCookie } from '../utils/cookies';
-
-// API base URL - should be configured in environment variables
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
-
-// Create axios instance WITHOUT default Content-Type
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  withCredentials: true, // CRITICAL: Enable session cookie transmission
-});
-
-// Request interceptor to add Bearer token and CSRF token
-api.interceptors.request.use((config) => {
-  // Add Bearer token from localStorage
-  const token = localStorage.getItem('access_token');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-
-  // Set Content-Type for JSON requests
-  if (!(config.data instanceof FormData)) {
-    config.headers['Content-Type'] = 'application/json';
-  }
-
-  // Add CSRF token for POST, PUT, DELETE, PATCH requests
-  if (['post', 'put', 'delete', 'patch'].includes(config.method?.toLowerCase())) {
-    // Orders endpoint is exempt from CSRF for guest checkout
-    const isExempt = config.url === '/api/orders';
-
-    if (!isExempt) {
-      const csrfToken = getCookie('XSRF-TOKEN');
-      if (csrfToken) {
-        config.headers['X-XSRF-TOKEN'] = csrfToken;
-      }
-    }
-  }
-  return config;
-});
-
-// Response interceptor for handling authentication errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    // Handle 401/403 errors by redirecting to login
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      // Only redirect if not already on login page
-      if (!window.location.pathname.includes('/login')) {
-        window.location.href = '/admin/login';
-      }
-    }
-    return Promise.reject(error);
-  }
-);
+import api, { USE_MOCKS } from './apiClient';
+import { getMockOrderHistory } from './mocks/orderHistoryMock';
 
 /**
  * Get orders with server-side filtering, sorting, and pagination
@@ -59,7 +8,7 @@ api.interceptors.response.use(
  * @param {Object} params - Query parameters
  * @param {number} params.page - Page number (0-indexed)
  * @param {number} params.size - Page size (default: 20)
- * @param {string} params.status - Filter by order status (PENDING, CONFIRMED, SHIPPED, DELIVERED, CANCELLED)
+ * @param {string} params.status - Filter by order status (PENDING, CONFIRMED, SHIPPED, DELIVERED, CANCELLED, RETURN_REQUESTED, RETURNED, REFUSED)
  * @param {string} params.search - Search query for order number, customer name, email, or phone
  * @param {string} params.dateFrom - Filter by creation date from (ISO 8601 format)
  * @param {string} params.dateTo - Filter by creation date to (ISO 8601 format)
@@ -134,12 +83,14 @@ export const getOrderById = async (id) => {
  * @param {string} orderData.shippingProvider - Shipping provider (YALIDINE, ZR)
  * @param {string} orderData.shippingMethod - Shipping method (HOME_DELIVERY, SHIPPING_PROVIDER)
  * @param {number} orderData.shippingCost - Shipping cost
+ * @param {boolean} orderData.shippingCostOverridden - Whether the cost was typed instead of taken from the tariffs
  * @param {Array} orderData.orderItems - Array of order items
  * @param {number} orderData.orderItems[].bookId - Book ID (for BOOK items)
  * @param {number} orderData.orderItems[].bookPackId - Book pack ID (for PACK items)
  * @param {number} orderData.orderItems[].quantity - Quantity (min: 1)
  * @param {number} orderData.orderItems[].unitPrice - Unit price
  * @param {string} orderData.orderItems[].itemType - Item type (BOOK or PACK)
+ * @param {Object} orderData.user - Registered customer the order belongs to ({ id }), omitted for guests
  * @returns {Promise} Created order data
  */
 export const createOrder = async (orderData) => {
@@ -152,7 +103,7 @@ export const createOrder = async (orderData) => {
  * Only admins can update orders
  * @param {number} id - Order ID
  * @param {Object} orderData - Updated order data
- * @param {string} orderData.status - Order status (PENDING, CONFIRMED, SHIPPED, DELIVERED, CANCELLED)
+ * @param {string} orderData.status - Order status (PENDING, CONFIRMED, SHIPPED, DELIVERED, CANCELLED, RETURN_REQUESTED, RETURNED, REFUSED)
  * @param {string} orderData.fullName - Customer full name
  * @param {string} orderData.phone - Customer phone number
  * @param {string} orderData.email - Customer email
@@ -163,6 +114,9 @@ export const createOrder = async (orderData) => {
  * @param {string} orderData.shippingProvider - Shipping provider
  * @param {string} orderData.shippingMethod - Shipping method
  * @param {number} orderData.shippingCost - Shipping cost
+ * @param {boolean} orderData.shippingCostOverridden - Whether the cost was typed instead of taken from the tariffs
+ * @param {string} orderData.cancellationReason - Cancellation reason (required when moving to CANCELLED, see utils/orderWorkflow)
+ * @param {string} orderData.trackingNumber - Tracking number (required when shipping without a provider)
  * @returns {Promise} Updated order data
  */
 export const updateOrder = async (id, orderData) => {
@@ -185,7 +139,7 @@ export const getCurrentUserOrders = async () => {
  * Convenience method for updating only the order status
  * Only admins can update order status
  * @param {number} id - Order ID
- * @param {string} status - New status (PENDING, CONFIRMED, SHIPPED, DELIVERED, CANCELLED)
+ * @param {string} status - New status (PENDING, CONFIRMED, SHIPPED, DELIVERED, CANCELLED, RETURN_REQUESTED, RETURNED, REFUSED)
  * @returns {Promise} Updated order data
  */
 export const updateOrderStatus = async (id, status) => {
@@ -214,6 +168,30 @@ export const exportOrders = async () => {
   return response;
 };
 
+/**
+ * Get the audit history of an order (status changes, edits, carrier syncs)
+ * Served by a local mock when VITE_USE_MOCKS=true
+ * @param {number} id - Order ID
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Array>} History events, most recent first:
+ *   { id, type, timestamp, actor: { login, name } | null, source, changes: [{ field, oldValue, newValue }], comment }
+ */
+export const getOrderHistory = async (id, signal = null) => {
+  if (USE_MOCKS) {
+    return getMockOrderHistory(id);
+  }
+
+  try {
+    const response = await api.get(`/api/orders/${id}/history`, { signal });
+    return response.data;
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new Error('REQUEST_CANCELLED');
+    }
+    throw error;
+  }
+};
+
 /**
  * Order status enum values
  */
@@ -223,6 +201,10 @@ export const ORDER_STATUS = {
   SHIPPED: 'SHIPPED',
   DELIVERED: 'DELIVERED',
   CANCELLED: 'CANCELLED',
+  // Returns: requested by the customer after delivery, refused at the door, back in stock
+  RETURN_REQUESTED: 'RETURN_REQUESTED',
+  RETURNED: 'RETURNED',
+  REFUSED: 'REFUSED',
 };
 
 /**
@@ -241,6 +223,26 @@ export const SHIPPING_METHOD = {
   SHIPPING_PROVIDER: 'SHIPPING_PROVIDER',
 };
 
+/**
+ * Order history event types
+ */
+export const ORDER_HISTORY_EVENT = {
+  CREATED: 'CREATED',
+  STATUS_CHANGED: 'STATUS_CHANGED',
+  UPDATED: 'UPDATED',
+  CARRIER_SYNC: 'CARRIER_SYNC',
+};
+
+/**
+ * Order history event sources (who or what made the change)
+ */
+export const ORDER_HISTORY_SOURCE = {
+  USER: 'USER',
+  YALIDINE: 'YALIDINE',
+  ZR: 'ZR',
+  SYSTEM: 'SYSTEM',
+};
+
 /**
  * Order item type enum values
  */
@@ -258,8 +260,11 @@ export default {
   getCurrentUserOrders,
   updateOrderStatus,
   exportOrders,
+  getOrderHistory,
   ORDER_STATUS,
   SHIPPING_PROVIDER,
   SHIPPING_METHOD,
   ORDER_ITEM_TYPE,
+  ORDER_HISTORY_EVENT,
+  ORDER_HISTORY_SOURCE,
 };
@@ -1,5 +1,5 @@
-import axios from 'axios';
-import { getCookie } from '../utils/cookies';
+import api, { USE_MOCKS } from './apiClient';
+import { getMockRelayPoints, getMockStopDeskById, searchMockRelayPoints } from './mocks/relayPointsMock';
 
 /**
  * Relay Points API Service
@@ -10,48 +10,14 @@ import { getCookie } from '../utils/cookies';
  * The backend should implement endpoints to fetch relay points from:
  * - Yalidine API: https://api.yalidine.app/v1/
  * - ZR Express / Procolis API
+ *
+ * A relay point looks like:
+ *   { id, provider, name, address, commune, wilaya, phone, latitude, longitude, openingHours }
+ * openingHours maps English day names to a "HH:MM-HH:MM" range (null: closed), e.g.
+ * { saturday: '08:00-17:00', ..., friday: null }. Coordinates and hours are optional.
+ * VITE_USE_MOCKS=true serves a local set of relay points.
  */
 
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
-
-// Create axios instance for relay points API
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  withCredentials: true,
-});
-
-// Request interceptor to add Bearer token and CSRF token
-api.interceptors.request.use((config) => {
-  const token = localStorage.getItem('access_token');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-  config.headers['Content-Type'] = 'application/json';
-
-  // Add CSRF token for mutating requests
-  if (['post', 'put', 'delete', 'patch'].includes(config.method?.toLowerCase())) {
-    const csrfToken = getCookie('XSRF-TOKEN');
-    if (csrfToken) {
-      config.headers['X-XSRF-TOKEN'] = csrfToken;
-    }
-  }
-
-  return config;
-});
-
-// Response interceptor for handling authentication errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      if (!window.location.pathname.includes('/login')) {
-        window.location.href = '/admin/login';
-      }
-    }
-    return Promise.reject(error);
-  }
-);
-
 /**
  * Wilaya mapping for API compatibility
  * Maps wilaya names to their IDs for API calls
@@ -144,6 +110,10 @@ export const getRelayPoints = async (provider, wilayaName) => {
     return [];
   }
 
+  if (USE_MOCKS) {
+    return getMockRelayPoints(provider, wilayaName);
+  }
+
   const wilayaId = WILAYA_ID_MAP[wilayaName];
   // Clean wilaya name by removing diacritics (é -> e, ï -> i, etc.)
   const cleanWilayaName = wilayaName.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
@@ -164,6 +134,10 @@ export const getRelayPoints = async (provider, wilayaName) => {
  * @returns {Promise<Array>} Array of all relay points
  */
 export const getAllRelayPoints = async (provider) => {
+  if (USE_MOCKS) {
+    return getMockRelayPoints(provider);
+  }
+
   const response = await api.get('/api/relay-points', {
     params: { provider },
   });
@@ -176,6 +150,10 @@ export const getAllRelayPoints = async (provider) => {
  * @returns {Promise<Object>} Stop desk data
  */
 export const getStopDeskById = async (stopDeskId) => {
+  if (USE_MOCKS) {
+    return getMockStopDeskById(stopDeskId);
+  }
+
   const response = await api.get(`/api/relay-points/${stopDeskId}`);
   return response.data;
 };
@@ -188,6 +166,10 @@ export const getStopDeskById = async (stopDeskId) => {
  * @returns {Promise<Array>} Filtered relay points
  */
 export const searchRelayPoints = async (provider, query = '', wilayaName = null) => {
+  if (USE_MOCKS) {
+    return searchMockRelayPoints(provider, query, wilayaName);
+  }
+
   const params = { provider };
 
   if (query && query.trim()) {
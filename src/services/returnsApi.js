@@ -0,0 +1,66 @@
+import axios from 'axios';
+import api, { USE_MOCKS } from './apiClient';
+import { getMockOrderReturns, createMockOrderReturn } from './mocks/returnsMock';
+
+/**
+ * Order Returns API Service
+ *
+ * Returns (RMA) record the items that came back from an order, why, whether they go back
+ * on sale and how much is refunded. Refunds are deducted from the dashboard revenue.
+ */
+
+/**
+ * Get the returns of an order
+ * Backend endpoint: GET /api/orders/{id}/returns
+ * @param {number} orderId - Order ID
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Array>} Returns ({ id, orderId, createdAt, reason, comment, restock, refundAmount, items }), most recent first
+ */
+export const getOrderReturns = async (orderId, signal = null) => {
+  if (USE_MOCKS) {
+    return getMockOrderReturns(orderId);
+  }
+
+  try {
+    const response = await api.get(`/api/orders/${orderId}/returns`, { signal });
+    return response.data;
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new Error('REQUEST_CANCELLED');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record a return for an order
+ * Backend endpoint: POST /api/orders/{id}/returns
+ * With restock, the backend puts the returned quantities back on the stock of the books (and of the books of returned packs)
+ * @param {number} orderId - Order ID
+ * @param {Object} returnData - Return data
+ * @param {string} returnData.reason - RETURN_REASON value
+ * @param {string} returnData.comment - Operator comment (optional)
+ * @param {boolean} returnData.restock - Put the returned items back in stock
+ * @param {number} returnData.refundAmount - Amount refunded to the customer (0 if nothing was paid)
+ * @param {Array} returnData.items - Returned items
+ * @param {number} returnData.items[].orderItemId - Order item ID
+ * @param {number} returnData.items[].bookId - Book ID (for BOOK items)
+ * @param {number} returnData.items[].bookPackId - Book pack ID (for PACK items)
+ * @param {string} returnData.items[].itemType - Item type (BOOK or PACK)
+ * @param {number} returnData.items[].quantity - Returned quantity
+ * @param {number} returnData.items[].unitPrice - Unit price
+ * @returns {Promise<Object>} Created return
+ */
+export const createOrderReturn = async (orderId, returnData) => {
+  if (USE_MOCKS) {
+    return createMockOrderReturn(orderId, returnData);
+  }
+
+  const response = await api.post(`/api/orders/${orderId}/returns`, returnData);
+  return response.data;
+};
+
+export default {
+  getOrderReturns,
+  createOrderReturn,
+};
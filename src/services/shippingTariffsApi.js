@@ -0,0 +1,93 @@
+import axios from 'axios';
+import api, { USE_MOCKS } from './apiClient';
+import {
+  getMockShippingTariffs,
+  createMockShippingTariff,
+  updateMockShippingTariff,
+  deleteMockShippingTariff,
+} from './mocks/shippingTariffsMock';
+
+/**
+ * Shipping Tariffs API Service
+ *
+ * A tariff is the price list of one provider and shipping method, for one wilaya or for
+ * every wilaya without a specific tariff (wilaya: null):
+ *   { id, provider, shippingMethod, wilaya, tiers: [{ maxQuantity, price }] }
+ * Tiers are sorted by maxQuantity (number of items in the order); the last tier has
+ * maxQuantity: null and applies above the previous one.
+ */
+
+/**
+ * Get every shipping tariff
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Array>} Tariffs
+ */
+export const getShippingTariffs = async (signal = null) => {
+  if (USE_MOCKS) {
+    return getMockShippingTariffs();
+  }
+
+  try {
+    const response = await api.get('/api/shipping-tariffs', { signal });
+    return response.data;
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new Error('REQUEST_CANCELLED');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create a shipping tariff
+ * Only admins can maintain tariffs
+ * @param {Object} tariffData - Tariff without id
+ * @param {string} tariffData.provider - Shipping provider (YALIDINE, ZR)
+ * @param {string} tariffData.shippingMethod - Shipping method (HOME_DELIVERY, SHIPPING_PROVIDER)
+ * @param {string|null} tariffData.wilaya - Wilaya name, null for the default tariff
+ * @param {Array} tariffData.tiers - Quantity tiers [{ maxQuantity, price }]
+ * @returns {Promise} Created tariff
+ */
+export const createShippingTariff = async (tariffData) => {
+  if (USE_MOCKS) {
+    return createMockShippingTariff(tariffData);
+  }
+
+  const response = await api.post('/api/shipping-tariffs', tariffData);
+  return response.data;
+};
+
+/**
+ * Update a shipping tariff
+ * @param {number} id - Tariff ID
+ * @param {Object} tariffData - Tariff values (see createShippingTariff)
+ * @returns {Promise} Updated tariff
+ */
+export const updateShippingTariff = async (id, tariffData) => {
+  if (USE_MOCKS) {
+    return updateMockShippingTariff(id, tariffData);
+  }
+
+  const response = await api.put(`/api/shipping-tariffs/${id}`, { ...tariffData, id });
+  return response.data;
+};
+
+/**
+ * Delete a shipping tariff
+ * @param {number} id - Tariff ID
+ * @returns {Promise<void>}
+ */
+export const deleteShippingTariff = async (id) => {
+  if (USE_MOCKS) {
+    return deleteMockShippingTariff(id);
+  }
+
+  await api.delete(`/api/shipping-tariffs/${id}`);
+};
+
+export default {
+  getShippingTariffs,
+  createShippingTariff,
+  updateShippingTariff,
+  deleteShippingTariff,
+};
@@ -0,0 +1,148 @@
+import axios from 'axios';
+
+// Keycloak configuration
+const KEYCLOAK_URL = import.meta.env.VITE_KEYCLOAK_URL || 'http://localhost:9080';
+const KEYCLOAK_REALM = import.meta.env.VITE_KEYCLOAK_REALM || 'jhipster';
+export const KEYCLOAK_CLIENT_ID = import.meta.env.VITE_KEYCLOAK_CLIENT_ID || 'web_app';
+
+// Keycloak OpenID Connect endpoints base URL
+export const KEYCLOAK_OIDC_URL = `${KEYCLOAK_URL}/realms/${KEYCLOAK_REALM}/protocol/openid-connect`;
+
+// Create axios instance for Keycloak token endpoint
+// Kept separate from the shared API client so token calls never go through its 401 handling
+export const keycloakApi = axios.create({
+  baseURL: KEYCLOAK_OIDC_URL,
+  headers: {
+    'Content-Type': 'application/x-www-form-urlencoded',
+  },
+});
+
+// Window event fired when tokens are stored or cleared in this tab
+// (the native `storage` event only reaches the other tabs)
+export const TOKENS_CHANGED_EVENT = 'auth:tokens-changed';
+
+const notifyTokensChanged = () => {
+  window.dispatchEvent(new Event(TOKENS_CHANGED_EVENT));
+};
+
+/**
+ * Get the stored access token
+ * @returns {string|null} Access token or null if not logged in
+ */
+export const getAccessToken = () => localStorage.getItem('access_token');
+
+/**
+ * Get the stored refresh token
+ * @returns {string|null} Refresh token or null if not available
+ */
+export const getRefreshToken = () => localStorage.getItem('refresh_token');
+
+/**
+ * Store tokens returned by the Keycloak token endpoint
+ * @param {Object} tokenResponse - Keycloak token response
+ * @param {string} tokenResponse.access_token - Access token
+ * @param {string} tokenResponse.refresh_token - Refresh token
+ * @param {string} tokenResponse.id_token - ID token (optional)
+ */
+export const storeTokens = ({ access_token, refresh_token, id_token }) => {
+  localStorage.setItem('access_token', access_token);
+  if (refresh_token) {
+    localStorage.setItem('refresh_token', refresh_token);
+  }
+  if (id_token) {
+    localStorage.setItem('id_token', id_token);
+  }
+  notifyTokensChanged();
+};
+
+/**
+ * Remove all tokens from localStorage
+ */
+export const clearTokens = () => {
+  localStorage.removeItem('access_token');
+  localStorage.removeItem('refresh_token');
+  localStorage.removeItem('id_token');
+  notifyTokensChanged();
+};
+
+/**
+ * Decode the payload of a JWT without verifying it
+ * @param {string} token - JWT
+ * @returns {Object|null} Decoded claims or null if the token is malformed
+ */
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    // JWT uses base64url: restore the standard alphabet and padding before atob
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(payload.length / 4) * 4, '=');
+    const json = decodeURIComponent(
+      atob(base64)
+        .split('')
+        .map((c) => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`)
+        .join('')
+    );
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get the expiry time of the stored access token
+ * @returns {number|null} Expiry timestamp in milliseconds, or null if unknown
+ */
+export const getAccessTokenExpiry = () => {
+  const token = getAccessToken();
+  if (!token) return null;
+
+  const claims = decodeToken(token);
+  return claims?.exp ? claims.exp * 1000 : null;
+};
+
+/**
+ * Get the expiry time of the login session
+ * The session lasts as long as the refresh token (Keycloak SSO session idle/max lifespan),
+ * the access token being renewed silently in between; without a refresh token it ends
+ * with the access token
+ * @returns {number|null} Expiry timestamp in milliseconds, or null if unknown or unlimited
+ */
+export const getSessionExpiry = () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return getAccessTokenExpiry();
+
+  // Offline tokens have no exp (or 0): the session does not expire on its own
+  const claims = decodeToken(refreshToken);
+  return claims?.exp ? claims.exp * 1000 : null;
+};
+
+/**
+ * Exchange the stored refresh token for a new access token (refresh_token grant)
+ * Stores the new tokens on success
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAccessToken = async () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    throw new Error('No refresh token available');
+  }
+
+  const params = new URLSearchParams();
+  params.append('grant_type', 'refresh_token');
+  params.append('client_id', KEYCLOAK_CLIENT_ID);
+  params.append('refresh_token', refreshToken);
+
+  const response = await keycloakApi.post('/token', params.toString());
+  storeTokens(response.data);
+  return response.data.access_token;
+};
+
+export default {
+  getAccessToken,
+  getRefreshToken,
+  storeTokens,
+  clearTokens,
+  decodeToken,
+  getAccessTokenExpiry,
+  getSessionExpiry,
+  refreshAccessToken,
+};
@@ -1,52 +1,8 @@
 import axios from 'axios';
-import { getCookie } from '../utils/cookies';
+import api from './apiClient';
 
-// API base URL - should be configured in environment variables
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080';
-
-// Create axios instance with default configuration
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  withCredentials: true, // CRITICAL: Enable session cookie transmission
-});
-
-// Request interceptor to add Bearer token and CSRF token
-api.interceptors.request.use((config) => {
-  // Add Bearer token from localStorage
-  const token = localStorage.getItem('access_token');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-
-  // Set Content-Type for JSON requests
-  if (!(config.data instanceof FormData)) {
-    config.headers['Content-Type'] = 'application/json';
-  }
-
-  // Add CSRF token for POST, PUT, DELETE, PATCH requests
-  if (['post', 'put', 'delete', 'patch'].includes(config.method?.toLowerCase())) {
-    const csrfToken = getCookie('XSRF-TOKEN');
-    if (csrfToken) {
-      config.headers['X-XSRF-TOKEN'] = csrfToken;
-    }
-  }
-  return config;
-});
-
-// Response interceptor for handling authentication errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    // Handle 401/403 errors by redirecting to login
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      // Only redirect if not already on login page
-      if (!window.location.pathname.includes('/login')) {
-        window.location.href = '/admin/login';
-      }
-    }
-    return Promise.reject(error);
-  }
-);
+// Page size used when loading every user (customer lookup)
+const ALL_USERS_PAGE_SIZE = 200;
 
 /**
  * Get all app users with pagination
@@ -94,6 +50,28 @@ export const getUsers = async (params = {}, signal = null) => {
   }
 };
 
+/**
+ * Get every app user, page by page
+ * The users endpoint has no search yet: lookups load the users once and filter them on the client
+ * @param {Object} params - Same filters as getUsers (page and size are ignored)
+ * @param {AbortSignal} signal - Optional abort signal for request cancellation
+ * @returns {Promise<Array>} Users
+ */
+export const getAllUsers = async (params = {}, signal = null) => {
+  const users = [];
+  let page = 0;
+  let totalPages = 1;
+
+  while (page < totalPages) {
+    const response = await getUsers({ ...params, page, size: ALL_USERS_PAGE_SIZE }, signal);
+    users.push(...(response.content || response));
+    totalPages = response.totalPages ?? 1;
+    page += 1;
+  }
+
+  return users;
+};
+
 /**
  * Toggle user activation status (admin only)
  * @param {string} userId - The ID of the user to toggle
@@ -117,6 +95,7 @@ export const exportUsers = async () => {
 
 export default {
   getUsers,
+  getAllUsers,
   toggleUserActivation,
   exportUsers,
 };
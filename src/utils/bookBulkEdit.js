@@ -0,0 +1,208 @@
+/**
+ * Bulk book edits
+ * Plans a bulk action on the selected books: what changes for each book, shown as a preview
+ * before anything is saved, then used by the page to run the action book by book
+ */
+import { formatCurrency } from './format';
+import { STOCK_MOVEMENT_TYPES } from './inventory';
+
+export const BULK_BOOK_ACTIONS = {
+  PRICE: 'price',
+  STOCK: 'stock',
+  TAGS: 'tags',
+  ETIQUETTE: 'etiquette',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+};
+
+export const BULK_BOOK_ACTION_LABELS = {
+  [BULK_BOOK_ACTIONS.PRICE]: 'Modifier le prix',
+  [BULK_BOOK_ACTIONS.STOCK]: 'Modifier le stock',
+  [BULK_BOOK_ACTIONS.TAGS]: 'Ajouter ou retirer des tags',
+  [BULK_BOOK_ACTIONS.ETIQUETTE]: 'Attribuer une étiquette',
+  [BULK_BOOK_ACTIONS.DELETE]: 'Supprimer les livres',
+  [BULK_BOOK_ACTIONS.RESTORE]: 'Restaurer les livres',
+};
+
+// Price changes: new price, or increase/decrease by an amount or a percentage
+export const PRICE_MODES = {
+  SET: 'set',
+  AMOUNT: 'amount',
+  PERCENT: 'percent',
+};
+
+export const TAG_MODES = {
+  ADD: 'add',
+  REMOVE: 'remove',
+};
+
+/**
+ * Default parameters of each action
+ */
+export const DEFAULT_BULK_PARAMS = {
+  [BULK_BOOK_ACTIONS.PRICE]: { mode: PRICE_MODES.PERCENT, value: '' },
+  [BULK_BOOK_ACTIONS.STOCK]: { value: '', reason: '' },
+  [BULK_BOOK_ACTIONS.TAGS]: { mode: TAG_MODES.ADD, tagIds: [] },
+  [BULK_BOOK_ACTIONS.ETIQUETTE]: { etiquetteId: null },
+  [BULK_BOOK_ACTIONS.DELETE]: {},
+  [BULK_BOOK_ACTIONS.RESTORE]: {},
+};
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const getTagName = (tag) => tag.nameFr || tag.nameEn || `#${tag.id}`;
+
+/**
+ * Book data sent to booksApi.updateBook for an existing book (same fields as BookForm)
+ * updateBook replaces the book, so every field is sent back unchanged
+ * @param {Object} book - Book from the API
+ * @returns {Object} Book data
+ */
+export const getBookData = (book) => ({
+  title: book.title,
+  price: Number(book.price),
+  stockQuantity: Number(book.stockQuantity) || 0,
+  language: book.language,
+  active: book.active ?? true,
+  description: book.description || '',
+  isbn: book.isbn || null,
+  reorderThreshold: book.reorderThreshold ?? null,
+  author: book.author?.id ? { id: book.author.id } : null,
+});
+
+/**
+ * Check the parameters of an action before the preview
+ * @param {string} action - One of BULK_BOOK_ACTIONS
+ * @param {Object} params - Action parameters
+ * @returns {string|null} French error message, null when the parameters are complete
+ */
+export const getBulkParamsError = (action, params) => {
+  switch (action) {
+    case BULK_BOOK_ACTIONS.PRICE: {
+      const value = Number(params.value);
+      if (params.value === '' || Number.isNaN(value)) return 'Saisissez un montant';
+      if (params.mode === PRICE_MODES.SET && value <= 0) return 'Le prix doit être supérieur à 0';
+      if (params.mode === PRICE_MODES.PERCENT && value <= -100) return 'Une baisse doit être inférieure à 100 %';
+      return null;
+    }
+    case BULK_BOOK_ACTIONS.STOCK: {
+      const value = Number(params.value);
+      if (params.value === '' || !Number.isInteger(value)) return 'Saisissez une quantité entière';
+      if (value < 0) return 'La quantité ne peut pas être négative';
+      return params.reason?.trim() ? null : 'Le motif est requis';
+    }
+    case BULK_BOOK_ACTIONS.TAGS:
+      return params.tagIds.length === 0 ? 'Choisissez au moins un tag' : null;
+    case BULK_BOOK_ACTIONS.ETIQUETTE:
+      return params.etiquetteId ? null : 'Choisissez une étiquette';
+    default:
+      return null;
+  }
+};
+
+const getNewPrice = (price, { mode, value }) => {
+  const amount = Number(value);
+  if (mode === PRICE_MODES.SET) return roundPrice(amount);
+  if (mode === PRICE_MODES.AMOUNT) return roundPrice(price + amount);
+  return roundPrice(price * (1 + amount / 100));
+};
+
+/**
+ * Plan a bulk action
+ * @param {Array} books - Selected books
+ * @param {string} action - One of BULK_BOOK_ACTIONS
+ * @param {Object} params - Action parameters (see DEFAULT_BULK_PARAMS), checked with getBulkParamsError
+ * @param {Array} tags - Categories and etiquettes ({ id, type, nameFr, nameEn }) for the tag names
+ * @returns {Array<{book: Object, changed: boolean, before: string, after: string, update: Object|null,
+ *   movement: Object|null, add: Array<number>, remove: Array<number>, error: string|null}>} One entry per book;
+ *   update holds the changed book fields, movement the stock adjustment to record (see inventoryApi), add and
+ *   remove the tag IDs; unchanged books and errors are skipped when the action runs
+ */
+export const planBulkBookEdit = (books, action, params, tags = []) => {
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+  const describeTags = (list) => list.map(getTagName).join(', ') || 'Aucun';
+
+  return books.map((book) => {
+    const entry = { book, changed: false, before: '', after: '', update: null, movement: null, add: [], remove: [], error: null };
+    const bookTags = book.tags || [];
+
+    switch (action) {
+      case BULK_BOOK_ACTIONS.PRICE: {
+        const price = Number(book.price) || 0;
+        const newPrice = getNewPrice(price, params);
+        entry.before = formatCurrency(price);
+        entry.after = formatCurrency(newPrice);
+        if (newPrice <= 0) {
+          entry.error = 'Le nouveau prix serait nul ou négatif';
+        } else if (newPrice !== price) {
+          entry.changed = true;
+          entry.update = { price: newPrice };
+        }
+        break;
+      }
+      case BULK_BOOK_ACTIONS.STOCK: {
+        const stock = Number(book.stockQuantity) || 0;
+        const newStock = Number(params.value);
+        entry.before = String(stock);
+        entry.after = String(newStock);
+        // Stock changes are recorded as inventory adjustments
+        if (newStock !== stock) {
+          entry.changed = true;
+          entry.movement = { type: STOCK_MOVEMENT_TYPES.ADJUSTMENT, quantity: newStock - stock, reason: params.reason.trim() };
+        }
+        break;
+      }
+      case BULK_BOOK_ACTIONS.TAGS: {
+        const current = bookTags.filter((tag) => tag.type === 'CATEGORY' || tag.type === 'ETIQUETTE');
+        const hasTag = (id) => current.some((tag) => tag.id === id);
+        const ids = params.mode === TAG_MODES.ADD
+          ? params.tagIds.filter((id) => !hasTag(id))
+          : params.tagIds.filter(hasTag);
+        const next = params.mode === TAG_MODES.ADD
+          ? [...current, ...ids.map((id) => tagsById.get(id)).filter(Boolean)]
+          : current.filter((tag) => !ids.includes(tag.id));
+        entry.before = describeTags(current);
+        entry.after = describeTags(next);
+        entry.changed = ids.length > 0;
+        entry[params.mode === TAG_MODES.ADD ? 'add' : 'remove'] = ids;
+        break;
+      }
+      case BULK_BOOK_ACTIONS.ETIQUETTE: {
+        // A book has one etiquette: the others are replaced
+        const current = bookTags.filter((tag) => tag.type === 'ETIQUETTE');
+        const etiquette = tagsById.get(params.etiquetteId);
+        entry.before = describeTags(current);
+        entry.after = etiquette ? getTagName(etiquette) : `#${params.etiquetteId}`;
+        entry.remove = current.filter((tag) => tag.id !== params.etiquetteId).map((tag) => tag.id);
+        entry.add = current.some((tag) => tag.id === params.etiquetteId) ? [] : [params.etiquetteId];
+        entry.changed = entry.add.length > 0 || entry.remove.length > 0;
+        break;
+      }
+      case BULK_BOOK_ACTIONS.DELETE:
+      case BULK_BOOK_ACTIONS.RESTORE: {
+        const active = book.active ?? true;
+        const restore = action === BULK_BOOK_ACTIONS.RESTORE;
+        entry.before = active ? 'Actif' : 'Supprimé';
+        entry.after = restore ? 'Actif' : 'Supprimé';
+        entry.changed = active !== restore;
+        entry.update = entry.changed ? { active: restore } : null;
+        break;
+      }
+      default:
+        entry.error = 'Action inconnue';
+    }
+
+    return entry;
+  });
+};
+
+export default {
+  BULK_BOOK_ACTIONS,
+  BULK_BOOK_ACTION_LABELS,
+  PRICE_MODES,
+  TAG_MODES,
+  DEFAULT_BULK_PARAMS,
+  getBookData,
+  getBulkParamsError,
+  planBulkBookEdit,
+};
@@ -0,0 +1,46 @@
+/**
+ * Bulk operations
+ * Runs one async task per item, one after the other, and reports every outcome
+ * instead of stopping at the first failure (carriers reject some orders, not all)
+ */
+
+/**
+ * Get a readable message from an API or task error
+ * @param {Error} err - Error thrown by the task
+ * @returns {string} Error message
+ */
+export const getErrorMessage = (err) => {
+  return err?.response?.data?.message || err?.response?.data?.detail || err?.message || 'Une erreur est survenue';
+};
+
+/**
+ * Run a task for each item sequentially
+ * @param {Array} items - Items to process
+ * @param {Function} task - Async function called with (item); may return a value
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with ({ done, total, results }) after each item
+ * @returns {Promise<Array<{item: *, ok: boolean, value: *, error: string|null}>>} One result per item
+ */
+export const runBulk = async (items, task, { onProgress } = {}) => {
+  const results = [];
+
+  for (const item of items) {
+    try {
+      const value = await task(item);
+      results.push({ item, ok: true, value, error: null });
+    } catch (err) {
+      results.push({ item, ok: false, value: null, error: getErrorMessage(err) });
+    }
+
+    if (onProgress) {
+      onProgress({ done: results.length, total: items.length, results: [...results] });
+    }
+  }
+
+  return results;
+};
+
+export default {
+  getErrorMessage,
+  runBulk,
+};
@@ -0,0 +1,174 @@
+/**
+ * Catalog export
+ * Writes books to CSV, Excel or JSON. Column headers are the ones the import recognizes and the
+ * JSON backup holds every imported field, so an export can be imported back (see catalogImport)
+ */
+import { BOOK_IMPORT_COLUMNS, getCoverUrl } from './catalogImport';
+import { toCsv } from './csv';
+import { writeSpreadsheet } from './spreadsheet';
+
+/**
+ * Books to export: those of the current filters, or the whole catalog
+ */
+export const EXPORT_SCOPES = {
+  FILTERED: 'filtered',
+  ALL: 'all',
+};
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  JSON: 'json',
+};
+
+export const EXPORT_FORMAT_OPTIONS = [
+  { value: EXPORT_FORMATS.CSV, label: 'CSV', description: 'Tableur, séparateur « ; »' },
+  { value: EXPORT_FORMATS.XLSX, label: 'Excel', description: 'Classeur .xlsx' },
+  { value: EXPORT_FORMATS.JSON, label: 'JSON', description: 'Sauvegarde complète, réimportable' },
+];
+
+// Identifies the backups written by this module
+export const CATALOG_BACKUP_FORMAT = 'catalog-backup';
+const CATALOG_BACKUP_VERSION = 1;
+
+const getTagNames = (book, type) => (book.tags || [])
+  .filter((tag) => tag.type === type)
+  .map((tag) => tag.nameFr || tag.nameEn)
+  .filter(Boolean);
+
+// Value of each field for a book (lists as arrays)
+const FIELD_VALUES = {
+  id: (book) => book.id,
+  title: (book) => book.title || '',
+  author: (book) => book.author?.name || '',
+  categories: (book) => getTagNames(book, 'CATEGORY'),
+  etiquettes: (book) => getTagNames(book, 'ETIQUETTE'),
+  language: (book) => book.language || '',
+  price: (book) => (book.price === null || book.price === undefined ? '' : Number(book.price)),
+  stockQuantity: (book) => (book.stockQuantity === null || book.stockQuantity === undefined ? '' : Number(book.stockQuantity)),
+  description: (book) => book.description || '',
+  coverUrl: (book) => getCoverUrl(book),
+};
+
+const COLUMN_WIDTHS = { title: 40, author: 25, categories: 25, etiquettes: 20, description: 50, coverUrl: 50 };
+
+/**
+ * Columns that can be exported, with the headers of the import
+ */
+export const BOOK_EXPORT_COLUMNS = Object.entries(BOOK_IMPORT_COLUMNS).map(([key, { label }]) => ({
+  key,
+  label,
+  value: (book) => [].concat(FIELD_VALUES[key](book)).join(', '),
+  width: COLUMN_WIDTHS[key] || 12,
+}));
+
+// Numbers stay numbers in Excel
+const XLSX_VALUES = {
+  id: FIELD_VALUES.id,
+  price: FIELD_VALUES.price,
+  stockQuantity: FIELD_VALUES.stockQuantity,
+};
+
+/**
+ * Columns checked by default (the ID lets a re-import update the same books)
+ */
+export const DEFAULT_EXPORT_COLUMNS = ['id', 'title', 'author', 'categories', 'etiquettes', 'price', 'stockQuantity', 'language'];
+
+/**
+ * Build a catalog backup
+ * @param {Array} books - Books to save
+ * @param {Date} exportedAt - Export date
+ * @returns {Object} Backup: { format, version, exportedAt, count, books } with every field of each book
+ */
+export const buildCatalogBackup = (books, exportedAt = new Date()) => ({
+  format: CATALOG_BACKUP_FORMAT,
+  version: CATALOG_BACKUP_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  count: books.length,
+  books: books.map((book) => ({
+    ...Object.fromEntries(Object.entries(FIELD_VALUES).map(([field, getValue]) => [field, getValue(book)])),
+    active: book.active ?? true,
+  })),
+});
+
+/**
+ * Read a catalog backup as the rows of an import file
+ * @param {string} text - Content of the JSON file
+ * @returns {Array<Array>} Rows, header first (headers of BOOK_IMPORT_COLUMNS)
+ * @throws {Error} With a French message when the file is not a catalog backup
+ */
+export const parseCatalogBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Le fichier JSON est illisible');
+  }
+
+  // A plain array of books is accepted too
+  const books = Array.isArray(data) ? data : data?.books;
+  if (!Array.isArray(books) || (data.format && data.format !== CATALOG_BACKUP_FORMAT)) {
+    throw new Error('Ce fichier JSON n\'est pas une sauvegarde du catalogue');
+  }
+
+  const fields = Object.keys(BOOK_IMPORT_COLUMNS);
+  return [
+    fields.map((field) => BOOK_IMPORT_COLUMNS[field].label),
+    ...books.map((book) => fields.map((field) => {
+      const value = book?.[field];
+      if (Array.isArray(value)) return value.join(', ');
+      // Authors may be saved as objects by other tools
+      if (value && typeof value === 'object') return value.name || '';
+      return value ?? '';
+    })),
+  ];
+};
+
+/**
+ * Build an export file
+ * @param {Array} books - Books to export
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Array<string>} columnKeys - Exported columns (CSV and Excel; the JSON backup holds every field)
+ * @param {Date} exportedAt - Export date
+ * @returns {Promise<{content: Blob|string, filename: string, type: string}>} File to pass to downloadFile
+ */
+export const buildCatalogExport = async (books, format, columnKeys, exportedAt = new Date()) => {
+  const date = exportedAt.toISOString().slice(0, 10);
+
+  if (format === EXPORT_FORMATS.JSON) {
+    return {
+      content: JSON.stringify(buildCatalogBackup(books, exportedAt), null, 2),
+      filename: `catalogue-${date}.json`,
+      type: 'application/json',
+    };
+  }
+
+  const columns = BOOK_EXPORT_COLUMNS.filter((column) => columnKeys.includes(column.key));
+
+  if (format === EXPORT_FORMATS.XLSX) {
+    const xlsxColumns = columns.map((column) => (XLSX_VALUES[column.key] ? { ...column, value: XLSX_VALUES[column.key] } : column));
+    return {
+      content: await writeSpreadsheet(xlsxColumns, books, 'Catalogue'),
+      filename: `catalogue-${date}.xlsx`,
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    };
+  }
+
+  return {
+    content: toCsv(columns, books),
+    filename: `catalogue-${date}.csv`,
+    type: 'text/csv;charset=utf-8',
+  };
+};
+
+export default {
+  EXPORT_SCOPES,
+  EXPORT_FORMATS,
+  EXPORT_FORMAT_OPTIONS,
+  CATALOG_BACKUP_FORMAT,
+  BOOK_EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  buildCatalogBackup,
+  parseCatalogBackup,
+  buildCatalogExport,
+};
@@ -0,0 +1,391 @@
+/**
+ * Catalog import
+ * Reads books from a publisher spreadsheet, resolves author, category and etiquette names
+ * against the catalog and builds a dry-run plan (new, updated, unchanged or invalid rows)
+ * before anything is sent to the API
+ */
+import { parseAmount } from './spreadsheet';
+import { STOCK_MOVEMENT_TYPES } from './inventory';
+
+/**
+ * Book fields of an import file and the headers they are known under (compared without accents or case)
+ */
+export const BOOK_IMPORT_COLUMNS = {
+  id: { label: 'ID', aliases: ['id', 'id livre', 'book id'] },
+  title: { label: 'Titre', aliases: ['titre', 'title', 'nom du livre', 'libelle', 'designation'] },
+  author: { label: 'Auteur', aliases: ['auteur', 'author', 'auteurs', 'authors', 'ecrivain'] },
+  categories: { label: 'Catégories', aliases: ['categorie', 'categories', 'category', 'genre', 'rayon'] },
+  etiquettes: { label: 'Étiquettes', aliases: ['etiquette', 'etiquettes', 'label', 'labels', 'badge'] },
+  language: { label: 'Langue', aliases: ['langue', 'language', 'lang'] },
+  price: { label: 'Prix', aliases: ['prix', 'price', 'prix de vente', 'prix public', 'ppc'] },
+  stockQuantity: { label: 'Stock', aliases: ['stock', 'quantite', 'qte', 'quantity', 'stock quantity', 'quantite en stock'] },
+  description: { label: 'Description', aliases: ['description', 'resume', 'synopsis'] },
+  coverUrl: { label: 'URL de couverture', aliases: ['url de couverture', 'couverture', 'cover', 'cover url', 'url couverture', 'image', 'url image'] },
+};
+
+// Fields a new book cannot do without (same rules as BookForm, the cover excepted)
+const REQUIRED_FIELDS = {
+  title: 'Titre manquant',
+  author: 'Auteur manquant',
+  categories: 'Catégorie manquante',
+  language: 'Langue manquante',
+  price: 'Prix manquant',
+  stockQuantity: 'Stock manquant',
+};
+
+/**
+ * Outcome of an import row
+ */
+export const IMPORT_ACTION = {
+  CREATE: 'CREATE',
+  UPDATE: 'UPDATE',
+  UNCHANGED: 'UNCHANGED',
+  ERROR: 'ERROR',
+};
+
+export const IMPORT_ACTION_LABELS = {
+  [IMPORT_ACTION.CREATE]: 'Nouveau',
+  [IMPORT_ACTION.UPDATE]: 'Mis à jour',
+  [IMPORT_ACTION.UNCHANGED]: 'Inchangé',
+  [IMPORT_ACTION.ERROR]: 'Erreur',
+};
+
+/**
+ * Book languages (backend codes) and the ways files write them
+ */
+export const BOOK_LANGUAGES = {
+  FR: { label: 'Français', aliases: ['fr', 'francais', 'french', 'fra', 'fre'] },
+  EN: { label: 'Anglais', aliases: ['en', 'anglais', 'english', 'eng'] },
+  AR: { label: 'Arabe', aliases: ['ar', 'arabe', 'arabic', 'ara', 'عربي', 'العربية'] },
+};
+
+// Several categories or etiquettes in one cell: "Roman, Jeunesse" or "Roman | Jeunesse"
+const LIST_SEPARATOR = /\s*[,|]\s*/;
+
+/**
+ * Compare names without accents, case or extra spaces ("Éditions  Barzakh" = "editions barzakh")
+ * @param {string} value - Name
+ * @returns {string} Comparison key
+ */
+export const normalizeName = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+/**
+ * Read a language written in a file
+ * @param {string} value - Cell value ("FR", "Français", "arabic"...)
+ * @returns {string|null} Backend code (FR, EN, AR), null if unknown
+ */
+export const parseLanguage = (value) => {
+  const text = normalizeName(value);
+  const entry = Object.entries(BOOK_LANGUAGES).find(([, { aliases }]) => aliases.includes(text));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Read the book rows of an import file
+ * Rows with no mapped value at all (blank lines, notes under the table) are skipped
+ * @param {Array<Array>} rows - File rows, header first
+ * @param {Object} columns - Column index of each field (see detectColumns with BOOK_IMPORT_COLUMNS)
+ * @returns {Array<{row: number, values: Object}>} Lines (row is the spreadsheet row number); list fields are arrays
+ */
+export const parseImportRows = (rows, columns) => {
+  const cell = (cells, field) => (columns[field] >= 0 ? String(cells[columns[field]] ?? '').trim() : '');
+
+  return rows.slice(1)
+    .map((cells, index) => {
+      const values = Object.fromEntries(Object.keys(BOOK_IMPORT_COLUMNS).map((field) => [field, cell(cells, field)]));
+      return {
+        row: index + 2,
+        values: {
+          ...values,
+          categories: values.categories ? values.categories.split(LIST_SEPARATOR).filter(Boolean) : [],
+          etiquettes: values.etiquettes ? values.etiquettes.split(LIST_SEPARATOR).filter(Boolean) : [],
+        },
+      };
+    })
+    .filter((line) => Object.values(line.values).some((value) => (Array.isArray(value) ? value.length > 0 : value !== '')));
+};
+
+/**
+ * Cover URL of a book without the cache-busting parameter added by booksApi
+ * Exported catalogs hold this URL, so a re-import can tell the cover did not change
+ * @param {Object} book - Book
+ * @returns {string} Cover URL, '' if none
+ */
+export const getCoverUrl = (book) => String(book?.coverImageUrl || book?.imageUrl || '').replace(/[?&]t=\d+$/, '');
+
+const getTagName = (tag) => tag.nameFr || tag.nameEn || '';
+
+const getBookTags = (book, type) => (book.tags || []).filter((tag) => tag.type === type);
+
+const sameNames = (a, b) => {
+  const keys = (names) => [...new Set(names.map(normalizeName))].sort().join('|');
+  return keys(a) === keys(b);
+};
+
+const formatValue = (value) => (Array.isArray(value) ? value.join(', ') || '—' : value === '' || value === null || value === undefined ? '—' : String(value));
+
+/**
+ * Index the authors, categories and etiquettes of the catalog by name (see normalizeName)
+ * @param {Object} catalog - { authors, categories, etiquettes }
+ * @returns {{authors: Map, categories: Map, etiquettes: Map}} Entities keyed by normalized name
+ */
+export const indexCatalogNames = ({ authors = [], categories = [], etiquettes = [] }) => ({
+  authors: new Map(authors.map((author) => [normalizeName(author.name), author])),
+  categories: new Map(categories.map((tag) => [normalizeName(getTagName(tag)), tag])),
+  etiquettes: new Map(etiquettes.map((tag) => [normalizeName(getTagName(tag)), tag])),
+});
+
+/**
+ * Build the dry-run plan of an import
+ * A row updates the book with its ID, or else the book with the same title (and author, when given);
+ * blank cells keep the current values of an updated book.
+ * @param {Array} lines - Lines from parseImportRows
+ * @param {Object} catalog - { books, authors, categories, etiquettes } currently in the catalog
+ * @param {Object} options - Options
+ * @param {boolean} options.createMissing - Create unknown authors, categories and etiquettes instead of rejecting the row
+ * @returns {{rows: Array, missing: Object, counts: Object}} One entry per line with
+ *   { row, action, values, book, changes: [{ label, from, to }], errors, warnings },
+ *   the names to create ({ authors, categories, etiquettes }) and the number of rows per action
+ */
+export const buildImportPlan = (lines, { books = [], authors = [], categories = [], etiquettes = [] }, { createMissing = false } = {}) => {
+  const names = indexCatalogNames({ authors, categories, etiquettes });
+  const booksById = new Map(books.map((book) => [String(book.id), book]));
+  const booksByTitle = new Map();
+  books.forEach((book) => {
+    const key = normalizeName(book.title);
+    booksByTitle.set(key, [...(booksByTitle.get(key) || []), book]);
+  });
+
+  const missing = { authors: new Map(), categories: new Map(), etiquettes: new Map() };
+  // Book (or new title) already handled by an earlier row
+  const seen = new Map();
+
+  const planned = lines.map(({ row, values }) => {
+    const errors = [];
+    const warnings = [];
+
+    // Existing book
+    let book = null;
+    if (values.id) {
+      book = booksById.get(String(values.id)) || null;
+      if (!book) errors.push(`Aucun livre avec l'ID ${values.id}`);
+    } else if (values.title) {
+      const sameTitle = booksByTitle.get(normalizeName(values.title)) || [];
+      const candidates = values.author
+        ? sameTitle.filter((candidate) => normalizeName(candidate.author?.name) === normalizeName(values.author))
+        : sameTitle;
+      if (candidates.length > 1) {
+        errors.push('Plusieurs livres portent ce titre : précisez l\'auteur ou l\'ID');
+      } else {
+        [book = null] = candidates;
+      }
+    }
+
+    const seenKey = book ? `id:${book.id}` : `title:${normalizeName(values.title)}|${normalizeName(values.author)}`;
+    if (seen.has(seenKey)) {
+      errors.push(`Même livre qu'à la ligne ${seen.get(seenKey)}`);
+    } else {
+      seen.set(seenKey, row);
+    }
+
+    // Required values of a new book
+    if (!book && !values.id) {
+      Object.entries(REQUIRED_FIELDS)
+        .filter(([field]) => (Array.isArray(values[field]) ? values[field].length === 0 : values[field] === ''))
+        .forEach(([, message]) => errors.push(message));
+    }
+
+    if (values.title && values.title.length < 2) {
+      errors.push('Le titre doit contenir au moins 2 caractères');
+    }
+
+    const language = values.language ? parseLanguage(values.language) : null;
+    if (values.language && !language) {
+      errors.push(`Langue inconnue : ${values.language}`);
+    }
+
+    const price = values.price ? parseAmount(values.price) : null;
+    if (values.price && !(price > 0)) {
+      errors.push(`Prix invalide : ${values.price}`);
+    }
+
+    const stockQuantity = values.stockQuantity ? Number(String(values.stockQuantity).replace(/\s/g, '')) : null;
+    if (values.stockQuantity && !(Number.isInteger(stockQuantity) && stockQuantity >= 0)) {
+      errors.push(`Stock invalide : ${values.stockQuantity}`);
+    }
+
+    // Names of the catalog, or to create
+    const resolve = (names, index, pending, label) => names.forEach((name) => {
+      if (index.has(normalizeName(name))) return;
+      if (createMissing) {
+        if (!pending.has(normalizeName(name))) pending.set(normalizeName(name), name);
+        warnings.push(`${label} à créer : ${name}`);
+      } else {
+        errors.push(`${label} inconnu${label === 'Auteur' ? '' : 'e'} : ${name}`);
+      }
+    });
+    resolve(values.author ? [values.author] : [], names.authors, missing.authors, 'Auteur');
+    resolve(values.categories, names.categories, missing.categories, 'Catégorie');
+    resolve(values.etiquettes, names.etiquettes, missing.etiquettes, 'Étiquette');
+
+    const next = {
+      title: values.title || book?.title || '',
+      author: values.author || book?.author?.name || '',
+      categories: values.categories.length > 0 ? values.categories : (book ? getBookTags(book, 'CATEGORY').map(getTagName) : []),
+      etiquettes: values.etiquettes.length > 0 ? values.etiquettes : (book ? getBookTags(book, 'ETIQUETTE').map(getTagName) : []),
+      language: language || book?.language || '',
+      price: price ?? book?.price ?? null,
+      stockQuantity: stockQuantity ?? book?.stockQuantity ?? null,
+      description: values.description || book?.description || '',
+      // Only a different cover is downloaded again
+      coverUrl: book && values.coverUrl === getCoverUrl(book) ? '' : values.coverUrl,
+    };
+
+    // Differences with the current book
+    const changes = [];
+    if (book) {
+      const compare = (label, from, to, same = (a, b) => normalizeName(a) === normalizeName(b)) => {
+        if (!same(from, to)) changes.push({ label, from: formatValue(from), to: formatValue(to) });
+      };
+      compare('Titre', book.title, next.title, (a, b) => a === b);
+      compare('Auteur', book.author?.name, next.author);
+      compare('Catégories', getBookTags(book, 'CATEGORY').map(getTagName), next.categories, sameNames);
+      compare('Étiquettes', getBookTags(book, 'ETIQUETTE').map(getTagName), next.etiquettes, sameNames);
+      compare('Langue', book.language, next.language);
+      compare('Prix', book.price, next.price, (a, b) => Number(a) === Number(b));
+      compare('Stock', book.stockQuantity, next.stockQuantity, (a, b) => Number(a) === Number(b));
+      compare('Description', book.description || '', next.description, (a, b) => a.trim() === b.trim());
+      if (next.coverUrl) changes.push({ label: 'Couverture', from: 'actuelle', to: next.coverUrl });
+    }
+
+    let action = IMPORT_ACTION.CREATE;
+    if (errors.length > 0) action = IMPORT_ACTION.ERROR;
+    else if (book) action = changes.length > 0 ? IMPORT_ACTION.UPDATE : IMPORT_ACTION.UNCHANGED;
+
+    return { row, action, values: next, book, changes, errors, warnings };
+  });
+
+  // Names are only created for the rows that will be imported
+  const importedNames = (field) => new Set(planned
+    .filter((entry) => entry.action === IMPORT_ACTION.CREATE || entry.action === IMPORT_ACTION.UPDATE)
+    .flatMap((entry) => [].concat(entry.values[field]).map(normalizeName)));
+  const keep = (pending, field) => [...pending.entries()].filter(([key]) => importedNames(field).has(key)).map(([, name]) => name);
+
+  return {
+    rows: planned,
+    missing: {
+      authors: keep(missing.authors, 'author'),
+      categories: keep(missing.categories, 'categories'),
+      etiquettes: keep(missing.etiquettes, 'etiquettes'),
+    },
+    counts: Object.fromEntries(Object.values(IMPORT_ACTION).map((action) => [action, planned.filter((entry) => entry.action === action).length])),
+  };
+};
+
+/**
+ * Book data sent to booksApi.createBook / updateBook for a planned row
+ * An updated book keeps its current stock: the imported stock is recorded as a movement (see getImportedStockMovement)
+ * @param {Object} entry - Planned row (CREATE or UPDATE)
+ * @param {Object} author - Resolved author ({ id })
+ * @param {Object} currentBook - Book as saved now, for an UPDATE row (default: the book of the plan)
+ * @returns {Object} Book data (same fields as BookForm)
+ */
+export const buildImportedBook = (entry, author, currentBook = entry.book) => ({
+  title: entry.values.title.trim(),
+  price: Number(entry.values.price),
+  stockQuantity: currentBook ? Number(currentBook.stockQuantity) || 0 : Number(entry.values.stockQuantity),
+  language: entry.values.language,
+  active: entry.book ? entry.book.active ?? true : true,
+  description: entry.values.description.trim(),
+  // The import has no ISBN nor threshold column: an updated book keeps its own
+  isbn: entry.book?.isbn || null,
+  reorderThreshold: entry.book?.reorderThreshold ?? null,
+  author: { id: author.id },
+});
+
+/**
+ * Stock adjustment bringing an updated book to the imported stock
+ * Only rows whose stock differs from the planned book move the stock; the difference is taken from the
+ * current stock, so movements recorded since the plan was built are kept
+ * @param {Object} entry - Planned row (UPDATE)
+ * @param {Object} currentBook - Book as saved now (default: the book of the plan)
+ * @returns {Object|null} Movement for inventoryApi.createStockMovement, null when the stock does not change
+ */
+export const getImportedStockMovement = (entry, currentBook = entry.book) => {
+  if (!entry.book || Number(entry.values.stockQuantity) === Number(entry.book.stockQuantity)) return null;
+  const quantity = Number(entry.values.stockQuantity) - (Number(currentBook.stockQuantity) || 0);
+  return quantity === 0 ? null : { type: STOCK_MOVEMENT_TYPES.ADJUSTMENT, quantity, reason: 'Import du catalogue' };
+};
+
+/**
+ * Tags to add to and remove from a book so its categories and etiquettes match a planned row
+ * @param {Object} entry - Planned row
+ * @param {Object} names - Catalog names from indexCatalogNames (including the ones just created)
+ * @returns {{add: Array<number>, remove: Array<number>, unresolved: Array<string>}} Tag IDs, and the names not found
+ */
+export const getImportedTagChanges = (entry, names) => {
+  const unresolved = [];
+  const resolveTags = (list, index) => list
+    .map((name) => {
+      const tag = index.get(normalizeName(name));
+      if (!tag) unresolved.push(name);
+      return tag?.id;
+    })
+    .filter(Boolean);
+
+  const wanted = [
+    ...resolveTags(entry.values.categories, names.categories),
+    ...resolveTags(entry.values.etiquettes, names.etiquettes),
+  ];
+  const current = (entry.book?.tags || []).filter((tag) => tag.type === 'CATEGORY' || tag.type === 'ETIQUETTE').map((tag) => tag.id);
+  return {
+    add: wanted.filter((id) => !current.includes(id)),
+    remove: current.filter((id) => !wanted.includes(id)),
+    unresolved,
+  };
+};
+
+/**
+ * Columns of the import error report (dry run and import)
+ */
+export const IMPORT_REPORT_COLUMNS = [
+  { key: 'row', label: 'Ligne' },
+  { key: 'title', label: 'Titre' },
+  { key: 'author', label: 'Auteur' },
+  { key: 'errors', label: 'Erreurs' },
+];
+
+/**
+ * Rows of the error report
+ * @param {Array} entries - Planned rows in error, or failed rows with their API error
+ * @returns {Array<Object>} Report rows (see IMPORT_REPORT_COLUMNS)
+ */
+export const getImportReportRows = (entries) => entries.map((entry) => ({
+  row: entry.row,
+  title: entry.values.title,
+  author: entry.values.author,
+  errors: entry.errors.join(' ; '),
+}));
+
+export default {
+  BOOK_IMPORT_COLUMNS,
+  IMPORT_ACTION,
+  IMPORT_ACTION_LABELS,
+  BOOK_LANGUAGES,
+  IMPORT_REPORT_COLUMNS,
+  normalizeName,
+  getCoverUrl,
+  parseLanguage,
+  parseImportRows,
+  indexCatalogNames,
+  buildImportPlan,
+  buildImportedBook,
+  getImportedStockMovement,
+  getImportedTagChanges,
+  getImportReportRows,
+};
@@ -0,0 +1,186 @@
+/**
+ * Cash-on-delivery reconciliation
+ * Yalidine and ZR collect the order amounts and pay them back in batches, with a payout statement
+ * listing each parcel. These helpers read such a statement (any column layout), match its lines to
+ * our orders and report what was paid, short-paid, unknown or missing.
+ *
+ * Settlements are stored apart from the order (services/codSettlementsApi, a local store with
+ * VITE_USE_MOCKS=true) and merged into the loaded orders with applySettlements, under the order
+ * fields codSettledAt, codSettledAmount, codCarrierFees and codPayoutReference.
+ */
+import { detectColumns, parseAmount } from './spreadsheet';
+
+// Amounts closer than this are considered equal (carriers round to the dinar)
+export const AMOUNT_TOLERANCE = 1;
+
+/**
+ * Outcome of a statement line
+ */
+export const RECONCILIATION_STATUS = {
+  PAID: 'PAID',
+  SHORT_PAID: 'SHORT_PAID',
+  OVERPAID: 'OVERPAID',
+  ALREADY_SETTLED: 'ALREADY_SETTLED',
+  DUPLICATE: 'DUPLICATE',
+  UNKNOWN: 'UNKNOWN',
+  INVALID: 'INVALID',
+};
+
+export const RECONCILIATION_LABELS = {
+  [RECONCILIATION_STATUS.PAID]: 'Payée',
+  [RECONCILIATION_STATUS.SHORT_PAID]: 'Paiement insuffisant',
+  [RECONCILIATION_STATUS.OVERPAID]: 'Trop-perçu',
+  [RECONCILIATION_STATUS.ALREADY_SETTLED]: 'Déjà réglée',
+  [RECONCILIATION_STATUS.DUPLICATE]: 'Ligne en double',
+  [RECONCILIATION_STATUS.UNKNOWN]: 'Colis inconnu',
+  [RECONCILIATION_STATUS.INVALID]: 'Montant illisible',
+};
+
+// Lines that can mark their order as settled
+export const SETTLEABLE_STATUSES = [RECONCILIATION_STATUS.PAID, RECONCILIATION_STATUS.SHORT_PAID, RECONCILIATION_STATUS.OVERPAID];
+
+/**
+ * Statement columns and the headers they are known under in carrier exports (compared without accents or case)
+ */
+export const STATEMENT_COLUMNS = {
+  trackingNumber: { label: 'N° de suivi', aliases: ['tracking', 'n de suivi', 'numero de suivi', 'suivi', 'tracking number', 'n tracking', 'code colis', 'colis'] },
+  reference: { label: 'Référence commande', aliases: ['reference', 'ref', 'commande', 'n commande', 'id commande', 'order id', 'order', 'uniqueid'] },
+  amount: { label: 'Montant encaissé', aliases: ['montant encaisse', 'montant collecte', 'montant', 'encaisse', 'cod', 'prix', 'amount', 'total'] },
+  fees: { label: 'Frais transporteur', aliases: ['frais', 'frais de livraison', 'frais livraison', 'tarif', 'fees', 'commission'] },
+};
+
+/**
+ * Guess which statement column holds each field
+ * @param {Array} header - Header row
+ * @returns {{trackingNumber: number, reference: number, amount: number, fees: number}} Column index of each field, -1 if not found
+ */
+export const detectStatementColumns = (header) => detectColumns(header, STATEMENT_COLUMNS);
+
+// Tracking numbers and references are compared without case or spaces
+const normalizeReference = (value) => String(value ?? '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Read the lines of a payout statement
+ * Rows without tracking number nor reference (totals, notes) are ignored
+ * @param {Array<Array>} rows - Statement rows, header first
+ * @param {Object} columns - Column index of each field (see detectStatementColumns)
+ * @returns {Array<{row: number, trackingNumber: string, reference: string, amount: number, fees: number}>} Lines (row is the spreadsheet row number)
+ */
+export const parseStatement = (rows, columns) => {
+  const cell = (cells, field) => (columns[field] >= 0 ? cells[columns[field]] ?? '' : '');
+
+  return rows.slice(1)
+    .map((cells, index) => ({
+      row: index + 2,
+      trackingNumber: String(cell(cells, 'trackingNumber')).trim(),
+      reference: String(cell(cells, 'reference')).trim(),
+      amount: parseAmount(cell(cells, 'amount')),
+      fees: columns.fees >= 0 ? parseAmount(cell(cells, 'fees')) || 0 : 0,
+    }))
+    .filter((line) => line.trackingNumber || line.reference);
+};
+
+/**
+ * Whether the carrier payout of an order was already recorded
+ * @param {Object} order - Order
+ * @returns {boolean} True if settled
+ */
+export const isSettled = (order) => Boolean(order?.codSettledAt);
+
+/**
+ * Merge recorded settlements into their orders
+ * @param {Array} orders - Orders
+ * @param {Array} settlements - Settlements ({ orderId, codSettledAt, codSettledAmount, codCarrierFees, codPayoutReference })
+ * @returns {Array} Orders, with the settlement fields of the settled ones
+ */
+export const applySettlements = (orders, settlements) => {
+  const byOrderId = new Map(settlements.map(({ orderId, ...fields }) => [Number(orderId), fields]));
+  return orders.map((order) => (byOrderId.has(Number(order.id)) ? { ...order, ...byOrderId.get(Number(order.id)) } : order));
+};
+
+/**
+ * Amount the carrier should have collected for an order
+ * @param {Object} order - Order
+ * @returns {number} Order total, shipping included
+ */
+export const getExpectedAmount = (order) => Number(order.totalAmount ?? order.total ?? 0);
+
+/**
+ * Match statement lines to orders
+ * A line matches an order by tracking number (or carrier parcel id), then by order reference (uniqueId)
+ * @param {Array} lines - Lines from parseStatement
+ * @param {Array} orders - Orders shipped with the carrier (shipped and delivered)
+ * @returns {{lines: Array, missing: Array, totals: Object}} Lines with { order, status, expected, difference, net },
+ *   delivered orders absent from the statement, and the statement totals
+ */
+export const reconcileStatement = (lines, orders) => {
+  const index = new Map();
+  orders.forEach((order) => {
+    [order.trackingNumber, order.providerOrderId, order.uniqueId]
+      .filter(Boolean)
+      .forEach((key) => index.set(normalizeReference(key), order));
+  });
+
+  const matchedIds = new Set();
+  const reconciled = lines.map((line) => {
+    const order = index.get(normalizeReference(line.trackingNumber)) || index.get(normalizeReference(line.reference)) || null;
+    const result = { ...line, order, expected: order ? getExpectedAmount(order) : null, difference: null, net: line.amount - line.fees };
+
+    if (Number.isNaN(line.amount)) return { ...result, status: RECONCILIATION_STATUS.INVALID };
+    if (!order) return { ...result, status: RECONCILIATION_STATUS.UNKNOWN };
+    if (matchedIds.has(order.id)) return { ...result, status: RECONCILIATION_STATUS.DUPLICATE };
+    matchedIds.add(order.id);
+    if (isSettled(order)) return { ...result, status: RECONCILIATION_STATUS.ALREADY_SETTLED };
+
+    const difference = line.amount - result.expected;
+    let status = RECONCILIATION_STATUS.PAID;
+    if (difference <= -AMOUNT_TOLERANCE) status = RECONCILIATION_STATUS.SHORT_PAID;
+    else if (difference >= AMOUNT_TOLERANCE) status = RECONCILIATION_STATUS.OVERPAID;
+    return { ...result, difference, status };
+  });
+
+  // Delivered orders the carrier collected but did not pay yet
+  const missing = orders.filter((order) => order.status?.toUpperCase() === 'DELIVERED' && !isSettled(order) && !matchedIds.has(order.id));
+
+  const valid = reconciled.filter((line) => line.status !== RECONCILIATION_STATUS.INVALID);
+  const totals = {
+    collected: valid.reduce((sum, line) => sum + line.amount, 0),
+    fees: valid.reduce((sum, line) => sum + line.fees, 0),
+    net: valid.reduce((sum, line) => sum + line.net, 0),
+    shortfall: reconciled
+      .filter((line) => line.status === RECONCILIATION_STATUS.SHORT_PAID)
+      .reduce((sum, line) => sum - line.difference, 0),
+    missingAmount: missing.reduce((sum, order) => sum + getExpectedAmount(order), 0),
+  };
+
+  return { lines: reconciled, missing, totals };
+};
+
+/**
+ * Settlement recording the carrier payout of a statement line
+ * @param {Object} line - Reconciled line
+ * @param {string} payoutReference - Payout or statement reference
+ * @returns {{codSettledAt: string, codSettledAmount: number, codCarrierFees: number, codPayoutReference: string|null}}
+ *   Settlement to record for the order
+ */
+export const getSettlementFields = (line, payoutReference) => ({
+  codSettledAt: new Date().toISOString(),
+  codSettledAmount: line.amount,
+  codCarrierFees: line.fees,
+  codPayoutReference: payoutReference || null,
+});
+
+export default {
+  AMOUNT_TOLERANCE,
+  RECONCILIATION_STATUS,
+  RECONCILIATION_LABELS,
+  SETTLEABLE_STATUSES,
+  STATEMENT_COLUMNS,
+  detectStatementColumns,
+  parseStatement,
+  isSettled,
+  applySettlements,
+  getExpectedAmount,
+  reconcileStatement,
+  getSettlementFields,
+};
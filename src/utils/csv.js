@@ -0,0 +1,122 @@
+/**
+ * CSV helpers
+ * Files are written with a UTF-8 BOM and `;` separators so Excel (French locale) opens them correctly;
+ * imported files may use any common separator
+ */
+
+export const CSV_SEPARATOR = ';';
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (/[";\n\r]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Build CSV content from rows
+ * @param {Array<{key: string, label: string, value?: Function}>} columns - Columns; value(row) overrides row[key]
+ * @param {Array<Object>} rows - Rows
+ * @returns {string} CSV content (header line first)
+ */
+export const toCsv = (columns, rows) => {
+  const header = columns.map((column) => escapeCell(column.label)).join(CSV_SEPARATOR);
+  const lines = rows.map((row) =>
+    columns
+      .map((column) => escapeCell(column.value ? column.value(row) : row[column.key]))
+      .join(CSV_SEPARATOR)
+  );
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Trigger a browser download for some content
+ * @param {Blob|string} content - File content
+ * @param {string} filename - Downloaded file name
+ * @param {string} type - MIME type (used when content is a string)
+ */
+export const downloadFile = (content, filename, type = 'text/csv;charset=utf-8') => {
+  // The BOM tells Excel the CSV is UTF-8 (accents in names and addresses)
+  const parts = type.startsWith('text/csv') ? ['\uFEFF', content] : [content];
+  const blob = content instanceof Blob ? content : new Blob(parts, { type });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Separators found in carrier and spreadsheet exports, most likely first
+const CSV_SEPARATORS = [';', ',', '\t'];
+
+/**
+ * Guess the separator of a CSV file from its header line
+ * @param {string} line - First line
+ * @returns {string} Separator
+ */
+const detectSeparator = (line) => {
+  const counts = CSV_SEPARATORS.map((separator) => line.split(separator).length);
+  return CSV_SEPARATORS[counts.indexOf(Math.max(...counts))];
+};
+
+/**
+ * Parse CSV content (quoted cells, `;`, `,` or tab separators, Windows line endings)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of trimmed cells, blank lines skipped
+ */
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const separator = detectSeparator(content.split(/\r?\n/, 1)[0]);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value !== ''));
+};
+
+export default {
+  CSV_SEPARATOR,
+  toCsv,
+  downloadFile,
+  parseCsv,
+};
@@ -0,0 +1,144 @@
+/**
+ * Customer lookup for the order form
+ * Customers come from registered users and from the contact details of past orders
+ */
+import { normalizeStatus } from './orderWorkflow';
+import { getPhoneKey, toLocalPhone, toPhoneSearchTerm } from './phone';
+
+// Past order statuses that make a new order from the same phone risky
+export const RISKY_ORDER_STATUSES = ['CANCELLED', 'RETURNED', 'REFUSED'];
+
+/**
+ * Customer from a registered user
+ * @param {Object} user - User from usersApi.getUsers
+ * @returns {Object} Customer
+ */
+export const userToCustomer = (user) => ({
+  key: `user-${user.id}`,
+  source: 'user',
+  userId: user.id,
+  fullName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.login || '',
+  phone: toLocalPhone(user.phone),
+  email: user.email || '',
+  streetAddress: user.streetAddress || '',
+  wilaya: user.wilaya || '',
+  city: user.city || '',
+  postalCode: user.postalCode || '',
+  shippingProvider: user.defaultShippingProvider || null,
+  shippingMethod: user.defaultShippingMethod || null,
+  lastOrderAt: null,
+});
+
+/**
+ * Customer from the contact details of a past order
+ * @param {Object} order - Order from ordersApi.getOrders
+ * @returns {Object} Customer
+ */
+export const orderToCustomer = (order) => ({
+  key: `order-${order.id}`,
+  source: 'order',
+  userId: order.user?.id || null,
+  fullName: order.fullName || '',
+  phone: toLocalPhone(order.phone),
+  email: order.email || '',
+  streetAddress: order.streetAddress || '',
+  wilaya: order.wilaya || '',
+  city: order.city || '',
+  postalCode: order.postalCode || '',
+  shippingProvider: order.shippingProvider || null,
+  shippingMethod: order.shippingMethod || null,
+  lastOrderAt: order.createdAt || null,
+});
+
+/**
+ * Merge users and past orders into one customer per phone number
+ * Registered users win; their missing address and shipping preferences come from their latest order
+ * @param {Array} users - Users from usersApi.getUsers
+ * @param {Array} orders - Orders from ordersApi.getOrders, most recent first
+ * @returns {Array} Customers
+ */
+export const mergeCustomers = (users, orders) => {
+  const customers = [];
+  const byPhone = new Map();
+
+  const add = (customer) => {
+    const phoneKey = getPhoneKey(customer.phone);
+    const existing = phoneKey && byPhone.get(phoneKey);
+    if (!existing) {
+      customers.push(customer);
+      if (phoneKey) byPhone.set(phoneKey, customer);
+      return;
+    }
+    // Fill the gaps of the first record with this one
+    Object.keys(customer).forEach((field) => {
+      if (!existing[field] && customer[field]) {
+        existing[field] = customer[field];
+      }
+    });
+  };
+
+  users.map(userToCustomer).forEach(add);
+  orders.map(orderToCustomer).forEach(add);
+  return customers;
+};
+
+// Case and accent insensitive text ("Benali Aïcha" matches "aicha")
+const normalizeText = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+/**
+ * Whether a customer matches the text typed in the lookup
+ * Phone-like queries match the digits of the phone number whatever its format,
+ * other queries match the name or the email
+ * @param {Object} customer - Customer from mergeCustomers
+ * @param {string} query - Search text
+ * @returns {boolean} True if the customer matches
+ */
+export const matchesCustomerQuery = (customer, query) => {
+  const term = toPhoneSearchTerm(query);
+  if (/^\d+$/.test(term)) {
+    const phone = getPhoneKey(customer.phone) || String(customer.phone || '').replace(/\D/g, '');
+    return phone.includes(term);
+  }
+
+  const text = normalizeText(term);
+  return [customer.fullName, customer.email].some((value) => normalizeText(value).includes(text));
+};
+
+/**
+ * Order form values filled from a customer (empty fields are left untouched)
+ * @param {Object} customer - Customer from mergeCustomers
+ * @returns {Object} Partial order form values
+ */
+export const customerToFormValues = (customer) => {
+  const fields = ['fullName', 'phone', 'email', 'streetAddress', 'wilaya', 'city', 'postalCode', 'shippingProvider', 'shippingMethod'];
+  return fields.reduce((values, field) => {
+    if (customer[field]) values[field] = customer[field];
+    return values;
+  }, {});
+};
+
+/**
+ * Past orders of a phone number that were cancelled, refused or returned
+ * @param {Array} orders - Orders found for the phone number
+ * @param {string} phone - Phone number of the new order
+ * @returns {Array} Risky orders
+ */
+export const getRiskyOrders = (orders, phone) => {
+  const phoneKey = getPhoneKey(phone);
+  return orders.filter((order) => getPhoneKey(order.phone) === phoneKey
+    && RISKY_ORDER_STATUSES.includes(normalizeStatus(order.status)));
+};
+
+export default {
+  RISKY_ORDER_STATUSES,
+  userToCustomer,
+  orderToCustomer,
+  mergeCustomers,
+  matchesCustomerQuery,
+  customerToFormValues,
+  getRiskyOrders,
+};
@@ -22,3 +22,11 @@ export const formatDateTime = (date) => {
     minute: '2-digit',
   }).format(new Date(date));
 };
+
+// Amounts on printed documents (packing slips, invoices) use the ISO code DZD
+export const formatDZD = (amount) => {
+  return new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'DZD',
+  }).format(amount || 0);
+};
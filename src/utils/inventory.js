@@ -0,0 +1,110 @@
+/**
+ * Inventory
+ * Stock movements (receipts, sales, returns, adjustments, damages) and the stock status of a book
+ * against its reorder threshold
+ */
+
+export const STOCK_MOVEMENT_TYPES = {
+  RECEIPT: 'RECEIPT',
+  SALE: 'SALE',
+  RETURN: 'RETURN',
+  ADJUSTMENT: 'ADJUSTMENT',
+  DAMAGE: 'DAMAGE',
+};
+
+export const STOCK_MOVEMENT_LABELS = {
+  [STOCK_MOVEMENT_TYPES.RECEIPT]: 'Réception',
+  [STOCK_MOVEMENT_TYPES.SALE]: 'Vente',
+  [STOCK_MOVEMENT_TYPES.RETURN]: 'Retour',
+  [STOCK_MOVEMENT_TYPES.ADJUSTMENT]: 'Ajustement',
+  [STOCK_MOVEMENT_TYPES.DAMAGE]: 'Casse',
+};
+
+// Direction of each movement; adjustments (inventory counts) go either way
+const MOVEMENT_SIGNS = {
+  [STOCK_MOVEMENT_TYPES.RECEIPT]: 1,
+  [STOCK_MOVEMENT_TYPES.SALE]: -1,
+  [STOCK_MOVEMENT_TYPES.RETURN]: 1,
+  [STOCK_MOVEMENT_TYPES.DAMAGE]: -1,
+};
+
+/**
+ * Reorder threshold of books that have none
+ */
+export const DEFAULT_REORDER_THRESHOLD = 5;
+
+export const STOCK_STATUS = {
+  AVAILABLE: 'available',
+  LOW: 'low_stock',
+  OUT: 'out_of_stock',
+};
+
+/**
+ * Reorder threshold of a book
+ * @param {Object} book - Book ({ reorderThreshold })
+ * @returns {number} Threshold, DEFAULT_REORDER_THRESHOLD when not set
+ */
+export const getReorderThreshold = (book) => {
+  const threshold = book?.reorderThreshold;
+  return threshold === null || threshold === undefined || threshold === '' ? DEFAULT_REORDER_THRESHOLD : Number(threshold);
+};
+
+/**
+ * Stock status of a book: out of stock at 0, low at or below its reorder threshold
+ * @param {Object} book - Book ({ stockQuantity, reorderThreshold })
+ * @returns {string} One of STOCK_STATUS
+ */
+export const getStockStatus = (book) => {
+  const stock = Number(book?.stockQuantity) || 0;
+  if (stock <= 0) return STOCK_STATUS.OUT;
+  return stock <= getReorderThreshold(book) ? STOCK_STATUS.LOW : STOCK_STATUS.AVAILABLE;
+};
+
+/**
+ * Change of stock of a movement
+ * @param {string} type - One of STOCK_MOVEMENT_TYPES
+ * @param {number|string} quantity - Typed quantity (positive, or signed for an adjustment)
+ * @returns {number} Signed change
+ */
+export const getMovementDelta = (type, quantity) => {
+  const value = Number(quantity);
+  return type === STOCK_MOVEMENT_TYPES.ADJUSTMENT ? value : Math.abs(value) * MOVEMENT_SIGNS[type];
+};
+
+/**
+ * Check a movement before it is recorded
+ * @param {Object} movement - { type, quantity, reason } as typed
+ * @param {number} stock - Current stock of the book
+ * @returns {Object} Errors by field (empty when valid)
+ */
+export const getMovementErrors = ({ type, quantity, reason }, stock) => {
+  const errors = {};
+  const value = Number(quantity);
+
+  if (!STOCK_MOVEMENT_TYPES[type]) {
+    errors.type = 'Choisissez un type de mouvement';
+  }
+  if (quantity === '' || !Number.isInteger(value) || value === 0) {
+    errors.quantity = 'Saisissez une quantité entière non nulle';
+  } else if (type !== STOCK_MOVEMENT_TYPES.ADJUSTMENT && value < 0) {
+    errors.quantity = 'La quantité doit être positive';
+  } else if (stock + getMovementDelta(type, value) < 0) {
+    errors.quantity = `Le stock ne peut pas devenir négatif (stock actuel : ${stock})`;
+  }
+  if (!reason?.trim()) {
+    errors.reason = 'Le motif est requis';
+  }
+
+  return errors;
+};
+
+export default {
+  STOCK_MOVEMENT_TYPES,
+  STOCK_MOVEMENT_LABELS,
+  DEFAULT_REORDER_THRESHOLD,
+  STOCK_STATUS,
+  getReorderThreshold,
+  getStockStatus,
+  getMovementDelta,
+  getMovementErrors,
+};
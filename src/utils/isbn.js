@@ -0,0 +1,81 @@
+/**
+ * ISBN helpers
+ * Validates ISBN-10 and ISBN-13 check digits and compares the two forms of the same edition
+ */
+
+/**
+ * Keep the significant characters of an ISBN ("978-2-07-036002-4" -> "9782070360024")
+ * @param {string} value - Typed or scanned ISBN
+ * @returns {string} Digits (and a final X for ISBN-10)
+ */
+export const normalizeIsbn = (value) => String(value ?? '').replace(/[\s-]/g, '').toUpperCase();
+
+const isbn10CheckDigit = (first9) => {
+  const sum = [...first9].reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = [...first12].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Check the format and check digit of an ISBN
+ * @param {string} value - ISBN, with or without hyphens
+ * @returns {string|null} French error message, null when valid
+ */
+export const getIsbnError = (value) => {
+  const isbn = normalizeIsbn(value);
+
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    return isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9] ? null : 'ISBN-10 invalide : la clé de contrôle ne correspond pas';
+  }
+  if (/^\d{13}$/.test(isbn)) {
+    if (!/^97[89]/.test(isbn)) return 'Un ISBN-13 commence par 978 ou 979';
+    return isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12] ? null : 'ISBN-13 invalide : la clé de contrôle ne correspond pas';
+  }
+  return 'L\'ISBN doit contenir 10 ou 13 chiffres';
+};
+
+/**
+ * Whether an ISBN is valid
+ * @param {string} value - ISBN
+ * @returns {boolean} Valid ISBN-10 or ISBN-13
+ */
+export const isValidIsbn = (value) => getIsbnError(value) === null;
+
+/**
+ * ISBN-13 form of an ISBN, so an edition is found whichever form was typed
+ * @param {string} value - Valid ISBN-10 or ISBN-13
+ * @returns {string|null} ISBN-13, null when the ISBN is invalid
+ */
+export const toIsbn13 = (value) => {
+  if (!isValidIsbn(value)) return null;
+  const isbn = normalizeIsbn(value);
+  if (isbn.length === 13) return isbn;
+  const first12 = `978${isbn.slice(0, 9)}`;
+  return `${first12}${isbn13CheckDigit(first12)}`;
+};
+
+/**
+ * Books already holding an ISBN (same edition)
+ * @param {string} value - ISBN to look for
+ * @param {Array} books - Books of the catalog
+ * @param {number|null} excludeId - Book being edited
+ * @returns {Array} Matching books
+ */
+export const findBooksByIsbn = (value, books, excludeId = null) => {
+  const isbn13 = toIsbn13(value);
+  if (!isbn13) return [];
+  return books.filter((book) => book.id !== excludeId && book.isbn && toIsbn13(book.isbn) === isbn13);
+};
+
+export default {
+  normalizeIsbn,
+  getIsbnError,
+  isValidIsbn,
+  toIsbn13,
+  findBooksByIsbn,
+};
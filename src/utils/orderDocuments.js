@@ -0,0 +1,98 @@
+/**
+ * Order documents (packing slips and invoices)
+ * Item and total helpers shared by the print view and the order modals
+ */
+
+/**
+ * Seller details printed on the documents
+ */
+export const STORE_INFO = {
+  name: import.meta.env.VITE_STORE_NAME || 'Esprit Livre',
+  address: import.meta.env.VITE_STORE_ADDRESS || '',
+  phone: import.meta.env.VITE_STORE_PHONE || '',
+  email: import.meta.env.VITE_STORE_EMAIL || '',
+};
+
+/**
+ * Printable document types
+ */
+export const ORDER_DOCUMENT = {
+  PACKING_SLIP: 'slip',
+  INVOICE: 'invoice',
+  BOTH: 'both',
+};
+
+/**
+ * Get the items of an order (API uses orderItems, transformed orders may use items)
+ * @param {Object} order - Order
+ * @returns {Array<Object>} Order items
+ */
+export const getOrderItems = (order) => order?.items || order?.orderItems || [];
+
+/**
+ * Get the display title of an order item
+ * @param {Object} item - Order item
+ * @returns {string} Book or pack title
+ */
+export const getItemTitle = (item) => item.title || item.bookTitle || item.bookPackTitle || 'N/A';
+
+/**
+ * Get the unit price of an order item
+ * @param {Object} item - Order item
+ * @returns {number} Unit price
+ */
+export const getItemUnitPrice = (item) => Number(item.price ?? item.unitPrice ?? 0);
+
+/**
+ * Get the line total of an order item
+ * @param {Object} item - Order item
+ * @returns {number} Line total
+ */
+export const getItemTotal = (item) => Number(item.totalPrice ?? getItemUnitPrice(item) * (item.quantity || 0));
+
+/**
+ * Get the totals of an order
+ * @param {Object} order - Order
+ * @returns {{subtotal: number, shippingCost: number, total: number}} Totals
+ */
+export const getOrderTotals = (order) => {
+  const shippingCost = Number(order?.shippingCost || 0);
+  const itemsSubtotal = getOrderItems(order).reduce((sum, item) => sum + getItemTotal(item), 0);
+  const total = Number(order?.total || order?.totalAmount || itemsSubtotal + shippingCost);
+
+  return {
+    subtotal: total - shippingCost,
+    shippingCost,
+    total,
+  };
+};
+
+/**
+ * Get the invoice number of an order
+ * @param {Object} order - Order
+ * @returns {string} Invoice number derived from the order uniqueId
+ */
+export const getInvoiceNumber = (order) => `FAC-${order.uniqueId || order.orderNumber || order.id}`;
+
+/**
+ * Build the URL of the print view
+ * @param {Array<number>} orderIds - Orders to print
+ * @param {string} documentType - ORDER_DOCUMENT value
+ * @returns {string} Print view URL
+ */
+export const getPrintUrl = (orderIds, documentType = ORDER_DOCUMENT.BOTH) => {
+  const params = new URLSearchParams({ ids: orderIds.join(','), doc: documentType });
+  return `/admin/orders/print?${params.toString()}`;
+};
+
+export default {
+  STORE_INFO,
+  ORDER_DOCUMENT,
+  getOrderItems,
+  getItemTitle,
+  getItemUnitPrice,
+  getItemTotal,
+  getOrderTotals,
+  getInvoiceNumber,
+  getPrintUrl,
+};
@@ -0,0 +1,150 @@
+/**
+ * Duplicate order detection
+ * Two orders are likely duplicates when they share the phone number (whatever its +213/0 format)
+ * and the same items, and were placed within DUPLICATE_WINDOW_MINUTES of each other.
+ * Orders listed by GET /api/orders may come without their items: phone and time window decide then.
+ */
+import { getPhoneKey } from './phone';
+import { normalizeStatus } from './orderWorkflow';
+
+export const DUPLICATE_WINDOW_MINUTES = 30;
+
+const WINDOW_MS = DUPLICATE_WINDOW_MINUTES * 60 * 1000;
+
+// Operator decisions ("not a duplicate") are remembered per pair in this browser
+const DISMISSED_KEY = 'dismissed_duplicate_orders';
+
+/**
+ * Signature of the items of an order, independent of their order in the list
+ * @param {Array} items - Order items (API orders or buildOrderPayload items)
+ * @returns {string} e.g. "BOOK:1x14|PACK:3x1"
+ */
+export const getItemsSignature = (items = []) => {
+  return items
+    .map((item) => {
+      const isPack = item.itemType === 'PACK' || Boolean(item.bookPackId ?? item.bookPack?.id);
+      const id = isPack ? item.bookPackId ?? item.bookPack?.id : item.bookId ?? item.book?.id;
+      return `${isPack ? 'PACK' : 'BOOK'}:${id}x${item.quantity}`;
+    })
+    .sort()
+    .join('|');
+};
+
+const getCreatedTime = (order) => new Date(order.createdAt || order.date || Date.now()).getTime();
+
+const getPairKey = (a, b) => [a.id, b.id].sort((x, y) => x - y).join('-');
+
+/**
+ * Read the pairs of orders the operator marked as not duplicates
+ * @returns {Set<string>} Pair keys
+ */
+export const readDismissedPairs = () => {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(DISMISSED_KEY)) || []);
+  } catch {
+    return new Set();
+  }
+};
+
+/**
+ * Remember that two orders are not duplicates
+ * @param {Object} a - Order
+ * @param {Object} b - Order
+ * @returns {Set<string>} Updated pair keys, to pass to findDuplicateOrders
+ */
+export const dismissDuplicatePair = (a, b) => {
+  const dismissed = readDismissedPairs();
+  dismissed.add(getPairKey(a, b));
+  localStorage.setItem(DISMISSED_KEY, JSON.stringify([...dismissed]));
+  return dismissed;
+};
+
+/**
+ * Whether the items of both orders are known, so they were compared
+ * @param {Object} a - Order
+ * @param {Object} b - Order
+ * @returns {boolean} True if both orders carry their items
+ */
+export const haveComparableItems = (a, b) => [a, b].every((order) => (order.orderItems || order.items || []).length > 0);
+
+/**
+ * Whether two orders are likely duplicates
+ * Cancelled orders never count: a cancelled duplicate is already handled
+ * Orders without their items (list responses) are compared on phone and time only
+ * @param {Object} a - Order
+ * @param {Object} b - Order (or order payload, without id and createdAt for a new order)
+ * @returns {boolean} True if likely duplicates
+ */
+export const areLikelyDuplicates = (a, b) => {
+  if (a.id && a.id === b.id) return false;
+  if ([a, b].some((order) => order.status && normalizeStatus(order.status) === 'CANCELLED')) return false;
+
+  const phoneKey = getPhoneKey(a.phone);
+  if (!phoneKey || phoneKey !== getPhoneKey(b.phone)) return false;
+  if (Math.abs(getCreatedTime(a) - getCreatedTime(b)) > WINDOW_MS) return false;
+
+  if (!haveComparableItems(a, b)) return true;
+  return getItemsSignature(a.orderItems || a.items) === getItemsSignature(b.orderItems || b.items);
+};
+
+/**
+ * Group the likely duplicates of a list of orders
+ * Only the given orders are compared: on a paginated list, duplicates on other pages are missed
+ * @param {Array} orders - Orders
+ * @param {Set<string>} dismissed - Pairs marked as not duplicates (see readDismissedPairs)
+ * @returns {Object} Duplicates of each order, keyed by order id (orders without duplicates are absent)
+ */
+export const findDuplicateOrders = (orders, dismissed = readDismissedPairs()) => {
+  const duplicates = {};
+
+  orders.forEach((order, index) => {
+    orders.slice(index + 1).forEach((other) => {
+      if (dismissed.has(getPairKey(order, other)) || !areLikelyDuplicates(order, other)) return;
+      duplicates[order.id] = [...(duplicates[order.id] || []), other];
+      duplicates[other.id] = [...(duplicates[other.id] || []), order];
+    });
+  });
+
+  return duplicates;
+};
+
+/**
+ * Find a recent order the new order payload probably duplicates
+ * @param {Object} payload - Order payload from buildOrderPayload
+ * @param {Array} recentOrders - Recent orders with the same phone number
+ * @returns {Object|null} Existing order
+ */
+export const findProbableDuplicate = (payload, recentOrders) => {
+  return recentOrders.find((order) => areLikelyDuplicates(order, payload)) || null;
+};
+
+/**
+ * Contact fields the kept order can take from its duplicate when merging
+ */
+export const MERGEABLE_FIELDS = ['email', 'streetAddress', 'city', 'postalCode'];
+
+/**
+ * Contact fields missing from the kept order and known by the duplicate
+ * @param {Object} kept - Order kept
+ * @param {Object} duplicate - Order cancelled by the merge
+ * @returns {Object} Fields to copy to the kept order (empty if nothing to copy)
+ */
+export const getMergedFields = (kept, duplicate) => {
+  return MERGEABLE_FIELDS.reduce((fields, field) => {
+    if (!kept[field] && duplicate[field]) fields[field] = duplicate[field];
+    return fields;
+  }, {});
+};
+
+export default {
+  DUPLICATE_WINDOW_MINUTES,
+  MERGEABLE_FIELDS,
+  getItemsSignature,
+  haveComparableItems,
+  readDismissedPairs,
+  dismissDuplicatePair,
+  areLikelyDuplicates,
+  findDuplicateOrders,
+  findProbableDuplicate,
+  getMergedFields,
+};
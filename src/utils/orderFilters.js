@@ -0,0 +1,212 @@
+/**
+ * Advanced order filters
+ * Filter values are kept as strings so they round-trip through the URL query string unchanged
+ */
+import { formatCurrency, formatDate } from './format';
+import { SHIPPING_PROVIDER_OPTIONS, SHIPPING_METHOD_OPTIONS } from './orderForm';
+import { toPhoneSearchTerm } from './phone';
+
+/**
+ * Advanced filter values when nothing is filtered
+ * hasTracking: '' (all), 'true' (with tracking number) or 'false' (without)
+ * olderThanDays: relative age in days, so a saved view such as "pending > 3 days" stays current
+ */
+export const EMPTY_ORDER_FILTERS = {
+  dateFrom: '',
+  dateTo: '',
+  minAmount: '',
+  maxAmount: '',
+  shippingProvider: '',
+  shippingMethod: '',
+  wilaya: '',
+  hasTracking: '',
+  olderThanDays: '',
+};
+
+const FILTER_KEYS = Object.keys(EMPTY_ORDER_FILTERS);
+
+// Filters GET /api/orders does not support: every matching page is loaded and they are
+// applied on the client (see matchesPageFilters)
+export const PAGE_FILTER_KEYS = ['shippingProvider', 'shippingMethod', 'wilaya', 'hasTracking'];
+
+// Date inputs give YYYY-MM-DD; read them as local days, not UTC midnight
+const formatDay = (day) => formatDate(`${day}T00:00:00`);
+
+const getOptionLabel = (options, value) => options.find((option) => option.value === value)?.label || value;
+
+/**
+ * Read the advanced filters from URL query parameters
+ * @param {URLSearchParams} searchParams - URL query parameters
+ * @returns {Object} Filter values (missing ones are empty)
+ */
+export const parseOrderFilters = (searchParams) => {
+  return FILTER_KEYS.reduce((filters, key) => {
+    filters[key] = searchParams.get(key) || '';
+    return filters;
+  }, {});
+};
+
+/**
+ * Write the advanced filters into URL query parameters (empty values are removed)
+ * @param {URLSearchParams} searchParams - URL query parameters to update
+ * @param {Object} filters - Filter values
+ */
+export const writeOrderFilters = (searchParams, filters) => {
+  FILTER_KEYS.forEach((key) => {
+    if (filters[key]) {
+      searchParams.set(key, filters[key]);
+    } else {
+      searchParams.delete(key);
+    }
+  });
+};
+
+// Upper date bound combining dateTo and olderThanDays (the earliest wins)
+const getDateTo = (filters) => {
+  const bounds = [];
+  if (filters.dateTo) {
+    bounds.push(new Date(`${filters.dateTo}T23:59:59.999`));
+  }
+  if (filters.olderThanDays) {
+    bounds.push(new Date(Date.now() - Number(filters.olderThanDays) * 24 * 60 * 60 * 1000));
+  }
+  if (bounds.length === 0) return null;
+  return new Date(Math.min(...bounds)).toISOString();
+};
+
+/**
+ * Convert the advanced filters to getOrders parameters
+ * Dates are whole days in local time: dateFrom starts at 00:00, dateTo ends at 23:59:59
+ * olderThanDays is resolved against the current time on every call
+ * PAGE_FILTER_KEYS are left out: apply them with matchesPageFilters
+ * @param {Object} filters - Filter values
+ * @returns {Object} Query parameters for ordersApi.getOrders
+ */
+export const toOrderQueryParams = (filters) => ({
+  ...(filters.dateFrom && { dateFrom: new Date(`${filters.dateFrom}T00:00:00`).toISOString() }),
+  ...((filters.dateTo || filters.olderThanDays) && { dateTo: getDateTo(filters) }),
+  ...(filters.minAmount && { minAmount: Number(filters.minAmount) }),
+  ...(filters.maxAmount && { maxAmount: Number(filters.maxAmount) }),
+});
+
+/**
+ * Whether any filter applied on the client (PAGE_FILTER_KEYS) is set
+ * @param {Object} filters - Filter values
+ * @returns {boolean} True if the orders are filtered, paged and counted on the client
+ */
+export const hasPageFilters = (filters) => PAGE_FILTER_KEYS.some((key) => filters[key]);
+
+/**
+ * Check an order against the filters the API does not support (carrier, method, wilaya, tracking)
+ * @param {Object} order - Order (API shape)
+ * @param {Object} filters - Filter values
+ * @returns {boolean} True if the order matches
+ */
+export const matchesPageFilters = (order, filters) => {
+  if (filters.shippingProvider && order.shippingProvider !== filters.shippingProvider) return false;
+  if (filters.shippingMethod && order.shippingMethod !== filters.shippingMethod) return false;
+  if (filters.wilaya && order.wilaya !== filters.wilaya) return false;
+  return !filters.hasTracking || Boolean(order.trackingNumber) === (filters.hasTracking === 'true');
+};
+
+/**
+ * Build the removable chips of the active filters
+ * Date and amount bounds are grouped in a single chip
+ * @param {Object} filters - Filter values
+ * @returns {Array<{id: string, label: string, keys: Array<string>}>} Chips with the filter keys they clear
+ */
+export const getOrderFilterChips = (filters) => {
+  const chips = [];
+
+  if (filters.dateFrom || filters.dateTo) {
+    let label = `Du ${formatDay(filters.dateFrom)} au ${formatDay(filters.dateTo)}`;
+    if (!filters.dateTo) label = `Depuis le ${formatDay(filters.dateFrom)}`;
+    if (!filters.dateFrom) label = `Jusqu'au ${formatDay(filters.dateTo)}`;
+    chips.push({ id: 'date', label, keys: ['dateFrom', 'dateTo'] });
+  }
+
+  if (filters.olderThanDays) {
+    const days = Number(filters.olderThanDays);
+    chips.push({ id: 'olderThanDays', label: `Plus de ${days} jour${days > 1 ? 's' : ''}`, keys: ['olderThanDays'] });
+  }
+
+  if (filters.minAmount || filters.maxAmount) {
+    let label = `${formatCurrency(filters.minAmount)} – ${formatCurrency(filters.maxAmount)}`;
+    if (!filters.maxAmount) label = `≥ ${formatCurrency(filters.minAmount)}`;
+    if (!filters.minAmount) label = `≤ ${formatCurrency(filters.maxAmount)}`;
+    chips.push({ id: 'amount', label: `Montant ${label}`, keys: ['minAmount', 'maxAmount'] });
+  }
+
+  if (filters.shippingProvider) {
+    chips.push({ id: 'shippingProvider', label: getOptionLabel(SHIPPING_PROVIDER_OPTIONS, filters.shippingProvider), keys: ['shippingProvider'] });
+  }
+
+  if (filters.shippingMethod) {
+    chips.push({ id: 'shippingMethod', label: getOptionLabel(SHIPPING_METHOD_OPTIONS, filters.shippingMethod), keys: ['shippingMethod'] });
+  }
+
+  if (filters.wilaya) {
+    chips.push({ id: 'wilaya', label: `Wilaya : ${filters.wilaya}`, keys: ['wilaya'] });
+  }
+
+  if (filters.hasTracking) {
+    chips.push({
+      id: 'hasTracking',
+      label: filters.hasTracking === 'true' ? 'Avec numéro de suivi' : 'Sans numéro de suivi',
+      keys: ['hasTracking'],
+    });
+  }
+
+  return chips;
+};
+
+/**
+ * Count the active advanced filters
+ * @param {Object} filters - Filter values
+ * @returns {number} Number of chips
+ */
+export const countActiveOrderFilters = (filters) => getOrderFilterChips(filters).length;
+
+/**
+ * Whether a newly created order belongs to an orders view, so the list only reloads when it changes
+ * Mirrors the backend filters loosely: when in doubt the order counts as visible
+ * @param {Object} order - New order (API shape)
+ * @param {Object} view - Current view
+ * @param {string} view.statusFilter - Status filter ('all' or a lowercase status)
+ * @param {string} view.searchQuery - Search query
+ * @param {Object} view.filters - Advanced filter values
+ * @returns {boolean} True if the order shows up in the view
+ */
+export const isOrderInView = (order, { statusFilter, searchQuery, filters }) => {
+  if (statusFilter !== 'all' && statusFilter !== String(order.status).toLowerCase()) return false;
+
+  const query = searchQuery.trim().toLowerCase();
+  if (query) {
+    const digits = toPhoneSearchTerm(query).replace(/\D/g, '');
+    const matchesText = [order.uniqueId, order.fullName, order.email]
+      .some((value) => value && String(value).toLowerCase().includes(query));
+    const matchesPhone = digits.length > 0 && String(order.phone || '').replace(/\D/g, '').includes(digits);
+    if (!matchesText && !matchesPhone) return false;
+  }
+
+  const amount = Number(order.totalAmount);
+  if (filters.minAmount && amount < Number(filters.minAmount)) return false;
+  if (filters.maxAmount && amount > Number(filters.maxAmount)) return false;
+  if (!matchesPageFilters(order, filters)) return false;
+
+  // A new order is created now: an upper date bound in the past leaves it out
+  const dateTo = getDateTo(filters);
+  return !dateTo || new Date(dateTo) >= new Date(order.createdAt || Date.now());
+};
+
+export default {
+  EMPTY_ORDER_FILTERS,
+  parseOrderFilters,
+  writeOrderFilters,
+  toOrderQueryParams,
+  hasPageFilters,
+  matchesPageFilters,
+  getOrderFilterChips,
+  countActiveOrderFilters,
+  isOrderInView,
+};
@@ -0,0 +1,292 @@
+/**
+ * Order form
+ * Options, validation and payload building shared by CreateOrderModal
+ * and the edit mode of OrderDetailsModal
+ */
+import { SHIPPING_PROVIDER, SHIPPING_METHOD, ORDER_ITEM_TYPE } from '../services/ordersApi';
+import { isValidPhone, normalizePhone, toLocalPhone } from './phone';
+
+/**
+ * Wilaya options (69 wilayas of Algeria)
+ * Updated: December 2025 - includes 11 new wilayas added November 16, 2025
+ */
+export const WILAYA_OPTIONS = [
+  // Original 58 Wilayas (1-58)
+  { value: 'Adrar', label: '01 - Adrar' },
+  { value: 'Chlef', label: '02 - Chlef' },
+  { value: 'Laghouat', label: '03 - Laghouat' },
+  { value: 'Oum El Bouaghi', label: '04 - Oum El Bouaghi' },
+  { value: 'Batna', label: '05 - Batna' },
+  { value: 'Béjaïa', label: '06 - Béjaïa' },
+  { value: 'Biskra', label: '07 - Biskra' },
+  { value: 'Béchar', label: '08 - Béchar' },
+  { value: 'Blida', label: '09 - Blida' },
+  { value: 'Bouira', label: '10 - Bouira' },
+  { value: 'Tamanrasset', label: '11 - Tamanrasset' },
+  { value: 'Tébessa', label: '12 - Tébessa' },
+  { value: 'Tlemcen', label: '13 - Tlemcen' },
+  { value: 'Tiaret', label: '14 - Tiaret' },
+  { value: 'Tizi Ouzou', label: '15 - Tizi Ouzou' },
+  { value: 'Alger', label: '16 - Alger' },
+  { value: 'Djelfa', label: '17 - Djelfa' },
+  { value: 'Jijel', label: '18 - Jijel' },
+  { value: 'Sétif', label: '19 - Sétif' },
+  { value: 'Saïda', label: '20 - Saïda' },
+  { value: 'Skikda', label: '21 - Skikda' },
+  { value: 'Sidi Bel Abbès', label: '22 - Sidi Bel Abbès' },
+  { value: 'Annaba', label: '23 - Annaba' },
+  { value: 'Guelma', label: '24 - Guelma' },
+  { value: 'Constantine', label: '25 - Constantine' },
+  { value: 'Médéa', label: '26 - Médéa' },
+  { value: 'Mostaganem', label: '27 - Mostaganem' },
+  { value: "M'Sila", label: "28 - M'Sila" },
+  { value: 'Mascara', label: '29 - Mascara' },
+  { value: 'Ouargla', label: '30 - Ouargla' },
+  { value: 'Oran', label: '31 - Oran' },
+  { value: 'El Bayadh', label: '32 - El Bayadh' },
+  { value: 'Illizi', label: '33 - Illizi' },
+  { value: 'Bordj Bou Arréridj', label: '34 - Bordj Bou Arréridj' },
+  { value: 'Boumerdès', label: '35 - Boumerdès' },
+  { value: 'El Tarf', label: '36 - El Tarf' },
+  { value: 'Tindouf', label: '37 - Tindouf' },
+  { value: 'Tissemsilt', label: '38 - Tissemsilt' },
+  { value: 'El Oued', label: '39 - El Oued' },
+  { value: 'Khenchela', label: '40 - Khenchela' },
+  { value: 'Souk Ahras', label: '41 - Souk Ahras' },
+  { value: 'Tipaza', label: '42 - Tipaza' },
+  { value: 'Mila', label: '43 - Mila' },
+  { value: 'Ain Defla', label: '44 - Ain Defla' },
+  { value: 'Naâma', label: '45 - Naâma' },
+  { value: 'Ain Témouchent', label: '46 - Ain Témouchent' },
+  { value: 'Ghardaïa', label: '47 - Ghardaïa' },
+  { value: 'Relizane', label: '48 - Relizane' },
+  { value: 'Timimoun', label: '49 - Timimoun' },
+  { value: 'Bordj Badji Mokhtar', label: '50 - Bordj Badji Mokhtar' },
+  { value: 'Ouled Djellal', label: '51 - Ouled Djellal' },
+  { value: 'Béni Abbès', label: '52 - Béni Abbès' },
+  { value: 'In Salah', label: '53 - In Salah' },
+  { value: 'In Guezzam', label: '54 - In Guezzam' },
+  { value: 'Touggourt', label: '55 - Touggourt' },
+  { value: 'Djanet', label: '56 - Djanet' },
+  { value: "El M'Ghair", label: "57 - El M'Ghair" },
+  { value: 'El Meniaa', label: '58 - El Meniaa' },
+  // New 11 Wilayas (59-69) - Added November 16, 2025
+  { value: 'Aflou', label: '59 - Aflou' },
+  { value: 'Barika', label: '60 - Barika' },
+  { value: 'Ksar Chellala', label: '61 - Ksar Chellala' },
+  { value: 'Messaad', label: '62 - Messaad' },
+  { value: 'Aïn Oussera', label: '63 - Aïn Oussera' },
+  { value: 'Bou Saâda', label: '64 - Bou Saâda' },
+  { value: 'El Abiodh Sidi Cheikh', label: '65 - El Abiodh Sidi Cheikh' },
+  { value: 'El Kantara', label: '66 - El Kantara' },
+  { value: 'Bir El Ater', label: '67 - Bir El Ater' },
+  { value: 'Ksar El Boukhari', label: '68 - Ksar El Boukhari' },
+  { value: 'El Aricha', label: '69 - El Aricha' },
+];
+
+export const SHIPPING_PROVIDER_OPTIONS = [
+  { value: SHIPPING_PROVIDER.YALIDINE, label: 'Yalidine' },
+  { value: SHIPPING_PROVIDER.ZR, label: 'ZR Express' }
+];
+
+export const SHIPPING_METHOD_OPTIONS = [
+  { value: SHIPPING_METHOD.HOME_DELIVERY, label: 'Livraison à domicile' },
+  { value: SHIPPING_METHOD.SHIPPING_PROVIDER, label: 'Point de retrait' }
+];
+
+export const ITEM_TYPE_OPTIONS = [
+  { value: ORDER_ITEM_TYPE.BOOK, label: 'Livre' },
+  { value: ORDER_ITEM_TYPE.PACK, label: 'Pack' }
+];
+
+/**
+ * Empty order form (create mode)
+ */
+export const EMPTY_ORDER_FORM = {
+  // Customer info
+  fullName: '',
+  phone: '',
+  email: '',
+  streetAddress: '',
+  wilaya: '',
+  city: '',
+  postalCode: '',
+
+  // Shipping info
+  shippingProvider: SHIPPING_PROVIDER.YALIDINE,
+  shippingMethod: SHIPPING_METHOD.HOME_DELIVERY,
+  shippingCost: 0,
+  shippingCostOverridden: false,
+  stopDeskId: null,
+  isStopDesk: false,
+
+  // Order items
+  orderItems: [],
+};
+
+/**
+ * Validate an order form
+ * @param {Object} formData - Order form values
+ * @returns {Object} Errors keyed by field (orderItem_<index>_<field> for items), empty if valid
+ */
+export const validateOrderForm = (formData) => {
+  const newErrors = {};
+
+  // Full name validation
+  if (!formData.fullName.trim()) {
+    newErrors.fullName = 'Le nom complet est requis';
+  } else if (formData.fullName.trim().length < 2) {
+    newErrors.fullName = 'Le nom doit contenir au moins 2 caractères';
+  }
+
+  // Phone validation (Algerian mobile 05/06/07 or landline, local or +213 format)
+  if (!formData.phone.trim()) {
+    newErrors.phone = 'Le numéro de téléphone est requis';
+  } else if (!isValidPhone(formData.phone)) {
+    newErrors.phone = 'Numéro algérien invalide (ex: 0555123456, +213555123456 ou 021234567)';
+  }
+
+  // Email validation (optional, but must be valid if provided)
+  if (formData.email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email.trim())) {
+    newErrors.email = 'Veuillez entrer une adresse email valide';
+  }
+
+  // Wilaya validation
+  if (!formData.wilaya) {
+    newErrors.wilaya = 'La wilaya est requise';
+  }
+
+  // City validation
+  if (!formData.city.trim()) {
+    newErrors.city = 'La ville est requise';
+  }
+
+  // Street address validation (required for home delivery)
+  if (formData.shippingMethod === SHIPPING_METHOD.HOME_DELIVERY && !formData.streetAddress.trim()) {
+    newErrors.streetAddress = 'L\'adresse est requise pour la livraison à domicile';
+  }
+
+  // Stop desk validation (required for point de retrait)
+  if (formData.shippingMethod === SHIPPING_METHOD.SHIPPING_PROVIDER && !formData.stopDeskId) {
+    newErrors.stopDeskId = 'Le point de retrait est requis';
+  }
+
+  // Shipping cost validation (left empty when the destination has no tariff)
+  if (formData.shippingCost === '' || formData.shippingCost === null || formData.shippingCost === undefined) {
+    newErrors.shippingCost = 'Les frais de livraison sont requis';
+  } else if (Number(formData.shippingCost) < 0) {
+    newErrors.shippingCost = 'Les frais de livraison ne peuvent pas être négatifs';
+  }
+
+  // Order items validation
+  if (formData.orderItems.length === 0) {
+    newErrors.orderItems = 'Au moins un article est requis';
+    return newErrors;
+  }
+
+  // Validate each order item
+  formData.orderItems.forEach((item, index) => {
+    if (!item.itemId) {
+      const itemTypeName = item.itemType === ORDER_ITEM_TYPE.PACK ? 'pack' : 'livre';
+      newErrors[`orderItem_${index}_itemId`] = `Sélectionnez un ${itemTypeName}`;
+    }
+    if (!item.quantity || item.quantity < 1) {
+      newErrors[`orderItem_${index}_quantity`] = 'Quantité minimale: 1';
+    }
+    if (!item.unitPrice || item.unitPrice <= 0) {
+      newErrors[`orderItem_${index}_unitPrice`] = 'Prix requis';
+    }
+  });
+
+  return newErrors;
+};
+
+/**
+ * Compute the total amount of an order form (items + shipping)
+ * @param {Object} formData - Order form values
+ * @returns {number} Total amount
+ */
+export const calculateOrderTotal = (formData) => {
+  const itemsTotal = formData.orderItems.reduce(
+    (sum, item) => sum + (item.unitPrice * item.quantity),
+    0
+  );
+  return itemsTotal + parseFloat(formData.shippingCost || 0);
+};
+
+/**
+ * Build the order payload expected by the backend from the form values
+ * Existing items keep their id so the backend updates them instead of recreating them
+ * @param {Object} formData - Order form values
+ * @returns {Object} Order data for createOrder / updateOrder
+ */
+export const buildOrderPayload = (formData) => ({
+  fullName: formData.fullName.trim(),
+  phone: normalizePhone(formData.phone) || formData.phone.trim(),
+  email: formData.email.trim() || null,
+  streetAddress: formData.streetAddress.trim() || null,
+  wilaya: formData.wilaya,
+  city: formData.city.trim(),
+  postalCode: formData.postalCode.trim() || null,
+  shippingProvider: formData.shippingProvider,
+  shippingMethod: formData.shippingMethod,
+  shippingCost: parseFloat(formData.shippingCost) || 0,
+  shippingCostOverridden: Boolean(formData.shippingCostOverridden),
+  stopDeskId: formData.shippingMethod === SHIPPING_METHOD.SHIPPING_PROVIDER ? formData.stopDeskId : null,
+  isStopDesk: formData.shippingMethod === SHIPPING_METHOD.SHIPPING_PROVIDER,
+  totalAmount: calculateOrderTotal(formData),
+  orderItems: formData.orderItems.map(item => ({
+    ...(item.id && { id: item.id }),
+    ...(item.itemType === ORDER_ITEM_TYPE.BOOK && { bookId: parseInt(item.itemId) }),
+    ...(item.itemType === ORDER_ITEM_TYPE.PACK && { bookPackId: parseInt(item.itemId) }),
+    quantity: parseInt(item.quantity),
+    unitPrice: parseFloat(item.unitPrice),
+    itemType: item.itemType,
+  })),
+});
+
+/**
+ * Fill the order form from an existing order (edit mode)
+ * @param {Object} order - Full order from getOrderById
+ * @returns {Object} Order form values
+ */
+export const orderToFormData = (order) => ({
+  fullName: order.fullName || order.customer || '',
+  // The backend stores +213 numbers; the form uses the local 0XXXXXXXXX format
+  phone: toLocalPhone(order.phone),
+  email: order.email || order.customerEmail || '',
+  streetAddress: order.streetAddress || '',
+  wilaya: order.wilaya || '',
+  city: order.city || '',
+  postalCode: order.postalCode || '',
+  shippingProvider: order.shippingProvider || SHIPPING_PROVIDER.YALIDINE,
+  shippingMethod: order.shippingMethod || SHIPPING_METHOD.HOME_DELIVERY,
+  shippingCost: order.shippingCost || 0,
+  shippingCostOverridden: Boolean(order.shippingCostOverridden),
+  stopDeskId: order.stopDeskId || null,
+  isStopDesk: Boolean(order.isStopDesk),
+  orderItems: (order.orderItems || order.items || []).map(item => {
+    const itemType = item.itemType || (item.bookPackId ? ORDER_ITEM_TYPE.PACK : ORDER_ITEM_TYPE.BOOK);
+    return {
+      id: item.id,
+      itemId: itemType === ORDER_ITEM_TYPE.PACK
+        ? item.bookPackId ?? item.bookPack?.id
+        : item.bookId ?? item.book?.id,
+      itemType,
+      quantity: item.quantity || 1,
+      unitPrice: item.unitPrice ?? item.price ?? 0,
+    };
+  }),
+});
+
+export default {
+  WILAYA_OPTIONS,
+  SHIPPING_PROVIDER_OPTIONS,
+  SHIPPING_METHOD_OPTIONS,
+  ITEM_TYPE_OPTIONS,
+  EMPTY_ORDER_FORM,
+  validateOrderForm,
+  calculateOrderTotal,
+  buildOrderPayload,
+  orderToFormData,
+};
@@ -0,0 +1,177 @@
+/**
+ * Order returns (RMA)
+ * Which items of an order can still be returned, the reason taxonomy, and the return form
+ * validation and payload. The backend restocks the books and records the refund (see returnsApi).
+ */
+import { ORDER_STATUS } from '../services/ordersApi';
+import { normalizeStatus } from './orderWorkflow';
+import { getOrderItems, getItemTitle, getItemUnitPrice } from './orderDocuments';
+
+/**
+ * Return reasons
+ * - collected: whether the customer paid (cash on delivery): refused parcels are never refunded
+ * - restock: whether the items usually go back on sale
+ */
+export const RETURN_REASONS = {
+  REFUSED_AT_DELIVERY: { label: 'Refusé à la livraison', collected: false, restock: true },
+  CUSTOMER_UNREACHABLE: { label: 'Client injoignable', collected: false, restock: true },
+  DAMAGED: { label: 'Article endommagé', collected: true, restock: false },
+  WRONG_ITEM: { label: 'Erreur de préparation', collected: true, restock: true },
+  NOT_AS_DESCRIBED: { label: 'Non conforme à la description', collected: true, restock: true },
+  CHANGED_MIND: { label: "Changement d'avis", collected: true, restock: true },
+  LATE_DELIVERY: { label: 'Livraison trop tardive', collected: true, restock: true },
+  OTHER: { label: 'Autre', collected: true, restock: true },
+};
+
+export const RETURN_REASON_OPTIONS = Object.entries(RETURN_REASONS).map(([value, { label }]) => ({ value, label }));
+
+// A return can be recorded once the parcel left; these statuses then move to RETURNED
+export const RETURNABLE_STATUSES = [ORDER_STATUS.DELIVERED, ORDER_STATUS.RETURN_REQUESTED, ORDER_STATUS.REFUSED, ORDER_STATUS.RETURNED];
+export const STATUSES_CLOSED_BY_RETURN = [ORDER_STATUS.RETURN_REQUESTED, ORDER_STATUS.REFUSED];
+
+/**
+ * Whether a return can be recorded for an order
+ * @param {Object} order - Order
+ * @returns {boolean} True if its status allows returns
+ */
+export const canRecordReturn = (order) => RETURNABLE_STATUSES.includes(normalizeStatus(order?.status));
+
+// Order items are matched by id; index for orders listed without item ids
+const getItemKey = (item, index) => String(item.id ?? `#${index}`);
+
+/**
+ * Items of an order with the quantity still returnable
+ * @param {Object} order - Full order (with its items)
+ * @param {Array} returns - Returns already recorded for the order
+ * @returns {Array<{key: string, item: Object, title: string, unitPrice: number, ordered: number, returned: number, remaining: number}>} Lines
+ */
+export const getReturnableLines = (order, returns = []) => {
+  const returned = {};
+  returns.forEach((record) => {
+    (record.items || []).forEach((item) => {
+      const key = String(item.orderItemId);
+      returned[key] = (returned[key] || 0) + Number(item.quantity);
+    });
+  });
+
+  return getOrderItems(order).map((item, index) => {
+    const key = getItemKey(item, index);
+    const ordered = Number(item.quantity) || 0;
+    return {
+      key,
+      item,
+      title: getItemTitle(item),
+      unitPrice: getItemUnitPrice(item),
+      ordered,
+      returned: returned[key] || 0,
+      remaining: Math.max(0, ordered - (returned[key] || 0)),
+    };
+  });
+};
+
+/**
+ * Suggested refund: value of the returned items, nothing when the customer never paid
+ * @param {Array} lines - Lines from getReturnableLines
+ * @param {Object} quantities - Returned quantity by line key
+ * @param {string} reason - RETURN_REASONS key
+ * @returns {number} Amount
+ */
+export const getSuggestedRefund = (lines, quantities, reason) => {
+  if (reason && RETURN_REASONS[reason] && !RETURN_REASONS[reason].collected) return 0;
+  return lines.reduce((sum, line) => sum + line.unitPrice * (Number(quantities[line.key]) || 0), 0);
+};
+
+/**
+ * Total refunded by a list of returns
+ * @param {Array} returns - Returns
+ * @returns {number} Amount
+ */
+export const getTotalRefunded = (returns = []) => returns.reduce((sum, record) => sum + (Number(record.refundAmount) || 0), 0);
+
+/**
+ * Empty return form for an order
+ * @param {Object} order - Order
+ * @returns {Object} Form values
+ */
+export const getEmptyReturnForm = (order) => {
+  const reason = normalizeStatus(order?.status) === ORDER_STATUS.REFUSED ? 'REFUSED_AT_DELIVERY' : '';
+  return {
+    quantities: {},
+    reason,
+    comment: '',
+    restock: true,
+    refundAmount: '',
+    refundOverridden: false,
+  };
+};
+
+/**
+ * Validate a return form
+ * @param {Object} form - Form values
+ * @param {Array} lines - Lines from getReturnableLines
+ * @param {number} maxRefund - Highest refund allowed (order total minus previous refunds)
+ * @returns {Object} Errors keyed by field (empty if valid)
+ */
+export const validateReturnForm = (form, lines, maxRefund) => {
+  const errors = {};
+
+  const quantities = lines.map((line) => Number(form.quantities[line.key]) || 0);
+  if (quantities.every((quantity) => quantity === 0)) {
+    errors.items = 'Sélectionnez au moins un article retourné';
+  } else if (lines.some((line, index) => quantities[index] < 0 || quantities[index] > line.remaining)) {
+    errors.items = 'La quantité retournée dépasse la quantité commandée';
+  }
+
+  if (!form.reason) {
+    errors.reason = 'Le motif du retour est requis';
+  } else if (form.reason === 'OTHER' && !form.comment.trim()) {
+    errors.comment = 'Précisez le motif du retour';
+  }
+
+  const refund = Number(form.refundAmount);
+  if (form.refundAmount === '' || Number.isNaN(refund) || refund < 0) {
+    errors.refundAmount = 'Le montant remboursé doit être un nombre positif (0 si rien n\'a été payé)';
+  } else if (refund > maxRefund) {
+    errors.refundAmount = `Le remboursement ne peut pas dépasser ${maxRefund} DA`;
+  }
+
+  return errors;
+};
+
+/**
+ * Build the return payload expected by the backend
+ * @param {Object} form - Form values
+ * @param {Array} lines - Lines from getReturnableLines
+ * @returns {Object} Return data for createOrderReturn
+ */
+export const buildReturnPayload = (form, lines) => ({
+  reason: form.reason,
+  comment: form.comment.trim() || null,
+  restock: Boolean(form.restock),
+  refundAmount: Number(form.refundAmount),
+  items: lines
+    .filter((line) => Number(form.quantities[line.key]) > 0)
+    .map(({ key, item, title, unitPrice }) => ({
+      orderItemId: item.id ?? key,
+      itemType: item.itemType,
+      ...((item.bookId ?? item.book?.id) && { bookId: item.bookId ?? item.book?.id }),
+      ...((item.bookPackId ?? item.bookPack?.id) && { bookPackId: item.bookPackId ?? item.bookPack?.id }),
+      title,
+      quantity: Number(form.quantities[key]),
+      unitPrice,
+    })),
+});
+
+export default {
+  RETURN_REASONS,
+  RETURN_REASON_OPTIONS,
+  RETURNABLE_STATUSES,
+  STATUSES_CLOSED_BY_RETURN,
+  canRecordReturn,
+  getReturnableLines,
+  getSuggestedRefund,
+  getTotalRefunded,
+  getEmptyReturnForm,
+  validateReturnForm,
+  buildReturnPayload,
+};
@@ -0,0 +1,228 @@
+/**
+ * Order status workflow
+ * Client-side state machine describing which status changes are allowed,
+ * when they are blocked (guards) and which inputs they require.
+ * Every status picker (OrderDetailsModal, StatusChangeModal, OrdersTable) is driven by it.
+ *
+ * Statuses are the ORDER_STATUS values (uppercase); the UI's lowercase
+ * statuses are accepted everywhere and normalized.
+ */
+import { ORDER_STATUS } from '../services/ordersApi';
+
+/**
+ * Status labels (French UI)
+ */
+export const ORDER_STATUS_LABELS = {
+  [ORDER_STATUS.PENDING]: 'En attente',
+  [ORDER_STATUS.CONFIRMED]: 'Confirmé',
+  [ORDER_STATUS.SHIPPED]: 'Expédié',
+  [ORDER_STATUS.DELIVERED]: 'Livré',
+  [ORDER_STATUS.CANCELLED]: 'Annulé',
+  [ORDER_STATUS.RETURN_REQUESTED]: 'Retour demandé',
+  [ORDER_STATUS.RETURNED]: 'Retourné',
+  [ORDER_STATUS.REFUSED]: 'Refusé',
+};
+
+/**
+ * Inputs a transition can require, keyed by the order field they fill
+ */
+export const TRANSITION_INPUTS = {
+  cancellationReason: {
+    name: 'cancellationReason',
+    label: "Motif d'annulation",
+    type: 'textarea',
+    placeholder: 'Ex : client injoignable, rupture de stock...',
+  },
+  returnReason: {
+    name: 'returnReason',
+    label: 'Motif du retour',
+    type: 'textarea',
+    placeholder: 'Ex : colis refusé à la livraison, livre abîmé...',
+  },
+  trackingNumber: {
+    name: 'trackingNumber',
+    label: 'Numéro de suivi',
+    type: 'text',
+    placeholder: 'Numéro de suivi du transporteur',
+  },
+};
+
+/**
+ * Check whether an order has a parcel at the carrier
+ * @param {Object} order - Order
+ * @returns {boolean} True if a parcel was created (tracking number or provider order ID)
+ */
+export const hasCarrierParcel = (order) => Boolean(order?.trackingNumber || order?.providerOrderId);
+
+/**
+ * Allowed transitions from each status
+ * - guard(order): returns a message explaining why the transition is blocked, or null
+ * - inputs(order): returns the names of TRANSITION_INPUTS the operator must fill
+ */
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: {
+    [ORDER_STATUS.CONFIRMED]: {},
+    [ORDER_STATUS.CANCELLED]: {
+      inputs: () => ['cancellationReason'],
+    },
+  },
+  [ORDER_STATUS.CONFIRMED]: {
+    [ORDER_STATUS.PENDING]: {
+      guard: (order) => (hasCarrierParcel(order)
+        ? 'Un colis a déjà été créé chez le transporteur'
+        : null),
+    },
+    [ORDER_STATUS.SHIPPED]: {
+      // Shipping needs a carrier: either a provider (parcel created by the backend) or a manual tracking number
+      inputs: (order) => (order?.shippingProvider || order?.trackingNumber ? [] : ['trackingNumber']),
+    },
+    [ORDER_STATUS.CANCELLED]: {
+      inputs: () => ['cancellationReason'],
+    },
+  },
+  [ORDER_STATUS.SHIPPED]: {
+    [ORDER_STATUS.DELIVERED]: {},
+    // The customer refused the parcel at the door (cash on delivery not collected)
+    [ORDER_STATUS.REFUSED]: {
+      inputs: () => ['returnReason'],
+    },
+    [ORDER_STATUS.CANCELLED]: {
+      inputs: () => ['cancellationReason'],
+    },
+  },
+  [ORDER_STATUS.DELIVERED]: {
+    [ORDER_STATUS.RETURN_REQUESTED]: {
+      inputs: () => ['returnReason'],
+    },
+  },
+  [ORDER_STATUS.RETURN_REQUESTED]: {
+    // The parcel came back (see utils/orderReturns for the items, restock and refund)
+    [ORDER_STATUS.RETURNED]: {},
+    // The customer kept the order after all
+    [ORDER_STATUS.DELIVERED]: {},
+  },
+  [ORDER_STATUS.REFUSED]: {
+    [ORDER_STATUS.RETURNED]: {},
+  },
+  [ORDER_STATUS.CANCELLED]: {},
+  [ORDER_STATUS.RETURNED]: {},
+};
+
+/**
+ * Normalize a UI (lowercase) or API (uppercase) status to ORDER_STATUS
+ * @param {string} status - Order status
+ * @returns {string} ORDER_STATUS value
+ */
+export const normalizeStatus = (status) => (status ? status.toUpperCase() : ORDER_STATUS.PENDING);
+
+const getTransition = (fromStatus, toStatus) => {
+  return TRANSITIONS[normalizeStatus(fromStatus)]?.[normalizeStatus(toStatus)] || null;
+};
+
+/**
+ * Get the reason a transition is blocked
+ * @param {Object} order - Order (status, trackingNumber, shippingProvider...)
+ * @param {string} toStatus - Target status
+ * @returns {string|null} Blocking reason, or null if the transition is allowed
+ */
+export const getTransitionBlocker = (order, toStatus) => {
+  const transition = getTransition(order?.status, toStatus);
+  if (!transition) {
+    const from = ORDER_STATUS_LABELS[normalizeStatus(order?.status)];
+    const to = ORDER_STATUS_LABELS[normalizeStatus(toStatus)];
+    return `Passage de « ${from} » à « ${to} » non autorisé`;
+  }
+  return transition.guard ? transition.guard(order) : null;
+};
+
+/**
+ * Check whether an order can move to a status
+ * @param {Object} order - Order
+ * @param {string} toStatus - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransition = (order, toStatus) => getTransitionBlocker(order, toStatus) === null;
+
+/**
+ * Get the statuses an order can move to
+ * @param {Object} order - Order
+ * @returns {Array<string>} Allowed ORDER_STATUS values
+ */
+export const getAllowedTransitions = (order) => {
+  const transitions = TRANSITIONS[normalizeStatus(order?.status)] || {};
+  return Object.keys(transitions).filter((toStatus) => canTransition(order, toStatus));
+};
+
+/**
+ * Get the inputs required to move an order to a status
+ * @param {Object} order - Order
+ * @param {string} toStatus - Target status
+ * @returns {Array<Object>} Input definitions from TRANSITION_INPUTS
+ */
+export const getRequiredInputs = (order, toStatus) => {
+  const transition = getTransition(order?.status, toStatus);
+  if (!transition?.inputs) return [];
+  return transition.inputs(order).map((name) => TRANSITION_INPUTS[name]);
+};
+
+/**
+ * Validate the inputs filled for a transition
+ * @param {Object} order - Order
+ * @param {string} toStatus - Target status
+ * @param {Object} values - Input values keyed by input name
+ * @returns {Object} Errors keyed by input name (empty if valid)
+ */
+export const validateTransitionInputs = (order, toStatus, values = {}) => {
+  return getRequiredInputs(order, toStatus).reduce((errors, input) => {
+    if (!values[input.name] || !String(values[input.name]).trim()) {
+      errors[input.name] = `${input.label} est requis`;
+    }
+    return errors;
+  }, {});
+};
+
+/**
+ * Get the reason an order can no longer be edited (customer, shipping, items)
+ * @param {Object} order - Order
+ * @returns {string|null} Blocking reason, or null if the order can be edited
+ */
+export const getEditBlocker = (order) => {
+  const status = normalizeStatus(order?.status);
+  if (status === ORDER_STATUS.SHIPPED) {
+    return 'Une commande expédiée ne peut plus être modifiée';
+  }
+  if (status === ORDER_STATUS.DELIVERED || status === ORDER_STATUS.CANCELLED) {
+    return 'Une commande livrée ou annulée ne peut plus être modifiée';
+  }
+  if ([ORDER_STATUS.RETURN_REQUESTED, ORDER_STATUS.RETURNED, ORDER_STATUS.REFUSED].includes(status)) {
+    return 'Une commande retournée ou refusée ne peut plus être modifiée';
+  }
+  return null;
+};
+
+/**
+ * Build the select options for a status picker: current status first, then allowed targets
+ * @param {Object} order - Order
+ * @returns {Array<{value: string, label: string}>} Options with lowercase values (UI format)
+ */
+export const getStatusOptions = (order) => {
+  const current = normalizeStatus(order?.status);
+  return [current, ...getAllowedTransitions(order)].map((status) => ({
+    value: status.toLowerCase(),
+    label: ORDER_STATUS_LABELS[status] || status,
+  }));
+};
+
+export default {
+  ORDER_STATUS_LABELS,
+  TRANSITION_INPUTS,
+  normalizeStatus,
+  getTransitionBlocker,
+  canTransition,
+  getAllowedTransitions,
+  getRequiredInputs,
+  validateTransitionInputs,
+  getEditBlocker,
+  hasCarrierParcel,
+  getStatusOptions,
+};
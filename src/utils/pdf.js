@@ -0,0 +1,37 @@
+/**
+ * PDF export
+ * Turns rendered pages (order packing slips and invoices) into an A4 PDF file in the browser
+ */
+
+// A4 sheet and margins in millimetres, as in the print stylesheet (@page in index.css)
+const A4 = { width: 210, height: 297, margin: 12 };
+
+// Capture density of the pages: sharp enough for small print once zoomed in
+const PIXEL_RATIO = 2;
+
+/**
+ * Build a PDF with one A4 page per element
+ * Elements are captured as shown on screen and scaled down when they do not fit on a sheet
+ * @param {Array<HTMLElement>} elements - Rendered pages, in order
+ * @returns {Promise<Blob>} PDF file content
+ */
+export const buildPdf = async (elements) => {
+  // The PDF libraries are only downloaded when a PDF is exported
+  const [{ jsPDF }, { toCanvas }] = await Promise.all([import('jspdf'), import('html-to-image')]);
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const maxWidth = A4.width - A4.margin * 2;
+  const maxHeight = A4.height - A4.margin * 2;
+
+  for (const [index, element] of elements.entries()) {
+    const canvas = await toCanvas(element, { pixelRatio: PIXEL_RATIO, backgroundColor: '#ffffff' });
+    const scale = Math.min(maxWidth / canvas.width, maxHeight / canvas.height);
+    if (index > 0) pdf.addPage();
+    pdf.addImage(canvas, 'JPEG', A4.margin, A4.margin, canvas.width * scale, canvas.height * scale);
+  }
+
+  return pdf.output('blob');
+};
+
+export default {
+  buildPdf,
+};
@@ -0,0 +1,109 @@
+/**
+ * Role-based access control
+ * Roles come from the `authorities` array returned by /api/account (Keycloak realm roles)
+ */
+
+/**
+ * Role authorities as returned by the backend
+ */
+export const ROLES = {
+  ADMIN: 'ROLE_ADMIN',
+  CATALOG_EDITOR: 'ROLE_CATALOG_EDITOR',
+  ORDER_OPERATOR: 'ROLE_ORDER_OPERATOR',
+  ANALYST: 'ROLE_ANALYST',
+};
+
+/**
+ * Human readable role labels (French UI)
+ */
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Administrateur',
+  [ROLES.CATALOG_EDITOR]: 'Éditeur catalogue',
+  [ROLES.ORDER_OPERATOR]: 'Opérateur commandes',
+  [ROLES.ANALYST]: 'Analyste (lecture seule)',
+};
+
+/**
+ * Permissions checked by routes, navigation and action buttons
+ */
+export const PERMISSIONS = {
+  VIEW_DASHBOARD: 'VIEW_DASHBOARD',
+  VIEW_BOOKS: 'VIEW_BOOKS',
+  MANAGE_BOOKS: 'MANAGE_BOOKS',
+  DELETE_BOOKS: 'DELETE_BOOKS',
+  VIEW_ORDERS: 'VIEW_ORDERS',
+  MANAGE_ORDERS: 'MANAGE_ORDERS',
+  DELETE_ORDERS: 'DELETE_ORDERS',
+  MANAGE_SHIPPING_TARIFFS: 'MANAGE_SHIPPING_TARIFFS',
+  RECONCILE_PAYOUTS: 'RECONCILE_PAYOUTS',
+  VIEW_USERS: 'VIEW_USERS',
+  MANAGE_USERS: 'MANAGE_USERS',
+  MANAGE_MARKETING: 'MANAGE_MARKETING',
+  VIEW_SEARCH_ANALYTICS: 'VIEW_SEARCH_ANALYTICS',
+};
+
+/**
+ * Permissions granted to each role
+ * Destructive actions (deletes, user activation) are reserved to admins
+ */
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.CATALOG_EDITOR]: [
+    PERMISSIONS.VIEW_DASHBOARD,
+    PERMISSIONS.VIEW_BOOKS,
+    PERMISSIONS.MANAGE_BOOKS,
+    PERMISSIONS.MANAGE_MARKETING,
+    PERMISSIONS.VIEW_SEARCH_ANALYTICS,
+  ],
+  [ROLES.ORDER_OPERATOR]: [
+    PERMISSIONS.VIEW_DASHBOARD,
+    PERMISSIONS.VIEW_BOOKS,
+    PERMISSIONS.VIEW_ORDERS,
+    PERMISSIONS.MANAGE_ORDERS,
+  ],
+  [ROLES.ANALYST]: [
+    PERMISSIONS.VIEW_DASHBOARD,
+    PERMISSIONS.VIEW_BOOKS,
+    PERMISSIONS.VIEW_ORDERS,
+    PERMISSIONS.VIEW_USERS,
+    PERMISSIONS.VIEW_SEARCH_ANALYTICS,
+  ],
+};
+
+/**
+ * Get the known roles of a user
+ * @param {Object|null} user - User from /api/account
+ * @returns {Array<string>} Role authorities the app knows about
+ */
+export const getUserRoles = (user) => {
+  const authorities = user?.authorities || [];
+  return authorities.filter((authority) => ROLE_PERMISSIONS[authority]);
+};
+
+/**
+ * Get every permission granted to a user through their roles
+ * @param {Object|null} user - User from /api/account
+ * @returns {Set<string>} Granted permissions
+ */
+export const getUserPermissions = (user) => {
+  return new Set(getUserRoles(user).flatMap((role) => ROLE_PERMISSIONS[role]));
+};
+
+/**
+ * Check whether a user has a permission
+ * @param {Object|null} user - User from /api/account
+ * @param {string} permission - Permission from PERMISSIONS
+ * @returns {boolean} True if granted
+ */
+export const hasPermission = (user, permission) => {
+  return getUserPermissions(user).has(permission);
+};
+
+export default {
+  ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  getUserRoles,
+  getUserPermissions,
+  hasPermission,
+};
@@ -0,0 +1,129 @@
+/**
+ * Algerian phone numbers
+ * The backend stores numbers in the international +213 format (0541633537 becomes +213541633537);
+ * forms and screens use the local 0XXXXXXXXX format
+ */
+
+export const COUNTRY_CODE = '213';
+
+// Significant number (without the leading 0): 9 digits for mobiles, 8 digits for landlines
+const MOBILE_PATTERN = /^[567]\d{8}$/;
+const LANDLINE_PATTERN = /^[234]\d{7}$/;
+
+// Characters operators type around the digits (spaces, dots, dashes, parentheses)
+const SEPARATORS_PATTERN = /[\s.\-()/]/g;
+
+/**
+ * Parse a phone number typed in any usual format
+ * Accepts 0541633537, 0541 63 35 37, +213541633537, +213 (0)541633537, 00213541633537, 213541633537
+ * and 541633537, and landlines such as 021 23 45 67
+ * @param {string} phone - Phone number
+ * @returns {{nationalNumber: string, type: string}|null} Significant number and type ('mobile' or 'landline'), null if invalid
+ */
+export const parsePhone = (phone) => {
+  let value = String(phone ?? '').replace(SEPARATORS_PATTERN, '');
+  if (!/^\+?\d+$/.test(value)) return null;
+
+  if (value.startsWith('+')) {
+    if (!value.startsWith(`+${COUNTRY_CODE}`)) return null;
+    value = value.slice(COUNTRY_CODE.length + 1);
+  } else if (value.startsWith(`00${COUNTRY_CODE}`)) {
+    value = value.slice(COUNTRY_CODE.length + 2);
+  } else if (value.startsWith(COUNTRY_CODE) && value.length > 10) {
+    value = value.slice(COUNTRY_CODE.length);
+  }
+
+  // Trunk prefix, also found after the country code ("+213 (0)5...")
+  if (value.startsWith('0')) {
+    value = value.slice(1);
+  }
+
+  if (MOBILE_PATTERN.test(value)) return { nationalNumber: value, type: 'mobile' };
+  if (LANDLINE_PATTERN.test(value)) return { nationalNumber: value, type: 'landline' };
+  return null;
+};
+
+/**
+ * Whether a phone number is a valid Algerian mobile (05, 06, 07) or landline number
+ * @param {string} phone - Phone number
+ * @param {Object} options - Options
+ * @param {boolean} options.mobileOnly - Reject landlines
+ * @returns {boolean} True if valid
+ */
+export const isValidPhone = (phone, { mobileOnly = false } = {}) => {
+  const parsed = parsePhone(phone);
+  return Boolean(parsed) && (!mobileOnly || parsed.type === 'mobile');
+};
+
+/**
+ * Normalize a phone number to the backend format
+ * @param {string} phone - Phone number
+ * @returns {string|null} e.g. +213541633537, null if invalid
+ */
+export const normalizePhone = (phone) => {
+  const parsed = parsePhone(phone);
+  return parsed ? `+${COUNTRY_CODE}${parsed.nationalNumber}` : null;
+};
+
+/**
+ * Local format used by the forms
+ * @param {string} phone - Phone number
+ * @returns {string} e.g. 0541633537 (the input unchanged if invalid)
+ */
+export const toLocalPhone = (phone) => {
+  const parsed = parsePhone(phone);
+  return parsed ? `0${parsed.nationalNumber}` : (phone || '');
+};
+
+/**
+ * Format a phone number for display
+ * @param {string} phone - Phone number
+ * @returns {string} e.g. 0541 63 35 37 or 021 23 45 67 (the input unchanged if invalid)
+ */
+export const formatPhone = (phone) => {
+  const parsed = parsePhone(phone);
+  if (!parsed) return phone || '';
+
+  const local = `0${parsed.nationalNumber}`;
+  const [prefix, rest] = parsed.type === 'mobile'
+    ? [local.slice(0, 4), local.slice(4)]
+    : [local.slice(0, 3), local.slice(3)];
+  return [prefix, ...rest.match(/\d{2}/g)].join(' ');
+};
+
+/**
+ * Key used to compare phone numbers whatever their format
+ * @param {string} phone - Phone number
+ * @returns {string} Significant number, empty if invalid
+ */
+export const getPhoneKey = (phone) => parsePhone(phone)?.nationalNumber || '';
+
+/**
+ * Search term matching a phone number whatever the format it was stored or typed in
+ * Phone-like queries ("0541 63", "+213 541...") are reduced to their significant digits,
+ * other queries (names, emails, order numbers) are returned unchanged
+ * @param {string} query - Search text
+ * @returns {string} Search term for the API
+ */
+export const toPhoneSearchTerm = (query) => {
+  const value = String(query ?? '').trim();
+  const compact = value.replace(SEPARATORS_PATTERN, '');
+  if (!/^\+?\d{4,}$/.test(compact)) return value;
+
+  // "+213" is always the country code; "00213" and "213" only in front of a full number
+  const digits = compact.startsWith(`+${COUNTRY_CODE}`)
+    ? compact.slice(COUNTRY_CODE.length + 1)
+    : compact.replace(/^\+/, '').replace(new RegExp(`^(00)?${COUNTRY_CODE}(?=\\d{8})`), '');
+  return digits.replace(/^0/, '');
+};
+
+export default {
+  COUNTRY_CODE,
+  parsePhone,
+  isValidPhone,
+  normalizePhone,
+  toLocalPhone,
+  formatPhone,
+  getPhoneKey,
+  toPhoneSearchTerm,
+};
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parsePhone,
+  isValidPhone,
+  normalizePhone,
+  toLocalPhone,
+  formatPhone,
+  getPhoneKey,
+  toPhoneSearchTerm,
+} from './phone';
+
+describe('parsePhone', () => {
+  it.each([
+    ['0541633537', '541633537'],
+    ['0661234567', '661234567'],
+    ['0770123456', '770123456'],
+  ])('accepts the 05/06/07 mobile %s', (phone, nationalNumber) => {
+    expect(parsePhone(phone)).toEqual({ nationalNumber, type: 'mobile' });
+  });
+
+  it.each([
+    ['021234567', '21234567'],
+    ['031 23 45 67', '31234567'],
+    ['+21341234567', '41234567'],
+  ])('accepts the landline %s', (phone, nationalNumber) => {
+    expect(parsePhone(phone)).toEqual({ nationalNumber, type: 'landline' });
+  });
+
+  it.each([
+    '+213541633537',
+    '00213541633537',
+    '213541633537',
+    '+213 (0)541633537',
+    '541633537',
+  ])('accepts the country code and trunk prefix variants of %s', (phone) => {
+    expect(parsePhone(phone)?.nationalNumber).toBe('541633537');
+  });
+
+  it.each([
+    '0541 63 35 37',
+    '0541.63.35.37',
+    '0541-63-35-37',
+    '(0541) 63/35/37',
+    ' 0541633537 ',
+  ])('ignores the separators of %s', (phone) => {
+    expect(parsePhone(phone)?.nationalNumber).toBe('541633537');
+  });
+
+  it.each([
+    ['empty', ''],
+    ['null', null],
+    ['undefined', undefined],
+    ['letters', '05416abcde'],
+    ['too short', '054163353'],
+    ['too long', '05416335370'],
+    ['another country code', '+33612345678'],
+    ['an unknown prefix', '0841633537'],
+    ['a misplaced plus sign', '0541+633537'],
+  ])('rejects %s', (_label, phone) => {
+    expect(parsePhone(phone)).toBeNull();
+  });
+});
+
+describe('isValidPhone', () => {
+  it('accepts mobiles and landlines', () => {
+    expect(isValidPhone('0541633537')).toBe(true);
+    expect(isValidPhone('021234567')).toBe(true);
+  });
+
+  it('rejects landlines with mobileOnly', () => {
+    expect(isValidPhone('0541633537', { mobileOnly: true })).toBe(true);
+    expect(isValidPhone('021234567', { mobileOnly: true })).toBe(false);
+  });
+
+  it('rejects invalid numbers', () => {
+    expect(isValidPhone('12345')).toBe(false);
+  });
+});
+
+describe('normalizePhone', () => {
+  it('returns the +213 backend format', () => {
+    expect(normalizePhone('0541 63 35 37')).toBe('+213541633537');
+    expect(normalizePhone('00213 21 23 45 67')).toBe('+21321234567');
+  });
+
+  it('returns null for invalid numbers', () => {
+    expect(normalizePhone('0541')).toBeNull();
+  });
+});
+
+describe('toLocalPhone', () => {
+  it('returns the 0XXXXXXXXX form format', () => {
+    expect(toLocalPhone('+213541633537')).toBe('0541633537');
+  });
+
+  it('keeps invalid input unchanged', () => {
+    expect(toLocalPhone('abc')).toBe('abc');
+    expect(toLocalPhone(null)).toBe('');
+  });
+});
+
+describe('formatPhone', () => {
+  it('groups mobiles as 0XXX XX XX XX', () => {
+    expect(formatPhone('+213541633537')).toBe('0541 63 35 37');
+  });
+
+  it('groups landlines as 0XX XX XX XX', () => {
+    expect(formatPhone('021234567')).toBe('021 23 45 67');
+  });
+
+  it('keeps invalid input unchanged', () => {
+    expect(formatPhone('12')).toBe('12');
+    expect(formatPhone(undefined)).toBe('');
+  });
+});
+
+describe('getPhoneKey', () => {
+  it('gives the same key whatever the format', () => {
+    expect(getPhoneKey('+213541633537')).toBe(getPhoneKey('0541 63 35 37'));
+  });
+
+  it('is empty for invalid numbers', () => {
+    expect(getPhoneKey('n/a')).toBe('');
+  });
+});
+
+describe('toPhoneSearchTerm', () => {
+  it.each([
+    ['0541 63', '54163'],
+    ['05-41-63', '54163'],
+    ['+213 541 63', '54163'],
+    ['+213541633537', '541633537'],
+    ['00213541633537', '541633537'],
+    ['213541633537', '541633537'],
+    ['541633537', '541633537'],
+  ])('reduces the phone-like query %s to its significant digits', (query, term) => {
+    expect(toPhoneSearchTerm(query)).toBe(term);
+  });
+
+  it('keeps a short number starting with 213 as typed', () => {
+    expect(toPhoneSearchTerm('2135')).toBe('2135');
+  });
+
+  it.each([
+    'Karim Benali',
+    'karim@example.dz',
+    'CMD-2024-001',
+    '123',
+  ])('returns the other query %s unchanged', (query) => {
+    expect(toPhoneSearchTerm(query)).toBe(query);
+  });
+
+  it('trims the query and accepts null', () => {
+    expect(toPhoneSearchTerm('  Karim  ')).toBe('Karim');
+    expect(toPhoneSearchTerm(null)).toBe('');
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * PKCE (Proof Key for Code Exchange) helpers
+ * Used by the Authorization Code flow against Keycloak (RFC 7636)
+ */
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes to encode
+ * @returns {string} base64url string
+ */
+const base64UrlEncode = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Generate a cryptographically random URL-safe string
+ * Used for the code verifier, state and nonce
+ * @param {number} byteLength - Number of random bytes (default: 32)
+ * @returns {string} Random base64url string
+ */
+export const generateRandomString = (byteLength = 32) => {
+  const bytes = new Uint8Array(byteLength);
+  window.crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+};
+
+/**
+ * Derive the S256 code challenge from a code verifier
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {Promise<string>} base64url(SHA-256(codeVerifier))
+ */
+export const createCodeChallenge = async (codeVerifier) => {
+  const data = new TextEncoder().encode(codeVerifier);
+  const digest = await window.crypto.subtle.digest('SHA-256', data);
+  return base64UrlEncode(digest);
+};
+
+export default {
+  generateRandomString,
+  createCodeChallenge,
+};
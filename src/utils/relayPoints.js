@@ -0,0 +1,235 @@
+/**
+ * Relay points (stop desks): coordinates, distances, opening hours and map projection
+ * used by the relay point explorer (see services/relayPointsApi for the relay point shape)
+ */
+
+/**
+ * Days of the week in the Algerian order (the week starts on Saturday)
+ * jsDay is the Date#getDay() value
+ */
+export const WEEK_DAYS = [
+  { key: 'saturday', label: 'Samedi', jsDay: 6 },
+  { key: 'sunday', label: 'Dimanche', jsDay: 0 },
+  { key: 'monday', label: 'Lundi', jsDay: 1 },
+  { key: 'tuesday', label: 'Mardi', jsDay: 2 },
+  { key: 'wednesday', label: 'Mercredi', jsDay: 3 },
+  { key: 'thursday', label: 'Jeudi', jsDay: 4 },
+  { key: 'friday', label: 'Vendredi', jsDay: 5 },
+];
+
+const EARTH_RADIUS_KM = 6371;
+
+const normalize = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/gi, ' ')
+  .trim()
+  .toLowerCase();
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? NaN : Number(value));
+
+/**
+ * Read the coordinates of a relay point
+ * Providers send either latitude / longitude or a "lat,lng" gps string
+ * @param {Object} point - Relay point
+ * @returns {{latitude: number, longitude: number}|null} Coordinates, null when unknown
+ */
+export const getCoordinates = (point) => {
+  if (!point) return null;
+  let latitude = toNumber(point.latitude);
+  let longitude = toNumber(point.longitude);
+  if ((Number.isNaN(latitude) || Number.isNaN(longitude)) && typeof point.gps === 'string') {
+    [latitude, longitude] = point.gps.split(',').map(toNumber);
+  }
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude, longitude };
+};
+
+/**
+ * Great-circle distance between two positions
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in kilometres
+ */
+export const getDistanceKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Format a distance for display
+ * @param {number|null} distance - Distance in kilometres
+ * @returns {string} e.g. "850 m", "12,4 km"
+ */
+export const formatDistance = (distance) => {
+  if (distance === null || distance === undefined) return '—';
+  if (distance < 1) return `${Math.round(distance * 1000)} m`;
+  return `${distance.toLocaleString('fr-DZ', { maximumFractionDigits: distance < 10 ? 1 : 0 })} km`;
+};
+
+/**
+ * Communes that have at least one relay point
+ * @param {Array} points - Relay points
+ * @returns {Array<string>} Commune names, sorted
+ */
+export const getCommunes = (points) => {
+  const communes = new Map();
+  points.forEach((point) => {
+    if (point.commune && !communes.has(normalize(point.commune))) {
+      communes.set(normalize(point.commune), point.commune);
+    }
+  });
+  return [...communes.values()].sort((a, b) => a.localeCompare(b, 'fr'));
+};
+
+/**
+ * Locate a commune from the relay points it has
+ * Providers do not send commune coordinates: the position is the centre of the commune's desks,
+ * which is enough to rank the desks around it. Works offline, from the loaded points only.
+ * @param {string} commune - Typed commune (case and accents ignored)
+ * @param {Array} points - Relay points of every provider
+ * @returns {{latitude: number, longitude: number, commune: string}|null} Position, null when no desk is in that commune
+ */
+export const locateCommune = (commune, points) => {
+  const query = normalize(commune);
+  if (!query) return null;
+
+  const located = points
+    .filter((point) => normalize(point.commune) === query)
+    .map((point) => ({ point, coordinates: getCoordinates(point) }))
+    .filter(({ coordinates }) => coordinates);
+  if (located.length === 0) return null;
+
+  return {
+    commune: located[0].point.commune,
+    latitude: located.reduce((sum, { coordinates }) => sum + coordinates.latitude, 0) / located.length,
+    longitude: located.reduce((sum, { coordinates }) => sum + coordinates.longitude, 0) / located.length,
+  };
+};
+
+/**
+ * Sort relay points by distance from a position
+ * @param {Array} points - Relay points
+ * @param {Object|null} origin - { latitude, longitude }; without one, points are sorted by name
+ * @returns {Array<{point: Object, distance: number|null}>} Points with their distance, nearest first, unknown positions last
+ */
+export const sortByDistance = (points, origin) => {
+  return points
+    .map((point) => {
+      const coordinates = getCoordinates(point);
+      return { point, distance: origin && coordinates ? getDistanceKm(origin, coordinates) : null };
+    })
+    .sort((a, b) => {
+      if (a.distance !== b.distance) {
+        if (a.distance === null) return 1;
+        if (b.distance === null) return -1;
+        return a.distance - b.distance;
+      }
+      return String(a.point.name).localeCompare(String(b.point.name), 'fr');
+    });
+};
+
+const parseRange = (range) => {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(range).trim());
+  if (!match) return null;
+  const [, openHours, openMinutes, closeHours, closeMinutes] = match.map(Number);
+  return { open: openHours * 60 + openMinutes, close: closeHours * 60 + closeMinutes };
+};
+
+/**
+ * Opening hours of a relay point, one row per day from Saturday
+ * @param {Object} point - Relay point
+ * @returns {Array<{key: string, label: string, hours: string|null}>|null} Days (hours null: closed), null when the provider sent no hours
+ */
+export const getOpeningHours = (point) => {
+  if (!point?.openingHours || typeof point.openingHours !== 'object') return null;
+  return WEEK_DAYS.map(({ key, label }) => ({ key, label, hours: point.openingHours[key] || null }));
+};
+
+/**
+ * Opening hours of a relay point on a given day
+ * @param {Object} point - Relay point
+ * @param {Date} date - Day to read (default: today)
+ * @returns {{key: string, label: string, hours: string|null}|null} Day (hours null: closed), null when the hours are unknown
+ */
+export const getHoursOn = (point, date = new Date()) => {
+  const hours = getOpeningHours(point);
+  if (!hours) return null;
+  const { key } = WEEK_DAYS.find((day) => day.jsDay === date.getDay());
+  return hours.find((day) => day.key === key);
+};
+
+/**
+ * Whether a relay point is open at a given time
+ * @param {Object} point - Relay point
+ * @param {Date} date - Time to check (default: now)
+ * @returns {boolean|null} Open state, null when the hours are unknown or unreadable
+ */
+export const isOpenAt = (point, date = new Date()) => {
+  const today = getHoursOn(point, date);
+  if (!today) return null;
+  if (!today.hours) return false;
+
+  const range = parseRange(today.hours);
+  if (!range) return null;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return minutes >= range.open && minutes < range.close;
+};
+
+/**
+ * Compare the providers of a wilaya: number of desks, desks open now and nearest desk
+ * @param {Object} pointsByProvider - Relay points keyed by provider
+ * @param {Object|null} origin - { latitude, longitude } of the customer, if known
+ * @param {Date} date - Time used for the open state (default: now)
+ * @returns {Array<{provider: string, count: number, openCount: number, nearest: Object|null}>} One row per provider
+ */
+export const compareProviders = (pointsByProvider, origin, date = new Date()) => {
+  return Object.entries(pointsByProvider).map(([provider, points]) => {
+    const [nearest] = origin ? sortByDistance(points, origin) : [];
+    return {
+      provider,
+      count: points.length,
+      openCount: points.filter((point) => isOpenAt(point, date)).length,
+      nearest: nearest && nearest.distance !== null ? nearest : null,
+    };
+  });
+};
+
+/**
+ * Build the projection of a set of positions on a flat map (no tiles: works offline)
+ * Equirectangular projection scaled by the cosine of the mean latitude, fitted in the box
+ * @param {Array<Object>} positions - { latitude, longitude } to fit
+ * @param {Object} options - { width, height, padding } in map units
+ * @returns {{project: Function, unproject: Function}|null} Position to { x, y } and back, null without positions
+ */
+export const createMapProjection = (positions, { width, height, padding = 24 }) => {
+  if (positions.length === 0) return null;
+
+  const latitudes = positions.map((position) => position.latitude);
+  const longitudes = positions.map((position) => position.longitude);
+  const centerLatitude = (Math.min(...latitudes) + Math.max(...latitudes)) / 2;
+  const centerLongitude = (Math.min(...longitudes) + Math.max(...longitudes)) / 2;
+  const xFactor = Math.cos((centerLatitude * Math.PI) / 180);
+
+  // A single desk (or desks on the same spot) still gets a ~2 km wide view
+  const spanX = Math.max((Math.max(...longitudes) - Math.min(...longitudes)) * xFactor, 0.02);
+  const spanY = Math.max(Math.max(...latitudes) - Math.min(...latitudes), 0.02);
+  const scale = Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanY);
+
+  return {
+    project: ({ latitude, longitude }) => ({
+      x: width / 2 + (longitude - centerLongitude) * xFactor * scale,
+      y: height / 2 - (latitude - centerLatitude) * scale,
+    }),
+    unproject: ({ x, y }) => ({
+      latitude: centerLatitude - (y - height / 2) / scale,
+      longitude: centerLongitude + (x - width / 2) / (xFactor * scale),
+    }),
+  };
+};
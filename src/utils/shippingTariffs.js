@@ -0,0 +1,132 @@
+/**
+ * Shipping cost calculation from provider tariffs (see services/shippingTariffsApi)
+ * Books have no weight in the catalog, so tiers are based on the number of items
+ */
+import { SHIPPING_PROVIDER, SHIPPING_METHOD } from '../services/ordersApi';
+
+/**
+ * Empty tariff (admin form)
+ */
+export const EMPTY_TARIFF = {
+  provider: SHIPPING_PROVIDER.YALIDINE,
+  shippingMethod: SHIPPING_METHOD.HOME_DELIVERY,
+  wilaya: '',
+  tiers: [{ maxQuantity: '', price: '' }],
+};
+
+/**
+ * Count the items of an order (packs count once per unit)
+ * @param {Array} orderItems - Order form items
+ * @returns {number} Number of items
+ */
+export const getOrderItemCount = (orderItems = []) => {
+  return orderItems.reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0);
+};
+
+/**
+ * Find the tariff of a destination: the wilaya tariff if any, else the provider default
+ * @param {Array} tariffs - Every tariff
+ * @param {Object} destination - { provider, shippingMethod, wilaya }
+ * @returns {Object|null} Tariff
+ */
+export const findTariff = (tariffs, { provider, shippingMethod, wilaya }) => {
+  const candidates = tariffs.filter(
+    (tariff) => tariff.provider === provider && tariff.shippingMethod === shippingMethod
+  );
+  return candidates.find((tariff) => tariff.wilaya === wilaya)
+    || candidates.find((tariff) => !tariff.wilaya)
+    || null;
+};
+
+/**
+ * Price of the tier matching a number of items
+ * @param {Array} tiers - Tariff tiers [{ maxQuantity, price }]
+ * @param {number} quantity - Number of items
+ * @returns {number|null} Price, null if no tier covers the quantity
+ */
+export const getTierPrice = (tiers, quantity) => {
+  const sorted = [...tiers].sort((a, b) => (a.maxQuantity ?? Infinity) - (b.maxQuantity ?? Infinity));
+  const tier = sorted.find((t) => t.maxQuantity === null || t.maxQuantity === undefined || quantity <= t.maxQuantity);
+  return tier ? Number(tier.price) : null;
+};
+
+/**
+ * Compute the shipping cost of an order form from the tariffs
+ * @param {Array} tariffs - Every tariff
+ * @param {Object} formData - Order form values (wilaya, shippingProvider, shippingMethod, orderItems)
+ * @returns {number|null} Shipping cost, null when the destination has no tariff
+ */
+export const calculateShippingCost = (tariffs, formData) => {
+  if (!tariffs?.length || !formData.wilaya) return null;
+
+  const tariff = findTariff(tariffs, {
+    provider: formData.shippingProvider,
+    shippingMethod: formData.shippingMethod,
+    wilaya: formData.wilaya,
+  });
+  if (!tariff) return null;
+
+  // An order without items yet is priced as a single item
+  return getTierPrice(tariff.tiers, Math.max(1, getOrderItemCount(formData.orderItems)));
+};
+
+/**
+ * Validate a tariff before saving it
+ * @param {Object} tariff - Tariff form values (maxQuantity and price as strings)
+ * @param {Array} tariffs - Existing tariffs, to reject duplicates
+ * @returns {Object} Errors keyed by field (tier_<index>_<field> for tiers), empty if valid
+ */
+export const validateTariff = (tariff, tariffs = []) => {
+  const errors = {};
+
+  const duplicate = tariffs.some((other) => other.id !== tariff.id
+    && other.provider === tariff.provider
+    && other.shippingMethod === tariff.shippingMethod
+    && (other.wilaya || '') === (tariff.wilaya || ''));
+  if (duplicate) {
+    errors.wilaya = 'Un tarif existe déjà pour ce transporteur, cette méthode et cette wilaya';
+  }
+
+  let previousMax = 0;
+  tariff.tiers.forEach((tier, index) => {
+    const isLast = index === tariff.tiers.length - 1;
+    if (tier.price === '' || Number(tier.price) < 0) {
+      errors[`tier_${index}_price`] = 'Prix requis';
+    }
+    if (isLast) return;
+    // Every tier but the last needs an increasing upper bound
+    if (!tier.maxQuantity || Number(tier.maxQuantity) <= previousMax) {
+      errors[`tier_${index}_maxQuantity`] = `Supérieur à ${previousMax}`;
+    } else {
+      previousMax = Number(tier.maxQuantity);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Build the tariff payload from the admin form values
+ * The last tier is always open-ended (maxQuantity: null)
+ * @param {Object} tariff - Tariff form values
+ * @returns {Object} Tariff data for createShippingTariff / updateShippingTariff
+ */
+export const buildTariffPayload = (tariff) => ({
+  provider: tariff.provider,
+  shippingMethod: tariff.shippingMethod,
+  wilaya: tariff.wilaya || null,
+  tiers: tariff.tiers.map((tier, index) => ({
+    maxQuantity: index === tariff.tiers.length - 1 ? null : parseInt(tier.maxQuantity),
+    price: parseFloat(tier.price),
+  })),
+});
+
+export default {
+  EMPTY_TARIFF,
+  getOrderItemCount,
+  findTariff,
+  getTierPrice,
+  calculateShippingCost,
+  validateTariff,
+  buildTariffPayload,
+};
@@ -0,0 +1,137 @@
+/**
+ * Spreadsheet files
+ * Reads the first sheet of a CSV or Excel (.xlsx) file picked by the user, entirely in the browser,
+ * and maps its columns to the fields of an import; writes .xlsx exports
+ */
+import { parseCsv } from './csv';
+
+// Value of the `accept` attribute of the file inputs
+export const SPREADSHEET_ACCEPT = '.csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const getExtension = (file) => file.name.split('.').pop().toLowerCase();
+
+/**
+ * Read the rows of a spreadsheet file
+ * @param {File} file - CSV or .xlsx file
+ * @returns {Promise<Array<Array<string|number|boolean|Date>>>} Rows (header first), empty cells as '' and blank rows skipped
+ * @throws {Error} With a French message when the file cannot be read
+ */
+export const readSpreadsheet = async (file) => {
+  const extension = getExtension(file);
+
+  if (extension === 'csv' || extension === 'txt') {
+    return parseCsv(await file.text());
+  }
+
+  if (extension === 'xls') {
+    throw new Error('Les fichiers Excel 97-2003 (.xls) ne sont pas pris en charge : enregistrez le fichier au format .xlsx ou CSV');
+  }
+
+  if (extension !== 'xlsx') {
+    throw new Error('Format non pris en charge : importez un fichier CSV ou Excel (.xlsx)');
+  }
+
+  // The Excel reader is only downloaded when an Excel file is imported
+  const { readSheet } = await import('read-excel-file/browser');
+  let rows;
+  try {
+    rows = await readSheet(file);
+  } catch (err) {
+    console.error('Error reading spreadsheet:', err);
+    throw new Error('Impossible de lire le fichier Excel : il est peut-être endommagé ou protégé par un mot de passe');
+  }
+
+  return rows
+    .map((cells) => cells.map((value) => (value === null || value === undefined ? '' : value)))
+    .filter((cells) => cells.some((value) => value !== ''));
+};
+
+/**
+ * Write rows to an Excel (.xlsx) file
+ * @param {Array<{key: string, label: string, value?: Function}>} columns - Columns, as for toCsv; value(row) overrides row[key]
+ * @param {Array<Object>} rows - Rows
+ * @param {string} sheet - Sheet name
+ * @returns {Promise<Blob>} .xlsx file content
+ */
+export const writeSpreadsheet = async (columns, rows, sheet = 'Feuille 1') => {
+  // The Excel writer is only downloaded when an Excel file is exported
+  const { default: writeXlsxFile } = await import('write-excel-file/browser');
+  return writeXlsxFile(rows, {
+    sheet,
+    columns: columns.map((column) => ({
+      header: { value: column.label, fontWeight: 'bold' },
+      cell: (row) => {
+        const value = column.value ? column.value(row) : row[column.key];
+        return { value: value === null || value === undefined ? '' : value };
+      },
+      width: column.width,
+    })),
+  }).toBlob();
+};
+
+// "N° de Suivi" -> "n de suivi"
+const normalizeHeader = (header) => String(header)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Guess which column of a file holds each field, from the header row
+ * Headers are compared without accents or case; exact matches win over partial ones,
+ * so "Montant net" is not taken for "Montant"
+ * @param {Array} header - Header row
+ * @param {Object} definitions - Fields to find: { [field]: { label, aliases: Array<string> } }, aliases normalized
+ * @returns {Object} Column index of each field, -1 if not found
+ */
+export const detectColumns = (header, definitions) => {
+  const headers = header.map(normalizeHeader);
+  const columns = {};
+  const taken = new Set();
+
+  const find = (aliases, matches) => headers.findIndex((text, index) => !taken.has(index) && aliases.some((alias) => matches(text, alias)));
+
+  Object.entries(definitions).forEach(([field, { aliases }]) => {
+    const exact = find(aliases, (text, alias) => text === alias);
+    columns[field] = exact !== -1 ? exact : find(aliases, (text, alias) => text.split(' ').includes(alias) || text.startsWith(`${alias} `));
+    if (columns[field] !== -1) taken.add(columns[field]);
+  });
+
+  return columns;
+};
+
+/**
+ * Parse an amount written by a spreadsheet or a carrier export
+ * Accepts "1 234,50 DA", "1.234,50", "1,234.50", "1200" or a number
+ * @param {string|number} value - Cell value
+ * @returns {number} Amount, NaN if unreadable
+ */
+export const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+
+  let text = String(value ?? '').replace(/[\s\u00a0\u202f]/g, '').replace(/(DZD|DA)$/i, '');
+  if (text === '') return NaN;
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Both separators: the last one is the decimal separator
+    text = lastComma > lastDot ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    text = /,\d{1,2}$/.test(text) ? text.replace(',', '.') : text.replace(/,/g, '');
+  } else if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+    // "1.200" is a thousands separator in French exports
+    text = text.replace(/\./g, '');
+  }
+
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+};
+
+export default {
+  SPREADSHEET_ACCEPT,
+  readSpreadsheet,
+  writeSpreadsheet,
+  detectColumns,
+  parseAmount,
+};